@@ -0,0 +1,219 @@
+/**
+ * Mock GHL form/webhook endpoint for local development
+ *
+ * USAGE:
+ *   node dev/mock-ghl-server.cjs            (listens on port 4010)
+ *   PORT=5000 node dev/mock-ghl-server.cjs
+ *
+ * Point a form at it:
+ *   new FormValidator('#contact-form', { endpoint: 'http://localhost:4010/hooks/form' });
+ *
+ * SIMULATING FAILURES (query string on the endpoint URL):
+ *   ?fail=2        first 2 attempts of each submission return 503 (tests retries)
+ *   ?status=500    every attempt returns the given status
+ *   ?delay=3000    wait before responding (tests loading state and timeouts)
+ *
+ * Submitting taken@example.com returns a 422 with a field error for "email".
+ * Requests are de-duplicated by their Idempotency-Key header.
+ *
+ * ASYNC VALIDATION:
+ *   GET /check-email?email=...  ->  { valid: false } for taken@example.com
+ *   <input type="email" name="email" data-rule-remote="http://localhost:4010/check-email?email=">
+ *
+ * CALENDAR FIXTURES (for BookingWidget, shaped like the GHL calendars API):
+ *   GET    /calendars/:id/free-slots?startDate=<ms>&endDate=<ms>
+ *          weekdays, every 30 minutes from 14:00 to 21:30 UTC
+ *   POST   /calendars/:id/holds               { startTime, endTime } -> { holdId, expiresAt }
+ *   DELETE /calendars/:id/holds/:holdId
+ *   POST   /calendars/events/appointments     { holdId, startTime, endTime, contact }
+ *   Holds last HOLD_MINUTES (default 5). Taken or held slots return 409.
+ *   Booking with email slot-taken@example.com simulates a race and returns 409.
+ */
+const http = require('http');
+const { URL } = require('url');
+
+const PORT = Number(process.env.PORT) || 4010;
+const HOLD_MINUTES = Number(process.env.HOLD_MINUTES) || 5;
+
+// Attempts seen per idempotency key, and the responses already sent for them
+const attempts = new Map();
+const accepted = new Map();
+
+// Calendar state: holdId -> { startTime, expiresAt }, and booked start times
+const holds = new Map();
+const booked = new Set();
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept, Idempotency-Key'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(raw || '{}'));
+            } catch (error) {
+                resolve(null);
+            }
+        });
+    });
+}
+
+async function handleForm(req, res, url) {
+    const key = req.headers['idempotency-key'] || '';
+    const attempt = (attempts.get(key) || 0) + 1;
+    attempts.set(key, attempt);
+
+    const delay = Number(url.searchParams.get('delay')) || 0;
+    if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+
+    const forcedStatus = Number(url.searchParams.get('status'));
+    if (forcedStatus) {
+        return send(res, forcedStatus, { message: `Mock error ${forcedStatus}` });
+    }
+
+    const failures = Number(url.searchParams.get('fail')) || 0;
+    if (attempt <= failures) {
+        return send(res, 503, { message: 'Service temporarily unavailable' });
+    }
+
+    // Replay the original response for a retried submission
+    if (key && accepted.has(key)) {
+        return send(res, 200, { ...accepted.get(key), duplicate: true });
+    }
+
+    const data = await readBody(req);
+    if (!data) {
+        return send(res, 400, { message: 'Invalid JSON body' });
+    }
+
+    const errors = {};
+    if (!data.email) errors.email = 'Email is required';
+    if (data.email === 'taken@example.com') errors.email = 'This email is already registered';
+    if (Object.keys(errors).length) {
+        return send(res, 422, { message: 'Please fix the highlighted fields', errors });
+    }
+
+    const result = { id: `contact_${Date.now().toString(36)}`, received: data };
+    if (key) accepted.set(key, result);
+
+    console.log(`[mock-ghl] accepted submission (attempt ${attempt})`, data);
+    return send(res, 200, result);
+}
+
+function isSlotTaken(startTime) {
+    const now = Date.now();
+    if (booked.has(startTime)) return true;
+    return Array.from(holds.values()).some(hold => hold.startTime === startTime && hold.expiresAt > now);
+}
+
+function handleFreeSlots(res, url) {
+    const start = Number(url.searchParams.get('startDate')) || Date.now();
+    const end = Number(url.searchParams.get('endDate')) || start + 14 * 24 * 60 * 60 * 1000;
+    const result = {};
+
+    const day = new Date(start);
+    day.setUTCHours(0, 0, 0, 0);
+
+    while (day.getTime() <= end) {
+        const weekday = day.getUTCDay();
+        if (weekday !== 0 && weekday !== 6) {
+            const slots = [];
+            for (let minutes = 14 * 60; minutes <= 21 * 60 + 30; minutes += 30) {
+                const slot = new Date(day.getTime() + minutes * 60 * 1000);
+                const iso = slot.toISOString();
+                if (slot.getTime() > start && !isSlotTaken(iso)) slots.push(iso);
+            }
+            if (slots.length) result[day.toISOString().slice(0, 10)] = { slots };
+        }
+        day.setUTCDate(day.getUTCDate() + 1);
+    }
+
+    return send(res, 200, { ...result, traceId: `trace_${Date.now().toString(36)}` });
+}
+
+async function handleCreateHold(req, res) {
+    const data = await readBody(req);
+    if (!data || !data.startTime) return send(res, 400, { message: 'startTime is required' });
+
+    const startTime = new Date(data.startTime).toISOString();
+    if (isSlotTaken(startTime)) return send(res, 409, { message: 'That time is no longer available' });
+
+    const holdId = `hold_${Date.now().toString(36)}`;
+    const expiresAt = Date.now() + HOLD_MINUTES * 60 * 1000;
+    holds.set(holdId, { startTime, expiresAt });
+
+    return send(res, 201, { holdId, expiresAt: new Date(expiresAt).toISOString() });
+}
+
+async function handleBook(req, res) {
+    const data = await readBody(req);
+    if (!data) return send(res, 400, { message: 'Invalid JSON body' });
+
+    const contact = data.contact || {};
+    if (!contact.email) {
+        return send(res, 422, { message: 'Please fix the highlighted fields', errors: { email: 'Email is required' } });
+    }
+
+    const hold = holds.get(data.holdId);
+    if (!hold || hold.expiresAt < Date.now() || contact.email === 'slot-taken@example.com') {
+        return send(res, 409, { message: 'Sorry, that time was just taken. Please pick another.' });
+    }
+
+    holds.delete(data.holdId);
+    booked.add(hold.startTime);
+
+    console.log(`[mock-ghl] booked ${hold.startTime} for ${contact.email}`);
+    return send(res, 201, {
+        id: `appt_${Date.now().toString(36)}`,
+        calendarId: data.calendarId,
+        startTime: hold.startTime,
+        endTime: data.endTime,
+        appointmentStatus: 'confirmed'
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    if (req.method === 'POST' && url.pathname === '/hooks/form') {
+        return handleForm(req, res, url);
+    }
+
+    const slotsMatch = url.pathname.match(/^\/calendars\/([^/]+)\/free-slots$/);
+    if (req.method === 'GET' && slotsMatch) return handleFreeSlots(res, url);
+
+    if (req.method === 'POST' && /^\/calendars\/([^/]+)\/holds$/.test(url.pathname)) {
+        return handleCreateHold(req, res);
+    }
+
+    const holdMatch = url.pathname.match(/^\/calendars\/([^/]+)\/holds\/([^/]+)$/);
+    if (req.method === 'DELETE' && holdMatch) {
+        holds.delete(decodeURIComponent(holdMatch[2]));
+        return send(res, 204);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/calendars/events/appointments') {
+        return handleBook(req, res);
+    }
+
+    if (req.method === 'GET' && url.pathname === '/check-email') {
+        return send(res, 200, { valid: url.searchParams.get('email') !== 'taken@example.com' });
+    }
+
+    return send(res, 404, { message: 'Not found' });
+});
+
+server.listen(PORT, () => {
+    console.log(`[mock-ghl] listening on http://localhost:${PORT}`);
+});
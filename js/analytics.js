@@ -0,0 +1,475 @@
+import { throttle, hasConsent, storageSet } from './utils.js';
+import { reportDiagnostic } from './diagnostics.js';
+
+// ===================================
+// ANALYTICS
+// ===================================
+
+/**
+ * Central analytics event bus
+ *
+ * Modules never talk to providers directly - they call trackEvent(name, properties),
+ * which dispatches an analytics:track event on document. This class picks those up,
+ * enriches them with page/visitor context and fans them out to provider adapters.
+ *
+ * PROVIDER ADAPTER INTERFACE:
+ * {
+ *   name: 'my-provider',           // Unique, used for its queue
+ *   category: 'analytics',         // Consent category it needs (default 'analytics')
+ *   send(events) => Promise|void,  // Deliver a batch; reject/throw to retry it later, or
+ *                                  // resolve { failed: [...] } to retry only those events
+ *   sendBeacon(events) => boolean  // Optional: deliver during page unload
+ * }
+ * Built in: GA4Provider, GHLPixelProvider, SegmentProvider, DebugProvider
+ *
+ * DELIVERY:
+ * - Events are batched per provider and flushed every flushInterval ms
+ *   or as soon as batchSize events are waiting
+ * - Queues (including batches still in flight) are persisted to localStorage, so
+ *   events captured offline (or before a crash/refresh) are sent on the next flush
+ * - Nothing is sent while navigator.onLine is false; the queue flushes on 'online'
+ * - On pagehide / tab hidden the queue is flushed with navigator.sendBeacon
+ *
+ * CONSENT:
+ * A provider only receives events while its consent category is granted.
+ * Queues and the anonymous ID are only written to storage with 'analytics' consent,
+ * and a provider's queue is dropped when its category is revoked.
+ *
+ * AUTO-TRACKED:
+ * - button_click, faq_open, theme_change (emitted by their modules)
+ * - scroll_depth at 25/50/75/100%
+ * - wizard_open, wizard_step, wizard_complete, wizard_close
+ * - form_submit, form_success, form_error
+ */
+export class Analytics {
+    constructor(options = {}) {
+        this.options = {
+            providers: [],
+            batchSize: 10,
+            flushInterval: 5000,
+            maxQueueSize: 500, // Oldest events are dropped past this, per provider
+            storageKey: 'analyticsQueue',
+            scrollDepths: [25, 50, 75, 100],
+            ...options
+        };
+
+        this.providers = [];
+        this.queues = this.loadQueues();
+        this.anonymousId = this.getAnonymousId();
+        this.sessionId = this.createId();
+        this.flushTimer = null;
+        this.inFlight = {}; // provider name -> batches sent but not yet settled
+        this.listeners = [];
+
+        this.options.providers.forEach(provider => this.use(provider));
+
+        // Drop persisted queues for providers that are no longer configured
+        Object.keys(this.queues).forEach(name => {
+            if (!this.providers.some(provider => provider.name === name)) delete this.queues[name];
+        });
+
+        this.init();
+    }
+
+    init() {
+        this.listen(document, 'analytics:track', (e) => {
+            this.track(e.detail.name, e.detail.properties);
+        });
+
+        this.listen(document, 'consent:change', () => this.handleConsentChange());
+
+        this.listen(window, 'online', () => this.flush());
+
+        // pagehide is the reliable unload signal on mobile Safari; visibilitychange covers tab switches
+        this.listen(window, 'pagehide', () => this.flush({ useBeacon: true }));
+        this.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush({ useBeacon: true });
+        });
+
+        this.bindFormEvents();
+        this.bindScrollDepth();
+
+        this.flushTimer = setInterval(() => this.flush(), this.options.flushInterval);
+
+        // Send anything left over from a previous page view
+        this.flush();
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push([target, type, handler, options]);
+    }
+
+    /**
+     * Stops tracking and the flush timer (queued events stay in storage for the next page view)
+     */
+    destroy() {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        this.listeners.forEach(([target, type, handler, options]) => target.removeEventListener(type, handler, options));
+        this.listeners = [];
+    }
+
+    /**
+     * Registers a provider adapter
+     */
+    use(provider) {
+        if (!provider || typeof provider.send !== 'function') {
+            reportDiagnostic('warn', 'Analytics', 'provider must implement send(events)', { provider });
+            return this;
+        }
+
+        this.providers.push(provider);
+        if (!this.queues[provider.name]) this.queues[provider.name] = [];
+        return this;
+    }
+
+    track(name, properties = {}) {
+        const event = {
+            id: this.createId(),
+            name,
+            properties,
+            timestamp: new Date().toISOString(),
+            anonymousId: this.anonymousId,
+            sessionId: this.sessionId,
+            page: {
+                path: window.location.pathname,
+                url: window.location.href,
+                title: document.title,
+                referrer: document.referrer
+            }
+        };
+
+        this.getConsentedProviders().forEach(provider => {
+            const queue = this.queues[provider.name];
+            queue.push(event);
+            if (queue.length > this.options.maxQueueSize) {
+                queue.splice(0, queue.length - this.options.maxQueueSize);
+            }
+        });
+        this.saveQueues();
+
+        const isBatchFull = this.providers.some(p => this.queues[p.name].length >= this.options.batchSize);
+        if (isBatchFull) this.flush();
+
+        return event;
+    }
+
+    /**
+     * Sends every provider's queued events
+     * useBeacon: deliver with sendBeacon (page is unloading)
+     */
+    flush({ useBeacon = false } = {}) {
+        if (navigator.onLine === false) return Promise.resolve();
+
+        const deliveries = this.getConsentedProviders().map(provider => {
+            const queue = this.queues[provider.name];
+            if (!queue.length) return Promise.resolve();
+
+            const batch = queue.splice(0, queue.length);
+
+            if (useBeacon && typeof provider.sendBeacon === 'function') {
+                // Beacons can't report delivery - requeue only if the browser refused it
+                if (!provider.sendBeacon(batch)) this.requeue(provider, batch);
+                return Promise.resolve();
+            }
+
+            const inFlight = this.inFlight[provider.name] = this.inFlight[provider.name] || new Set();
+            inFlight.add(batch);
+
+            return Promise.resolve()
+                .then(() => provider.send(batch))
+                .then(result => {
+                    // Partial delivery - only the failed events go back in the queue
+                    if (result && Array.isArray(result.failed) && result.failed.length) {
+                        this.requeue(provider, result.failed);
+                    }
+                })
+                .catch(() => this.requeue(provider, batch))
+                .finally(() => inFlight.delete(batch));
+        });
+
+        this.saveQueues();
+        return Promise.all(deliveries).then(() => this.saveQueues());
+    }
+
+    getConsentedProviders() {
+        return this.providers.filter(provider => hasConsent(provider.category || 'analytics'));
+    }
+
+    handleConsentChange() {
+        this.providers.forEach(provider => {
+            if (!hasConsent(provider.category || 'analytics')) {
+                this.queues[provider.name] = [];
+                delete this.inFlight[provider.name];
+            }
+        });
+
+        storageSet('analyticsAnonymousId', this.anonymousId, 'analytics');
+        this.saveQueues();
+        this.flush();
+    }
+
+    requeue(provider, batch) {
+        // Consent was revoked while the batch was on its way - drop it
+        if (!hasConsent(provider.category || 'analytics')) return;
+
+        const queue = this.queues[provider.name];
+        queue.unshift(...batch);
+        if (queue.length > this.options.maxQueueSize) {
+            queue.splice(0, queue.length - this.options.maxQueueSize);
+        }
+    }
+
+    // ---------- Auto-tracking ----------
+
+    bindFormEvents() {
+        const eventMap = {
+            'wizard:open': 'wizard_open',
+            'wizard:step': 'wizard_step',
+            'wizard:complete': 'wizard_complete',
+            'wizard:close': 'wizard_close',
+            'form:submit': 'form_submit',
+            'form:success': 'form_success',
+            'form:error': 'form_error'
+        };
+
+        Object.entries(eventMap).forEach(([domEvent, analyticsEvent]) => {
+            this.listen(document, domEvent, (e) => {
+                const properties = {
+                    form: e.target.id || null,
+                    step: e.detail.step,
+                    index: e.detail.index,
+                    total: e.detail.total,
+                    error: e.detail.error ? e.detail.error.message : undefined
+                };
+
+                // Never send raw form data - it contains PII
+                Object.keys(properties).forEach(key => {
+                    if (properties[key] === undefined) delete properties[key];
+                });
+
+                this.track(analyticsEvent, properties);
+            });
+        });
+    }
+
+    bindScrollDepth() {
+        const reached = new Set();
+
+        const checkDepth = throttle(() => {
+            const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            const percent = scrollable > 0 ? (window.scrollY / scrollable) * 100 : 100;
+
+            this.options.scrollDepths.forEach(depth => {
+                if (percent >= depth && !reached.has(depth)) {
+                    reached.add(depth);
+                    this.track('scroll_depth', { percent: depth });
+                }
+            });
+        }, 250);
+
+        this.listen(window, 'scroll', checkDepth, { passive: true });
+    }
+
+    // ---------- Persistence ----------
+
+    loadQueues() {
+        try {
+            return JSON.parse(localStorage.getItem(this.options.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * In-flight batches are stored with the queue - if the page unloads before they
+     * settle they're sent again next time (events carry an id for de-duplication)
+     */
+    saveQueues() {
+        const stored = {};
+        Object.entries(this.queues).forEach(([name, queue]) => {
+            const sending = Array.from(this.inFlight[name] || []).flat();
+            stored[name] = [...sending, ...queue];
+        });
+
+        // Without consent (or storage) events stay in memory only
+        storageSet(this.options.storageKey, JSON.stringify(stored), 'analytics');
+    }
+
+    getAnonymousId() {
+        let id = null;
+        try {
+            id = localStorage.getItem('analyticsAnonymousId');
+        } catch (error) {
+            // Storage unavailable - fall through to a per-page-view ID
+        }
+
+        if (!id) {
+            id = this.createId();
+            storageSet('analyticsAnonymousId', id, 'analytics');
+        }
+        return id;
+    }
+
+    createId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    /**
+     * Debug sink is on for localhost or with ?analytics_debug in the URL
+     */
+    static isDebug() {
+        return ['localhost', '127.0.0.1'].includes(window.location.hostname)
+            || new URLSearchParams(window.location.search).has('analytics_debug');
+    }
+}
+
+/**
+ * Google Analytics 4 via gtag.js
+ * Expects the gtag snippet to be on the page; gtag does its own batching and beacons
+ */
+export class GA4Provider {
+    constructor(options = {}) {
+        this.name = 'ga4';
+        this.category = 'analytics';
+        this.options = { sendTo: null, ...options }; // sendTo: 'G-XXXXXXX' to target one property
+    }
+
+    send(events) {
+        if (typeof window.gtag !== 'function') {
+            throw new Error('gtag is not loaded');
+        }
+
+        events.forEach(event => {
+            window.gtag('event', event.name, {
+                ...event.properties,
+                ...(this.options.sendTo ? { send_to: this.options.sendTo } : {}),
+                transport_type: 'beacon'
+            });
+        });
+    }
+
+    sendBeacon(events) {
+        try {
+            this.send(events);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+/**
+ * GoHighLevel tracking pixel
+ * Each event becomes an image request to pixelUrl with the event in the query string
+ */
+export class GHLPixelProvider {
+    constructor(options = {}) {
+        this.name = 'ghl-pixel';
+        this.category = 'marketing';
+        this.options = { pixelUrl: '', locationId: '', ...options };
+    }
+
+    buildUrl(event) {
+        const params = new URLSearchParams({
+            location_id: this.options.locationId,
+            event: event.name,
+            event_id: event.id,
+            anonymous_id: event.anonymousId,
+            url: event.page.url,
+            ts: event.timestamp,
+            props: JSON.stringify(event.properties)
+        });
+        return `${this.options.pixelUrl}?${params}`;
+    }
+
+    /**
+     * Resolves { failed } with the events whose pixel didn't load, so only those are retried
+     */
+    async send(events) {
+        if (!this.options.pixelUrl) throw new Error('GHLPixelProvider: pixelUrl is required');
+
+        const delivered = await Promise.all(events.map(event => new Promise(resolve => {
+            const pixel = new Image(1, 1);
+            pixel.onload = () => resolve(true);
+            pixel.onerror = () => resolve(false);
+            pixel.src = this.buildUrl(event);
+        })));
+        return { failed: events.filter((event, index) => !delivered[index]) };
+    }
+
+    sendBeacon(events) {
+        if (!this.options.pixelUrl || !navigator.sendBeacon) return false;
+        return events.every(event => navigator.sendBeacon(this.buildUrl(event)));
+    }
+}
+
+/**
+ * Segment-style HTTP batch endpoint
+ * POSTs { batch: [{ type: 'track', event, properties, ... }] }
+ */
+export class SegmentProvider {
+    constructor(options = {}) {
+        this.name = 'segment';
+        this.category = 'analytics';
+        this.options = { endpoint: '', writeKey: '', ...options };
+    }
+
+    toPayload(events) {
+        return {
+            writeKey: this.options.writeKey,
+            sentAt: new Date().toISOString(),
+            batch: events.map(event => ({
+                type: 'track',
+                messageId: event.id,
+                event: event.name,
+                properties: event.properties,
+                anonymousId: event.anonymousId,
+                timestamp: event.timestamp,
+                context: { page: event.page, sessionId: event.sessionId }
+            }))
+        };
+    }
+
+    async send(events) {
+        const response = await fetch(this.options.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(this.toPayload(events)),
+            keepalive: true
+        });
+
+        if (!response.ok) throw new Error(`Segment endpoint responded ${response.status}`);
+    }
+
+    sendBeacon(events) {
+        if (!navigator.sendBeacon) return false;
+        const blob = new Blob([JSON.stringify(this.toPayload(events))], { type: 'application/json' });
+        return navigator.sendBeacon(this.options.endpoint, blob);
+    }
+}
+
+/**
+ * Local debug sink - prints every batch to the console
+ */
+export class DebugProvider {
+    constructor() {
+        this.name = 'debug';
+        this.category = 'analytics';
+    }
+
+    send(events) {
+        events.forEach(event => {
+            console.log(`📊 ${event.name}`, event.properties);
+        });
+    }
+
+    sendBeacon(events) {
+        this.send(events);
+        return true;
+    }
+}
@@ -0,0 +1,406 @@
+import { SubmissionError, FormValidator } from './forms.js';
+import { trackEvent } from './utils.js';
+import { Dialog } from './dialog.js';
+import { t, getLocale } from './i18n.js';
+import { reportMissing } from './diagnostics.js';
+
+// ===================================
+// APPOINTMENT BOOKING
+// ===================================
+
+/**
+ * Self-hosted booking widget for discovery calls, shown in a modal Dialog
+ * Opened by buttons with data-action="open-calendar"
+ *
+ * FLOW:
+ * 1. Loads free slots for the next daysAhead days and lists them by day,
+ *    in the visitor's own timezone
+ * 2. Picking a time places a hold on it (holdMinutes, with a countdown)
+ * 3. The visitor's details are validated by FormValidator and the booking confirmed
+ *
+ * ENDPOINTS (shaped like the GHL calendars API, relative to baseUrl):
+ * - GET  /calendars/{calendarId}/free-slots?startDate=<ms>&endDate=<ms>&timezone=<tz>
+ *        -> { "2025-01-06": { "slots": ["2025-01-06T14:00:00Z", ...] }, ... }
+ * - POST /calendars/{calendarId}/holds          { startTime, endTime } -> { holdId, expiresAt }
+ * - DELETE /calendars/{calendarId}/holds/{id}
+ * - POST /calendars/events/appointments         { calendarId, holdId, startTime, endTime, timezone, contact }
+ *        -> { id, startTime, endTime }   409 when the slot was taken
+ *
+ * baseUrl should be your own proxy - GHL API keys must never reach the browser.
+ * Without one the widget stays off and open-calendar buttons fall back to
+ * data-href or the lead form.
+ * During development `node dev/mock-ghl-server.cjs` serves fixture data:
+ * <div id="bookingWidget" data-calendar-base-url="http://localhost:4010" data-calendar-id="discovery-call">
+ */
+export class BookingWidget {
+    constructor(modalSelector = '#bookingWidget', options = {}) {
+        this.modal = document.querySelector(modalSelector);
+        if (!this.modal) {
+            reportMissing('BookingWidget', modalSelector, 'open-calendar buttons fall back to data-href or the lead form', 'info');
+            return;
+        }
+
+        this.options = {
+            baseUrl: this.modal.dataset.calendarBaseUrl || '',
+            calendarId: this.modal.dataset.calendarId || '',
+            daysAhead: 14,
+            slotDuration: 30, // Minutes
+            holdMinutes: 5,
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            ...options
+        };
+
+        if (!this.options.baseUrl) {
+            reportMissing('BookingWidget', `data-calendar-base-url on ${modalSelector}`, 'open-calendar buttons fall back to data-href or the lead form');
+            this.modal = null;
+            return;
+        }
+
+        this.slotsEl = this.modal.querySelector('.booking-slots');
+        this.detailsEl = this.modal.querySelector('.booking-details');
+        this.successEl = this.modal.querySelector('.booking-success');
+        this.form = this.modal.querySelector('form');
+        this.statusEl = this.modal.querySelector('.booking-status');
+
+        const missing = ['.booking-slots', '.booking-days', '.booking-times', '.booking-details', '.booking-success', 'form']
+            .find(selector => !this.modal.querySelector(selector));
+        if (missing) {
+            reportMissing('BookingWidget', `${modalSelector} ${missing}`, 'open-calendar buttons fall back to data-href or the lead form');
+            // ButtonManager only uses the widget while it has a modal
+            this.modal = null;
+            return;
+        }
+
+        this.slotsByDay = new Map();
+        this.selectedDay = null;
+        this.hold = null;
+        this.holdTimer = null;
+        this.isHolding = false;
+
+        this.init();
+    }
+
+    init() {
+        this.validator = new FormValidator(this.form, {
+            submitHandler: (data) => this.book(data),
+            successMessage: ''
+        });
+        this.form.addEventListener('form:success', (e) => this.showConfirmation(e.detail.response));
+
+        this.modal.querySelectorAll('[data-booking-close]').forEach(button => {
+            button.addEventListener('click', () => this.close());
+        });
+        this.modal.querySelector('[data-booking-back]')?.addEventListener('click', () => this.backToSlots());
+
+        // However it closes (Escape, backdrop, close button), the held slot is released
+        this.dialog = new Dialog(this.modal, {
+            initialFocus: '.modal-close',
+            onClose: () => this.releaseHold()
+        });
+
+        const timezoneEl = this.modal.querySelector('.booking-timezone');
+        if (timezoneEl) timezoneEl.textContent = this.options.timezone.replace(/_/g, ' ');
+    }
+
+    async open(opener) {
+        this.showPanel('slots');
+        this.dialog.open(opener || document.activeElement);
+        trackEvent('booking_open', { calendar: this.options.calendarId });
+
+        await this.loadSlots();
+    }
+
+    close() {
+        this.dialog.close();
+    }
+
+    // ---------- API ----------
+
+    buildUrl(path) {
+        return `${this.options.baseUrl}${path.replace('{calendarId}', encodeURIComponent(this.options.calendarId))}`;
+    }
+
+    async request(method, path, body) {
+        const response = await fetch(this.buildUrl(path), {
+            method,
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => null);
+
+        if (!response.ok) {
+            throw new SubmissionError((data && data.message) || t('booking.unavailable', {}, 'The calendar is unavailable right now.'), {
+                status: response.status,
+                fieldErrors: (data && data.errors) || {}
+            });
+        }
+        return data;
+    }
+
+    /**
+     * message: error to show once the slots are in (e.g. why the visitor is back here)
+     */
+    async loadSlots(message = '') {
+        this.setStatus(t('booking.loading', {}, 'Loading available times…'));
+        this.slotsEl.setAttribute('aria-busy', 'true');
+
+        const start = Date.now();
+        const end = start + this.options.daysAhead * 24 * 60 * 60 * 1000;
+
+        try {
+            const data = await this.request(
+                'GET',
+                `/calendars/{calendarId}/free-slots?startDate=${start}&endDate=${end}&timezone=${encodeURIComponent(this.options.timezone)}`
+            );
+            this.slotsByDay = this.groupSlots(data);
+            if (message) {
+                this.setStatus(message, true);
+            } else {
+                this.setStatus(this.slotsByDay.size ? '' : t('booking.empty', {}, 'No times are available in the next two weeks. Please check back soon.'));
+            }
+            this.renderDays();
+        } catch (error) {
+            this.setStatus(error.message, true);
+        } finally {
+            this.slotsEl.setAttribute('aria-busy', 'false');
+        }
+    }
+
+    /**
+     * Regroups the API's slots by day in the visitor's timezone
+     * (the API groups by the calendar's timezone)
+     */
+    groupSlots(data) {
+        const dayKey = new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.options.timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        });
+
+        const grouped = new Map();
+        Object.values(data || {}).forEach(day => {
+            if (!day || !Array.isArray(day.slots)) return;
+
+            day.slots.forEach(slot => {
+                const date = new Date(slot);
+                if (date.getTime() <= Date.now()) return;
+
+                const key = dayKey.format(date);
+                if (!grouped.has(key)) grouped.set(key, []);
+                grouped.get(key).push(date);
+            });
+        });
+
+        grouped.forEach(slots => slots.sort((a, b) => a - b));
+        return new Map([...grouped.entries()].sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    async placeHold(startTime) {
+        // A double-click or a second pick while the first is on its way
+        if (this.isHolding) return;
+        this.isHolding = true;
+
+        const endTime = new Date(startTime.getTime() + this.options.slotDuration * 60 * 1000);
+
+        this.setStatus(t('booking.holding', {}, 'Holding your time…'));
+        try {
+            const hold = await this.request('POST', '/calendars/{calendarId}/holds', {
+                startTime: startTime.toISOString(),
+                endTime: endTime.toISOString()
+            });
+
+            this.releaseHold();
+            this.hold = { ...hold, startTime, endTime };
+
+            // Closed while the hold was being placed
+            if (!this.dialog.isOpen()) {
+                this.releaseHold();
+                return;
+            }
+
+            this.setStatus('');
+            this.showDetails();
+        } catch (error) {
+            if (error.status === 409) {
+                // Someone else grabbed it first - refresh the list
+                this.loadSlots(t('booking.taken', {}, 'That time was just taken. Please pick another.'));
+            } else {
+                this.setStatus(error.message, true);
+            }
+        } finally {
+            this.isHolding = false;
+        }
+    }
+
+    releaseHold() {
+        clearInterval(this.holdTimer);
+        if (!this.hold) return;
+
+        const holdId = this.hold.holdId;
+        this.hold = null;
+        this.request('DELETE', `/calendars/{calendarId}/holds/${encodeURIComponent(holdId)}`).catch(() => {
+            // Holds expire on their own
+        });
+    }
+
+    /**
+     * FormValidator submitHandler - confirms the held slot
+     */
+    book(contact) {
+        if (!this.hold) {
+            throw new SubmissionError(t('booking.expired', {}, 'Your hold expired. Please pick a time again.'));
+        }
+
+        return this.request('POST', '/calendars/events/appointments', {
+            calendarId: this.options.calendarId,
+            holdId: this.hold.holdId,
+            startTime: this.hold.startTime.toISOString(),
+            endTime: this.hold.endTime.toISOString(),
+            timezone: this.options.timezone,
+            title: 'Discovery Call',
+            contact
+        }).catch(error => {
+            if (error.status !== 409) throw error;
+
+            // The slot went while the visitor was typing - drop the hold and show fresh times
+            const message = t('booking.taken', {}, 'That time was just taken. Please pick another.');
+            this.backToSlots(message);
+            throw new SubmissionError(message, { status: 409 });
+        });
+    }
+
+    // ---------- Rendering ----------
+
+    renderDays() {
+        const dayList = this.modal.querySelector('.booking-days');
+        const dayLabel = new Intl.DateTimeFormat(getLocale(), {
+            timeZone: this.options.timezone,
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric'
+        });
+
+        dayList.innerHTML = '';
+        this.slotsByDay.forEach((slots, key) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'booking-day';
+            button.textContent = dayLabel.format(slots[0]);
+            button.setAttribute('aria-pressed', 'false');
+            button.dataset.day = key;
+            button.addEventListener('click', () => this.selectDay(key));
+            dayList.appendChild(button);
+        });
+
+        const firstDay = this.slotsByDay.keys().next().value;
+        if (firstDay) this.selectDay(firstDay, false);
+    }
+
+    selectDay(key, moveFocus = true) {
+        this.selectedDay = key;
+
+        this.modal.querySelectorAll('.booking-day').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.day === key));
+        });
+
+        const timeLabel = new Intl.DateTimeFormat(getLocale(), {
+            timeZone: this.options.timezone,
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+
+        const timeList = this.modal.querySelector('.booking-times');
+        timeList.innerHTML = '';
+
+        (this.slotsByDay.get(key) || []).forEach(slot => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'booking-time';
+            button.textContent = timeLabel.format(slot);
+            button.addEventListener('click', () => this.placeHold(slot));
+            timeList.appendChild(button);
+        });
+
+        if (moveFocus) timeList.querySelector('button')?.focus();
+    }
+
+    showDetails() {
+        const summary = this.modal.querySelector('.booking-summary');
+        if (summary) summary.textContent = this.formatSlot(this.hold.startTime);
+
+        this.showPanel('details');
+        this.form.querySelector('input')?.focus();
+        this.startHoldCountdown();
+    }
+
+    startHoldCountdown() {
+        const countdownEl = this.modal.querySelector('.booking-countdown');
+        const expiresAt = this.hold.expiresAt
+            ? new Date(this.hold.expiresAt).getTime()
+            : Date.now() + this.options.holdMinutes * 60 * 1000;
+
+        const tick = () => {
+            const remaining = Math.max(0, expiresAt - Date.now());
+            const minutes = Math.floor(remaining / 60000);
+            const seconds = String(Math.floor((remaining % 60000) / 1000)).padStart(2, '0');
+            if (countdownEl) countdownEl.textContent = `${minutes}:${seconds}`;
+
+            if (remaining === 0) {
+                clearInterval(this.holdTimer);
+                this.hold = null;
+                this.backToSlots(t('booking.expired', {}, 'Your hold expired. Please pick a time again.'));
+            }
+        };
+
+        clearInterval(this.holdTimer);
+        tick();
+        this.holdTimer = setInterval(tick, 1000);
+    }
+
+    /**
+     * message: shown once the slots have reloaded
+     */
+    backToSlots(message = '') {
+        this.releaseHold();
+        this.showPanel('slots');
+        this.loadSlots(message);
+    }
+
+    showConfirmation(appointment) {
+        clearInterval(this.holdTimer);
+        this.hold = null;
+
+        const details = this.successEl.querySelector('.booking-confirmation-time');
+        if (details) details.textContent = this.formatSlot(new Date(appointment.startTime));
+
+        this.showPanel('success');
+        this.successEl.focus();
+        trackEvent('booking_confirmed', { calendar: this.options.calendarId });
+    }
+
+    showPanel(name) {
+        this.slotsEl.hidden = name !== 'slots';
+        this.detailsEl.hidden = name !== 'details';
+        this.successEl.hidden = name !== 'success';
+        if (name !== 'success') this.setStatus('');
+    }
+
+    setStatus(message, isError = false) {
+        if (!this.statusEl) return;
+        this.statusEl.textContent = message;
+        this.statusEl.classList.toggle('is-error', isError);
+    }
+
+    formatSlot(date) {
+        return new Intl.DateTimeFormat(getLocale(), {
+            timeZone: this.options.timezone,
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZoneName: 'short'
+        }).format(date);
+    }
+}
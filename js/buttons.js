@@ -0,0 +1,247 @@
+import { trackEvent } from './utils.js';
+import { reportDiagnostic, reportError } from './diagnostics.js';
+import { Dialog } from './dialog.js';
+
+// ===================================
+// BUTTON INTERACTIONS
+// ===================================
+
+/**
+ * Built-in button actions
+ * Each handler is (button, event) => void | Promise
+ * Configure them with data attributes on the button:
+ *
+ * data-action="open-form"                              - opens the lead qualification wizard
+ * data-action="scroll-to" data-target="#pricing"       - smooth scrolls to the target (nav offset applied)
+ * data-action="open-calendar" data-href="https://..."  - opens the booking widget (or data-href as a fallback)
+ * data-action="open-dialog" data-target="#videoModal"  - opens that element as a modal Dialog
+ * data-action="play-video" data-video="https://..."    - plays the video in the video lightbox (data-video-title names it)
+ * data-action="external" data-href="https://..."       - opens a URL (data-new-tab for a new tab)
+ * data-action="track-only"                             - only records the click
+ *
+ * Register more with ButtonManager.registerAction(name, handler).
+ */
+export const BUTTON_ACTIONS = {
+    'open-form': (button) => {
+        if (!window.leadWizard || !window.leadWizard.modal) {
+            reportDiagnostic('warn', 'ButtonManager', 'open-form needs a LeadWizard on the page');
+            return;
+        }
+        window.leadWizard.open(button);
+    },
+
+    'scroll-to': (button) => {
+        if (window.smoothScroll) {
+            window.smoothScroll.scrollTo(button.dataset.target);
+            return;
+        }
+
+        // SmoothScroll is switched off - let the browser jump there
+        const target = button.dataset.target && document.querySelector(button.dataset.target);
+        if (target) target.scrollIntoView();
+    },
+
+    'open-calendar': (button, event) => {
+        if (window.bookingWidget && window.bookingWidget.modal) {
+            return window.bookingWidget.open(button);
+        }
+
+        // No booking widget on the page - use an external calendar link if there is one
+        if (button.dataset.href) {
+            window.open(button.dataset.href, '_blank', 'noopener');
+            return;
+        }
+
+        // No calendar configured - fall back to the qualification form
+        BUTTON_ACTIONS['open-form'](button, event);
+    },
+
+    'open-dialog': (button) => {
+        const element = button.dataset.target && document.querySelector(button.dataset.target);
+        if (!element) {
+            reportDiagnostic('warn', 'ButtonManager', `open-dialog target ${button.dataset.target || '(none)'} not found`);
+            return;
+        }
+        Dialog.for(element).open(button);
+    },
+
+    'play-video': (button) => {
+        if (!button.dataset.video) {
+            reportDiagnostic('warn', 'ButtonManager', 'play-video needs data-video');
+            return;
+        }
+        if (!window.videoLightbox) {
+            reportDiagnostic('warn', 'ButtonManager', 'play-video needs a VideoLightbox on the page');
+            return;
+        }
+        window.videoLightbox.open(button.dataset.video, { title: button.dataset.videoTitle || '', opener: button });
+    },
+
+    'external': (button) => {
+        const href = button.dataset.href || button.getAttribute('href');
+        if (!href) return;
+
+        if (button.hasAttribute('data-new-tab')) {
+            window.open(href, '_blank', 'noopener');
+        } else {
+            window.location.assign(href);
+        }
+    },
+
+    'track-only': () => {}
+};
+
+/**
+ * Handles button click interactions and analytics
+ *
+ * Behavior comes from data-action (see BUTTON_ACTIONS), never from the
+ * button's label, so copy changes, A/B tests and translations can't break it.
+ * Buttons without data-action just get the ripple and click tracking.
+ *
+ * While an async handler runs the button is disabled and marked aria-busy,
+ * so it can't be triggered twice.
+ */
+export class ButtonManager {
+    constructor() {
+        this.selector = '.btn, [data-action]';
+        // button -> its click listener, so unmount can remove it
+        this.handlers = new WeakMap();
+        this.init();
+    }
+
+    init() {
+        this.injectRippleStyle();
+        this.bind(document);
+    }
+
+    // Add ripple animation to stylesheet dynamically
+    injectRippleStyle() {
+        if (document.getElementById('rippleStyle')) return;
+
+        const style = document.createElement('style');
+        style.id = 'rippleStyle';
+        style.textContent = `
+            @keyframes ripple {
+                to {
+                    transform: scale(4);
+                    opacity: 0;
+                }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Wires up buttons inside root - safe to call again for content rendered later
+     */
+    bind(root = document) {
+        root.querySelectorAll(this.selector).forEach(button => this.mount(button));
+    }
+
+    mount(button) {
+        if (this.handlers.has(button)) return;
+
+        const handler = (e) => this.handleClick(e, button);
+        this.handlers.set(button, handler);
+        button.addEventListener('click', handler);
+    }
+
+    unmount(button) {
+        const handler = this.handlers.get(button);
+        if (!handler) return;
+
+        button.removeEventListener('click', handler);
+        this.handlers.delete(button);
+    }
+
+    async handleClick(event, button) {
+        // A previous async action is still running
+        if (button.getAttribute('aria-busy') === 'true') {
+            event.preventDefault();
+            return;
+        }
+
+        const action = button.dataset.action || null;
+        
+        trackEvent('button_click', {
+            action,
+            label: button.dataset.trackLabel || button.textContent.trim(),
+            id: button.id || null,
+            section: button.closest('section')?.className.split(' ')[0] || null
+        });
+        
+        // Add ripple effect
+        this.createRipple(event, button);
+        
+        if (!action) return;
+
+        const handler = BUTTON_ACTIONS[action];
+        if (!handler) {
+            reportDiagnostic('warn', 'ButtonManager', `no handler registered for action "${action}"`);
+            return;
+        }
+
+        // Prevent default if it's a link - the action decides where to go
+        event.preventDefault();
+
+        let result;
+        try {
+            result = handler(button, event);
+        } catch (error) {
+            reportError('ButtonManager', error, `action "${action}" failed`);
+            return;
+        }
+        if (!result || typeof result.then !== 'function') return;
+
+        this.setBusy(button, true);
+        try {
+            await result;
+        } catch (error) {
+            reportError('ButtonManager', error, `action "${action}" failed`);
+        } finally {
+            this.setBusy(button, false);
+        }
+    }
+
+    setBusy(button, isBusy) {
+        button.setAttribute('aria-busy', String(isBusy));
+        button.classList.toggle('is-loading', isBusy);
+        if ('disabled' in button) button.disabled = isBusy;
+    }
+
+    /**
+     * Adds or replaces an action available to every button
+     * handler(button, event) may return a Promise
+     */
+    static registerAction(name, handler) {
+        BUTTON_ACTIONS[name] = handler;
+    }
+
+    createRipple(event, button) {
+        const ripple = document.createElement('span');
+        const rect = button.getBoundingClientRect();
+        const size = Math.max(rect.width, rect.height);
+        const x = event.clientX - rect.left - size / 2;
+        const y = event.clientY - rect.top - size / 2;
+        
+        ripple.style.width = ripple.style.height = size + 'px';
+        ripple.style.left = x + 'px';
+        ripple.style.top = y + 'px';
+        ripple.style.position = 'absolute';
+        ripple.style.borderRadius = '50%';
+        ripple.style.background = 'rgba(255, 255, 255, 0.5)';
+        ripple.style.transform = 'scale(0)';
+        ripple.style.animation = 'ripple 0.6s ease-out';
+        ripple.style.pointerEvents = 'none';
+        
+        // Make button position relative if it's not
+        if (getComputedStyle(button).position === 'static') {
+            button.style.position = 'relative';
+        }
+        button.style.overflow = 'hidden';
+        
+        button.appendChild(ripple);
+        
+        setTimeout(() => ripple.remove(), 600);
+    }
+}
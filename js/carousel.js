@@ -0,0 +1,416 @@
+import { debounce, trackEvent } from './utils.js';
+import { reportMissing } from './diagnostics.js';
+import { Dialog } from './dialog.js';
+import { t, getDirection, getLocale } from './i18n.js';
+
+// ===================================
+// CAROUSEL
+// ===================================
+
+/**
+ * Accessible carousel (WAI-ARIA carousel pattern), used for the testimonials
+ *
+ * MARKUP:
+ * <div class="testimonials-carousel" data-carousel aria-label="Client testimonials">
+ *   <div class="testimonials-grid" data-carousel-track>      <- its children are the slides
+ *     <div class="testimonial-card">...</div>
+ *   </div>
+ * </div>
+ * The play/pause, previous/next and pagination dot controls are added by the script.
+ * Without JS the track stays the plain grid.
+ *
+ * OPTIONS:
+ * - perView: slides per page by minimum viewport width, e.g. { 0: 1, 768: 2, 1024: 3 }
+ * - autoplay: ms between pages (data-carousel-autoplay on the root overrides it), 0 for none
+ * - loop: wrap around from the last page to the first
+ * - swipeThreshold: px a touch has to travel to change page
+ *
+ * AUTOPLAY:
+ * Pauses while the carousel is hovered or focused, while a dialog is open and
+ * while the tab is hidden. The play/pause button stops it for good. It never
+ * starts under prefers-reduced-motion.
+ *
+ * KEYBOARD (focus inside the carousel):
+ * Left/Right previous/next page (mirrored right-to-left), Home/End first/last page.
+ *
+ * Slides outside the current page are inert, so Tab and screen readers only
+ * reach what's visible. Slides added later (e.g. by ContentRenderer) are
+ * picked up on 'content:rendered', or call refresh().
+ *
+ * EVENTS:
+ * 'carousel:change' on the root (bubbles), detail { page, pages, source }
+ * (source: 'user' | 'swipe' | 'keyboard' | 'autoplay' | 'api')
+ */
+let trackCounter = 0;
+
+export class Carousel {
+    constructor(selector = '[data-carousel]', options = {}) {
+        this.root = document.querySelector(selector);
+        if (!this.root) {
+            reportMissing('Carousel', selector, 'no carousel on this page', 'info');
+            return;
+        }
+
+        this.track = this.root.querySelector('[data-carousel-track]');
+        if (!this.track) {
+            reportMissing('Carousel', `${selector} [data-carousel-track]`, 'keeping the static grid');
+            return;
+        }
+
+        const autoplay = parseInt(this.root.dataset.carouselAutoplay, 10);
+        this.options = {
+            perView: { 0: 1, 768: 2, 1024: 3 },
+            autoplay: 6000,
+            loop: true,
+            swipeThreshold: 50,
+            ...options
+        };
+        if (!Number.isNaN(autoplay)) this.options.autoplay = autoplay;
+
+        this.page = 0;
+        this.slides = [];
+        // Reasons autoplay is on hold - it runs only while this is empty
+        this.pauses = new Set();
+        this.timer = null;
+        this.reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.init();
+    }
+
+    init() {
+        this.root.classList.add('carousel');
+        this.root.setAttribute('role', 'region');
+        this.root.setAttribute('aria-roledescription', 'carousel');
+        this.track.classList.add('carousel-track');
+        if (!this.track.id) this.track.id = `carousel-track-${++trackCounter}`;
+
+        this.renderControls();
+        this.bindEvents();
+        this.refresh();
+
+        if (!this.options.autoplay || this.prefersReducedMotion()) this.pauses.add('user');
+        this.updatePlayButton();
+        this.schedule();
+    }
+
+    // ---------- Structure ----------
+
+    renderControls() {
+        this.controls = document.createElement('div');
+        this.controls.className = 'carousel-controls';
+        this.controls.innerHTML = `
+            <button type="button" class="carousel-button carousel-play"></button>
+            <button type="button" class="carousel-button carousel-prev"><span aria-hidden="true">&lsaquo;</span></button>
+            <div class="carousel-dots"></div>
+            <button type="button" class="carousel-button carousel-next"><span aria-hidden="true">&rsaquo;</span></button>
+        `;
+
+        this.playButton = this.controls.querySelector('.carousel-play');
+        this.prevButton = this.controls.querySelector('.carousel-prev');
+        this.nextButton = this.controls.querySelector('.carousel-next');
+        this.dots = this.controls.querySelector('.carousel-dots');
+        [this.prevButton, this.nextButton].forEach(button => button.setAttribute('aria-controls', this.track.id));
+
+        // Play/pause comes first in the tab order, before the slides (WAI-ARIA carousel pattern)
+        this.root.insertBefore(this.controls, this.track);
+        this.updateLabels();
+    }
+
+    /**
+     * Re-reads the slides and rebuilds the dots - call after changing the track's children
+     */
+    refresh() {
+        this.slides = Array.from(this.track.children);
+        this.perView = this.getPerView();
+        this.root.style.setProperty('--per-view', String(this.perView));
+
+        this.slides.forEach((slide, index) => {
+            slide.classList.add('carousel-slide');
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+            slide.setAttribute('aria-label', t('carousel.slide', { index: index + 1, total: this.slides.length }, '{index} of {total}'));
+        });
+
+        this.renderDots();
+        this.goTo(Math.min(this.page, this.getPageCount() - 1), { source: 'refresh' });
+    }
+
+    renderDots() {
+        this.dots.innerHTML = '';
+        const pages = this.getPageCount();
+
+        for (let page = 0; page < pages; page++) {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'carousel-dot';
+            dot.dataset.page = String(page);
+            dot.setAttribute('aria-controls', this.track.id);
+            dot.setAttribute('aria-label', t('carousel.page', { page: page + 1 }, 'Go to page {page}'));
+            this.dots.appendChild(dot);
+        }
+
+        // Nothing to page through - no controls, no autoplay
+        this.controls.hidden = pages < 2;
+    }
+
+    updateLabels() {
+        this.prevButton.setAttribute('aria-label', t('carousel.previous', {}, 'Previous'));
+        this.nextButton.setAttribute('aria-label', t('carousel.next', {}, 'Next'));
+        this.updatePlayButton();
+    }
+
+    getPerView() {
+        const { perView } = this.options;
+        if (typeof perView === 'number') return Math.max(1, perView);
+
+        let result = 1;
+        Object.keys(perView)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .forEach(width => {
+                if (window.innerWidth >= width) result = perView[width];
+            });
+        return Math.max(1, result);
+    }
+
+    getPageCount() {
+        return Math.max(1, Math.ceil(this.slides.length / this.perView));
+    }
+
+    // ---------- Navigation ----------
+
+    /**
+     * Shows a page; returns false when it's already showing
+     */
+    goTo(page, { source = 'api' } = {}) {
+        const pages = this.getPageCount();
+        const target = this.options.loop
+            ? (page + pages) % pages
+            : Math.min(Math.max(page, 0), pages - 1);
+        const changed = target !== this.page;
+
+        this.page = target;
+        this.update();
+
+        if (!changed || source === 'refresh') return false;
+
+        if (source !== 'autoplay' && source !== 'api') {
+            trackEvent('carousel_navigate', { carousel: this.root.id || 'carousel', page: target + 1, source });
+        }
+        this.root.dispatchEvent(new CustomEvent('carousel:change', {
+            detail: { page: target, pages, source },
+            bubbles: true
+        }));
+
+        // A manual change restarts the countdown
+        this.schedule();
+        return true;
+    }
+
+    next(source = 'api') {
+        return this.goTo(this.page + 1, { source });
+    }
+
+    prev(source = 'api') {
+        return this.goTo(this.page - 1, { source });
+    }
+
+    update() {
+        // The last page is aligned to the end, so it's always full
+        const first = Math.min(this.page * this.perView, Math.max(0, this.slides.length - this.perView));
+        const sign = getDirection(getLocale()) === 'rtl' ? 1 : -1;
+        this.track.style.transform = `translateX(calc(${sign * first} * (100% + var(--carousel-gap, 0px)) / ${this.perView}))`;
+
+        const active = document.activeElement;
+        let focusLost = false;
+        this.slides.forEach((slide, index) => {
+            const visible = index >= first && index < first + this.perView;
+            slide.toggleAttribute('inert', !visible);
+            slide.setAttribute('aria-hidden', String(!visible));
+            if (!visible && slide.contains(active)) focusLost = true;
+        });
+        // Focus on a slide that just scrolled away would drop to <body>
+        if (focusLost) this.root.focus();
+
+        Array.from(this.dots.children).forEach((dot, index) => {
+            if (index === this.page) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+
+        if (!this.options.loop) {
+            this.prevButton.disabled = this.page === 0;
+            this.nextButton.disabled = this.page === this.getPageCount() - 1;
+        }
+    }
+
+    // ---------- Autoplay ----------
+
+    prefersReducedMotion() {
+        return Boolean(this.reducedMotion && this.reducedMotion.matches);
+    }
+
+    isPlaying() {
+        return this.pauses.size === 0 && this.getPageCount() > 1;
+    }
+
+    pause(reason = 'api') {
+        this.pauses.add(reason);
+        this.schedule();
+    }
+
+    resume(reason = 'api') {
+        this.pauses.delete(reason);
+        this.schedule();
+    }
+
+    /**
+     * (Re)starts the countdown to the next page when autoplay may run
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        // Screen readers shouldn't announce pages turning on their own
+        this.track.setAttribute('aria-live', this.isPlaying() ? 'off' : 'polite');
+        if (!this.isPlaying()) return;
+
+        this.timer = setTimeout(() => this.next('autoplay'), this.options.autoplay);
+    }
+
+    /**
+     * Play/pause button: the visitor's choice overrides hover and focus
+     */
+    toggleAutoplay() {
+        if (this.pauses.has('user')) {
+            this.pauses.delete('user');
+            // Clicking the button focuses the carousel - don't let that keep it paused
+            this.pauses.delete('focus');
+            this.pauses.delete('hover');
+        } else {
+            this.pauses.add('user');
+        }
+
+        this.updatePlayButton();
+        this.schedule();
+        trackEvent('carousel_autoplay', { carousel: this.root.id || 'carousel', playing: !this.pauses.has('user') });
+    }
+
+    updatePlayButton() {
+        const stopped = this.pauses.has('user');
+        this.playButton.hidden = !this.options.autoplay || this.prefersReducedMotion();
+        this.playButton.setAttribute('aria-label', stopped
+            ? t('carousel.play', {}, 'Start automatic slide show')
+            : t('carousel.pause', {}, 'Stop automatic slide show'));
+        this.playButton.innerHTML = `<span aria-hidden="true">${stopped ? '&#9654;' : '&#10074;&#10074;'}</span>`;
+    }
+
+    // ---------- Events ----------
+
+    bindEvents() {
+        this.prevButton.addEventListener('click', () => this.prev('user'));
+        this.nextButton.addEventListener('click', () => this.next('user'));
+        this.playButton.addEventListener('click', () => this.toggleAutoplay());
+        this.dots.addEventListener('click', (e) => {
+            const dot = e.target.closest('.carousel-dot');
+            if (dot) this.goTo(Number(dot.dataset.page), { source: 'user' });
+        });
+
+        // Focus lands on the root when a slide with focus scrolls away
+        if (!this.root.hasAttribute('tabindex')) this.root.setAttribute('tabindex', '-1');
+        this.root.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        this.root.addEventListener('mouseenter', () => this.pause('hover'));
+        this.root.addEventListener('mouseleave', () => this.resume('hover'));
+        this.root.addEventListener('focusin', () => this.pause('focus'));
+        this.root.addEventListener('focusout', (e) => {
+            if (!this.root.contains(e.relatedTarget)) this.resume('focus');
+        });
+
+        this.bindSwipe();
+
+        document.addEventListener('dialog:open', () => this.pause('dialog'));
+        document.addEventListener('dialog:close', () => {
+            if (!Dialog.top()) this.resume('dialog');
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pause('hidden');
+            } else {
+                this.resume('hidden');
+            }
+        });
+
+        if (this.reducedMotion && this.reducedMotion.addEventListener) {
+            this.reducedMotion.addEventListener('change', () => {
+                if (this.prefersReducedMotion()) this.pauses.add('user');
+                this.updatePlayButton();
+                this.schedule();
+            });
+        }
+
+        window.addEventListener('resize', debounce(() => {
+            if (this.getPerView() !== this.perView) this.refresh();
+        }, 150));
+
+        this.root.addEventListener('content:rendered', () => this.refresh());
+        document.addEventListener('i18n:change', () => {
+            this.updateLabels();
+            this.refresh();
+        });
+    }
+
+    bindSwipe() {
+        let start = null;
+
+        this.track.addEventListener('touchstart', (e) => {
+            if (e.touches.length !== 1) return;
+            start = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+            this.pause('touch');
+        }, { passive: true });
+
+        this.track.addEventListener('touchend', (e) => {
+            const touch = e.changedTouches && e.changedTouches[0];
+            this.resume('touch');
+            if (!start || !touch) return;
+
+            const dx = touch.clientX - start.x;
+            const dy = touch.clientY - start.y;
+            start = null;
+
+            // Mostly vertical movement is the page scrolling, not a swipe
+            if (Math.abs(dx) < this.options.swipeThreshold || Math.abs(dx) < Math.abs(dy)) return;
+
+            const forward = getDirection(getLocale()) === 'rtl' ? dx > 0 : dx < 0;
+            if (forward) {
+                this.next('swipe');
+            } else {
+                this.prev('swipe');
+            }
+        }, { passive: true });
+
+        this.track.addEventListener('touchcancel', () => {
+            start = null;
+            this.resume('touch');
+        }, { passive: true });
+    }
+
+    handleKeydown(event) {
+        if (event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        const rtl = getDirection(getLocale()) === 'rtl';
+        const actions = {
+            ArrowLeft: () => (rtl ? this.next('keyboard') : this.prev('keyboard')),
+            ArrowRight: () => (rtl ? this.prev('keyboard') : this.next('keyboard')),
+            Home: () => this.goTo(0, { source: 'keyboard' }),
+            End: () => this.goTo(this.getPageCount() - 1, { source: 'keyboard' })
+        };
+
+        const action = actions[event.key];
+        if (!action) return;
+
+        event.preventDefault();
+        action();
+    }
+}
+
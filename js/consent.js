@@ -0,0 +1,259 @@
+import { Dialog } from './dialog.js';
+
+// ===================================
+// CONSENT MANAGEMENT
+// ===================================
+
+/**
+ * GDPR/CCPA consent banner, preferences dialog and consent API
+ *
+ * CATEGORIES:
+ * - necessary:   always on (consent record itself, security)
+ * - preferences: remembering choices such as theme, language and saved wizard answers
+ * - analytics:   analytics providers, performance monitoring
+ * - marketing:   ad/retargeting pixels (GHL pixel)
+ *
+ * API (window.consentManager, or the hasConsent() helper):
+ * - has('analytics')                  -> boolean
+ * - whenGranted('analytics', callback) -> runs now, or once it's granted
+ * - onChange(callback)                -> callback(categories) on every change
+ * - update({ analytics: true }), acceptAll(), rejectAll()
+ *
+ * BLOCKING TRACKING SCRIPTS:
+ * <script type="text/plain" data-consent="analytics" data-src="https://..."></script>
+ * <img data-consent="marketing" data-src="https://pixel...">
+ * They are activated once their category is granted.
+ *
+ * STORAGE:
+ * Use storageSet(key, value, category) instead of localStorage.setItem.
+ * Keys listed in options.storageKeys are deleted when their category is revoked.
+ *
+ * The record is stored with a version; bump options.version when categories or
+ * vendors change and everyone is asked again. A Global Privacy Control signal
+ * keeps marketing off even on "Accept all".
+ */
+export class ConsentManager {
+    constructor(options = {}) {
+        this.options = {
+            version: '1',
+            storageKey: 'consent',
+            categories: ['necessary', 'preferences', 'analytics', 'marketing'],
+            storageKeys: {
+                preferences: ['theme', 'locale', 'leadWizardProgress', 'popups'],
+                analytics: ['analyticsQueue', 'analyticsAnonymousId', 'experiments']
+            },
+            ...options
+        };
+
+        this.banner = document.querySelector('.consent-banner');
+        this.dialog = document.getElementById('consentPreferences');
+        this.listeners = [];
+        this.record = this.loadRecord();
+
+        this.init();
+    }
+
+    init() {
+        // Delegated so links anywhere (e.g. the footer) can reopen the preferences
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-consent-action]');
+            if (!trigger) return;
+
+            e.preventDefault();
+            this.handleAction(trigger.dataset.consentAction, trigger);
+        });
+
+        if (this.dialog) {
+            this.preferences = new Dialog(this.dialog, { initialFocus: 'input:not([disabled])' });
+        }
+
+        if (this.record) {
+            this.activateElements();
+        } else {
+            this.showBanner();
+        }
+    }
+
+    handleAction(action, trigger) {
+        switch (action) {
+            case 'accept-all':
+                this.acceptAll();
+                break;
+            case 'reject-all':
+                this.rejectAll();
+                break;
+            case 'customize':
+                this.openPreferences(trigger);
+                break;
+            case 'save':
+                this.savePreferences();
+                break;
+            case 'close':
+                this.closePreferences();
+                break;
+        }
+    }
+
+    // ---------- Public API ----------
+
+    has(category) {
+        if (category === 'necessary') return true;
+        return Boolean(this.record && this.record.categories[category]);
+    }
+
+    /**
+     * Runs callback now if the category is granted, otherwise the first time it is
+     */
+    whenGranted(category, callback) {
+        if (this.has(category)) {
+            callback();
+            return;
+        }
+
+        const listener = () => {
+            if (!this.has(category)) return;
+            this.listeners = this.listeners.filter(l => l !== listener);
+            callback();
+        };
+        this.listeners.push(listener);
+    }
+
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    update(categories) {
+        const previous = this.record ? this.record.categories : {};
+        const normalized = {};
+
+        this.options.categories.forEach(category => {
+            normalized[category] = category === 'necessary' || Boolean(categories[category]);
+        });
+
+        this.record = {
+            version: this.options.version,
+            timestamp: new Date().toISOString(),
+            categories: normalized
+        };
+        this.saveRecord();
+
+        // Remove what was stored under a category that's now revoked
+        Object.entries(normalized).forEach(([category, granted]) => {
+            if (!granted && previous[category] !== false) this.purgeStorage(category);
+        });
+
+        this.hideBanner();
+        this.activateElements();
+
+        [...this.listeners].forEach(listener => listener(normalized));
+        document.dispatchEvent(new CustomEvent('consent:change', { detail: { categories: normalized } }));
+    }
+
+    acceptAll() {
+        const categories = {};
+        this.options.categories.forEach(category => { categories[category] = true; });
+
+        // CCPA: honour Global Privacy Control as an opt-out of marketing
+        if (navigator.globalPrivacyControl) categories.marketing = false;
+
+        this.update(categories);
+    }
+
+    rejectAll() {
+        this.update({});
+    }
+
+    // ---------- Banner & preferences UI ----------
+
+    showBanner() {
+        if (this.banner) this.banner.hidden = false;
+    }
+
+    hideBanner() {
+        if (this.banner) this.banner.hidden = true;
+    }
+
+    openPreferences(opener) {
+        if (!this.dialog) return;
+
+        this.dialog.querySelectorAll('input[name="consentCategory"]').forEach(input => {
+            input.checked = input.value === 'necessary' || this.has(input.value);
+        });
+
+        this.preferences.open(opener || document.activeElement);
+    }
+
+    closePreferences() {
+        if (this.preferences) this.preferences.close();
+    }
+
+    savePreferences() {
+        const categories = {};
+        this.dialog.querySelectorAll('input[name="consentCategory"]').forEach(input => {
+            categories[input.value] = input.checked;
+        });
+
+        this.update(categories);
+        this.closePreferences();
+    }
+
+    // ---------- Blocked elements ----------
+
+    /**
+     * Activates <script>, <img> and <iframe> elements whose category is granted
+     */
+    activateElements() {
+        document.querySelectorAll('[data-consent]').forEach(el => {
+            if (!this.has(el.dataset.consent)) return;
+
+            if (el.tagName === 'SCRIPT') {
+                // A script only runs if it's a fresh element with an executable type
+                const script = document.createElement('script');
+                Array.from(el.attributes).forEach(attr => {
+                    if (!['type', 'data-src', 'data-consent'].includes(attr.name)) {
+                        script.setAttribute(attr.name, attr.value);
+                    }
+                });
+                if (el.dataset.src) script.src = el.dataset.src;
+                script.text = el.text;
+                el.replaceWith(script);
+                return;
+            }
+
+            if (el.dataset.src) el.src = el.dataset.src;
+            el.removeAttribute('data-src');
+            el.removeAttribute('data-consent');
+        });
+    }
+
+    // ---------- Persistence ----------
+
+    loadRecord() {
+        try {
+            const record = JSON.parse(localStorage.getItem(this.options.storageKey));
+            // An outdated record means the terms changed - ask again
+            if (!record || record.version !== this.options.version) return null;
+            return record;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveRecord() {
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(this.record));
+        } catch (error) {
+            // Consent still applies for this page view
+        }
+    }
+
+    purgeStorage(category) {
+        (this.options.storageKeys[category] || []).forEach(key => {
+            try {
+                localStorage.removeItem(key);
+            } catch (error) {
+                // Storage unavailable - nothing to remove
+            }
+        });
+    }
+}
@@ -0,0 +1,397 @@
+import { t, getLocale } from './i18n.js';
+import { reportDiagnostic, reportMissing } from './diagnostics.js';
+
+// ===================================
+// CONTENT SECTIONS
+// ===================================
+
+/**
+ * Icons service cards can use by name ("icon": "automation")
+ * Add your own with ContentRenderer.registerIcon(name, svgMarkup)
+ */
+export const CONTENT_ICONS = {
+    setup: '<rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect><line x1="9" y1="9" x2="15" y2="9"></line><line x1="9" y1="15" x2="15" y2="15"></line>',
+    automation: '<polyline points="22 12 18 12 15 21 9 3 6 12 2 12"></polyline>',
+    integrations: '<path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"></path><polyline points="3.27 6.96 12 12.01 20.73 6.96"></polyline><line x1="12" y1="22.08" x2="12" y2="12"></line>',
+    funnels: '<path d="M12 2L2 7l10 5 10-5-10-5z"></path><path d="M2 17l10 5 10-5M2 12l10 5 10-5"></path>',
+    support: '<circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline>',
+    analytics: '<line x1="18" y1="20" x2="18" y2="10"></line><line x1="12" y1="20" x2="12" y2="4"></line><line x1="6" y1="20" x2="6" y2="14"></line>'
+};
+
+const CHECK_ICON = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><polyline points="20 6 9 17 4 12"></polyline></svg>';
+const CROSS_ICON = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+
+/**
+ * Builds an element from a markup skeleton - content goes in afterwards with textContent
+ */
+function fromMarkup(markup) {
+    const template = document.createElement('template');
+    template.innerHTML = markup.trim();
+    return template.content.firstElementChild;
+}
+
+/**
+ * Section templates
+ *
+ * Each one turns an item of its content list into an element:
+ * - itemSelector: the items it owns in the target (static ones are replaced)
+ * - required:     fields an item must have - items without them are skipped
+ * - animation:    reveal animation class added to every rendered item
+ * - render(item, index): returns the element
+ *
+ * Add your own with ContentRenderer.registerTemplate(name, template).
+ */
+export const CONTENT_TEMPLATES = {
+    testimonials: {
+        itemSelector: '.testimonial-card',
+        required: ['quote', 'name'],
+        animation: 'fade-up',
+        render(item) {
+            const card = fromMarkup(`
+                <div class="glass-card testimonial-card">
+                    <div class="testimonial-rating" role="img"></div>
+                    <p class="testimonial-text"></p>
+                    <div class="testimonial-author">
+                        <div class="author-info">
+                            <div class="author-name"></div>
+                            <div class="author-title"></div>
+                        </div>
+                    </div>
+                </div>
+            `);
+
+            const rating = Math.min(5, Math.max(0, Math.round(Number(item.rating ?? 5)) || 0));
+            const stars = card.querySelector('.testimonial-rating');
+            stars.setAttribute('aria-label', t('testimonials.rating', { rating }, 'Rated {rating} out of 5'));
+            for (let i = 0; i < 5; i++) {
+                const star = document.createElement('span');
+                star.className = i < rating ? 'star' : 'star star-empty';
+                star.setAttribute('aria-hidden', 'true');
+                star.textContent = i < rating ? '★' : '☆';
+                stars.appendChild(star);
+            }
+
+            card.querySelector('.testimonial-text').textContent = `"${item.quote}"`;
+            card.querySelector('.author-name').textContent = item.name;
+            card.querySelector('.author-title').textContent = item.title || '';
+
+            // Video testimonials play in the video lightbox (see BUTTON_ACTIONS['play-video'])
+            if (item.video) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'testimonial-video';
+                button.dataset.action = 'play-video';
+                button.dataset.video = item.video;
+                button.dataset.videoTitle = t('testimonials.story', { name: item.name }, "{name}'s story");
+                button.setAttribute('aria-haspopup', 'dialog');
+                button.innerHTML = '<span class="testimonial-video-icon" aria-hidden="true">&#9654;</span><span></span>';
+                button.querySelector('span:last-child').textContent = t('testimonials.watchStory', { name: item.name }, "Watch {name}'s story");
+                card.querySelector('.testimonial-text').after(button);
+            }
+
+            if (item.avatar) {
+                const avatar = document.createElement('img');
+                avatar.className = 'author-avatar-img';
+                avatar.src = item.avatar;
+                avatar.alt = item.name;
+                avatar.loading = 'lazy';
+                card.querySelector('.testimonial-author').prepend(avatar);
+            }
+            return card;
+        }
+    },
+
+    services: {
+        itemSelector: '.service-card',
+        required: ['title'],
+        animation: 'fade-up',
+        render(item) {
+            const card = fromMarkup(`
+                <div class="glass-card service-card">
+                    <h3 class="service-title"></h3>
+                    <p class="service-description"></p>
+                </div>
+            `);
+
+            const icon = CONTENT_ICONS[item.icon];
+            if (icon) {
+                card.prepend(fromMarkup(`
+                    <div class="service-icon">
+                        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">${icon}</svg>
+                    </div>
+                `));
+            } else if (item.icon) {
+                reportDiagnostic('info', 'ContentRenderer', `unknown service icon "${item.icon}"`);
+            }
+
+            card.querySelector('.service-title').textContent = item.title;
+            card.querySelector('.service-description').textContent = item.description || '';
+            return card;
+        }
+    },
+
+    process: {
+        itemSelector: '.process-step',
+        required: ['title'],
+        animation: 'fade-up',
+        render(item, index) {
+            const step = fromMarkup(`
+                <div class="process-step">
+                    <div class="glass-card process-card">
+                        <div class="process-number"></div>
+                        <h3></h3>
+                        <p></p>
+                    </div>
+                </div>
+            `);
+
+            step.querySelector('.process-number').textContent = String(index + 1).padStart(2, '0');
+            step.querySelector('h3').textContent = item.title;
+            step.querySelector('p').textContent = item.description || '';
+
+            if (item.image) {
+                const image = document.createElement('img');
+                image.className = 'process-image';
+                image.src = item.image;
+                image.alt = item.imageAlt || '';
+                image.loading = 'lazy';
+                step.querySelector('h3').before(image);
+            }
+            return step;
+        }
+    },
+
+    clients: {
+        itemSelector: '.client-logo',
+        required: ['name', 'logo'],
+        animation: 'fade-in',
+        render(item) {
+            const logo = document.createElement('div');
+            logo.className = 'client-logo';
+
+            const image = document.createElement('img');
+            image.src = item.logo;
+            image.alt = item.name;
+            image.loading = 'lazy';
+            logo.appendChild(image);
+            return logo;
+        }
+    },
+
+    comparison: {
+        itemSelector: '.comparison-row',
+        required: ['feature', 'ours', 'others'],
+        animation: 'fade-in',
+        render(item) {
+            const row = fromMarkup(`
+                <div class="comparison-row">
+                    <div class="comparison-col"></div>
+                    <div class="comparison-col comparison-highlight">${CHECK_ICON}<span></span></div>
+                    <div class="comparison-col comparison-negative">${CROSS_ICON}<span></span></div>
+                </div>
+            `);
+
+            row.querySelector('.comparison-col').textContent = item.feature;
+            row.querySelector('.comparison-highlight span').textContent = item.ours;
+            row.querySelector('.comparison-negative span').textContent = item.others;
+            return row;
+        }
+    }
+};
+
+/**
+ * Renders repeated sections (testimonials, services, process steps, client
+ * logos, comparison rows) from one JSON content file, so copy can change
+ * without touching the HTML
+ *
+ * MARKUP:
+ * <body data-content-src="content.json">       <- or an inline <script type="application/json" id="siteContent">
+ * <div class="testimonials-grid" data-content="testimonials">...static cards...</div>
+ * <div class="clients-grid" data-content="clients" data-content-empty="Logos coming soon">
+ *
+ * CONTENT FILE:
+ * {
+ *   "testimonials": [{ "quote": "...", "name": "...", "title": "...", "avatar": "url", "rating": 5,
+ *                      "video": "https://www.youtube.com/embed/ID" }],
+ *   "services":     [{ "icon": "automation", "title": "...", "description": "..." }],
+ *   "process":      [{ "title": "...", "description": "...", "image": "url", "imageAlt": "..." }],
+ *   "clients":      [{ "name": "TechCorp", "logo": "url" }],
+ *   "comparison":   [{ "feature": "Setup Time", "ours": "48 hours", "others": "2-4 weeks" }]
+ * }
+ * Everything is inserted as text - the file is edited by hand.
+ *
+ * - Rendered items get the reveal classes and are mounted on
+ *   window.scrollAnimations straight away, which staggers them (set
+ *   data-reveal-stagger on the target to change the step)
+ * - The static markup stays (as the no-JS fallback) when the file can't load,
+ *   has no list for a section or the list isn't an array
+ * - An empty list removes the items and hides the section, or shows
+ *   data-content-empty as a message when the target has it
+ * - Items missing a required field are skipped and reported
+ * - Sections are rendered again when the page language changes, so labels
+ *   templates build with t() follow it
+ *
+ * EVENTS:
+ * 'content:rendered' on the target (bubbles), detail { name, count }
+ */
+export class ContentRenderer {
+    constructor(options = {}) {
+        this.options = {
+            src: document.body.dataset.contentSrc || null,
+            dataSelector: '#siteContent',
+            targetSelector: '[data-content]',
+            ...options
+        };
+
+        this.content = null;
+        this.targets = Array.from(document.querySelectorAll(this.options.targetSelector));
+        if (!this.targets.length) {
+            reportMissing('ContentRenderer', this.options.targetSelector, 'no content sections on this page', 'info');
+            this.ready = Promise.resolve();
+            return;
+        }
+
+        this.init();
+    }
+
+    init() {
+        const { src } = this.options;
+
+        document.addEventListener('i18n:change', () => {
+            if (this.content && getLocale() !== this.locale) this.setup(this.content);
+        });
+
+        // Inline content renders synchronously, before animations start up
+        if (!src) {
+            this.setup(this.readInlineContent());
+            this.ready = Promise.resolve();
+            return;
+        }
+
+        this.ready = this.fetchContent(src)
+            .then(content => this.setup(content))
+            .catch(error => {
+                reportDiagnostic('warn', 'ContentRenderer', 'could not load content, keeping static sections', { error });
+            });
+    }
+
+    setup(content) {
+        if (!content || typeof content !== 'object') return;
+
+        this.content = content;
+        this.locale = getLocale();
+        this.targets.forEach(target => this.renderTarget(target));
+    }
+
+    readInlineContent() {
+        const inline = document.querySelector(this.options.dataSelector);
+        if (!inline) {
+            reportMissing('ContentRenderer', this.options.dataSelector, 'no content data, keeping static sections', 'info');
+            return null;
+        }
+
+        try {
+            return JSON.parse(inline.textContent);
+        } catch (error) {
+            reportDiagnostic('warn', 'ContentRenderer', 'invalid content JSON, keeping static sections', { error });
+            return null;
+        }
+    }
+
+    async fetchContent(src) {
+        const response = await fetch(src, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) throw new Error(`Content request failed with ${response.status}`);
+        return response.json();
+    }
+
+    // ---------- Rendering ----------
+
+    /**
+     * Renders one [data-content] target from its list
+     * Returns the number of items rendered, or null when the static markup was kept
+     */
+    renderTarget(target) {
+        const name = target.dataset.content;
+        const template = CONTENT_TEMPLATES[name];
+        if (!template) {
+            reportDiagnostic('warn', 'ContentRenderer', `no template for data-content="${name}"`);
+            return null;
+        }
+
+        const items = this.content[name];
+        if (items === undefined) {
+            reportDiagnostic('info', 'ContentRenderer', `no "${name}" in the content, keeping the static section`);
+            return null;
+        }
+        if (!Array.isArray(items)) {
+            reportDiagnostic('warn', 'ContentRenderer', `"${name}" should be a list, keeping the static section`);
+            return null;
+        }
+
+        target.querySelectorAll(`:scope > ${template.itemSelector}, :scope > .content-empty`).forEach(item => {
+            if (window.scrollAnimations) window.scrollAnimations.unmount(item);
+            item.remove();
+        });
+
+        const valid = items.filter((item, index) => {
+            const missing = (template.required || []).filter(field => !item || item[field] === undefined || item[field] === '');
+            if (missing.length) {
+                reportDiagnostic('warn', 'ContentRenderer', `skipped ${name}[${index}], missing ${missing.join(', ')}`);
+            }
+            return !missing.length;
+        });
+
+        const elements = valid.map((item, index) => {
+            const element = template.render(item, index);
+            element.classList.add('reveal', template.animation || 'fade-up');
+            return element;
+        });
+
+        target.append(...elements);
+        this.updateEmptyState(target, !elements.length);
+
+        // Don't wait for ComponentLifecycle's observer - content fetched
+        // after start-up would otherwise stay invisible until it runs
+        if (window.scrollAnimations) elements.forEach(element => window.scrollAnimations.mount(element));
+
+        target.dispatchEvent(new CustomEvent('content:rendered', {
+            detail: { name, count: elements.length },
+            bubbles: true
+        }));
+        return elements.length;
+    }
+
+    updateEmptyState(target, isEmpty) {
+        const section = target.closest('section') || target;
+        const message = target.dataset.contentEmpty;
+
+        if (isEmpty && message) {
+            const empty = document.createElement('p');
+            empty.className = 'content-empty';
+            empty.textContent = message;
+            target.appendChild(empty);
+            section.hidden = false;
+            return;
+        }
+
+        section.hidden = isEmpty;
+    }
+
+    /**
+     * Re-renders every section from new content (e.g. a CMS preview)
+     */
+    update(content) {
+        this.setup(content);
+    }
+
+    /**
+     * Adds or replaces a section template
+     */
+    static registerTemplate(name, template) {
+        CONTENT_TEMPLATES[name] = template;
+    }
+
+    static registerIcon(name, svgMarkup) {
+        CONTENT_ICONS[name] = svgMarkup;
+    }
+}
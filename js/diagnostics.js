@@ -0,0 +1,86 @@
+// ===================================
+// DIAGNOSTICS
+// ===================================
+
+/**
+ * Page-wide channel for problems modules run into
+ *
+ * The same script runs on page templates that don't have every section, so
+ * modules don't throw when markup they need is missing - they report it here
+ * and switch themselves (or just that feature) off. init() reports modules
+ * that fail to start the same way, and the remaining modules keep running.
+ *
+ * LEVELS:
+ * - info:  a module has nothing to do on this page (e.g. no .pricing section)
+ * - warn:  markup is incomplete, so a feature is off (e.g. an FAQ question without its answer)
+ * - error: a module or action threw
+ *
+ * Every report is kept in memory (getDiagnostics(), handy from the console),
+ * dispatched as diagnostics:report on document, and warnings and errors are
+ * logged to the console as "Module: message".
+ *
+ * REPORT SHAPE:
+ * { level, module, message, details, timestamp }
+ *
+ * USAGE:
+ * reportMissing('NavigationScroll', '.nav', 'scroll states, scroll-spy and the mobile menu are off');
+ * reportError('pricing', error);
+ * document.addEventListener('diagnostics:report', (e) => myLogger.send(e.detail));
+ */
+
+const MAX_ENTRIES = 200;
+const entries = [];
+
+/**
+ * Records a report and publishes it on the channel
+ */
+export function reportDiagnostic(level, module, message, details = {}) {
+    const entry = {
+        level,
+        module,
+        message,
+        details,
+        timestamp: new Date().toISOString()
+    };
+
+    entries.push(entry);
+    if (entries.length > MAX_ENTRIES) entries.shift();
+
+    if (level === 'error') {
+        console.error(`${module}: ${message}`, ...(details.error ? [details.error] : []));
+    } else if (level === 'warn') {
+        console.warn(`${module}: ${message}`);
+    }
+
+    document.dispatchEvent(new CustomEvent('diagnostics:report', { detail: entry }));
+    return entry;
+}
+
+/**
+ * Reports markup a module needs but couldn't find
+ * level 'info' when the whole section is simply not on this page
+ */
+export function reportMissing(module, selector, consequence, level = 'warn') {
+    const message = consequence
+        ? `${selector} not found - ${consequence}`
+        : `${selector} not found`;
+    return reportDiagnostic(level, module, message, { selector });
+}
+
+/**
+ * Reports an exception, e.g. from a module's constructor or an event handler
+ */
+export function reportError(module, error, message = 'failed') {
+    return reportDiagnostic('error', module, message, { error });
+}
+
+/**
+ * Every report so far, optionally only one level
+ */
+export function getDiagnostics(level = null) {
+    return level ? entries.filter(entry => entry.level === level) : [...entries];
+}
+
+export function clearDiagnostics() {
+    entries.length = 0;
+}
@@ -0,0 +1,262 @@
+import { getFocusable, trapFocus } from './utils.js';
+
+// ===================================
+// DIALOGS
+// ===================================
+
+/**
+ * Accessible modal dialog - the behaviour shared by the lead wizard, the
+ * booking widget, the consent preferences and any lightbox
+ *
+ * MARKUP:
+ * <div class="modal" id="videoModal" hidden>                 <- backdrop
+ *   <div class="modal-dialog" role="dialog" aria-modal="true" aria-labelledby="videoModalTitle">
+ *     <button class="modal-close" data-dialog-close aria-label="Close">&times;</button>
+ *     <h2 class="modal-title" id="videoModalTitle">...</h2>
+ *   </div>
+ * </div>
+ * role, aria-modal and aria-labelledby (pointing at the first heading) are
+ * added when the markup leaves them out.
+ *
+ * WHILE OPEN:
+ * - Tab / Shift+Tab cycle inside the dialog, and focus that lands outside is brought back
+ * - the rest of the page is inert (can't be clicked, focused or read out)
+ * - the page doesn't scroll (body.modal-open, with the scrollbar's width kept as padding)
+ * - Escape and clicks on the backdrop close it (closeOnEscape / closeOnBackdrop)
+ * Closing returns focus to the element that opened it.
+ *
+ * STACKING:
+ * A dialog opened from another one (e.g. a video from inside the booking widget)
+ * goes on top. Escape closes only the top one, and the one below becomes
+ * interactive again.
+ *
+ * Fires dialog:open and dialog:close { reason } on the element.
+ * reason is 'escape', 'backdrop', 'close-button' or whatever close() was given.
+ *
+ * USAGE:
+ * Dialog.for(document.getElementById('videoModal')).open(button);
+ * or declaratively: <button data-action="open-dialog" data-target="#videoModal">
+ */
+
+const stack = [];
+// Elements made inert by this module - never touches inert set by the page itself
+const inerted = new Set();
+const instances = new WeakMap();
+let scrollLock = null;
+let titleCounter = 0;
+
+export class Dialog {
+    /**
+     * The element's Dialog, created on first use (options only apply then)
+     */
+    static for(element, options = {}) {
+        return instances.get(element) || new Dialog(element, options);
+    }
+
+    /**
+     * The dialog on top of the stack, or null when none is open
+     */
+    static top() {
+        return stack[stack.length - 1] || null;
+    }
+
+    /**
+     * Open dialogs, bottom first
+     */
+    static getOpen() {
+        return [...stack];
+    }
+
+    /**
+     * Closes every open dialog, top first
+     */
+    static closeAll(reason = 'api') {
+        [...stack].reverse().forEach(dialog => dialog.close(reason));
+    }
+
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = {
+            closeOnEscape: true,
+            closeOnBackdrop: true,
+            initialFocus: null, // element, selector or () => element; default: [autofocus] or the first focusable
+            onOpen: null,
+            onClose: null, // (reason) => void
+            ...options
+        };
+
+        this.panel = element.matches('[role="dialog"], [role="alertdialog"]')
+            ? element
+            : element.querySelector('[role="dialog"], [role="alertdialog"], .modal-dialog') || element;
+        this.opener = null;
+
+        instances.set(element, this);
+        this.init();
+    }
+
+    init() {
+        this.setupAria();
+
+        this.element.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element && this.panel !== this.element) {
+                if (this.options.closeOnBackdrop) this.close('backdrop');
+                return;
+            }
+            if (e.target.closest('[data-dialog-close]')) this.close('close-button');
+        });
+    }
+
+    setupAria() {
+        if (!this.panel.hasAttribute('role')) this.panel.setAttribute('role', 'dialog');
+        this.panel.setAttribute('aria-modal', 'true');
+
+        if (!this.panel.hasAttribute('aria-labelledby') && !this.panel.hasAttribute('aria-label')) {
+            const heading = this.panel.querySelector('h1, h2, h3, h4, h5, h6');
+            if (heading) {
+                if (!heading.id) heading.id = `dialog-title-${++titleCounter}`;
+                this.panel.setAttribute('aria-labelledby', heading.id);
+            }
+        }
+
+        // Focus falls back to the panel itself when it has nothing focusable
+        if (!this.panel.hasAttribute('tabindex')) this.panel.setAttribute('tabindex', '-1');
+    }
+
+    isOpen() {
+        return stack.includes(this);
+    }
+
+    /**
+     * Returns false if it was already open
+     */
+    open(opener = document.activeElement) {
+        if (this.isOpen()) return false;
+
+        const below = Dialog.top();
+        this.opener = opener;
+        this.element.hidden = false;
+        stack.push(this);
+
+        // Equal z-indexes would leave the stacking order to the DOM order
+        if (below) {
+            const zIndex = parseInt(window.getComputedStyle(below.element).zIndex, 10);
+            if (!Number.isNaN(zIndex)) this.element.style.zIndex = String(zIndex + 1);
+        }
+
+        updateBackground();
+        lockPage();
+        this.focusInitial();
+
+        if (this.options.onOpen) this.options.onOpen();
+        this.dispatch('dialog:open');
+        return true;
+    }
+
+    /**
+     * Returns false if it wasn't open
+     */
+    close(reason = 'api') {
+        if (!this.isOpen()) return false;
+
+        stack.splice(stack.indexOf(this), 1);
+        this.element.hidden = true;
+        this.element.style.zIndex = '';
+
+        updateBackground();
+        if (!stack.length) unlockPage();
+
+        const opener = this.opener;
+        this.opener = null;
+        if (opener && opener.isConnected && typeof opener.focus === 'function') {
+            opener.focus();
+        } else if (Dialog.top()) {
+            Dialog.top().focusInitial();
+        }
+
+        if (this.options.onClose) this.options.onClose(reason);
+        this.dispatch('dialog:close', { reason });
+        return true;
+    }
+
+    focusInitial() {
+        const { initialFocus } = this.options;
+        let target = typeof initialFocus === 'function' ? initialFocus() : initialFocus;
+        if (typeof target === 'string') target = this.panel.querySelector(target);
+
+        (target || this.panel.querySelector('[autofocus]') || getFocusable(this.panel)[0] || this.panel).focus();
+    }
+
+    handleKeydown(event) {
+        if (Dialog.top() !== this) return;
+
+        if (event.key === 'Escape') {
+            // Escape inside a dialog belongs to it - don't also collapse things behind it
+            event.stopPropagation();
+            if (this.options.closeOnEscape) this.close('escape');
+            return;
+        }
+
+        if (event.key === 'Tab') trapFocus(this.panel, event);
+    }
+
+    dispatch(name, detail = {}) {
+        this.element.dispatchEvent(new CustomEvent(name, { detail, bubbles: true }));
+    }
+}
+
+/**
+ * Makes everything except the top dialog (and its ancestors) inert
+ */
+function updateBackground() {
+    inerted.forEach(element => element.removeAttribute('inert'));
+    inerted.clear();
+
+    const top = Dialog.top();
+    if (!top) return;
+
+    let node = top.element;
+    while (node.parentElement && node !== document.body) {
+        Array.from(node.parentElement.children).forEach(sibling => {
+            if (sibling === node || sibling.hasAttribute('inert')) return;
+            sibling.setAttribute('inert', '');
+            inerted.add(sibling);
+        });
+        node = node.parentElement;
+    }
+}
+
+/**
+ * While any dialog is open: no page scrolling, and focus kept inside the top dialog
+ */
+function lockPage() {
+    if (scrollLock) return;
+
+    // Hiding the scrollbar would shift the page sideways - keep its width as padding
+    const { clientWidth } = document.documentElement;
+    const scrollbarWidth = clientWidth ? window.innerWidth - clientWidth : 0;
+
+    scrollLock = { paddingRight: document.body.style.paddingRight };
+    if (scrollbarWidth > 0) document.body.style.paddingRight = `${scrollbarWidth}px`;
+    document.body.classList.add('modal-open');
+
+    document.addEventListener('focusin', keepFocusInside);
+}
+
+function unlockPage() {
+    if (!scrollLock) return;
+
+    document.body.style.paddingRight = scrollLock.paddingRight;
+    document.body.classList.remove('modal-open');
+    scrollLock = null;
+
+    document.removeEventListener('focusin', keepFocusInside);
+}
+
+/**
+ * Backup for browsers without inert: focus that reaches the page behind goes back
+ */
+function keepFocusInside(event) {
+    const top = Dialog.top();
+    if (top && !top.element.contains(event.target)) top.focusInitial();
+}
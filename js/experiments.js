@@ -0,0 +1,237 @@
+import { trackEvent, hasConsent, storageSet } from './utils.js';
+
+// ===================================
+// A/B TESTING
+// ===================================
+
+/**
+ * Experiment definitions
+ *
+ * Each variant has a weight (relative, doesn't need to add up to 100) and a list
+ * of DOM changes. The first variant is the control and should have no changes.
+ *
+ * CHANGE TYPES:
+ * { selector, text: '...' }             - replace text content
+ * { selector, html: '...' }             - replace inner HTML
+ * { selector, addClass: 'a b' }         - add classes
+ * { selector, removeClass: 'a b' }      - remove classes
+ * { selector, attr: { name: value } }   - set attributes
+ * { selector, order: [2, 0, 1] }        - reorder the element's children by index
+ *
+ * Mark the targets with data-experiment in the markup so they stay hidden
+ * until the variant is applied (see the anti-flicker snippet in <head>).
+ */
+export const EXPERIMENTS = [
+    {
+        id: 'cta-label',
+        enabled: true,
+        variants: [
+            { id: 'control', weight: 50 },
+            {
+                id: 'get-started-free',
+                weight: 50,
+                changes: [{ selector: '#primaryCta', text: 'Get Started Free' }]
+            }
+        ]
+    },
+    {
+        id: 'hero-headline',
+        enabled: false,
+        variants: [
+            { id: 'control', weight: 50 },
+            {
+                id: 'scale-agency',
+                weight: 50,
+                changes: [{
+                    selector: '.hero-title',
+                    html: 'Scale Your Agency With <span class="gradient-text">Done-For-You GHL Automation</span>'
+                }]
+            }
+        ]
+    },
+    {
+        id: 'pricing-order',
+        enabled: false,
+        variants: [
+            { id: 'control', weight: 50 },
+            {
+                id: 'elite-first',
+                weight: 50,
+                changes: [{ selector: '.pricing-grid', order: [2, 1, 0] }]
+            }
+        ]
+    }
+];
+
+/**
+ * Assigns visitors to experiment variants and applies them
+ *
+ * - Weighted random assignment, stored in localStorage so it's sticky across visits
+ * - Applied as soon as the script runs; html.experiments-pending (set in <head>)
+ *   keeps [data-experiment] targets hidden until then, so the control copy never
+ *   flashes before the variant - however slow the page loads
+ * - Adds exp-<experiment>-<variant> classes to <html> for CSS-only variants
+ * - Records experiment_exposure once per page view and experiment_conversion per goal
+ *
+ * CONSENT:
+ * Assignment is stored and tracked only with requireConsent (default 'analytics').
+ * Without it visitors see the control and nothing is recorded.
+ *
+ * QA OVERRIDES (not stored, not tracked):
+ * ?exp=cta-label:get-started-free,pricing-order:elite-first
+ * ?exp=off   -> everyone sees the control
+ *
+ * CONVERSIONS:
+ * - experimentEngine.convert('goal-name')
+ * - data-conversion="goal-name" on any clickable element
+ * - the DOM events in options.conversionEvents
+ */
+export class ExperimentEngine {
+    constructor(experiments = EXPERIMENTS, options = {}) {
+        this.experiments = experiments.filter(experiment => experiment.enabled !== false);
+        this.options = {
+            storageKey: 'experiments',
+            requireConsent: 'analytics',
+            overrideParam: 'exp',
+            conversionEvents: {
+                'wizard:complete': 'lead',
+                'form:success': 'lead'
+            },
+            ...options
+        };
+
+        this.assignments = {};
+        this.overrides = this.getOverrides();
+        this.isTracking = !this.overrides && hasConsent(this.options.requireConsent);
+
+        this.init();
+    }
+
+    init() {
+        const stored = this.loadAssignments();
+
+        try {
+            this.experiments.forEach(experiment => {
+                const variant = this.getVariant(experiment, stored);
+                this.assignments[experiment.id] = variant.id;
+
+                this.applyChanges(variant.changes || []);
+                document.documentElement.classList.add(`exp-${experiment.id}-${variant.id}`);
+
+                if (this.isTracking) {
+                    trackEvent('experiment_exposure', { experiment: experiment.id, variant: variant.id });
+                }
+            });
+        } finally {
+            // Reveal the (now final) content - even if a change threw, nothing stays hidden
+            document.documentElement.classList.remove('experiments-pending');
+        }
+
+        if (this.isTracking) this.saveAssignments();
+
+        this.bindConversions();
+    }
+
+    /**
+     * Override > stored assignment > new weighted assignment (with consent) > control
+     */
+    getVariant(experiment, stored) {
+        const control = experiment.variants[0];
+        const findVariant = id => experiment.variants.find(variant => variant.id === id);
+
+        if (this.overrides) {
+            return findVariant(this.overrides[experiment.id]) || control;
+        }
+
+        if (!this.isTracking) return control;
+
+        return findVariant(stored[experiment.id]) || this.pickWeighted(experiment.variants);
+    }
+
+    pickWeighted(variants) {
+        const total = variants.reduce((sum, variant) => sum + (variant.weight ?? 1), 0);
+        let threshold = Math.random() * total;
+
+        for (const variant of variants) {
+            threshold -= variant.weight ?? 1;
+            if (threshold < 0) return variant;
+        }
+        return variants[0];
+    }
+
+    applyChanges(changes) {
+        changes.forEach(change => {
+            document.querySelectorAll(change.selector).forEach(el => {
+                if (change.text !== undefined) el.textContent = change.text;
+                if (change.html !== undefined) el.innerHTML = change.html;
+                if (change.addClass) el.classList.add(...change.addClass.split(' '));
+                if (change.removeClass) el.classList.remove(...change.removeClass.split(' '));
+                if (change.attr) {
+                    Object.entries(change.attr).forEach(([name, value]) => el.setAttribute(name, value));
+                }
+                if (change.order) {
+                    const children = Array.from(el.children);
+                    change.order
+                        .map(index => children[index])
+                        .filter(Boolean)
+                        .forEach(child => el.appendChild(child));
+                }
+            });
+        });
+    }
+
+    /**
+     * Records a conversion for every running experiment
+     */
+    convert(goal, properties = {}) {
+        if (!this.isTracking) return;
+
+        Object.entries(this.assignments).forEach(([experiment, variant]) => {
+            trackEvent('experiment_conversion', { experiment, variant, goal, ...properties });
+        });
+    }
+
+    bindConversions() {
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-conversion]');
+            if (trigger) this.convert(trigger.dataset.conversion);
+        });
+
+        Object.entries(this.options.conversionEvents).forEach(([eventName, goal]) => {
+            document.addEventListener(eventName, () => this.convert(goal));
+        });
+    }
+
+    getVariantFor(experimentId) {
+        return this.assignments[experimentId] || null;
+    }
+
+    /**
+     * Parses ?exp=experiment:variant,... ("off" forces every control)
+     */
+    getOverrides() {
+        const param = new URLSearchParams(window.location.search).get(this.options.overrideParam);
+        if (param === null) return null;
+        if (param === 'off') return {};
+
+        const overrides = {};
+        param.split(',').forEach(pair => {
+            const [experiment, variant] = pair.split(':');
+            if (experiment && variant) overrides[experiment.trim()] = variant.trim();
+        });
+        return overrides;
+    }
+
+    loadAssignments() {
+        try {
+            return JSON.parse(localStorage.getItem(this.options.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveAssignments() {
+        const stored = { ...this.loadAssignments(), ...this.assignments };
+        storageSet(this.options.storageKey, JSON.stringify(stored), this.options.requireConsent);
+    }
+}
@@ -0,0 +1,437 @@
+import { debounce, trackEvent } from './utils.js';
+import { reportDiagnostic, reportMissing } from './diagnostics.js';
+import { t } from './i18n.js';
+
+// ===================================
+// FAQ ACCORDION
+// ===================================
+
+/**
+ * Accessible FAQ accordion with search, deep links and FAQPage schema
+ *
+ * MARKUP:
+ * <div class="faq-item" data-faq-id="pricing">          <- deep link: #faq-pricing
+ *   <button class="faq-question" aria-expanded="false">...</button>
+ *   <div class="faq-answer"><div class="faq-answer-content">...</div></div>
+ * </div>
+ * Without data-faq-id the id is made from the question ("#faq-do-you-offer-support").
+ *
+ * OPTIONS:
+ * - mode: 'single' closes the other questions when one opens, 'multi' doesn't
+ * - searchSelector / statusSelector: live search input and its result message
+ * - updateHash: opening a question puts its deep link in the URL (replaceState)
+ * - schema: keeps a FAQPage JSON-LD block in <head> in sync with the questions
+ *
+ * KEYBOARD (WAI-ARIA accordion pattern):
+ * Enter/Space toggle, Up/Down move between questions, Home/End jump to the first/last.
+ *
+ * Answer heights follow their content (ResizeObserver), so text that reflows
+ * on resize or after a font loads is never cut off.
+ */
+export class FAQAccordion {
+    constructor(options = {}) {
+        this.options = {
+            mode: 'single',
+            searchSelector: '.faq-search-input',
+            statusSelector: '.faq-search-status',
+            idPrefix: 'faq-',
+            updateHash: true,
+            schema: true,
+            schemaId: 'faqSchema',
+            ...options
+        };
+
+        this.selector = '.faq-question';
+        this.faqItems = new Set();
+        // button -> { click, keydown } listeners, so unmount can remove them
+        this.handlers = new WeakMap();
+        this.query = '';
+        this.init();
+    }
+
+    init() {
+        if ('ResizeObserver' in window) {
+            this.resizeObserver = new ResizeObserver(entries => {
+                entries.forEach(entry => {
+                    const answer = entry.target.closest('.faq-answer') || entry.target;
+                    const button = answer.previousElementSibling;
+                    if (this.faqItems.has(button)) this.updateHeight(button);
+                });
+            });
+        } else {
+            window.addEventListener('resize', debounce(() => {
+                this.faqItems.forEach(button => this.updateHeight(button));
+            }, 150));
+        }
+
+        this.setupSearch();
+
+        // Deep links: initial URL, back/forward, typed hashes and in-page links
+        // (SmoothScroll uses pushState for those, which doesn't fire hashchange)
+        window.addEventListener('hashchange', () => this.openFromHash());
+        window.addEventListener('popstate', () => this.openFromHash());
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            if (link) this.openFromHash(link.getAttribute('href'));
+        });
+
+        // Translated questions: re-run the search and regenerate the schema in the new language
+        document.addEventListener('i18n:change', () => {
+            if (this.searchInput && this.query) this.search(this.searchInput.value);
+            this.faqItems.forEach(button => this.updateHeight(button));
+            this.scheduleSchema();
+        });
+
+        document.querySelectorAll(this.selector).forEach(button => this.mount(button));
+    }
+
+    mount(button) {
+        if (this.faqItems.has(button)) return;
+
+        const answer = this.getAnswer(button);
+        if (!answer) {
+            reportMissing('FAQAccordion', '.faq-answer', `"${this.getQuestion(button)}" can't expand`);
+            return;
+        }
+
+        this.linkElements(button, answer);
+
+        const handlers = {
+            click: () => this.toggleFAQ(button),
+            keydown: (e) => this.handleKeydown(e, button)
+        };
+
+        button.addEventListener('click', handlers.click);
+        button.addEventListener('keydown', handlers.keydown);
+        this.handlers.set(button, handlers);
+        this.faqItems.add(button);
+
+        if (this.resizeObserver) {
+            this.resizeObserver.observe(answer.querySelector('.faq-answer-content') || answer);
+        }
+        if (this.query) this.applyFilter(button);
+        if (window.location.hash === `#${this.getItem(button).id}`) this.open(button, { source: 'link' });
+
+        this.scheduleSchema();
+    }
+
+    unmount(button) {
+        const handlers = this.handlers.get(button);
+        if (!handlers) return;
+
+        button.removeEventListener('click', handlers.click);
+        button.removeEventListener('keydown', handlers.keydown);
+        this.handlers.delete(button);
+        this.faqItems.delete(button);
+
+        const answer = this.getAnswer(button);
+        if (this.resizeObserver && answer) {
+            this.resizeObserver.unobserve(answer.querySelector('.faq-answer-content') || answer);
+        }
+
+        this.scheduleSchema();
+    }
+
+    destroy() {
+        Array.from(this.faqItems).forEach(button => this.unmount(button));
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+    }
+
+    // ---------- Structure ----------
+
+    /**
+     * The answer panel follows its question
+     */
+    getAnswer(button) {
+        return button.nextElementSibling;
+    }
+
+    getItem(button) {
+        return button.closest('.faq-item') || button;
+    }
+
+    getQuestion(button) {
+        return button.textContent.trim();
+    }
+
+    /**
+     * Gives the item its deep-link id and ties question and answer together for assistive tech
+     */
+    linkElements(button, answer) {
+        const item = this.getItem(button);
+        if (!item.id) {
+            const slug = item.dataset.faqId || slugify(this.getQuestion(button));
+            item.id = this.uniqueId(`${this.options.idPrefix}${slug}`);
+        }
+
+        if (!button.id) button.id = `${item.id}-question`;
+        if (!answer.id) answer.id = `${item.id}-answer`;
+        button.setAttribute('aria-controls', answer.id);
+        answer.setAttribute('role', 'region');
+        answer.setAttribute('aria-labelledby', button.id);
+    }
+
+    uniqueId(id) {
+        let candidate = id;
+        let counter = 2;
+        while (document.getElementById(candidate)) {
+            candidate = `${id}-${counter++}`;
+        }
+        return candidate;
+    }
+
+    // ---------- Open / close ----------
+
+    isOpen(button) {
+        return button.getAttribute('aria-expanded') === 'true';
+    }
+
+    toggleFAQ(button) {
+        if (this.isOpen(button)) {
+            this.close(button);
+            this.clearHash(button);
+        } else {
+            this.open(button);
+        }
+    }
+
+    /**
+     * source: 'user' (click/keyboard) or 'link' (deep link)
+     */
+    open(button, { source = 'user' } = {}) {
+        const answer = this.getAnswer(button);
+        if (!answer || this.isOpen(button)) return;
+
+        if (this.options.mode === 'single') this.closeAllFAQs(button);
+
+        button.setAttribute('aria-expanded', 'true');
+        this.updateHeight(button);
+
+        const properties = { question: this.getQuestion(button) };
+        if (source !== 'user') properties.source = source;
+        trackEvent('faq_open', properties);
+
+        if (source === 'user') this.setHash(button);
+    }
+
+    close(button) {
+        const answer = this.getAnswer(button);
+        button.setAttribute('aria-expanded', 'false');
+        if (answer) answer.style.maxHeight = '0';
+    }
+
+    /**
+     * Closes every open question but exceptButton and drops their deep links
+     * (also used by KeyboardNavigation for Escape)
+     */
+    closeAllFAQs(exceptButton) {
+        this.faqItems.forEach(button => {
+            if (button === exceptButton || !this.isOpen(button)) return;
+            this.close(button);
+            this.clearHash(button);
+        });
+    }
+
+    /**
+     * Sizes an open answer to its content
+     */
+    updateHeight(button) {
+        if (!this.isOpen(button)) return;
+
+        const answer = this.getAnswer(button);
+        const content = answer.querySelector('.faq-answer-content') || answer;
+        answer.style.maxHeight = `${content.scrollHeight}px`;
+    }
+
+    // ---------- Keyboard ----------
+
+    handleKeydown(event, button) {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.toggleFAQ(button);
+            return;
+        }
+
+        const visible = this.getVisibleButtons();
+        const index = visible.indexOf(button);
+        const targets = {
+            ArrowDown: visible[(index + 1) % visible.length],
+            ArrowUp: visible[(index - 1 + visible.length) % visible.length],
+            Home: visible[0],
+            End: visible[visible.length - 1]
+        };
+
+        const target = targets[event.key];
+        if (!target) return;
+
+        event.preventDefault();
+        target.focus();
+    }
+
+    /**
+     * Questions in page order, leaving out ones hidden by search
+     */
+    getVisibleButtons() {
+        return Array.from(document.querySelectorAll(this.selector))
+            .filter(button => this.faqItems.has(button) && !this.getItem(button).hidden);
+    }
+
+    // ---------- Search ----------
+
+    setupSearch() {
+        this.searchInput = document.querySelector(this.options.searchSelector);
+        this.searchStatus = document.querySelector(this.options.statusSelector);
+        if (!this.searchInput) return;
+
+        const trackSearch = debounce(() => {
+            if (this.query) trackEvent('faq_search', { query: this.query, results: this.getVisibleButtons().length });
+        }, 1000);
+
+        this.searchInput.addEventListener('input', () => {
+            this.search(this.searchInput.value);
+            trackSearch();
+        });
+    }
+
+    /**
+     * Shows only the questions whose question or answer contains every word of the query
+     */
+    search(query) {
+        this.query = normalize(query).trim();
+        this.faqItems.forEach(button => this.applyFilter(button));
+
+        if (!this.searchStatus) return;
+
+        const count = this.getVisibleButtons().length;
+        if (!this.query) {
+            this.searchStatus.textContent = '';
+        } else if (count) {
+            this.searchStatus.textContent = t('faq.searchResults', { count }, {
+                one: '{count} question matches',
+                other: '{count} questions match'
+            });
+        } else {
+            this.searchStatus.textContent = t('faq.searchEmpty', { query: query.trim() }, 'No questions match "{query}"');
+        }
+    }
+
+    applyFilter(button) {
+        const terms = this.query.split(/\s+/).filter(Boolean);
+        const text = normalize(`${this.getQuestion(button)} ${this.getAnswer(button).textContent}`);
+
+        this.getItem(button).hidden = !terms.every(term => text.includes(term));
+    }
+
+    // ---------- Deep links ----------
+
+    /**
+     * Opens the question a #faq-... hash points to
+     * Returns whether one was found
+     */
+    openFromHash(hash = window.location.hash) {
+        if (!hash || hash.length < 2) return false;
+
+        let id;
+        try {
+            id = decodeURIComponent(hash.slice(1));
+        } catch (error) {
+            return false;
+        }
+
+        const button = Array.from(this.faqItems).find(item => this.getItem(item).id === id || item.id === id);
+        if (!button) return false;
+
+        // A search could be hiding it
+        if (this.getItem(button).hidden) {
+            if (this.searchInput) this.searchInput.value = '';
+            this.search('');
+        }
+
+        this.open(button, { source: 'link' });
+        return true;
+    }
+
+    setHash(button) {
+        if (!this.options.updateHash || !window.history || !window.history.replaceState) return;
+
+        const url = `${window.location.pathname}${window.location.search}#${this.getItem(button).id}`;
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    clearHash(button) {
+        if (!this.options.updateHash || window.location.hash !== `#${this.getItem(button).id}`) return;
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}`);
+    }
+
+    // ---------- Structured data ----------
+
+    /**
+     * Rebuilds the schema once per batch of mounts/unmounts
+     */
+    scheduleSchema() {
+        if (!this.options.schema || this.schemaPending) return;
+
+        this.schemaPending = true;
+        Promise.resolve().then(() => {
+            this.schemaPending = false;
+            this.updateSchema();
+        });
+    }
+
+    /**
+     * Writes FAQPage JSON-LD for the current questions (visible or not - search doesn't change the page's content)
+     */
+    updateSchema() {
+        const { schemaId } = this.options;
+
+        // Leave hand-written FAQPage markup alone - two blocks would compete
+        const existing = Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+            .find(script => script.id !== schemaId && script.textContent.includes('"FAQPage"'));
+        if (existing) {
+            reportDiagnostic('info', 'FAQAccordion', 'the page already has FAQPage markup, not generating it');
+            return;
+        }
+
+        let script = document.getElementById(schemaId);
+        if (!this.faqItems.size) {
+            if (script) script.remove();
+            return;
+        }
+
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = schemaId;
+            document.head.appendChild(script);
+        }
+
+        const questions = Array.from(document.querySelectorAll(this.selector)).filter(button => this.faqItems.has(button));
+        script.textContent = JSON.stringify({
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            mainEntity: questions.map(button => ({
+                '@type': 'Question',
+                name: this.getQuestion(button),
+                acceptedAnswer: {
+                    '@type': 'Answer',
+                    text: this.getAnswer(button).textContent.replace(/\s+/g, ' ').trim()
+                }
+            }))
+        });
+    }
+}
+
+/**
+ * Lowercase without accents, so "cafe" finds "Café"
+ */
+function normalize(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function slugify(text) {
+    return normalize(text)
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60)
+        .replace(/-+$/, '');
+}
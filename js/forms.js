@@ -0,0 +1,716 @@
+import { reportDiagnostic, reportMissing } from './diagnostics.js';
+
+// ===================================
+// FORM VALIDATION & GHL SUBMISSION
+// ===================================
+
+/**
+ * Raised when a form submission fails
+ * Carries the HTTP status (0 for network errors/timeouts)
+ * and any per-field errors returned by the endpoint
+ */
+export class SubmissionError extends Error {
+    constructor(message, { status = 0, fieldErrors = {}, retryable = false } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = status;
+        this.fieldErrors = fieldErrors;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * Built-in validation rules
+ * Each rule is a pure function: (value, param, data) => boolean | Promise<boolean>
+ * - value: the field's trimmed string value
+ * - param: the rule's configuration (e.g. 8 for minLength)
+ * - data: all form values, for cross-field rules like matches
+ *
+ * Every rule except required passes on an empty value,
+ * so optional fields are only checked when filled in.
+ * Register more with FormValidator.registerRule(name, fn, messages, { async }).
+ */
+export const VALIDATION_RULES = {
+    required: (value) => value !== '',
+    minLength: (value, min) => value === '' || value.length >= Number(min),
+    maxLength: (value, max) => value === '' || value.length <= Number(max),
+    email: (value) => value === '' || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    // E.164: leading +, country code, up to 15 digits. Spaces, dashes and brackets are ignored
+    phone: (value) => value === '' || /^\+[1-9]\d{6,14}$/.test(value.replace(/[\s().-]/g, '')),
+    url: (value) => {
+        if (value === '') return true;
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    },
+    pattern: (value, pattern) => value === '' || new RegExp(`^(?:${pattern})$`).test(value),
+    matches: (value, otherField, data) => value === String(data[otherField] ?? ''),
+    // Async: GET {param}{value} and expect { valid: boolean }
+    // e.g. data-rule-remote="/api/check-email?email="
+    remote: async (value, endpoint) => {
+        if (value === '') return true;
+        try {
+            const response = await fetch(`${endpoint}${encodeURIComponent(value)}`, {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) return true; // Don't block the lead on a flaky check
+            const body = await response.json();
+            return body.valid !== false;
+        } catch (error) {
+            return true;
+        }
+    }
+};
+
+/**
+ * Rules that return a Promise - run after the sync ones, so a remote check
+ * only fires for values that already passed the cheap rules.
+ * Filled by registerRule(..., { async: true }) and by any rule seen returning a Promise.
+ */
+export const ASYNC_RULES = new Set(['remote']);
+
+/**
+ * Validation messages per locale
+ * {param} is replaced with the rule's configuration value
+ * Add a locale with FormValidator.addMessages('es', { required: '...' })
+ */
+export const VALIDATION_MESSAGES = {
+    en: {
+        required: 'This field is required',
+        minLength: 'Please enter at least {param} characters',
+        maxLength: 'Please enter no more than {param} characters',
+        email: 'Please enter a valid email address',
+        phone: 'Please enter a valid phone number, including country code (e.g. +15551234567)',
+        url: 'Please enter a valid URL starting with http:// or https://',
+        pattern: 'Please match the requested format',
+        matches: 'This field doesn\'t match',
+        remote: 'This value is already in use',
+        invalid: 'This field is invalid',
+        // Submission status, unless the form sets successMessage / errorMessage
+        submitSuccess: 'Thanks! We\'ll be in touch shortly.',
+        submitError: 'Something went wrong. Please try again.'
+    }
+};
+
+/**
+ * Form validation and submission helper for GHL forms
+ *
+ * Validates the form, shows errors inline next to each field and posts
+ * the data to a GoHighLevel form/webhook endpoint.
+ *
+ * VALIDATION RULES (declarative, no subclassing needed):
+ * Read from the markup:
+ *   required, minlength, maxlength, pattern  -> required, minLength, maxLength, pattern
+ *   type="email" | "url" | "tel"             -> email, url, phone (E.164)
+ *   data-match="password"                    -> matches
+ *   data-rule-<name>="param"                 -> any registered rule, e.g. data-rule-remote="/api/check-email?email="
+ *   data-msg-<name>="..."                    -> custom message for that rule
+ * Or passed as a JS schema (merged over the markup rules):
+ *   new FormValidator('#form', {
+ *       schema: {
+ *           phone: { required: true, phone: true, messages: { phone: 'Mobile number please' } },
+ *           confirmEmail: { matches: 'email' }
+ *       }
+ *   });
+ * Messages come from VALIDATION_MESSAGES[locale] (locale defaults to <html lang>)
+ * and can be overridden with options.messages.
+ *
+ * ENDPOINT (first match wins):
+ * 1. options.endpoint
+ * 2. data-ghl-endpoint="..." on the <form>
+ * 3. the form's action attribute
+ * 4. data-ghl-endpoint="..." on the <body> - one webhook for every form on the page
+ * Without one, a submit is reported on the diagnostics channel and visitors
+ * see the generic error message.
+ *
+ * SUBMISSION STATES:
+ * - .is-submitting + aria-busy while the request is in flight
+ * - .is-success / .is-error once it settles
+ * - Status text is announced through a role="status" region
+ *
+ * RELIABILITY:
+ * - Network errors, timeouts, 429 and 5xx responses are retried with
+ *   exponential backoff (retryDelay, 2x, 4x...)
+ * - Submits while a request is in flight are ignored
+ * - An identical payload resubmitted within duplicateWindow is not sent again
+ * - Every submission carries an idempotency key that is reused across retries
+ *
+ * EVENTS (dispatched on the form):
+ * - form:submit  { data }
+ * - form:success { data, response }
+ * - form:error   { data, error }
+ *
+ * CUSTOM SUBMIT:
+ * options.submitHandler(data) replaces the POST to the endpoint (e.g. booking an
+ * appointment). Throw a SubmissionError to show field errors; the loading,
+ * success and error states work the same.
+ *
+ * LOCAL TESTING:
+ * Run `node dev/mock-ghl-server.cjs` and use
+ * new FormValidator('#contact-form', { endpoint: 'http://localhost:4010/hooks/form' });
+ */
+export class FormValidator {
+    constructor(formSelector, options = {}) {
+        this.form = typeof formSelector === 'string'
+            ? document.querySelector(formSelector)
+            : formSelector;
+
+        this.options = {
+            endpoint: null,
+            maxRetries: 3,
+            retryDelay: 500, // Base backoff in ms, doubled on every attempt
+            timeout: 10000, // Per-attempt timeout in ms
+            duplicateWindow: 10000, // Identical payloads inside this window are not resent
+            // null -> submitSuccess / submitError from the locale bundle. A function
+            // is called when the message is shown - e.g. () => t('popup.success')
+            successMessage: null,
+            errorMessage: null,
+            schema: {}, // { fieldName: { ruleName: param, messages: { ruleName: '...' } } }
+            messages: {}, // Message overrides for every field, keyed by rule name
+            locale: null, // Defaults to <html lang> when a message is shown, so it follows language switches
+            validateOnBlur: true,
+            submitHandler: null, // async (data) => response, replaces submitToGHL
+            ...options
+        };
+
+        this.isSubmitting = false;
+        this.isValidating = false;
+        this.validationRuns = {}; // Latest run per field, so stale async results are dropped
+        this.lastSubmission = null;
+
+        if (this.form) this.init();
+    }
+
+    init() {
+        this.form.setAttribute('novalidate', '');
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+
+        // Clear a field's error as soon as the user edits it, and drop the
+        // result of any async check still running on the old value
+        this.form.addEventListener('input', (e) => {
+            const name = e.target.name;
+            if (!name) return;
+            this.validationRuns[name] = (this.validationRuns[name] || 0) + 1;
+            this.clearError(name);
+        });
+
+        // Validate a field when the user leaves it
+        if (this.options.validateOnBlur) {
+            this.form.addEventListener('focusout', (e) => {
+                const name = e.target.name;
+                if (name && Object.keys(this.getRules(name)).length) {
+                    this.validateField(name);
+                }
+            });
+        }
+    }
+
+    async handleSubmit(event) {
+        event.preventDefault();
+
+        // Ignore double clicks and repeated Enter presses
+        if (this.isSubmitting || this.isValidating) return;
+
+        this.clearErrors();
+
+        const data = this.getFormData();
+
+        this.isValidating = true;
+        const isValid = await this.validateForm(data).finally(() => {
+            this.isValidating = false;
+        });
+
+        if (!isValid) {
+            this.focusFirstError();
+            return;
+        }
+
+        // Same data was already accepted moments ago - don't create a duplicate lead
+        if (this.isDuplicate(data)) {
+            this.setStatus('success', this.getStatusMessage('successMessage'));
+            return;
+        }
+
+        await this.submit(data);
+    }
+
+    getFormData() {
+        const formData = new FormData(this.form);
+        return Object.fromEntries(formData);
+    }
+
+    /**
+     * Validates every field that has rules
+     * Resolves to true when all of them pass
+     */
+    validateForm(data = this.getFormData()) {
+        return this.validateFields(this.getFieldNames(), data);
+    }
+
+    /**
+     * Validates a subset of fields (e.g. one wizard step)
+     */
+    async validateFields(fieldNames, data = this.getFormData()) {
+        const results = await Promise.all(
+            fieldNames.map(name => this.validateField(name, data))
+        );
+        return results.every(Boolean);
+    }
+
+    /**
+     * Runs a field's rules in order and stops at the first failure
+     * Sync rules run before async ones, so remote checks only fire for plausible values
+     */
+    async validateField(name, data = this.getFormData()) {
+        const run = (this.validationRuns[name] || 0) + 1;
+        this.validationRuns[name] = run;
+
+        const rules = this.getRules(name);
+        const value = String(data[name] ?? '').trim();
+        let failedRule = null;
+
+        for (const [ruleName, param] of Object.entries(rules)) {
+            if (ruleName === 'messages' || param === false) continue;
+
+            const rule = VALIDATION_RULES[ruleName];
+            if (!rule) {
+                reportDiagnostic('warn', 'FormValidator', `unknown rule "${ruleName}" on field "${name}"`);
+                continue;
+            }
+
+            let passed;
+            try {
+                const result = rule(value, param, data);
+                // Returned a Promise without being registered as async - run it last from now on
+                if (result && typeof result.then === 'function') ASYNC_RULES.add(ruleName);
+                passed = await result;
+            } catch (error) {
+                // A broken rule (e.g. an invalid pattern in the markup) mustn't block the lead
+                reportDiagnostic('warn', 'FormValidator', `rule "${ruleName}" threw on field "${name}" - skipped`, { error });
+                continue;
+            }
+
+            if (!passed) {
+                failedRule = ruleName;
+                break;
+            }
+        }
+
+        // The user changed the value while an async rule was running
+        if (this.validationRuns[name] !== run) return !failedRule;
+
+        if (failedRule) {
+            this.showError(this.getMessage(name, failedRule, rules[failedRule]), name);
+            return false;
+        }
+
+        this.clearError(name);
+        return true;
+    }
+
+    /**
+     * Collects a field's rules from its markup, then merges the JS schema over them
+     * Returned in declaration order: { required: true, minLength: 2, messages: {...} }
+     */
+    getRules(name) {
+        const rules = {};
+        const messages = {};
+        const input = this.getFieldElement(name);
+
+        if (input) {
+            if (input.hasAttribute('required')) rules.required = true;
+
+            const type = input.getAttribute('type');
+            if (type === 'email') rules.email = true;
+            if (type === 'url') rules.url = true;
+            if (type === 'tel') rules.phone = true;
+
+            if (input.hasAttribute('minlength')) rules.minLength = Number(input.getAttribute('minlength'));
+            if (input.hasAttribute('maxlength')) rules.maxLength = Number(input.getAttribute('maxlength'));
+            if (input.hasAttribute('pattern')) rules.pattern = input.getAttribute('pattern');
+            if (input.dataset.match) rules.matches = input.dataset.match;
+
+            Object.entries(input.dataset).forEach(([key, value]) => {
+                // data-rule-min-length="8" -> dataset.ruleMinLength -> minLength
+                if (key.startsWith('rule') && key.length > 4) {
+                    const ruleName = key.charAt(4).toLowerCase() + key.slice(5);
+                    rules[ruleName] = value === '' ? true : value;
+                }
+                if (key.startsWith('msg') && key.length > 3) {
+                    const ruleName = key.charAt(3).toLowerCase() + key.slice(4);
+                    messages[ruleName] = value;
+                }
+            });
+        }
+
+        const schemaRules = this.options.schema[name] || {};
+        Object.assign(rules, schemaRules);
+        rules.messages = { ...messages, ...(schemaRules.messages || {}) };
+
+        // Async rules last, so cheap checks short-circuit them
+        const ordered = {};
+        Object.keys(rules)
+            .sort((a, b) => Number(this.isAsyncRule(a)) - Number(this.isAsyncRule(b)))
+            .forEach(key => { ordered[key] = rules[key]; });
+        return ordered;
+    }
+
+    /**
+     * Names of all fields that have rules
+     * Disabled fields (e.g. inside a skipped wizard step) are left out
+     */
+    getFieldNames() {
+        const names = new Set(Object.keys(this.options.schema));
+        Array.from(this.form.elements).forEach(el => {
+            if (el.name) names.add(el.name);
+        });
+        return Array.from(names).filter(name => {
+            const input = this.getFieldElement(name);
+            if (input && input.matches(':disabled')) return false;
+
+            const { messages, ...rules } = this.getRules(name);
+            return Object.keys(rules).length > 0;
+        });
+    }
+
+    /**
+     * Returns the element a field's rules and errors attach to
+     * Radio groups come back as a RadioNodeList, so use their first input
+     */
+    getFieldElement(name) {
+        const field = this.form.elements.namedItem(name);
+        return field && typeof field.length === 'number' && !field.tagName
+            ? field[0]
+            : field;
+    }
+
+    isAsyncRule(ruleName) {
+        return ASYNC_RULES.has(ruleName);
+    }
+
+    /**
+     * Resolves the message for a failed rule
+     * Field message > options.messages > locale bundle > English > generic
+     */
+    getMessage(fieldName, ruleName, param) {
+        const rules = this.getRules(fieldName);
+
+        const template = (rules.messages && rules.messages[ruleName])
+            || this.options.messages[ruleName]
+            || this.getBundle()[ruleName]
+            || VALIDATION_MESSAGES.en[ruleName]
+            || VALIDATION_MESSAGES.en.invalid;
+
+        return template.replace(/\{param\}/g, param);
+    }
+
+    /**
+     * Messages for options.locale, or <html lang> when it's not set
+     */
+    getBundle() {
+        const locale = this.options.locale || document.documentElement.lang || 'en';
+        const language = locale.split('-')[0];
+        return VALIDATION_MESSAGES[locale]
+            || VALIDATION_MESSAGES[language]
+            || {};
+    }
+
+    isValidEmail(email) {
+        return VALIDATION_RULES.email(email) && email !== '';
+    }
+
+    /**
+     * Adds a validation rule available to every form
+     * fn(value, param, data) may return a boolean or a Promise<boolean>
+     * messages: { en: '...', es: '...' }
+     * async: true when fn returns a Promise, so it runs after the sync rules
+     */
+    static registerRule(name, fn, messages = {}, { async = false } = {}) {
+        VALIDATION_RULES[name] = fn;
+        if (async) {
+            ASYNC_RULES.add(name);
+        } else {
+            ASYNC_RULES.delete(name);
+        }
+        Object.entries(messages).forEach(([locale, message]) => {
+            FormValidator.addMessages(locale, { [name]: message });
+        });
+    }
+
+    static addMessages(locale, messages) {
+        VALIDATION_MESSAGES[locale] = { ...(VALIDATION_MESSAGES[locale] || {}), ...messages };
+    }
+
+    /**
+     * Runs the full submission lifecycle: loading state, request, result UI
+     * Resolves to true when the endpoint accepted the data
+     */
+    async submit(data) {
+        this.isSubmitting = true;
+        this.setStatus('submitting', '');
+        this.dispatch('form:submit', { data });
+
+        try {
+            const response = this.options.submitHandler
+                ? await this.options.submitHandler(data)
+                : await this.submitToGHL(data);
+
+            this.lastSubmission = { key: this.serialize(data), time: Date.now() };
+            this.setStatus('success', this.getStatusMessage('successMessage'));
+            this.dispatch('form:success', { data, response });
+            return true;
+        } catch (error) {
+            Object.entries(error.fieldErrors || {}).forEach(([field, message]) => {
+                this.showError(message, field);
+            });
+            this.focusFirstError();
+
+            this.setStatus('error', error.message || this.getStatusMessage('errorMessage'));
+            this.dispatch('form:error', { data, error });
+            return false;
+        } finally {
+            this.isSubmitting = false;
+        }
+    }
+
+    /**
+     * Posts data to the GHL endpoint, retrying transient failures
+     * Resolves with the parsed JSON body (or null for empty responses)
+     */
+    async submitToGHL(data) {
+        const endpoint = this.getEndpoint();
+        if (!endpoint) {
+            const form = this.form.id ? `#${this.form.id}` : 'form';
+            reportMissing('FormValidator', `data-ghl-endpoint for ${form}`, 'the submission was not sent');
+            throw new SubmissionError(this.getStatusMessage('errorMessage'));
+        }
+
+        const idempotencyKey = this.createIdempotencyKey();
+        let attempt = 0;
+
+        while (true) {
+            try {
+                return await this.sendRequest(endpoint, data, idempotencyKey);
+            } catch (error) {
+                if (!error.retryable || attempt >= this.options.maxRetries) {
+                    throw error;
+                }
+
+                await this.wait(this.options.retryDelay * Math.pow(2, attempt));
+                attempt++;
+            }
+        }
+    }
+
+    async sendRequest(endpoint, data, idempotencyKey) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.options.timeout);
+
+        let response;
+        try {
+            response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'Idempotency-Key': idempotencyKey
+                },
+                body: JSON.stringify(data),
+                signal: controller.signal
+            });
+        } catch (error) {
+            // Network failure or timeout
+            throw new SubmissionError(this.getStatusMessage('errorMessage'), { retryable: true });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const body = await response.json().catch(() => null);
+
+        if (!response.ok) {
+            const retryable = response.status === 429 || response.status >= 500;
+            throw new SubmissionError(
+                (body && body.message) || this.getStatusMessage('errorMessage'),
+                {
+                    status: response.status,
+                    fieldErrors: (body && body.errors) || {},
+                    retryable
+                }
+            );
+        }
+
+        return body;
+    }
+
+    getEndpoint() {
+        return this.options.endpoint
+            || this.form.dataset.ghlEndpoint
+            || this.form.getAttribute('action')
+            || document.body.dataset.ghlEndpoint
+            || null;
+    }
+
+    isDuplicate(data) {
+        if (!this.lastSubmission) return false;
+
+        const isSamePayload = this.lastSubmission.key === this.serialize(data);
+        const isRecent = Date.now() - this.lastSubmission.time < this.options.duplicateWindow;
+        return isSamePayload && isRecent;
+    }
+
+    serialize(data) {
+        return JSON.stringify(Object.keys(data).sort().map(key => [key, data[key]]));
+    }
+
+    createIdempotencyKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // ---------- Inline error UI ----------
+
+    /**
+     * Shows an error next to the named field
+     * Falls back to the form status region when the field doesn't exist
+     */
+    showError(message, fieldName) {
+        const input = fieldName ? this.getFieldElement(fieldName) : null;
+
+        if (!input) {
+            this.setStatus('error', message);
+            return;
+        }
+
+        // Radio groups get one error for the whole group, inside its radiogroup wrapper
+        const group = input.type === 'radio' ? input.closest('[role="radiogroup"]') : null;
+        const target = group || input;
+
+        const errorId = `${this.getFieldId(input)}-error`;
+        let errorEl = document.getElementById(errorId);
+
+        if (!errorEl) {
+            errorEl = document.createElement('p');
+            errorEl.id = errorId;
+            errorEl.className = 'form-error';
+            errorEl.dataset.field = fieldName;
+            if (group) {
+                group.appendChild(errorEl);
+            } else {
+                input.insertAdjacentElement('afterend', errorEl);
+            }
+        }
+
+        errorEl.textContent = message;
+        target.setAttribute('aria-invalid', 'true');
+
+        const describedBy = (target.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        if (!describedBy.includes(errorId)) {
+            describedBy.push(errorId);
+            target.setAttribute('aria-describedby', describedBy.join(' '));
+        }
+    }
+
+    clearError(fieldName) {
+        const errorEl = this.form.querySelector(`.form-error[data-field="${CSS.escape(fieldName)}"]`);
+        if (!errorEl) return;
+
+        const input = this.form.querySelector(`[aria-describedby~="${CSS.escape(errorEl.id)}"]`);
+        if (input) {
+            input.removeAttribute('aria-invalid');
+            const describedBy = input.getAttribute('aria-describedby')
+                .split(' ')
+                .filter(id => id && id !== errorEl.id);
+            if (describedBy.length) {
+                input.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                input.removeAttribute('aria-describedby');
+            }
+        }
+
+        errorEl.remove();
+    }
+
+    clearErrors() {
+        this.form.querySelectorAll('.form-error').forEach(errorEl => {
+            this.clearError(errorEl.dataset.field);
+        });
+    }
+
+    focusFirstError() {
+        const firstInvalid = this.form.querySelector('[aria-invalid="true"]');
+        if (!firstInvalid) return;
+
+        // A radiogroup wrapper isn't focusable - move to its first option instead
+        const focusTarget = firstInvalid.matches('input, select, textarea')
+            ? firstInvalid
+            : firstInvalid.querySelector('input, select, textarea');
+        if (focusTarget) focusTarget.focus();
+    }
+
+    getFieldId(input) {
+        if (!input.id) {
+            const formId = this.form.id || 'form';
+            input.id = `${formId}-${input.name}`;
+        }
+        return input.id;
+    }
+
+    // ---------- Submission state UI ----------
+
+    /**
+     * successMessage / errorMessage - the option (called now when it's a
+     * function), else the locale's submitSuccess / submitError
+     */
+    getStatusMessage(name) {
+        const message = this.options[name];
+        if (typeof message === 'function') return message();
+        if (message !== null && message !== undefined) return message;
+
+        const key = name === 'successMessage' ? 'submitSuccess' : 'submitError';
+        return this.getBundle()[key] || VALIDATION_MESSAGES.en[key];
+    }
+
+    /**
+     * Updates form classes, submit button and status region
+     * state: 'idle' | 'submitting' | 'success' | 'error'
+     */
+    setStatus(state, message) {
+        const states = ['submitting', 'success', 'error'];
+        states.forEach(s => this.form.classList.toggle(`is-${s}`, s === state));
+
+        const isSubmitting = state === 'submitting';
+        this.form.setAttribute('aria-busy', String(isSubmitting));
+        this.form.querySelectorAll('[type="submit"]').forEach(button => {
+            button.disabled = isSubmitting;
+        });
+
+        const statusEl = this.getStatusElement();
+        statusEl.textContent = message;
+        statusEl.dataset.state = state;
+    }
+
+    getStatusElement() {
+        let statusEl = this.form.querySelector('.form-status');
+        if (!statusEl) {
+            statusEl = document.createElement('div');
+            statusEl.className = 'form-status';
+            statusEl.setAttribute('role', 'status');
+            statusEl.setAttribute('aria-live', 'polite');
+            this.form.appendChild(statusEl);
+        }
+        return statusEl;
+    }
+
+    dispatch(name, detail) {
+        this.form.dispatchEvent(new CustomEvent(name, { detail, bubbles: true }));
+    }
+}
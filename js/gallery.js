@@ -0,0 +1,476 @@
+import { trackEvent } from './utils.js';
+import { reportMissing } from './diagnostics.js';
+import { Dialog } from './dialog.js';
+import { t, getDirection, getLocale } from './i18n.js';
+
+// ===================================
+// GALLERY LIGHTBOX
+// ===================================
+
+/**
+ * Opens gallery images full size in a lightbox with zoom and pan
+ *
+ * MARKUP:
+ * <div class="screenshots-grid" data-gallery>
+ *   <div class="screenshot-card">
+ *     <img src="dashboard-800.jpg" data-full="dashboard-2400.jpg" alt="Analytics dashboard">
+ *     <div class="screenshot-caption"><h3>Analytics Dashboard</h3><p>Real-time insights</p></div>
+ *   </div>
+ * </div>
+ * plus the #galleryLightbox modal (see index.html). data-full is optional -
+ * without it the image's own source is shown. Each [data-gallery] is its own
+ * set to page through.
+ *
+ * IN THE LIGHTBOX:
+ * - wheel, pinch, double-click/tap and the +/- buttons zoom (1x - options.maxZoom)
+ * - drag (mouse or one finger) pans a zoomed image; a swipe changes image otherwise
+ * - Left/Right previous/next (pan when zoomed), Up/Down pan, +/- zoom, 0 resets,
+ *   Home/End first/last, Escape closes
+ *
+ * Images are mounted through ComponentLifecycle, so gallery items rendered
+ * later become openable too. Their labels and the counter follow 'i18n:change'.
+ */
+export class Gallery {
+    constructor(selector = '#galleryLightbox', options = {}) {
+        this.options = {
+            galleryAttribute: 'data-gallery',
+            itemSelector: '.screenshot-card',
+            captionSelector: '.screenshot-caption',
+            maxZoom: 4,
+            zoomStep: 1.5,
+            panStep: 60,
+            swipeThreshold: 50,
+            ...options
+        };
+
+        this.selector = `[${this.options.galleryAttribute}] ${this.options.itemSelector} img`;
+        this.mounted = new WeakSet();
+        this.items = [];
+        this.index = 0;
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+
+        this.modal = document.querySelector(selector);
+        if (!this.modal) {
+            reportMissing('Gallery', selector, 'gallery images can\'t be enlarged', 'info');
+            return;
+        }
+
+        this.stage = this.modal.querySelector('.gallery-stage');
+        this.image = this.modal.querySelector('.gallery-image');
+        if (!this.stage || !this.image) {
+            reportMissing('Gallery', `${selector} .gallery-stage .gallery-image`, 'gallery images can\'t be enlarged');
+            this.modal = null;
+            return;
+        }
+
+        this.caption = this.modal.querySelector('.gallery-caption');
+        this.counter = this.modal.querySelector('.gallery-counter');
+        this.dialog = Dialog.for(this.modal, {
+            initialFocus: '.modal-close',
+            onClose: () => this.reset()
+        });
+        this.init();
+    }
+
+    init() {
+        this.modal.addEventListener('click', (e) => {
+            const control = e.target.closest('[data-gallery-action]');
+            if (control) this.handleAction(control.dataset.galleryAction);
+        });
+        this.modal.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.image.addEventListener('load', () => this.stage.classList.remove('is-loading'));
+        this.image.addEventListener('error', () => this.showFallback());
+
+        this.bindZoom();
+        this.bindTouch();
+
+        document.addEventListener('i18n:change', () => {
+            document.querySelectorAll(this.selector).forEach(img => {
+                if (this.mounted.has(img)) this.updateLabel(img);
+            });
+            if (this.dialog.isOpen()) this.updateCounter();
+        });
+
+        document.querySelectorAll(this.selector).forEach(img => this.mount(img));
+    }
+
+    /**
+     * Makes a gallery image open the lightbox (click, Enter or Space)
+     */
+    mount(img) {
+        if (!this.modal || this.mounted.has(img)) return;
+        this.mounted.add(img);
+
+        img.setAttribute('role', 'button');
+        img.setAttribute('tabindex', '0');
+        img.setAttribute('aria-haspopup', 'dialog');
+        img.classList.add('gallery-trigger');
+        this.updateLabel(img);
+
+        img.addEventListener('click', () => this.openFrom(img));
+        img.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            e.preventDefault();
+            this.openFrom(img);
+        });
+    }
+
+    updateLabel(img) {
+        img.setAttribute('aria-label', t('gallery.enlarge', { name: img.alt }, 'Enlarge: {name}'));
+    }
+
+    openFrom(img) {
+        const gallery = img.closest(`[${this.options.galleryAttribute}]`);
+        this.items = Array.from(gallery.querySelectorAll(`${this.options.itemSelector} img`));
+        this.open(this.items.indexOf(img), img);
+    }
+
+    open(index, opener = document.activeElement) {
+        if (!this.modal || !this.items.length) return false;
+
+        this.show(index);
+        this.dialog.open(opener);
+
+        trackEvent('gallery_open', { image: this.items[this.index].alt, index: this.index + 1 });
+        return true;
+    }
+
+    close() {
+        if (this.dialog) this.dialog.close();
+    }
+
+    // ---------- Images ----------
+
+    show(index) {
+        const count = this.items.length;
+        this.index = (index + count) % count;
+        const source = this.items[this.index];
+
+        this.resetZoom();
+        this.stage.classList.remove('is-broken');
+        this.stage.classList.add('is-loading');
+        this.image.src = this.getFullSource(source);
+        this.image.alt = source.alt;
+        this.renderCaption(source);
+        this.updateCounter();
+
+        this.modal.querySelectorAll('[data-gallery-action="prev"], [data-gallery-action="next"]').forEach(button => {
+            button.hidden = count < 2;
+        });
+    }
+
+    /**
+     * The full-size image didn't load - describe it (alt, else its caption)
+     * instead of leaving a dimmed, empty stage
+     */
+    showFallback() {
+        if (!this.image.getAttribute('src')) return;
+
+        const source = this.items[this.index];
+        const item = source && source.closest(this.options.itemSelector);
+        const caption = item && item.querySelector(this.options.captionSelector);
+
+        if (!this.fallback) {
+            this.fallback = document.createElement('p');
+            this.fallback.className = 'gallery-fallback';
+            this.stage.appendChild(this.fallback);
+        }
+        this.fallback.textContent = (source && source.alt) || (caption ? caption.textContent.replace(/\s+/g, ' ').trim() : '');
+        this.stage.classList.remove('is-loading');
+        this.stage.classList.add('is-broken');
+    }
+
+    updateCounter() {
+        if (!this.counter) return;
+        this.counter.textContent = t('gallery.counter', { index: this.index + 1, total: this.items.length }, '{index} / {total}');
+    }
+
+    /**
+     * data-full, or whatever the thumbnail shows (or will show, if it's still lazy)
+     */
+    getFullSource(img) {
+        return img.dataset.full || img.currentSrc || img.getAttribute('src') || img.dataset.src || '';
+    }
+
+    renderCaption(img) {
+        if (!this.caption) return;
+
+        const item = img.closest(this.options.itemSelector);
+        const source = item && item.querySelector(this.options.captionSelector);
+        this.caption.innerHTML = '';
+        this.caption.hidden = !source;
+        if (!source) return;
+
+        const heading = source.querySelector('h1, h2, h3, h4, h5, h6');
+        const text = source.querySelector('p');
+        if (heading) {
+            const title = document.createElement('strong');
+            title.className = 'gallery-caption-title';
+            title.textContent = heading.textContent.trim();
+            this.caption.appendChild(title);
+        }
+        // A caption without a heading or paragraph is used as it is
+        const description = text ? text.textContent.trim() : (heading ? '' : source.textContent.trim());
+        if (description) {
+            const span = document.createElement('span');
+            span.textContent = description;
+            this.caption.appendChild(span);
+        }
+    }
+
+    next() {
+        this.show(this.index + 1);
+    }
+
+    prev() {
+        this.show(this.index - 1);
+    }
+
+    reset() {
+        this.resetZoom();
+        this.stage.classList.remove('is-loading', 'is-broken');
+        this.image.removeAttribute('src');
+    }
+
+    // ---------- Zoom and pan ----------
+
+    /**
+     * Zooms to scale keeping point (px from the stage centre) where it is
+     */
+    zoomTo(scale, point = { x: 0, y: 0 }) {
+        const next = Math.min(Math.max(scale, 1), this.options.maxZoom);
+        const ratio = next / this.scale;
+
+        this.x = point.x - (point.x - this.x) * ratio;
+        this.y = point.y - (point.y - this.y) * ratio;
+        this.scale = next;
+        this.applyTransform();
+    }
+
+    zoomIn(point) {
+        this.zoomTo(this.scale * this.options.zoomStep, point);
+    }
+
+    zoomOut(point) {
+        this.zoomTo(this.scale / this.options.zoomStep, point);
+    }
+
+    resetZoom() {
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.applyTransform();
+    }
+
+    panBy(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.applyTransform();
+    }
+
+    isZoomed() {
+        return this.scale > 1;
+    }
+
+    /**
+     * Keeps the zoomed image covering the stage - it can't be dragged out of view
+     */
+    clampPan() {
+        const maxX = (this.image.offsetWidth * (this.scale - 1)) / 2;
+        const maxY = (this.image.offsetHeight * (this.scale - 1)) / 2;
+        this.x = Math.min(Math.max(this.x, -maxX), maxX);
+        this.y = Math.min(Math.max(this.y, -maxY), maxY);
+    }
+
+    applyTransform() {
+        this.clampPan();
+        this.image.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+        this.stage.classList.toggle('is-zoomed', this.isZoomed());
+
+        const zoomIn = this.modal.querySelector('[data-gallery-action="zoom-in"]');
+        const zoomOut = this.modal.querySelector('[data-gallery-action="zoom-out"]');
+        if (zoomIn) zoomIn.disabled = this.scale >= this.options.maxZoom;
+        if (zoomOut) zoomOut.disabled = !this.isZoomed();
+    }
+
+    /**
+     * Position of a pointer relative to the stage centre
+     */
+    getPoint(clientX, clientY) {
+        const rect = this.stage.getBoundingClientRect();
+        return {
+            x: clientX - (rect.left + rect.width / 2),
+            y: clientY - (rect.top + rect.height / 2)
+        };
+    }
+
+    // ---------- Input ----------
+
+    handleAction(action) {
+        const actions = {
+            prev: () => this.prev(),
+            next: () => this.next(),
+            'zoom-in': () => this.zoomIn(),
+            'zoom-out': () => this.zoomOut(),
+            reset: () => this.resetZoom()
+        };
+        if (actions[action]) actions[action]();
+    }
+
+    handleKeydown(event) {
+        if (Dialog.top() !== this.dialog) return;
+
+        const { panStep } = this.options;
+        const rtl = getDirection(getLocale()) === 'rtl';
+        const zoomed = this.isZoomed();
+        const actions = {
+            ArrowLeft: () => (zoomed ? this.panBy(panStep, 0) : (rtl ? this.next() : this.prev())),
+            ArrowRight: () => (zoomed ? this.panBy(-panStep, 0) : (rtl ? this.prev() : this.next())),
+            ArrowUp: () => zoomed && this.panBy(0, panStep),
+            ArrowDown: () => zoomed && this.panBy(0, -panStep),
+            Home: () => this.show(0),
+            End: () => this.show(this.items.length - 1),
+            '+': () => this.zoomIn(),
+            '=': () => this.zoomIn(),
+            '-': () => this.zoomOut(),
+            '0': () => this.resetZoom()
+        };
+
+        const action = actions[event.key];
+        // Typing in a field keeps its own keys
+        if (!action || event.target.closest('input, select, textarea')) return;
+
+        event.preventDefault();
+        action();
+    }
+
+    bindZoom() {
+        this.stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const point = this.getPoint(e.clientX, e.clientY);
+            if (e.deltaY < 0) {
+                this.zoomIn(point);
+            } else {
+                this.zoomOut(point);
+            }
+        }, { passive: false });
+
+        this.stage.addEventListener('dblclick', (e) => {
+            if (this.isZoomed()) {
+                this.resetZoom();
+            } else {
+                this.zoomTo(2, this.getPoint(e.clientX, e.clientY));
+            }
+        });
+
+        // Mouse drag pans a zoomed image
+        let drag = null;
+        const move = (e) => {
+            if (!drag) return;
+            this.x = drag.x + e.clientX - drag.startX;
+            this.y = drag.y + e.clientY - drag.startY;
+            this.applyTransform();
+        };
+        const end = () => {
+            drag = null;
+            this.stage.classList.remove('is-dragging');
+            window.removeEventListener('mousemove', move);
+            window.removeEventListener('mouseup', end);
+        };
+
+        this.stage.addEventListener('mousedown', (e) => {
+            if (!this.isZoomed() || e.button !== 0) return;
+            e.preventDefault();
+            drag = { startX: e.clientX, startY: e.clientY, x: this.x, y: this.y };
+            this.stage.classList.add('is-dragging');
+            window.addEventListener('mousemove', move);
+            window.addEventListener('mouseup', end);
+        });
+    }
+
+    bindTouch() {
+        let gesture = null;
+        let lastTap = 0;
+
+        const distance = (touches) => Math.hypot(
+            touches[0].clientX - touches[1].clientX,
+            touches[0].clientY - touches[1].clientY
+        );
+
+        this.stage.addEventListener('touchstart', (e) => {
+            if (e.touches.length === 2) {
+                gesture = {
+                    type: 'pinch',
+                    distance: distance(e.touches),
+                    scale: this.scale,
+                    point: this.getPoint(
+                        (e.touches[0].clientX + e.touches[1].clientX) / 2,
+                        (e.touches[0].clientY + e.touches[1].clientY) / 2
+                    )
+                };
+                return;
+            }
+
+            const touch = e.touches[0];
+            gesture = { type: 'drag', startX: touch.clientX, startY: touch.clientY, x: this.x, y: this.y, moved: false };
+        }, { passive: true });
+
+        this.stage.addEventListener('touchmove', (e) => {
+            if (!gesture) return;
+
+            if (gesture.type === 'pinch' && e.touches.length === 2) {
+                e.preventDefault();
+                this.zoomTo(gesture.scale * (distance(e.touches) / gesture.distance), gesture.point);
+                return;
+            }
+
+            if (gesture.type === 'drag') {
+                const touch = e.touches[0];
+                gesture.moved = true;
+                // Not zoomed: let the swipe play out and decide on touchend
+                if (!this.isZoomed()) return;
+                e.preventDefault();
+                this.x = gesture.x + touch.clientX - gesture.startX;
+                this.y = gesture.y + touch.clientY - gesture.startY;
+                this.applyTransform();
+            }
+        }, { passive: false });
+
+        this.stage.addEventListener('touchend', (e) => {
+            const current = gesture;
+            gesture = null;
+            if (!current || current.type !== 'drag') return;
+
+            const touch = e.changedTouches[0];
+            const dx = touch.clientX - current.startX;
+            const dy = touch.clientY - current.startY;
+
+            if (!current.moved || (Math.abs(dx) < 10 && Math.abs(dy) < 10)) {
+                // Double tap toggles zoom, like double-click
+                const now = Date.now();
+                if (now - lastTap < 300) {
+                    if (this.isZoomed()) {
+                        this.resetZoom();
+                    } else {
+                        this.zoomTo(2, this.getPoint(touch.clientX, touch.clientY));
+                    }
+                    lastTap = 0;
+                } else {
+                    lastTap = now;
+                }
+                return;
+            }
+
+            if (this.isZoomed() || Math.abs(dx) < this.options.swipeThreshold || Math.abs(dx) < Math.abs(dy)) return;
+
+            const forward = getDirection(getLocale()) === 'rtl' ? dx > 0 : dx < 0;
+            if (forward) {
+                this.next();
+            } else {
+                this.prev();
+            }
+        }, { passive: true });
+    }
+}
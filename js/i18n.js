@@ -0,0 +1,382 @@
+import { trackEvent, storageSet } from './utils.js';
+import { reportDiagnostic } from './diagnostics.js';
+import { FormValidator } from './forms.js';
+
+// ===================================
+// INTERNATIONALIZATION
+// ===================================
+
+/**
+ * Supported locales
+ *
+ * The page is written in the source locale (<html lang>, English), so that
+ * one needs no bundle - its copy is the markup itself. Every other locale's
+ * messages are fetched from options.path ("locales/es.json") the first time
+ * it's used, or registered inline with I18n.registerLocale(code, { label, messages }).
+ *
+ * dir is worked out from the language ('ar', 'he', 'fa', 'ur' are right-to-left)
+ * unless a definition sets it.
+ */
+export const LOCALES = {
+    en: { label: 'English' },
+    es: { label: 'Español' },
+    fr: { label: 'Français' }
+};
+
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur'];
+
+/**
+ * Current page locale (<html lang>, kept up to date by I18n)
+ */
+export function getLocale() {
+    return document.documentElement.lang || 'en';
+}
+
+export function getDirection(locale) {
+    const definition = LOCALES[locale];
+    if (definition && definition.dir) return definition.dir;
+    return RTL_LANGUAGES.includes(locale.split('-')[0]) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Translates a message key for modules that build copy in JS
+ * fallback is the source-locale text, used until a bundle has the key
+ * (and always when I18n isn't running on the page)
+ *
+ * t('faq.noResults', { query }, 'No questions match "{query}"')
+ * t('faq.results', { count }, { one: '{count} question matches', other: '{count} questions match' })
+ */
+export function t(key, params = {}, fallback = key) {
+    if (window.i18n) return window.i18n.t(key, params, fallback);
+    return formatMessage(fallback, params, getLocale());
+}
+
+export function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(getLocale(), options).format(value);
+}
+
+export function formatCurrency(value, currency, options = {}) {
+    return formatNumber(value, { style: 'currency', currency, ...options });
+}
+
+export function formatDate(date, options = { dateStyle: 'medium' }) {
+    return new Intl.DateTimeFormat(getLocale(), options).format(date instanceof Date ? date : new Date(date));
+}
+
+/**
+ * Fills {placeholders} (numbers formatted for the locale) and picks the
+ * plural form when the message is an object like { one, other } (by params.count)
+ */
+export function formatMessage(message, params = {}, locale = getLocale()) {
+    let template = message;
+
+    if (template && typeof template === 'object') {
+        const count = Number(params.count);
+        const category = count === 0 && 'zero' in template ? 'zero' : new Intl.PluralRules(locale).select(count);
+        template = template[category] ?? template.other ?? '';
+    }
+
+    return String(template).replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? new Intl.NumberFormat(locale).format(value) : String(value);
+    });
+}
+
+/**
+ * Translates the page and switches language at runtime
+ *
+ * MARKUP:
+ * <a data-i18n="nav.pricing">Pricing</a>                            - text
+ * <h2 data-i18n="pricing.title" data-i18n-html>Simple, <span>...</span></h2>   - trusted HTML from your own bundles
+ * <input data-i18n-attr="placeholder:faq.searchPlaceholder; aria-label:faq.searchLabel">
+ * <p data-i18n="faq.count" data-i18n-params='{"count": 6}'>6 questions</p>
+ * <select data-locale-switcher></select>                            - filled with LOCALES
+ * data-i18n replaces the element's whole content - put it on a <span> when
+ * the element also holds icons. Leave it off elements with data-experiment,
+ * whose copy belongs to the experiment.
+ *
+ * BUNDLES (locales/es.json):
+ * { "nav": { "pricing": "Precios" }, "faq": { "count": { "one": "...", "other": "..." } },
+ *   "validation": { "required": "..." } }    <- handed to FormValidator.addMessages
+ * Keys missing from a bundle keep the source-locale copy.
+ *
+ * Resolution order: ?lang= preview > saved choice > browser languages (options.detect)
+ * > source locale. Saving the choice needs 'preferences' consent.
+ * Mounted through ComponentLifecycle, so content added later is translated too.
+ *
+ * EVENTS:
+ * 'i18n:change' on document, detail { locale, dir, source }
+ * (source: 'init' | 'user' | 'preview'), or use onChange(callback).
+ */
+export class I18n {
+    constructor(options = {}) {
+        this.options = {
+            path: 'locales/{locale}.json',
+            storageKey: 'locale',
+            urlParam: 'lang',
+            sourceLocale: document.documentElement.lang || 'en',
+            detect: true,
+            switcherSelector: '[data-locale-switcher]',
+            ...options
+        };
+
+        this.selector = '[data-i18n], [data-i18n-attr]';
+        this.locale = this.options.sourceLocale;
+        this.bundles = new Map();
+        // element -> source-locale copy, restored when a bundle lacks a key
+        this.originals = new WeakMap();
+        this.elements = new Set();
+        this.listeners = [];
+        this.missing = new Set();
+        this.requestId = 0;
+        this.init();
+    }
+
+    init() {
+        this.setupSwitchers();
+
+        const preview = this.resolveLocale(new URLSearchParams(window.location.search).get(this.options.urlParam));
+        const initial = preview || this.getStoredLocale() || this.getBrowserLocale() || this.options.sourceLocale;
+
+        this.ready = this.setLocale(initial, { persist: false, source: preview ? 'preview' : 'init' });
+    }
+
+    mount(element) {
+        this.elements.add(element);
+        this.translateElement(element);
+    }
+
+    unmount(element) {
+        this.elements.delete(element);
+    }
+
+    destroy() {
+        this.elements.clear();
+    }
+
+    // ---------- Locale selection ----------
+
+    /**
+     * Supported locale for a requested one ('fr-CA' -> 'fr'), or null
+     */
+    resolveLocale(requested) {
+        if (!requested) return null;
+        if (LOCALES[requested]) return requested;
+
+        const language = requested.split('-')[0].toLowerCase();
+        return LOCALES[language] ? language : null;
+    }
+
+    getStoredLocale() {
+        try {
+            return this.resolveLocale(localStorage.getItem(this.options.storageKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getBrowserLocale() {
+        if (!this.options.detect) return null;
+
+        const languages = navigator.languages || [navigator.language];
+        for (const language of languages) {
+            const locale = this.resolveLocale(language);
+            if (locale) return locale;
+        }
+        return null;
+    }
+
+    /**
+     * Loads the locale's bundle and translates the page
+     * Resolves false (keeping the current locale) when it's unsupported or its bundle can't load
+     */
+    async setLocale(requested, { persist = true, source = 'user' } = {}) {
+        const locale = this.resolveLocale(requested);
+        if (!locale) {
+            reportDiagnostic('warn', 'I18n', `unsupported locale "${requested}"`);
+            return false;
+        }
+
+        // Only the latest request wins when the visitor switches quickly
+        const requestId = ++this.requestId;
+
+        try {
+            await this.loadBundle(locale);
+        } catch (error) {
+            reportDiagnostic('warn', 'I18n', `could not load the ${locale} bundle, keeping ${this.locale}`, { error });
+            return false;
+        }
+        if (requestId !== this.requestId) return false;
+
+        const previous = document.documentElement.lang;
+        const dir = getDirection(locale);
+        this.locale = locale;
+        document.documentElement.lang = locale;
+        document.documentElement.dir = dir;
+
+        this.elements.forEach(element => this.translateElement(element));
+        this.updateSwitchers();
+
+        if (persist) storageSet(this.options.storageKey, locale, 'preferences');
+
+        if (previous !== locale || source === 'init' || source === 'preview') {
+            this.emit({ locale, dir, source });
+        }
+        return true;
+    }
+
+    getLocales() {
+        return Object.keys(LOCALES).map(code => ({ code, label: LOCALES[code].label || code, dir: getDirection(code) }));
+    }
+
+    // ---------- Bundles ----------
+
+    async loadBundle(locale) {
+        if (this.bundles.has(locale)) return this.bundles.get(locale);
+
+        const inline = LOCALES[locale].messages || {};
+        let messages = inline;
+
+        if (locale !== this.options.sourceLocale && this.options.path && !LOCALES[locale].messages) {
+            const response = await fetch(this.options.path.replace('{locale}', locale), {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) throw new Error(`Bundle request failed with ${response.status}`);
+            messages = await response.json();
+        }
+
+        if (messages.validation) FormValidator.addMessages(locale, messages.validation);
+
+        this.bundles.set(locale, messages);
+        return messages;
+    }
+
+    /**
+     * Message for a dotted key in the current bundle, or undefined
+     */
+    lookup(key) {
+        const bundle = this.bundles.get(this.locale);
+        if (!bundle) return undefined;
+        if (key in bundle) return bundle[key];
+
+        const message = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+        if (message === undefined && this.locale !== this.options.sourceLocale && !this.missing.has(`${this.locale}:${key}`)) {
+            this.missing.add(`${this.locale}:${key}`);
+            reportDiagnostic('info', 'I18n', `"${key}" is missing from the ${this.locale} bundle`);
+        }
+        return message;
+    }
+
+    t(key, params = {}, fallback = key) {
+        const message = this.lookup(key);
+        return formatMessage(message === undefined ? fallback : message, params, this.locale);
+    }
+
+    // ---------- DOM ----------
+
+    translateElement(element) {
+        const original = this.getOriginal(element);
+        const params = this.getParams(element);
+
+        if (element.dataset.i18n) {
+            const html = element.hasAttribute('data-i18n-html');
+            const message = this.lookup(element.dataset.i18n);
+            const content = message === undefined ? original.content : formatMessage(message, params, this.locale);
+
+            if (html && element.innerHTML !== content) {
+                element.innerHTML = content;
+            } else if (!html && element.textContent !== content) {
+                element.textContent = content;
+            }
+        }
+
+        Object.entries(original.attributes).forEach(([name, { key, value }]) => {
+            const message = this.lookup(key);
+            element.setAttribute(name, message === undefined ? value : formatMessage(message, params, this.locale));
+        });
+    }
+
+    /**
+     * The element's copy as first seen (in the source locale)
+     */
+    getOriginal(element) {
+        if (this.originals.has(element)) return this.originals.get(element);
+
+        const attributes = {};
+        (element.dataset.i18nAttr || '').split(';').forEach(pair => {
+            const [name, key] = pair.split(':').map(part => part.trim());
+            if (name && key) attributes[name] = { key, value: element.getAttribute(name) || '' };
+        });
+
+        const original = {
+            content: element.hasAttribute('data-i18n-html') ? element.innerHTML : element.textContent,
+            attributes
+        };
+        this.originals.set(element, original);
+        return original;
+    }
+
+    getParams(element) {
+        if (!element.dataset.i18nParams) return {};
+
+        try {
+            return JSON.parse(element.dataset.i18nParams);
+        } catch (error) {
+            reportDiagnostic('warn', 'I18n', `invalid data-i18n-params on [data-i18n="${element.dataset.i18n}"]`);
+            return {};
+        }
+    }
+
+    // ---------- Switcher ----------
+
+    setupSwitchers() {
+        this.switchers = Array.from(document.querySelectorAll(this.options.switcherSelector));
+
+        this.switchers.forEach(select => {
+            if (!select.options.length) {
+                this.getLocales().forEach(({ code, label }) => {
+                    const option = document.createElement('option');
+                    option.value = code;
+                    option.lang = code;
+                    option.textContent = label;
+                    select.appendChild(option);
+                });
+            }
+
+            // Hidden in the markup so visitors without JS don't see a dead control
+            select.hidden = false;
+            select.addEventListener('change', () => {
+                this.setLocale(select.value);
+                trackEvent('locale_change', { locale: select.value });
+            });
+        });
+    }
+
+    updateSwitchers() {
+        this.switchers.forEach(select => {
+            select.value = this.locale;
+        });
+    }
+
+    // ---------- Events ----------
+
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    emit(detail) {
+        this.listeners.forEach(listener => listener(detail));
+        document.dispatchEvent(new CustomEvent('i18n:change', { detail }));
+    }
+
+    /**
+     * Adds or extends a locale; messages are used instead of fetching its bundle
+     */
+    static registerLocale(code, definition = {}) {
+        LOCALES[code] = { ...(LOCALES[code] || {}), ...definition };
+    }
+}
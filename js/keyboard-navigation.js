@@ -0,0 +1,85 @@
+import { reportMissing } from './diagnostics.js';
+import { Dialog } from './dialog.js';
+import { t } from './i18n.js';
+
+// ===================================
+// KEYBOARD NAVIGATION
+// ===================================
+
+/**
+ * Enhanced keyboard navigation support
+ * Improves accessibility across the site
+ */
+export class KeyboardNavigation {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        // Handle Escape key to close dialogs, FAQs, etc.
+        // (dialogs trap focus themselves - see dialog.js)
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.handleEscape();
+            }
+        });
+        
+        // Add skip-to-content link functionality
+        this.setupSkipLink();
+    }
+
+    handleEscape() {
+        // Escape inside a dialog is handled by the dialog; this catches it when
+        // focus has ended up on the page (e.g. after clicking a non-focusable area)
+        const dialog = Dialog.top();
+        if (dialog) {
+            if (dialog.options.closeOnEscape) dialog.close('escape');
+            return;
+        }
+
+        // Close all open FAQs through the accordion, so its deep link goes too
+        const faq = window.lifecycle && window.lifecycle.get('faq');
+        if (faq) faq.closeAllFAQs();
+    }
+
+    setupSkipLink() {
+        // Add invisible skip-to-content link for screen readers
+        // This is a best practice for accessibility
+        const skipLink = document.createElement('a');
+        skipLink.href = '#main-content';
+        skipLink.textContent = t('a11y.skipLink', {}, 'Skip to main content');
+        // Picked up by I18n, so it follows runtime language switches
+        skipLink.dataset.i18n = 'a11y.skipLink';
+        skipLink.className = 'skip-link';
+        skipLink.style.cssText = `
+            position: absolute;
+            top: -40px;
+            inset-inline-start: 0;
+            background: var(--accent-blue);
+            color: white;
+            padding: 8px;
+            text-decoration: none;
+            z-index: 10000;
+        `;
+        
+        skipLink.addEventListener('focus', () => {
+            skipLink.style.top = '0';
+        });
+        
+        skipLink.addEventListener('blur', () => {
+            skipLink.style.top = '-40px';
+        });
+        
+        document.body.prepend(skipLink);
+        
+        // Add id to hero section if not exists
+        const hero = document.querySelector('.hero');
+        if (hero && !hero.id) {
+            hero.id = 'main-content';
+        }
+
+        if (!document.getElementById('main-content')) {
+            reportMissing('KeyboardNavigation', '#main-content', 'the skip link has no target');
+        }
+    }
+}
@@ -0,0 +1,212 @@
+import { reportDiagnostic } from './diagnostics.js';
+
+// ===================================
+// LAZY LOADING IMAGES
+// ===================================
+
+/**
+ * Lazy loads images and background images as they near the viewport
+ *
+ * MARKUP:
+ * <img data-src="photo.jpg" alt="...">                                      - plain
+ * <img data-src="photo-800.jpg" data-srcset="photo-400.jpg 400w, photo-800.jpg 800w"
+ *      data-sizes="(min-width: 768px) 50vw, 100vw" alt="...">               - responsive
+ * <picture>
+ *   <source type="image/avif" data-srcset="photo.avif">                       - each source's
+ *   <img data-src="photo.jpg" alt="...">                                      data-srcset too
+ * </picture>
+ * <img class="lazy-blur" src="photo-tiny.jpg" data-src="photo.jpg" alt="...">  - blur-up: the tiny
+ *                                                   placeholder stays blurred until the full image loads
+ * <div class="hero-media" data-bg="photo.jpg"></div>                          - background-image
+ * Elements with data-consent are left to ConsentManager.
+ *
+ * OPTIONS:
+ * - rootMargin: how far outside the viewport loading starts (IntersectionObserver syntax)
+ * - retries / retryDelay: a failed image is tried again this many times, waiting
+ *   retryDelay ms, doubled each time (flaky mobile connections)
+ *
+ * CLASSES: lazy-loading while it loads, then lazy-loaded or lazy-error (plus lazy-bg on backgrounds)
+ * EVENTS: 'lazy:loaded' and 'lazy:error' on the element (bubbles)
+ */
+export class LazyLoader {
+    constructor(options = {}) {
+        this.options = {
+            rootMargin: '200px 0px',
+            retries: 2,
+            retryDelay: 1000,
+            ...options
+        };
+
+        // Consent-gated images also use data-src - ConsentManager loads those
+        this.selector = 'img[data-src]:not([data-consent]), img[data-srcset]:not([data-consent]), [data-bg]:not([data-consent])';
+        // element -> { src, srcset, sizes, sources, attempts }, kept for retries once the data-* are gone
+        this.pending = new WeakMap();
+        this.images = document.querySelectorAll(this.selector);
+        this.init();
+    }
+
+    init() {
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.loadImage(entry.target);
+                        this.observer.unobserve(entry.target);
+                    }
+                });
+            }, { rootMargin: this.options.rootMargin });
+        }
+
+        this.images.forEach(img => this.mount(img));
+    }
+
+    mount(img) {
+        if (!this.observer) {
+            // Fallback: load all images immediately
+            this.loadImage(img);
+            return;
+        }
+        this.observer.observe(img);
+    }
+
+    unmount(img) {
+        if (this.observer) this.observer.unobserve(img);
+    }
+
+    destroy() {
+        if (this.observer) this.observer.disconnect();
+    }
+
+    loadImage(element) {
+        if (this.pending.has(element)) return;
+
+        const picture = element.parentElement && element.parentElement.tagName === 'PICTURE' ? element.parentElement : null;
+        const request = {
+            src: element.getAttribute('data-src'),
+            srcset: element.getAttribute('data-srcset'),
+            sizes: element.getAttribute('data-sizes'),
+            bg: element.getAttribute('data-bg'),
+            sources: picture
+                ? Array.from(picture.querySelectorAll('source[data-srcset]')).map(source => ({
+                    source,
+                    srcset: source.getAttribute('data-srcset'),
+                    sizes: source.getAttribute('data-sizes')
+                }))
+                : [],
+            // Blur-up placeholder already on the image, if any
+            placeholder: element.hasAttribute('src') ? element.src : null,
+            attempts: 0
+        };
+        if (!request.src && !request.srcset && !request.bg && !request.sources.length) return;
+        this.pending.set(element, request);
+
+        ['data-src', 'data-srcset', 'data-sizes', 'data-bg'].forEach(name => element.removeAttribute(name));
+        request.sources.forEach(({ source }) => {
+            source.removeAttribute('data-srcset');
+            source.removeAttribute('data-sizes');
+        });
+
+        element.classList.add('lazy-loading');
+
+        if (request.bg) {
+            element.classList.add('lazy-bg');
+            this.loadBackground(element, request);
+        } else {
+            this.watch(element, request);
+            this.applySources(element, request);
+        }
+    }
+
+    /**
+     * Waits for the outcome of one source swap - attached right before it and
+     * removed as soon as it's known, so neither a late placeholder load nor
+     * events between retries can settle the image
+     */
+    watch(img, request) {
+        const cleanup = () => {
+            img.removeEventListener('load', handleLoad);
+            img.removeEventListener('error', handleError);
+        };
+        const handleLoad = () => {
+            cleanup();
+            // Still showing the placeholder - keep waiting for the full image
+            if (request.placeholder && img.currentSrc === request.placeholder) {
+                this.watch(img, request);
+                return;
+            }
+            this.handleLoad(img);
+        };
+        const handleError = () => {
+            cleanup();
+            this.handleError(img);
+        };
+
+        img.addEventListener('load', handleLoad, { once: true });
+        img.addEventListener('error', handleError, { once: true });
+    }
+
+    /**
+     * Sources go on before src, so the browser picks from srcset straight away
+     */
+    applySources(img, request) {
+        request.sources.forEach(({ source, srcset, sizes }) => {
+            if (sizes) source.sizes = sizes;
+            source.srcset = srcset;
+        });
+        if (request.sizes) img.sizes = request.sizes;
+        if (request.srcset) img.srcset = request.srcset;
+        if (request.src) img.src = request.src;
+    }
+
+    /**
+     * Backgrounds are fetched through a detached image first - a CSS
+     * background has no load or error event of its own
+     */
+    loadBackground(element, request) {
+        const probe = document.createElement('img');
+        probe.addEventListener('load', () => {
+            element.style.backgroundImage = `url("${request.bg.replace(/"/g, '\\"')}")`;
+            this.handleLoad(element);
+        });
+        probe.addEventListener('error', () => this.handleError(element));
+        probe.src = request.bg;
+    }
+
+    handleLoad(element) {
+        element.classList.remove('lazy-loading');
+        element.classList.add('lazy-loaded');
+        this.pending.delete(element);
+        element.dispatchEvent(new CustomEvent('lazy:loaded', { bubbles: true }));
+    }
+
+    handleError(element) {
+        const request = this.pending.get(element);
+        if (!request) return;
+
+        if (request.attempts < this.options.retries) {
+            const delay = this.options.retryDelay * 2 ** request.attempts;
+            request.attempts++;
+            setTimeout(() => this.retry(element, request), delay);
+            return;
+        }
+
+        element.classList.remove('lazy-loading');
+        element.classList.add('lazy-error');
+        this.pending.delete(element);
+        reportDiagnostic('warn', 'LazyLoader', `could not load ${request.bg || request.src || request.srcset} after ${request.attempts + 1} attempts`);
+        element.dispatchEvent(new CustomEvent('lazy:error', { bubbles: true }));
+    }
+
+    retry(element, request) {
+        if (request.bg) {
+            this.loadBackground(element, request);
+            return;
+        }
+
+        // Setting the same URL again doesn't make the browser re-request it
+        element.removeAttribute('src');
+        element.removeAttribute('srcset');
+        this.watch(element, request);
+        this.applySources(element, request);
+    }
+}
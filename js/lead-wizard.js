@@ -0,0 +1,393 @@
+import { FormValidator } from './forms.js';
+import { debounce, storageSet } from './utils.js';
+import { Dialog } from './dialog.js';
+import { t } from './i18n.js';
+import { reportMissing } from './diagnostics.js';
+
+// ===================================
+// LEAD QUALIFICATION WIZARD
+// ===================================
+
+/**
+ * Multi-step lead qualification wizard shown in a modal Dialog
+ * Opened by buttons with data-action="open-form"
+ *
+ * MARKUP:
+ * <div class="modal" id="leadWizard" hidden>
+ *   <div class="modal-dialog" role="dialog" aria-modal="true" aria-labelledby="...">
+ *     <form>
+ *       <fieldset class="wizard-step" data-step="size">...</fieldset>
+ *       <fieldset class="wizard-step" data-step="migration" data-when="currentCrm!=none">...</fieldset>
+ *       <button data-wizard-prev>Back</button>
+ *       <button data-wizard-next>Next</button>
+ *       <button type="submit">Submit</button>
+ *     </form>
+ *   </div>
+ * </div>
+ *
+ * BRANCHING:
+ * data-when="field=value" or "field!=value" (alternatives separated by |)
+ * Steps whose condition fails are skipped and their fieldset is disabled,
+ * so FormValidator neither validates nor submits them.
+ *
+ * - The opener's data-plan / data-billing / data-currency (pricing CTAs) fill the
+ *   matching hidden inputs and preselect the budget tier
+ * - Each step is validated through FormValidator before moving on
+ * - Answers and the current step are saved in localStorage and restored on refresh
+ *   (only with 'preferences' consent). Contact details - email, phone, name
+ *   (options.unsavedSelector) - are never saved
+ * - Fires wizard:open, wizard:step { step, index, total } and wizard:close on the modal
+ */
+export class LeadWizard {
+    constructor(modalSelector = '#leadWizard', options = {}) {
+        this.modal = document.querySelector(modalSelector);
+        if (!this.modal) {
+            reportMissing('LeadWizard', modalSelector, 'open-form buttons have nothing to open', 'info');
+            return;
+        }
+
+        this.form = this.modal.querySelector('form');
+        this.steps = Array.from(this.modal.querySelectorAll('.wizard-step'));
+        if (!this.form || !this.steps.length) {
+            reportMissing('LeadWizard', `${modalSelector} ${this.form ? '.wizard-step' : 'form'}`, 'the wizard is off');
+            this.modal = null;
+            return;
+        }
+
+        this.options = {
+            endpoint: null,
+            storageKey: 'leadWizardProgress',
+            // Contact details never go into the saved draft
+            unsavedSelector: '[type="email"], [type="tel"], [type="password"], [autocomplete~="name"], [data-no-save]',
+            ...options
+        };
+
+        this.currentStep = this.steps[0];
+        this.opener = null;
+        this.isComplete = false;
+
+        this.init();
+    }
+
+    init() {
+        // Registered before FormValidator's listener: Enter on an earlier step
+        // advances the wizard instead of submitting the whole form
+        this.form.addEventListener('submit', (e) => {
+            if (!this.isLastStep()) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.next();
+            }
+        });
+
+        this.validator = new FormValidator(this.form, { endpoint: this.options.endpoint });
+
+        this.modal.querySelector('[data-wizard-next]')?.addEventListener('click', () => this.next());
+        this.modal.querySelector('[data-wizard-prev]')?.addEventListener('click', () => this.prev());
+        this.modal.querySelectorAll('[data-wizard-close]').forEach(button => {
+            button.addEventListener('click', () => this.close());
+        });
+
+        // Escape and backdrop clicks close it through the Dialog too
+        this.dialog = new Dialog(this.modal, {
+            initialFocus: () => this.getFocusTarget(this.currentStep),
+            onClose: () => this.dispatch('wizard:close', { step: this.currentStep.dataset.step, completed: this.isComplete })
+        });
+
+        this.form.addEventListener('change', () => {
+            this.applyBranching();
+            this.updateProgress();
+            this.saveProgress();
+        });
+        this.form.addEventListener('input', debounce(() => this.saveProgress(), 300));
+        this.form.addEventListener('form:success', () => this.handleSuccess());
+
+        this.restoreProgress();
+        this.applyBranching();
+        this.showStep(this.currentStep, false);
+    }
+
+    open(opener) {
+        if (this.isComplete) this.reset();
+
+        this.opener = opener || document.activeElement;
+        this.applySelectedPlan(this.opener);
+
+        this.dialog.open(this.opener);
+        this.dispatch('wizard:open', { step: this.currentStep.dataset.step });
+    }
+
+    close() {
+        this.dialog.close();
+    }
+
+    isOpen() {
+        return this.dialog.isOpen();
+    }
+
+    /**
+     * Carries the plan chosen on a pricing card into the form
+     */
+    applySelectedPlan(opener) {
+        if (!opener || !opener.dataset || !opener.dataset.plan) return;
+
+        ['plan', 'billing', 'currency'].forEach(name => {
+            const input = this.form.querySelector(`input[type="hidden"][name="${name}"]`);
+            if (input && opener.dataset[name]) input.value = opener.dataset[name];
+        });
+
+        const tiers = this.form.elements.namedItem('budgetTier');
+        if (tiers && !tiers.value) {
+            tiers.value = opener.dataset.plan;
+            this.applyBranching();
+            this.updateProgress();
+        }
+
+        const summary = this.modal.querySelector('.wizard-plan');
+        if (summary) {
+            const card = opener.closest('.pricing-card');
+            const planName = card?.querySelector('.pricing-title')?.textContent || opener.dataset.plan;
+            summary.textContent = opener.dataset.billing === 'annual'
+                ? t('wizard.selectedPlanAnnual', { plan: planName }, 'Selected plan: {plan} (billed annually)')
+                : t('wizard.selectedPlan', { plan: planName }, 'Selected plan: {plan}');
+            summary.hidden = false;
+        }
+
+        this.saveProgress();
+    }
+
+    // ---------- Navigation ----------
+
+    async next() {
+        const fieldNames = this.getStepFieldNames(this.currentStep);
+        const isValid = await this.validator.validateFields(fieldNames);
+
+        if (!isValid) {
+            this.validator.focusFirstError();
+            return;
+        }
+
+        const activeSteps = this.getActiveSteps();
+        const nextStep = activeSteps[activeSteps.indexOf(this.currentStep) + 1];
+        if (nextStep) this.showStep(nextStep);
+    }
+
+    prev() {
+        const activeSteps = this.getActiveSteps();
+        const prevStep = activeSteps[activeSteps.indexOf(this.currentStep) - 1];
+        if (prevStep) this.showStep(prevStep);
+    }
+
+    showStep(step, moveFocus = true) {
+        this.currentStep = step;
+
+        this.steps.forEach(s => {
+            s.hidden = s !== step;
+        });
+
+        this.updateProgress();
+        this.updateControls();
+        this.saveProgress();
+
+        if (moveFocus) this.focusStep(step);
+
+        const activeSteps = this.getActiveSteps();
+        this.dispatch('wizard:step', {
+            step: step.dataset.step,
+            index: activeSteps.indexOf(step),
+            total: activeSteps.length
+        });
+    }
+
+    focusStep(step) {
+        const focusTarget = this.getFocusTarget(step);
+        if (focusTarget) focusTarget.focus();
+    }
+
+    getFocusTarget(step) {
+        return step.querySelector('input:checked, input, select, textarea');
+    }
+
+    isLastStep() {
+        const activeSteps = this.getActiveSteps();
+        return this.currentStep === activeSteps[activeSteps.length - 1];
+    }
+
+    // ---------- Branching ----------
+
+    getActiveSteps() {
+        const data = this.validator.getFormData();
+        return this.steps.filter(step => this.isStepActive(step, data));
+    }
+
+    /**
+     * Evaluates data-when="field=value|other" / "field!=value"
+     * Note: reads values straight from the inputs, since FormData skips disabled steps
+     */
+    isStepActive(step, data) {
+        const condition = step.dataset.when;
+        if (!condition) return true;
+
+        const match = condition.match(/^([\w-]+)\s*(!?=)\s*(.+)$/);
+        if (!match) return true;
+
+        const [, field, operator, values] = match;
+        const input = this.form.elements.namedItem(field);
+        const value = input ? input.value : (data[field] || '');
+        const isMatch = values.split('|').map(v => v.trim()).includes(value);
+
+        return operator === '=' ? isMatch : !isMatch;
+    }
+
+    /**
+     * Disables skipped steps so their fields are neither validated nor submitted
+     */
+    applyBranching() {
+        const data = this.validator.getFormData();
+        this.steps.forEach(step => {
+            step.disabled = !this.isStepActive(step, data);
+        });
+        this.updateControls();
+    }
+
+    getStepFieldNames(step) {
+        const names = Array.from(step.querySelectorAll('[name]')).map(el => el.name);
+        return Array.from(new Set(names));
+    }
+
+    // ---------- UI ----------
+
+    updateProgress() {
+        const activeSteps = this.getActiveSteps();
+        const current = activeSteps.indexOf(this.currentStep) + 1;
+        const total = activeSteps.length;
+        const label = t('wizard.progress', { current, total }, 'Step {current} of {total}');
+
+        const progress = this.modal.querySelector('.wizard-progress');
+        if (progress) {
+            progress.setAttribute('aria-valuenow', current);
+            progress.setAttribute('aria-valuemax', total);
+            progress.setAttribute('aria-valuetext', label);
+        }
+
+        const bar = this.modal.querySelector('.wizard-progress-bar');
+        if (bar) bar.style.width = `${(current / total) * 100}%`;
+
+        const text = this.modal.querySelector('.wizard-progress-label');
+        if (text) text.textContent = label;
+    }
+
+    updateControls() {
+        const activeSteps = this.getActiveSteps();
+        const isFirst = this.currentStep === activeSteps[0];
+        const isLast = this.isLastStep();
+
+        const prevButton = this.modal.querySelector('[data-wizard-prev]');
+        const nextButton = this.modal.querySelector('[data-wizard-next]');
+        const submitButton = this.form.querySelector('[type="submit"]');
+
+        if (prevButton) prevButton.hidden = isFirst;
+        if (nextButton) nextButton.hidden = isLast;
+        if (submitButton) submitButton.hidden = !isLast;
+    }
+
+    handleSuccess() {
+        this.isComplete = true;
+        this.clearProgress();
+
+        this.form.hidden = true;
+        const success = this.modal.querySelector('.wizard-success');
+        if (success) {
+            success.hidden = false;
+            success.focus();
+        }
+        this.dispatch('wizard:complete', { data: this.validator.getFormData() });
+    }
+
+    reset() {
+        this.form.reset();
+        this.validator.clearErrors();
+        this.validator.setStatus('idle', '');
+        this.isComplete = false;
+
+        this.form.hidden = false;
+        const success = this.modal.querySelector('.wizard-success');
+        if (success) success.hidden = true;
+
+        this.applyBranching();
+        this.showStep(this.steps[0], false);
+    }
+
+    // ---------- Saved progress ----------
+
+    saveProgress() {
+        if (this.isComplete) return;
+
+        storageSet(this.options.storageKey, JSON.stringify({
+            step: this.currentStep.dataset.step,
+            data: this.getAllValues()
+        }), 'preferences');
+    }
+
+    restoreProgress() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.options.storageKey));
+        } catch (error) {
+            return;
+        }
+        if (!saved || !saved.data) return;
+
+        Array.from(this.form.elements).forEach(el => {
+            if (!el.name || !(el.name in saved.data) || this.isUnsaved(el)) return;
+
+            const value = saved.data[el.name];
+            if (el.type === 'radio' || el.type === 'checkbox') {
+                // Checkbox groups are saved as a list of the checked values
+                el.checked = [].concat(value).includes(el.value);
+            } else {
+                el.value = value;
+            }
+        });
+
+        const step = this.steps.find(s => s.dataset.step === saved.step);
+        if (step) this.currentStep = step;
+    }
+
+    clearProgress() {
+        try {
+            localStorage.removeItem(this.options.storageKey);
+        } catch (error) {
+            // Nothing to clear
+        }
+    }
+
+    /**
+     * Like FormData, but includes fields in currently skipped steps
+     * so answers survive toggling a branch off and on again
+     * Contact fields (options.unsavedSelector) are left out
+     */
+    getAllValues() {
+        const values = {};
+        Array.from(this.form.elements).forEach(el => {
+            if (!el.name || this.isUnsaved(el)) return;
+
+            if (el.type === 'checkbox') {
+                values[el.name] = values[el.name] || [];
+                if (el.checked) values[el.name].push(el.value);
+                return;
+            }
+            if (el.type === 'radio' && !el.checked) return;
+            values[el.name] = el.value;
+        });
+        return values;
+    }
+
+    isUnsaved(el) {
+        return el.matches(this.options.unsavedSelector);
+    }
+
+    dispatch(name, detail) {
+        this.modal.dispatchEvent(new CustomEvent(name, { detail, bubbles: true }));
+    }
+}
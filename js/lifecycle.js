@@ -0,0 +1,130 @@
+import { reportError } from './diagnostics.js';
+
+// ===================================
+// COMPONENT LIFECYCLE
+// ===================================
+
+/**
+ * Mounts modules on matching elements - including ones added later
+ *
+ * A component is any object with:
+ * - selector         - CSS selector for the elements it handles
+ * - mount(element)   - wire the element up (must be safe to call twice)
+ * - unmount(element) - optional, undo mount when the element leaves the page
+ * - destroy()        - optional, disconnect everything (called by unregister)
+ *
+ * One MutationObserver watches the page. Added elements (and their
+ * descendants) are mounted on every matching component; elements that are
+ * no longer connected are unmounted. Moving an element doesn't remount it.
+ * Only additions and removals are watched, not class or attribute changes.
+ *
+ * USAGE:
+ * window.lifecycle.register('faq', new FAQAccordion());
+ * window.lifecycle.unregister('faq');
+ */
+export class ComponentLifecycle {
+    constructor(root = document.body) {
+        this.root = root;
+        // name -> { component, mounted: Set<Element> }
+        this.components = new Map();
+        this.observer = null;
+    }
+
+    register(name, component) {
+        if (this.components.has(name)) this.unregister(name);
+
+        const entry = { name, component, mounted: new Set() };
+        this.components.set(name, entry);
+        this.mountWithin(entry, this.root);
+        this.start();
+
+        return component;
+    }
+
+    unregister(name) {
+        const entry = this.components.get(name);
+        if (!entry) return;
+
+        entry.mounted.forEach(element => this.unmount(entry, element));
+        this.components.delete(name);
+        if (typeof entry.component.destroy === 'function') entry.component.destroy();
+    }
+
+    get(name) {
+        const entry = this.components.get(name);
+        return entry ? entry.component : null;
+    }
+
+    start() {
+        if (this.observer || !('MutationObserver' in window)) return;
+
+        this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+        this.observer.observe(this.root, { childList: true, subtree: true });
+    }
+
+    handleMutations(mutations) {
+        const added = [];
+        let removed = false;
+
+        mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) added.push(node);
+            });
+            // Text updates (counters, live regions) remove text nodes - those don't matter
+            if (Array.from(mutation.removedNodes).some(node => node.nodeType === Node.ELEMENT_NODE)) {
+                removed = true;
+            }
+        });
+
+        if (removed) {
+            this.components.forEach(entry => {
+                entry.mounted.forEach(element => {
+                    if (!element.isConnected) this.unmount(entry, element);
+                });
+            });
+        }
+
+        added.forEach(node => {
+            // Added and removed again in the same batch
+            if (!node.isConnected) return;
+            this.components.forEach(entry => this.mountWithin(entry, node));
+        });
+    }
+
+    mountWithin(entry, root) {
+        const { selector } = entry.component;
+        if (root.matches && root.matches(selector)) this.mount(entry, root);
+        root.querySelectorAll(selector).forEach(element => this.mount(entry, element));
+    }
+
+    mount(entry, element) {
+        if (entry.mounted.has(element)) return;
+        entry.mounted.add(element);
+
+        try {
+            entry.component.mount(element);
+        } catch (error) {
+            reportError('ComponentLifecycle', error, `mounting "${entry.name}" failed`);
+        }
+    }
+
+    unmount(entry, element) {
+        entry.mounted.delete(element);
+        if (typeof entry.component.unmount !== 'function') return;
+
+        try {
+            entry.component.unmount(element);
+        } catch (error) {
+            reportError('ComponentLifecycle', error, `unmounting "${entry.name}" failed`);
+        }
+    }
+
+    /**
+     * Stops watching the page and tears down every component
+     */
+    destroy() {
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+        Array.from(this.components.keys()).forEach(name => this.unregister(name));
+    }
+}
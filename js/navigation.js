@@ -0,0 +1,240 @@
+import { trapFocus } from './utils.js';
+import { reportMissing } from './diagnostics.js';
+import { t } from './i18n.js';
+
+// ===================================
+// NAVIGATION SCROLL EFFECT
+// ===================================
+
+/**
+ * Navigation states, scroll-spy and mobile menu
+ *
+ * STATES (mirrored as data-state and classes on .nav, styled in CSS):
+ * 'top'      - at the top of the page, transparent glass
+ * 'scrolled' - past scrollThreshold, solid background (.is-scrolled)
+ * 'hidden'   - scrolling down, slid out of view (.is-scrolled.is-hidden)
+ * Scrolling up by more than `tolerance` reveals the nav again.
+ *
+ * SCROLL-SPY:
+ * Every .nav-link pointing at a section (#pricing) is observed; the link for
+ * the section crossing the middle band of the viewport gets .is-active and
+ * aria-current. The hash is kept in sync with history.replaceState, so no
+ * history entries are added.
+ *
+ * MOBILE MENU:
+ * .nav-menu-toggle opens .nav-menu below 769px. Focus moves into the menu,
+ * stays there while it's open and returns to the toggle on Escape.
+ */
+export class NavigationScroll {
+    constructor(options = {}) {
+        this.options = {
+            scrollThreshold: 50,
+            tolerance: 8,
+            updateHash: true,
+            mobileQuery: '(max-width: 768px)',
+            ...options
+        };
+
+        this.nav = document.querySelector('.nav');
+        this.menu = document.querySelector('.nav-menu');
+        this.menuToggle = document.querySelector('.nav-menu-toggle');
+        this.links = Array.from(document.querySelectorAll('.nav-link[href^="#"]'));
+        this.scrollThreshold = this.options.scrollThreshold;
+        this.state = null;
+        this.lastScrollY = window.scrollY;
+        this.ticking = false;
+        this.menuOpen = false;
+        this.activeId = null;
+        this.visibleSections = new Map();
+
+        if (!this.nav) {
+            reportMissing('NavigationScroll', '.nav', 'scroll states, scroll-spy and the mobile menu are off');
+            return;
+        }
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('scroll', () => this.requestUpdate(), { passive: true });
+        this.handleScroll();
+
+        this.setupScrollSpy();
+        this.setupMobileMenu();
+    }
+
+    // ---------- Scroll states ----------
+
+    requestUpdate() {
+        if (this.ticking) return;
+        this.ticking = true;
+        requestAnimationFrame(() => {
+            this.ticking = false;
+            this.handleScroll();
+        });
+    }
+
+    handleScroll() {
+        const y = Math.max(window.scrollY, 0);
+        const delta = y - this.lastScrollY;
+
+        if (y <= this.scrollThreshold) {
+            this.setState('top');
+        } else if (this.menuOpen || this.nav.contains(document.activeElement)) {
+            // Never hide the nav while someone is using it
+            this.setState('scrolled');
+        } else if (delta > this.options.tolerance && y > this.nav.offsetHeight) {
+            this.setState('hidden');
+        } else if (delta < -this.options.tolerance || this.state === 'top') {
+            this.setState('scrolled');
+        }
+
+        // Small movements don't count towards a direction change
+        if (Math.abs(delta) > this.options.tolerance || y <= this.scrollThreshold) {
+            this.lastScrollY = y;
+        }
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+        this.state = state;
+
+        // Colors come from the active theme's --nav-* tokens
+        this.nav.dataset.state = state;
+        this.nav.classList.toggle('is-scrolled', state !== 'top');
+        this.nav.classList.toggle('is-hidden', state === 'hidden');
+    }
+
+    // ---------- Scroll-spy ----------
+
+    setupScrollSpy() {
+        this.sections = this.links
+            .map(link => {
+                const id = link.getAttribute('href').slice(1);
+                return id ? document.getElementById(id) : null;
+            })
+            .filter(Boolean);
+
+        if (!this.sections.length || !('IntersectionObserver' in window)) return;
+
+        // A thin band around the middle of the viewport decides the active section
+        this.spy = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.visibleSections.set(entry.target.id, entry.target);
+                } else {
+                    this.visibleSections.delete(entry.target.id);
+                }
+            });
+            this.updateActiveLink();
+        }, {
+            rootMargin: '-45% 0px -50% 0px',
+            threshold: 0
+        });
+
+        this.sections.forEach(section => this.spy.observe(section));
+    }
+
+    updateActiveLink() {
+        // Several sections can share the band while it crosses a boundary - take the topmost
+        const [current] = this.sections.filter(section => this.visibleSections.has(section.id));
+
+        // Between tracked sections (e.g. back in the hero) keep the last one
+        // unless we're at the top of the page
+        if (!current && window.scrollY > this.scrollThreshold) return;
+
+        const id = current ? current.id : null;
+        if (id === this.activeId) return;
+        this.activeId = id;
+
+        this.links.forEach(link => {
+            const active = link.getAttribute('href') === `#${id}`;
+            link.classList.toggle('is-active', active);
+            if (active) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        if (this.options.updateHash && window.history && window.history.replaceState) {
+            const url = `${window.location.pathname}${window.location.search}${id ? `#${id}` : ''}`;
+            window.history.replaceState(window.history.state, '', url);
+        }
+    }
+
+    // ---------- Mobile menu ----------
+
+    setupMobileMenu() {
+        if (!this.menu || !this.menuToggle) {
+            // One without the other is a broken template; neither just means no mobile menu
+            if (this.menu || this.menuToggle) {
+                reportMissing('NavigationScroll', this.menu ? '.nav-menu-toggle' : '.nav-menu', 'the mobile menu is off');
+            }
+            return;
+        }
+
+        this.menuToggle.addEventListener('click', () => {
+            if (this.menuOpen) {
+                this.closeMenu();
+            } else {
+                this.openMenu();
+            }
+        });
+
+        // Following a link closes the menu
+        this.menu.addEventListener('click', (e) => {
+            if (e.target.closest('a')) this.closeMenu({ restoreFocus: false });
+        });
+
+        this.nav.addEventListener('keydown', (e) => {
+            if (!this.menuOpen) return;
+
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.closeMenu();
+            } else if (e.key === 'Tab') {
+                trapFocus(this.nav, e);
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (this.menuOpen && !this.nav.contains(e.target)) this.closeMenu({ restoreFocus: false });
+        });
+
+        // Going back to the desktop layout resets the menu
+        if (window.matchMedia) {
+            this.mobileQuery = window.matchMedia(this.options.mobileQuery);
+            const onLayoutChange = () => {
+                if (!this.mobileQuery.matches) this.closeMenu({ restoreFocus: false });
+            };
+            if (this.mobileQuery.addEventListener) {
+                this.mobileQuery.addEventListener('change', onLayoutChange);
+            } else if (this.mobileQuery.addListener) {
+                this.mobileQuery.addListener(onLayoutChange);
+            }
+        }
+    }
+
+    openMenu() {
+        this.menuOpen = true;
+        this.nav.classList.add('menu-open');
+        this.menuToggle.setAttribute('aria-expanded', 'true');
+        this.menuToggle.setAttribute('aria-label', t('nav.closeMenu', {}, 'Close menu'));
+        this.setState(window.scrollY > this.scrollThreshold ? 'scrolled' : 'top');
+
+        const firstLink = this.menu.querySelector('a[href], button:not([disabled])');
+        if (firstLink) firstLink.focus();
+    }
+
+    closeMenu({ restoreFocus = true } = {}) {
+        if (!this.menuOpen) return;
+
+        this.menuOpen = false;
+        this.nav.classList.remove('menu-open');
+        this.menuToggle.setAttribute('aria-expanded', 'false');
+        this.menuToggle.setAttribute('aria-label', t('nav.openMenu', {}, 'Open menu'));
+
+        if (restoreFocus) this.menuToggle.focus();
+    }
+}
@@ -0,0 +1,45 @@
+import { throttle } from './utils.js';
+import { reportMissing } from './diagnostics.js';
+
+// ===================================
+// PARALLAX EFFECT
+// ===================================
+
+/**
+ * Adds subtle parallax effect to hero background
+ * Transform-only for best performance
+ */
+export class ParallaxEffect {
+    constructor(options = {}) {
+        const selector = options.selector || '.hero-background';
+        this.heroBackground = document.querySelector(selector);
+        if (!this.heroBackground) {
+            reportMissing('ParallaxEffect', selector, 'nothing to move', 'info');
+            return;
+        }
+        
+        this.parallaxStrength = options.strength ?? 0.3; // Lower = more subtle
+        this.init();
+    }
+
+    init() {
+        // Add parallax class for will-change optimization
+        this.heroBackground.classList.add('parallax-element');
+        
+        // Use throttled scroll handler for performance
+        window.addEventListener('scroll', throttle(() => {
+            this.updateParallax();
+        }, 16), { passive: true }); // 16ms = ~60fps
+    }
+
+    updateParallax() {
+        const scrolled = window.pageYOffset;
+        const heroHeight = document.querySelector('.hero')?.offsetHeight || 0;
+        
+        // Only apply parallax when hero is visible
+        if (scrolled < heroHeight) {
+            const yPos = scrolled * this.parallaxStrength;
+            this.heroBackground.style.transform = `translateY(${yPos}px)`;
+        }
+    }
+}
@@ -0,0 +1,349 @@
+import { trackEvent, whenConsented } from './utils.js';
+import { reportDiagnostic } from './diagnostics.js';
+
+// ===================================
+// PERFORMANCE MONITORING
+// ===================================
+
+/**
+ * Collects Core Web Vitals and other performance data
+ * with PerformanceObserver and hands each result to the reporters
+ *
+ * METRICS (name: when it's reported):
+ * - TTFB: once the navigation entry is available
+ * - FCP:  on first contentful paint
+ * - LCP:  when the page is hidden (final value), attributed to the LCP element
+ * - CLS:  when the page is hidden, largest session window, attributed to the biggest shift
+ * - INP:  when the page is hidden, attributed to the slowest interaction's target
+ * - long-task: each main-thread task over 50ms
+ * - resources: summary of resource timing after load (count, bytes, slowest files)
+ *
+ * METRIC SHAPE:
+ * { name, value, rating: 'good' | 'needs-improvement' | 'poor' | null, attribution, page, navigationType }
+ *
+ * REPORTERS:
+ * Functions called with every metric. The default sends them to analytics as
+ * web_vital events; pass your own to route them elsewhere:
+ *   new PerformanceMonitor({ reporters: [metric => myRum.send(metric)] });
+ *
+ * FALLBACKS:
+ * Entry types the browser doesn't support are skipped silently. Without
+ * PerformanceObserver only TTFB is reported, from navigation timing.
+ *
+ * CONSENT:
+ * Nothing is measured until requireConsent (default 'analytics') is granted.
+ * Observers are buffered, so entries from before consent are still picked up.
+ */
+export class PerformanceMonitor {
+    constructor(options = {}) {
+        this.options = {
+            reporters: [metric => trackEvent('web_vital', metric)],
+            // Identifies the landing page in reports (e.g. one per client)
+            page: document.documentElement.dataset.page || window.location.pathname,
+            slowResourceCount: 5,
+            requireConsent: 'analytics', // null to measure regardless of consent
+            ...options
+        };
+
+        this.reporters = [...this.options.reporters];
+        this.observers = [];
+        this.observedTypes = new Set();
+        this.reported = new Set();
+
+        this.lcp = null;
+        this.cls = { value: 0, entries: [], sessionValue: 0, sessionEntries: [] };
+        this.interactions = new Map(); // interactionId -> slowest event entry
+
+        this.init();
+    }
+
+    init() {
+        if (!('performance' in window)) return;
+
+        if (this.options.requireConsent) {
+            whenConsented(this.options.requireConsent, () => this.start());
+        } else {
+            this.start();
+        }
+    }
+
+    start() {
+        this.reportTTFB();
+
+        this.observe('paint', entries => this.handlePaint(entries));
+        this.observe('largest-contentful-paint', entries => this.handleLCP(entries));
+        this.observe('layout-shift', entries => this.handleLayoutShift(entries));
+        this.observe('event', entries => this.handleEvents(entries), { durationThreshold: 40 });
+        this.observe('first-input', entries => this.handleEvents(entries));
+        this.observe('longtask', entries => this.handleLongTasks(entries), { buffered: false });
+
+        // LCP, CLS and INP are only final once the user leaves or backgrounds the page
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.reportFinalMetrics();
+        });
+        window.addEventListener('pagehide', () => this.reportFinalMetrics());
+
+        // LCP stops updating after the first interaction
+        ['keydown', 'pointerdown'].forEach(type => {
+            window.addEventListener(type, () => this.finalizeLCP(), { once: true, capture: true });
+        });
+
+        if (document.readyState === 'complete') {
+            this.reportResources();
+        } else {
+            window.addEventListener('load', () => this.reportResources());
+        }
+    }
+
+    /**
+     * Adds a reporter function, called with every metric from now on
+     */
+    addReporter(reporter) {
+        this.reporters.push(reporter);
+    }
+
+    report(name, value, attribution = {}) {
+        const metric = {
+            name,
+            value: Math.round(value * 1000) / 1000,
+            rating: this.getRating(name, value),
+            attribution,
+            page: this.options.page,
+            navigationType: this.getNavigationEntry()?.type || 'navigate'
+        };
+
+        this.reporters.forEach(reporter => {
+            try {
+                reporter(metric);
+            } catch (error) {
+                reportDiagnostic('warn', 'PerformanceMonitor', 'reporter failed', { error });
+            }
+        });
+    }
+
+    /**
+     * Reports a metric at most once per page view
+     */
+    reportOnce(name, value, attribution) {
+        if (this.reported.has(name)) return;
+        this.reported.add(name);
+        this.report(name, value, attribution);
+    }
+
+    observe(type, callback, options = {}) {
+        const supported = window.PerformanceObserver
+            && PerformanceObserver.supportedEntryTypes
+            && PerformanceObserver.supportedEntryTypes.includes(type);
+        if (!supported) return;
+
+        try {
+            const observer = new PerformanceObserver(list => callback(list.getEntries()));
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.push(observer);
+            this.observedTypes.add(type);
+        } catch (error) {
+            // Older implementations reject some observe() options
+        }
+    }
+
+    // ---------- Individual metrics ----------
+
+    reportTTFB() {
+        const navigation = this.getNavigationEntry();
+
+        if (navigation) {
+            const value = Math.max(navigation.responseStart - (navigation.activationStart || 0), 0);
+            this.reportOnce('TTFB', value, {
+                dns: navigation.domainLookupEnd - navigation.domainLookupStart,
+                connection: navigation.connectEnd - navigation.connectStart,
+                request: navigation.responseStart - navigation.requestStart
+            });
+            return;
+        }
+
+        // Legacy fallback: deprecated performance.timing
+        const timing = window.performance.timing;
+        if (timing && timing.responseStart) {
+            this.reportOnce('TTFB', timing.responseStart - timing.navigationStart);
+        }
+    }
+
+    handlePaint(entries) {
+        const fcp = entries.find(entry => entry.name === 'first-contentful-paint');
+        if (fcp) this.reportOnce('FCP', fcp.startTime);
+    }
+
+    handleLCP(entries) {
+        // The latest entry is the current largest paint
+        this.lcp = entries[entries.length - 1];
+    }
+
+    finalizeLCP() {
+        if (!this.lcp) return;
+
+        this.reportOnce('LCP', this.lcp.startTime, {
+            element: this.getSelector(this.lcp.element),
+            url: this.lcp.url || null,
+            size: this.lcp.size
+        });
+    }
+
+    /**
+     * CLS uses session windows: shifts less than 1s apart, capped at 5s per window.
+     * The reported value is the worst window.
+     */
+    handleLayoutShift(entries) {
+        entries.forEach(entry => {
+            // Shifts right after user input are expected
+            if (entry.hadRecentInput) return;
+
+            const session = this.cls.sessionEntries;
+            const first = session[0];
+            const last = session[session.length - 1];
+
+            if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                this.cls.sessionValue += entry.value;
+                session.push(entry);
+            } else {
+                this.cls.sessionValue = entry.value;
+                this.cls.sessionEntries = [entry];
+            }
+
+            if (this.cls.sessionValue > this.cls.value) {
+                this.cls.value = this.cls.sessionValue;
+                this.cls.entries = [...this.cls.sessionEntries];
+            }
+        });
+    }
+
+    handleEvents(entries) {
+        entries.forEach(entry => {
+            if (!entry.interactionId) return;
+
+            const existing = this.interactions.get(entry.interactionId);
+            if (!existing || entry.duration > existing.duration) {
+                this.interactions.set(entry.interactionId, entry);
+            }
+        });
+    }
+
+    /**
+     * INP is roughly the 98th percentile interaction:
+     * the slowest one, ignoring one outlier per 50 interactions
+     */
+    getINPEntry() {
+        const sorted = Array.from(this.interactions.values())
+            .sort((a, b) => b.duration - a.duration);
+        if (!sorted.length) return null;
+
+        const index = Math.min(sorted.length - 1, Math.floor(sorted.length / 50));
+        return sorted[index];
+    }
+
+    handleLongTasks(entries) {
+        entries.forEach(entry => {
+            const source = entry.attribution && entry.attribution[0];
+            this.report('long-task', entry.duration, {
+                startTime: Math.round(entry.startTime),
+                container: source ? (source.containerSrc || source.containerName || source.name) : null
+            });
+        });
+    }
+
+    reportFinalMetrics() {
+        this.finalizeLCP();
+
+        // A page with no shifts still has a valid CLS of 0
+        if (this.observedTypes.has('layout-shift')) {
+            const largestShift = this.cls.entries.reduce(
+                (largest, entry) => (!largest || entry.value > largest.value ? entry : largest),
+                null
+            );
+            const source = largestShift && largestShift.sources && largestShift.sources[0];
+
+            this.reportOnce('CLS', this.cls.value, {
+                element: source ? this.getSelector(source.node) : null,
+                shiftTime: largestShift ? Math.round(largestShift.startTime) : null
+            });
+        }
+
+        const inpEntry = this.getINPEntry();
+        if (inpEntry) {
+            this.reportOnce('INP', inpEntry.duration, {
+                element: this.getSelector(inpEntry.target),
+                eventType: inpEntry.name,
+                inputDelay: Math.round(inpEntry.processingStart - inpEntry.startTime),
+                processingTime: Math.round(inpEntry.processingEnd - inpEntry.processingStart)
+            });
+        }
+    }
+
+    reportResources() {
+        if (typeof performance.getEntriesByType !== 'function') return;
+
+        const resources = performance.getEntriesByType('resource');
+        if (!resources.length) return;
+
+        const totalBytes = resources.reduce((sum, entry) => sum + (entry.transferSize || 0), 0);
+        const slowest = [...resources]
+            .sort((a, b) => b.duration - a.duration)
+            .slice(0, this.options.slowResourceCount)
+            .map(entry => ({
+                url: entry.name,
+                type: entry.initiatorType,
+                duration: Math.round(entry.duration),
+                bytes: entry.transferSize || 0
+            }));
+
+        this.report('resources', resources.length, { totalBytes, slowest });
+    }
+
+    // ---------- Helpers ----------
+
+    getNavigationEntry() {
+        if (typeof performance.getEntriesByType !== 'function') return null;
+        return performance.getEntriesByType('navigation')[0] || null;
+    }
+
+    /**
+     * Thresholds from web.dev; other metrics have no rating
+     */
+    getRating(name, value) {
+        const thresholds = {
+            LCP: [2500, 4000],
+            FCP: [1800, 3000],
+            INP: [200, 500],
+            TTFB: [800, 1800],
+            CLS: [0.1, 0.25]
+        };
+
+        const limits = thresholds[name];
+        if (!limits) return null;
+        if (value <= limits[0]) return 'good';
+        if (value <= limits[1]) return 'needs-improvement';
+        return 'poor';
+    }
+
+    /**
+     * Short CSS selector for attribution, e.g. "section.hero > h1.hero-title"
+     */
+    getSelector(element) {
+        if (!element || element.nodeType !== 1) return null;
+
+        const parts = [];
+        let current = element;
+
+        while (current && current.nodeType === 1 && parts.length < 3) {
+            let part = current.tagName.toLowerCase();
+            if (current.id) {
+                parts.unshift(`${part}#${current.id}`);
+                break;
+            }
+            if (current.classList.length) part += `.${current.classList[0]}`;
+            parts.unshift(part);
+            current = current.parentElement;
+        }
+
+        return parts.join(' > ');
+    }
+}
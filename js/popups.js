@@ -0,0 +1,319 @@
+import { FormValidator } from './forms.js';
+import { Dialog } from './dialog.js';
+import { throttle, trackEvent, storageSet } from './utils.js';
+import { t } from './i18n.js';
+import { reportDiagnostic, reportMissing } from './diagnostics.js';
+
+// ===================================
+// LEAD CAPTURE POPUPS
+// ===================================
+
+/**
+ * Popup definitions
+ *
+ * A popup opens when ANY of its triggers fires and it isn't capped.
+ *
+ * FIELDS:
+ * - id:           name used in storage and analytics
+ * - selector:     the popup's .modal element (see the MARKUP on PopupEngine)
+ * - triggers:     [{ type, ...params }] - see POPUP_TRIGGERS
+ * - cooldownDays: days before the same visitor can see it again
+ * - maxShows:     times one visitor sees it at most
+ * - form:         FormValidator options for the form inside (endpoint, schema, successMessage, ...)
+ */
+export const POPUPS = [
+    {
+        id: 'exit-checklist',
+        enabled: true,
+        selector: '#exitPopup',
+        triggers: [{ type: 'exit-intent' }],
+        cooldownDays: 7,
+        maxShows: 3,
+        form: {
+            successMessage: () => t('popup.success', {}, 'Check your inbox - the checklist is on its way.')
+        }
+    },
+    {
+        id: 'engaged-reader',
+        enabled: false,
+        selector: '#engagedPopup',
+        triggers: [
+            { type: 'scroll-depth', percent: 60 },
+            { type: 'time', seconds: 45 },
+            { type: 'inactivity', seconds: 30 }
+        ],
+        cooldownDays: 3,
+        maxShows: 2
+    }
+];
+
+/**
+ * Popup triggers
+ * Each one is (fire, params) => cleanup: it calls fire() when its moment comes
+ * and returns a function that removes its listeners and timers.
+ * Register more with PopupEngine.registerTrigger(name, fn).
+ */
+export const POPUP_TRIGGERS = {
+    /**
+     * Desktop: the pointer leaves through the top of the viewport (towards the tabs and address bar)
+     * Mobile (up to breakpoint): a fast scroll back up after reading a while
+     * params: sensitivity (px from the top), breakpoint, speed (px/ms), minScroll (px)
+     */
+    'exit-intent': (fire, { sensitivity = 20, breakpoint = 768, speed = 1.5, minScroll = 400 } = {}) => {
+        const handleMouseOut = (e) => {
+            if (!e.relatedTarget && e.clientY <= sensitivity) fire();
+        };
+
+        // Velocity is measured over samples at least 100ms apart - single scroll events are too noisy
+        let sample = { y: window.scrollY, time: Date.now() };
+        let deepest = window.scrollY;
+        const handleScroll = () => {
+            if (window.innerWidth > breakpoint) return;
+
+            const y = window.scrollY;
+            const now = Date.now();
+            deepest = Math.max(deepest, y);
+            if (now - sample.time < 100) return;
+
+            const velocity = (sample.y - y) / (now - sample.time);
+            sample = { y, time: now };
+            if (velocity >= speed && deepest >= minScroll) fire();
+        };
+
+        document.addEventListener('mouseout', handleMouseOut);
+        window.addEventListener('scroll', handleScroll, { passive: true });
+        return () => {
+            document.removeEventListener('mouseout', handleMouseOut);
+            window.removeEventListener('scroll', handleScroll);
+        };
+    },
+
+    /**
+     * params: seconds on the page
+     */
+    'time': (fire, { seconds = 30 } = {}) => {
+        const timer = setTimeout(fire, seconds * 1000);
+        return () => clearTimeout(timer);
+    },
+
+    /**
+     * params: percent of the page scrolled
+     */
+    'scroll-depth': (fire, { percent = 50 } = {}) => {
+        const handleScroll = throttle(() => {
+            const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            if (scrollable > 0 && (window.scrollY / scrollable) * 100 >= percent) fire();
+        }, 100);
+
+        window.addEventListener('scroll', handleScroll, { passive: true });
+        return () => window.removeEventListener('scroll', handleScroll);
+    },
+
+    /**
+     * params: seconds without pointer, key, touch or scroll activity
+     */
+    'inactivity': (fire, { seconds = 30 } = {}) => {
+        const events = ['mousemove', 'keydown', 'scroll', 'touchstart', 'click'];
+        let timer;
+        const restart = () => {
+            clearTimeout(timer);
+            timer = setTimeout(fire, seconds * 1000);
+        };
+
+        events.forEach(name => window.addEventListener(name, restart, { passive: true }));
+        restart();
+        return () => {
+            clearTimeout(timer);
+            events.forEach(name => window.removeEventListener(name, restart));
+        };
+    }
+};
+
+/**
+ * Opens lead capture popups from the rules in POPUPS
+ *
+ * MARKUP:
+ * <div class="modal popup" id="exitPopup" hidden>
+ *   <div class="modal-dialog popup-dialog" role="dialog" aria-modal="true" aria-labelledby="exitPopupTitle">
+ *     <button class="modal-close" data-dialog-close aria-label="Close">&times;</button>
+ *     <h2 class="modal-title" id="exitPopupTitle">...</h2>
+ *     <form data-ghl-endpoint="...">...</form>               <- validated by FormValidator
+ *     <button data-dialog-close>No thanks</button>
+ *   </div>
+ * </div>
+ *
+ * CAPPING:
+ * - at most options.maxPerPage popups per page view
+ * - each popup at most maxShows times, with cooldownDays between shows
+ * - never while another dialog (wizard, booking, ...) is open - that firing is dropped
+ * - never again once the visitor converted: any of options.conversionEvents
+ *   (the wizard, booking or a popup form succeeding) or popupEngine.markConverted()
+ * Shows and conversions are stored under options.storageKey, only with
+ * requireConsent (default 'preferences'); without it the caps last for the page view.
+ *
+ * ANALYTICS: popup_show { popup, trigger } and popup_close { popup, reason, converted }
+ *
+ * QA: popupEngine.show('exit-checklist') opens a popup right away, ignoring the caps
+ */
+export class PopupEngine {
+    constructor(popups = POPUPS, options = {}) {
+        this.options = {
+            storageKey: 'popups',
+            requireConsent: 'preferences',
+            maxPerPage: 1,
+            conversionEvents: ['wizard:complete', 'form:success'],
+            ...options
+        };
+
+        this.state = this.loadState();
+        this.shownThisPage = 0;
+        this.popups = popups
+            .filter(popup => popup.enabled !== false)
+            .map(popup => this.setupPopup(popup))
+            .filter(Boolean);
+
+        this.init();
+    }
+
+    setupPopup(config) {
+        const element = document.querySelector(config.selector);
+        if (!element) {
+            reportMissing('PopupEngine', config.selector, `the "${config.id}" popup is off`, 'info');
+            return null;
+        }
+
+        const popup = {
+            cooldownDays: 7,
+            maxShows: 3,
+            triggers: [],
+            ...config,
+            element,
+            cleanups: [],
+            converted: false
+        };
+
+        popup.dialog = Dialog.for(element, {
+            onClose: (reason) => trackEvent('popup_close', { popup: popup.id, reason, converted: popup.converted })
+        });
+
+        const form = element.querySelector('form');
+        if (form) {
+            popup.validator = new FormValidator(form, config.form || {});
+            form.addEventListener('form:success', () => { popup.converted = true; });
+        }
+
+        return popup;
+    }
+
+    init() {
+        this.options.conversionEvents.forEach(eventName => {
+            document.addEventListener(eventName, () => this.markConverted());
+        });
+
+        if (this.state.converted) return;
+        this.popups.forEach(popup => {
+            if (this.isAvailable(popup)) this.arm(popup);
+        });
+    }
+
+    /**
+     * Starts listening for a popup's triggers
+     */
+    arm(popup) {
+        popup.triggers.forEach(({ type, ...params }) => {
+            const trigger = POPUP_TRIGGERS[type];
+            if (!trigger) {
+                reportDiagnostic('warn', 'PopupEngine', `unknown trigger "${type}" on popup "${popup.id}"`);
+                return;
+            }
+            popup.cleanups.push(trigger(() => this.handleTrigger(popup, type), params));
+        });
+    }
+
+    disarm(popup) {
+        popup.cleanups.forEach(cleanup => cleanup());
+        popup.cleanups = [];
+    }
+
+    handleTrigger(popup, type) {
+        if (this.shownThisPage >= this.options.maxPerPage || !this.isAvailable(popup)) return;
+        // Don't interrupt the wizard, a booking or a video
+        if (Dialog.top()) return;
+
+        this.show(popup.id, type);
+    }
+
+    /**
+     * Opens a popup now, whatever the caps say
+     * Returns false for an unknown id or one that is already open
+     */
+    show(id, trigger = 'api') {
+        const popup = this.popups.find(candidate => candidate.id === id);
+        if (!popup || !popup.dialog.open()) return false;
+
+        const record = this.state.shown[id] || { count: 0 };
+        this.state.shown[id] = { count: record.count + 1, last: Date.now() };
+        this.saveState();
+        this.shownThisPage++;
+
+        trackEvent('popup_show', { popup: id, trigger });
+
+        this.disarm(popup);
+        if (this.shownThisPage >= this.options.maxPerPage) this.destroy();
+        return true;
+    }
+
+    close(id) {
+        const popup = this.popups.find(candidate => candidate.id === id);
+        return popup ? popup.dialog.close() : false;
+    }
+
+    /**
+     * Not converted, under maxShows and out of the cooldown
+     */
+    isAvailable(popup) {
+        if (this.state.converted) return false;
+
+        const record = this.state.shown[popup.id];
+        if (!record) return true;
+        if (record.count >= popup.maxShows) return false;
+        return Date.now() - record.last >= popup.cooldownDays * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Stops every popup for this visitor (an open one stays open, e.g. to show its success message)
+     */
+    markConverted() {
+        if (this.state.converted) return;
+
+        this.state.converted = Date.now();
+        this.saveState();
+        this.destroy();
+    }
+
+    destroy() {
+        this.popups.forEach(popup => this.disarm(popup));
+    }
+
+    loadState() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(this.options.storageKey)) || {};
+        } catch (error) {
+            // Unreadable - start over
+        }
+        return { converted: stored.converted || null, shown: stored.shown || {} };
+    }
+
+    saveState() {
+        storageSet(this.options.storageKey, JSON.stringify(this.state), this.options.requireConsent);
+    }
+
+    /**
+     * Adds a trigger type every popup can use
+     * fn(fire, params) => cleanup
+     */
+    static registerTrigger(name, fn) {
+        POPUP_TRIGGERS[name] = fn;
+    }
+}
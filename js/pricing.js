@@ -0,0 +1,420 @@
+import { trackEvent } from './utils.js';
+import { t } from './i18n.js';
+import { reportDiagnostic, reportMissing } from './diagnostics.js';
+
+// ===================================
+// PRICING
+// ===================================
+
+/**
+ * Renders the pricing cards from a JSON plan definition
+ *
+ * PLAN DEFINITION:
+ * Inline <script type="application/json" id="pricingPlans"> in the pricing section,
+ * or fetched from data-plans-src="plans.json" on .pricing. Shape:
+ * {
+ *   "defaultCurrency": "USD",
+ *   "annualDiscount": 0.2,                      // 20% off when billed annually
+ *   "currencies": { "EUR": { "locale": "de-DE", "rate": 0.92 } },
+ *   "plans": [{
+ *     "id": "starter", "name": "Starter", "subtitle": "...",
+ *     "monthly": 997,                           // In defaultCurrency
+ *     "prices": { "EUR": 899 },                 // Optional fixed monthly price per currency
+ *     "features": ["..."], "featured": false, "badge": null,
+ *     "cta": { "label": "Get Started", "action": "open-form" }
+ *   }],
+ *   "comparison": [{ "feature": "Workflows", "values": { "starter": "3", "elite": true } }]
+ * }
+ *
+ * - Monthly/annual toggle applies the annual discount (per plan override: plan.annualDiscount)
+ * - Prices without a fixed value are converted with the currency's rate and
+ *   formatted for its locale with Intl.NumberFormat
+ * - The comparison matrix is collapsed behind an aria-expanded toggle
+ * - CTAs carry data-plan / data-billing / data-currency, which the lead wizard picks up
+ * - Labels, notes and the default CTA go through t() (pricing.* keys) and follow
+ *   'i18n:change'; plan names, features and cta.label come from the plan file as they are
+ *
+ * The static cards in index.html stay as the no-JS fallback.
+ */
+export class PricingTable {
+    constructor(sectionSelector = '.pricing', options = {}) {
+        this.section = document.querySelector(sectionSelector);
+        if (!this.section) {
+            reportMissing('PricingTable', sectionSelector, 'no pricing on this page', 'info');
+            return;
+        }
+
+        this.grid = this.section.querySelector('.pricing-grid');
+        if (!this.grid) {
+            reportMissing('PricingTable', `${sectionSelector} .pricing-grid`, 'keeping the static pricing');
+            return;
+        }
+
+        this.options = {
+            plansSelector: '#pricingPlans',
+            ...options
+        };
+
+        this.config = null;
+        this.billing = 'monthly';
+        this.currency = null;
+
+        this.init();
+    }
+
+    init() {
+        const src = this.section.dataset.plansSrc;
+
+        // Labels follow the page language, prices too unless their currency sets a locale
+        document.addEventListener('i18n:change', () => {
+            if (!this.config) return;
+            this.updateLabels();
+            this.updatePrices();
+        });
+
+        // Inline plans render synchronously, before animations, experiments
+        // and button routing start up - no re-registration needed
+        if (!src) {
+            this.setup(this.readInlinePlans());
+            this.ready = Promise.resolve();
+            return;
+        }
+
+        this.ready = this.fetchPlans(src)
+            .then(config => this.setup(config))
+            .catch(error => {
+                reportDiagnostic('warn', 'PricingTable', 'could not load plans, keeping static pricing', { error });
+            });
+    }
+
+    setup(config) {
+        if (!config || !Array.isArray(config.plans)) return;
+
+        this.config = config;
+        this.currency = config.defaultCurrency || 'USD';
+
+        this.renderControls();
+        this.render();
+        this.renderComparison();
+        this.updateLabels();
+        // Cards rendered after start-up are picked up by ComponentLifecycle
+    }
+
+    readInlinePlans() {
+        const inline = this.section.querySelector(this.options.plansSelector);
+        if (!inline) return null;
+
+        try {
+            return JSON.parse(inline.textContent);
+        } catch (error) {
+            reportDiagnostic('warn', 'PricingTable', 'invalid plan JSON, keeping static pricing', { error });
+            return null;
+        }
+    }
+
+    async fetchPlans(src) {
+        const response = await fetch(src, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) throw new Error(`Plans request failed with ${response.status}`);
+        return response.json();
+    }
+
+    // ---------- Prices ----------
+
+    /**
+     * Monthly price for a plan in the current currency and billing period
+     */
+    getMonthlyPrice(plan) {
+        const fixed = plan.prices && plan.prices[this.currency];
+        const rate = (this.getCurrencyConfig().rate) || 1;
+        const monthly = fixed ?? plan.monthly * rate;
+
+        if (this.billing === 'annual') {
+            const discount = plan.annualDiscount ?? this.config.annualDiscount ?? 0;
+            return Math.round(monthly * (1 - discount));
+        }
+        return Math.round(monthly);
+    }
+
+    getCurrencyConfig() {
+        const currencies = this.config.currencies || {};
+        return currencies[this.currency] || {};
+    }
+
+    getFormatter() {
+        const locale = this.getCurrencyConfig().locale || document.documentElement.lang || 'en-US';
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: this.currency,
+            maximumFractionDigits: 0
+        });
+    }
+
+    /**
+     * Splits a formatted price into symbol and number, so the symbol
+     * can keep its own styling (and position - "997 €" in some locales)
+     */
+    formatParts(amount) {
+        const parts = this.getFormatter().formatToParts(amount);
+        const symbol = parts.filter(part => part.type === 'currency').map(part => part.value).join('');
+        const number = parts
+            .filter(part => !['currency', 'literal'].includes(part.type) || (part.type === 'literal' && part.value.trim()))
+            .map(part => part.value)
+            .join('');
+        const symbolFirst = parts.findIndex(part => part.type === 'currency') < parts.findIndex(part => part.type === 'integer');
+
+        return { symbol, number, symbolFirst };
+    }
+
+    // ---------- Rendering ----------
+
+    renderControls() {
+        const controls = document.createElement('div');
+        controls.className = 'pricing-controls reveal fade-up';
+
+        const discount = Math.round((this.config.annualDiscount || 0) * 100);
+        controls.innerHTML = `
+            <div class="billing-toggle" role="group">
+                <button type="button" class="billing-option" data-billing="monthly" aria-pressed="true"></button>
+                <button type="button" class="billing-option" data-billing="annual" aria-pressed="false">
+                    <span class="billing-label"></span>${discount ? ' <span class="billing-save"></span>' : ''}
+                </button>
+            </div>
+        `;
+
+        const currencies = Object.keys(this.config.currencies || {});
+        if (currencies.length > 1) {
+            const label = document.createElement('label');
+            label.className = 'currency-select';
+            label.innerHTML = '<span class="sr-only"></span>';
+
+            const select = document.createElement('select');
+            currencies.forEach(code => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = code;
+                option.selected = code === this.currency;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => this.setCurrency(select.value));
+
+            label.appendChild(select);
+            controls.appendChild(label);
+        }
+
+        controls.querySelectorAll('.billing-option').forEach(button => {
+            button.addEventListener('click', () => this.setBilling(button.dataset.billing));
+        });
+
+        this.grid.insertAdjacentElement('beforebegin', controls);
+        this.controls = controls;
+    }
+
+    setBilling(billing) {
+        this.billing = billing;
+        this.controls.querySelectorAll('.billing-option').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.billing === billing));
+        });
+        this.updatePrices();
+        trackEvent('pricing_billing_change', { billing });
+    }
+
+    setCurrency(currency) {
+        this.currency = currency;
+        this.updatePrices();
+        trackEvent('pricing_currency_change', { currency });
+    }
+
+    render() {
+        this.grid.innerHTML = '';
+
+        this.config.plans.forEach(plan => {
+            const card = document.createElement('div');
+            card.className = `glass-card pricing-card reveal fade-up${plan.featured ? ' pricing-card-featured' : ''}`;
+            card.dataset.plan = plan.id;
+
+            const cta = plan.cta || {};
+            card.innerHTML = `
+                ${plan.badge ? '<div class="pricing-badge"></div>' : ''}
+                <div class="pricing-header">
+                    <h3 class="pricing-title"></h3>
+                    <p class="pricing-subtitle"></p>
+                </div>
+                <div class="pricing-price" aria-live="polite"></div>
+                <p class="price-note"></p>
+                <ul class="pricing-features"></ul>
+                <button class="btn ${plan.featured ? 'btn-primary' : 'btn-secondary'} pricing-cta"></button>
+            `;
+
+            // Text from the plan file goes through textContent - it's edited by hand
+            if (plan.badge) card.querySelector('.pricing-badge').textContent = plan.badge;
+            card.querySelector('.pricing-title').textContent = plan.name;
+            card.querySelector('.pricing-subtitle').textContent = plan.subtitle || '';
+
+            const features = card.querySelector('.pricing-features');
+            (plan.features || []).forEach(feature => {
+                const item = document.createElement('li');
+                item.innerHTML = `
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <polyline points="20 6 9 17 4 12"></polyline>
+                    </svg>
+                    <span></span>
+                `;
+                item.querySelector('span').textContent = feature;
+                features.appendChild(item);
+            });
+
+            const button = card.querySelector('.pricing-cta');
+            // Without a label of its own the CTA is translated in updateLabels()
+            if (cta.label) button.textContent = cta.label;
+            button.dataset.action = cta.action || 'open-form';
+            button.dataset.plan = plan.id;
+            button.setAttribute('aria-haspopup', 'dialog');
+            button.setAttribute('aria-controls', button.dataset.action === 'open-calendar' ? 'bookingWidget' : 'leadWizard');
+
+            this.grid.appendChild(card);
+        });
+
+        this.updatePrices();
+    }
+
+    updatePrices() {
+        this.config.plans.forEach(plan => {
+            const card = this.grid.querySelector(`[data-plan="${plan.id}"]`);
+            if (!card) return;
+
+            const monthly = this.getMonthlyPrice(plan);
+            const { symbol, number, symbolFirst } = this.formatParts(monthly);
+
+            const price = card.querySelector('.pricing-price');
+            price.innerHTML = `
+                <span class="price-currency"></span>
+                <span class="price-amount"></span>
+                <span class="price-period"></span>
+            `;
+            price.querySelector('.price-currency').textContent = symbol;
+            price.querySelector('.price-amount').textContent = number;
+            price.querySelector('.price-period').textContent = t('pricing.perMonth', {}, '/month');
+            if (!symbolFirst) price.insertBefore(price.querySelector('.price-currency'), price.querySelector('.price-period'));
+
+            const note = card.querySelector('.price-note');
+            note.textContent = this.billing === 'annual'
+                ? t('pricing.billedAnnually', { total: this.getFormatter().format(monthly * 12) }, '{total} billed annually')
+                : t('pricing.billedMonthly', {}, 'Billed monthly, cancel anytime');
+
+            const button = card.querySelector('.pricing-cta');
+            button.dataset.billing = this.billing;
+            button.dataset.currency = this.currency;
+        });
+    }
+
+    renderComparison() {
+        const rows = this.config.comparison;
+        if (!Array.isArray(rows) || !rows.length) return;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'pricing-comparison';
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'pricing-comparison-toggle';
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', 'pricingComparisonTable');
+
+        const panel = document.createElement('div');
+        panel.className = 'pricing-comparison-panel';
+        panel.id = 'pricingComparisonTable';
+        panel.hidden = true;
+
+        const table = document.createElement('table');
+        table.className = 'pricing-comparison-table';
+
+        const headRow = document.createElement('tr');
+        ['', ...this.config.plans.map(plan => plan.name)].forEach(label => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = label;
+            headRow.appendChild(th);
+        });
+        table.createTHead().appendChild(headRow);
+
+        const body = table.createTBody();
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = row.feature;
+            tr.appendChild(th);
+
+            this.config.plans.forEach(plan => {
+                const td = document.createElement('td');
+                const value = row.values ? row.values[plan.id] : undefined;
+
+                if (value === true) {
+                    td.innerHTML = '<span class="comparison-yes" aria-hidden="true">✓</span><span class="sr-only"></span>';
+                } else if (value === false || value === undefined || value === null) {
+                    td.innerHTML = '<span class="comparison-no" aria-hidden="true">—</span><span class="sr-only"></span>';
+                } else {
+                    td.textContent = value;
+                }
+                tr.appendChild(td);
+            });
+
+            body.appendChild(tr);
+        });
+
+        panel.appendChild(table);
+        wrapper.append(toggle, panel);
+
+        toggle.addEventListener('click', () => {
+            const isExpanded = toggle.getAttribute('aria-expanded') === 'true';
+            toggle.setAttribute('aria-expanded', String(!isExpanded));
+            panel.hidden = isExpanded;
+            this.updateComparisonToggle();
+            if (!isExpanded) trackEvent('pricing_comparison_open');
+        });
+
+        this.grid.insertAdjacentElement('afterend', wrapper);
+        this.comparison = wrapper;
+    }
+
+    /**
+     * Fills in the widget's own copy in the current language
+     * (prices and notes are handled by updatePrices)
+     */
+    updateLabels() {
+        const discount = Math.round((this.config.annualDiscount || 0) * 100);
+        this.controls.querySelector('.billing-toggle').setAttribute('aria-label', t('pricing.billingPeriod', {}, 'Billing period'));
+        this.controls.querySelector('[data-billing="monthly"]').textContent = t('pricing.monthly', {}, 'Monthly');
+        this.controls.querySelector('.billing-label').textContent = t('pricing.annual', {}, 'Annual');
+
+        const save = this.controls.querySelector('.billing-save');
+        if (save) save.textContent = t('pricing.save', { discount }, 'Save {discount}%');
+
+        const currency = this.controls.querySelector('.currency-select .sr-only');
+        if (currency) currency.textContent = t('pricing.currency', {}, 'Currency');
+
+        this.config.plans.forEach(plan => {
+            if (plan.cta && plan.cta.label) return;
+            const button = this.grid.querySelector(`[data-plan="${plan.id}"] .pricing-cta`);
+            if (button) button.textContent = t('pricing.cta', {}, 'Get Started');
+        });
+
+        if (!this.comparison) return;
+        this.comparison.querySelector('thead th').textContent = t('pricing.feature', {}, 'Feature');
+        this.comparison.querySelectorAll('.comparison-yes + .sr-only').forEach(label => {
+            label.textContent = t('pricing.included', {}, 'Included');
+        });
+        this.comparison.querySelectorAll('.comparison-no + .sr-only').forEach(label => {
+            label.textContent = t('pricing.notIncluded', {}, 'Not included');
+        });
+        this.updateComparisonToggle();
+    }
+
+    updateComparisonToggle() {
+        const toggle = this.comparison.querySelector('.pricing-comparison-toggle');
+        toggle.textContent = toggle.getAttribute('aria-expanded') === 'true'
+            ? t('pricing.hideComparison', {}, 'Hide feature comparison')
+            : t('pricing.compare', {}, 'Compare all features');
+    }
+}
@@ -0,0 +1,515 @@
+import { getLocale } from './i18n.js';
+
+// ===================================
+// SCROLL ANIMATIONS
+// ===================================
+
+/**
+ * REVEAL ANIMATION SYSTEM
+ * ========================
+ * 
+ * PURPOSE:
+ * Creates smooth scroll-triggered animations that REPLAY every time
+ * an element enters the viewport and REVERSE when it exits.
+ * 
+ * HOW IT WORKS:
+ * 1. Elements with .reveal class start hidden (opacity: 0)
+ * 2. IntersectionObserver watches when elements enter/exit viewport
+ * 3. When element ENTERS viewport → adds .is-visible class
+ * 4. When element EXITS viewport → removes .is-visible class
+ * 5. CSS transitions handle the smooth animation
+ * 
+ * KEY FEATURES:
+ * - ✅ Animations replay on every viewport entry (or once, per element)
+ * - ✅ Smooth transitions using transform & opacity only
+ * - ✅ GPU-accelerated (no layout shifts)
+ * - ✅ Per-element timing via data attributes
+ * - ✅ Auto-staggered animations for grouped elements
+ * - ✅ Scroll-linked progress (0-1) for parallax-style effects
+ * - ✅ Count-up numbers and filling progress bars
+ * - ✅ Respects prefers-reduced-motion
+ * - ✅ Backwards compatible with .fade-in-up class
+ * 
+ * USAGE EXAMPLES:
+ * ---------------
+ * 
+ * Basic fade-up:
+ * <div class="reveal fade-up">Content</div>
+ * 
+ * With custom delay:
+ * <div class="reveal fade-up" style="--delay: 0.3s">Content</div>
+ * 
+ * Different animation types:
+ * <div class="reveal fade-in">Simple fade</div>
+ * <div class="reveal slide-left">Slide from right</div>
+ * <div class="reveal slide-right">Slide from left</div>
+ * <div class="reveal scale-in">Grow effect</div>
+ * <div class="reveal fade-down">Fade down</div>
+ * 
+ * Staggered grid:
+ * <div class="grid">
+ *   <div class="reveal fade-up" style="--delay: 0.1s">Item 1</div>
+ *   <div class="reveal fade-up" style="--delay: 0.2s">Item 2</div>
+ *   <div class="reveal fade-up" style="--delay: 0.3s">Item 3</div>
+ * </div>
+ * 
+ * PER-ELEMENT CONFIGURATION:
+ * --------------------------
+ * data-reveal-once                  - play the first time only, don't reverse
+ * data-reveal-threshold="0.4"       - share of the element that must be visible
+ * data-reveal-duration="0.8s"       - transition duration
+ * data-reveal-easing="ease-out"     - transition timing function
+ * data-reveal-stagger="0.15"        - on the parent: seconds between siblings
+ * data-reveal-stagger-max="0.6"     - on the parent: cap for the stagger delay
+ * 
+ * SCROLL-LINKED PROGRESS:
+ * -----------------------
+ * <div data-scroll-progress>...</div>
+ * Gets --progress from 0 (top edge enters the viewport) to 1 (bottom edge
+ * leaves it). Use it in CSS, e.g. transform: translateY(calc(var(--progress) * -40px)),
+ * or in JS with scrollAnimations.onProgress(element, progress => ...).
+ * 
+ * COUNTERS & BARS:
+ * ----------------
+ * .stat-value / .bar-value / [data-counter] count up to the number in their
+ * text ("500+", "99%"); text that isn't a single number ("24/7") is left alone.
+ * data-count-duration="2000" sets the duration in ms.
+ * .bar-fill grows from 0 to its inline width when it comes into view.
+ * Both play once unless data-reveal-once="false".
+ * 
+ * PERFORMANCE NOTES:
+ * ------------------
+ * - Uses IntersectionObserver (modern, efficient API)
+ * - Only animates transform and opacity (GPU-accelerated)
+ * - Elements remain observed (no re-initialization needed)
+ * - Minimal JavaScript - CSS handles animations
+ * - Scroll-linked progress only runs for elements in the viewport
+ * - Auto-disabled for users with reduced motion preferences
+ * 
+ * BROWSER SUPPORT:
+ * ----------------
+ * - Modern browsers: Full support with smooth animations
+ * - Legacy browsers: Graceful fallback (elements visible immediately)
+ */
+
+/**
+ * Observes elements and triggers reveal animations
+ * Uses IntersectionObserver for performance
+ * Animations replay every time element enters viewport unless configured otherwise
+ * 
+ * HOW IT WORKS:
+ * 1. Observes all elements with .reveal class (plus counters, bars and progress elements)
+ * 2. When element ENTERS viewport → adds .is-visible class
+ * 3. When element EXITS viewport → removes .is-visible class
+ * 4. CSS handles the actual animation via transitions
+ * 5. Supports custom delays via --delay CSS variable
+ */
+export class ScrollAnimations {
+    constructor(options = {}) {
+        // Select all elements with reveal animation classes
+        this.elements = document.querySelectorAll('.reveal, .fade-in-up');
+        
+        // Configure intersection threshold
+        // rootMargin: negative value means animation triggers slightly before entering
+        this.options = {
+            root: null,
+            rootMargin: '-50px', // Trigger 50px before element enters
+            threshold: 0.15, // 15% of element must be visible
+            staggerStep: 0.1,
+            staggerMax: 0.5,
+            counterSelector: '.stat-value, .bar-value, [data-counter]',
+            barSelector: '.bar-fill',
+            progressSelector: '[data-scroll-progress]',
+            counterDuration: 1600,
+            ...options
+        };
+
+        // One observer per purpose (reveal, counter, bar) and threshold, created on demand
+        this.observers = new Map();
+        // element -> Map(purpose -> observer): a counter that is also .reveal is watched for both
+        this.elementObservers = new WeakMap();
+        this.countFrames = new WeakMap();
+        this.mounted = new WeakSet();
+        this.progressElements = new Set();
+        this.progressCallbacks = new WeakMap();
+        this.reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        
+        this.init();
+    }
+
+    init() {
+        // Check if IntersectionObserver is supported
+        if (!('IntersectionObserver' in window)) {
+            // Fallback: show all elements immediately for older browsers
+            this.elements.forEach(el => {
+                el.classList.add('visible', 'is-visible');
+            });
+            return;
+        }
+
+        // Kept for callers that reach for the default observer directly
+        this.observer = this.getObserver(this.options.threshold, 'reveal');
+
+        // Scroll-linked progress only needs updating while something is in view
+        this.progressObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.progressElements.add(entry.target);
+                } else {
+                    this.progressElements.delete(entry.target);
+                    this.updateProgress(entry.target);
+                }
+            });
+            this.requestProgressUpdate();
+        });
+
+        this.handleScroll = () => this.requestProgressUpdate();
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+        window.addEventListener('resize', this.handleScroll, { passive: true });
+
+        // Switching reduced motion on mid-visit finishes anything in flight
+        this.handleMotionChange = () => {
+            if (this.prefersReducedMotion()) this.finishAll();
+        };
+        if (this.reducedMotion && this.reducedMotion.addEventListener) {
+            this.reducedMotion.addEventListener('change', this.handleMotionChange);
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Everything this module animates - used by ComponentLifecycle
+     */
+    get selector() {
+        const { counterSelector, barSelector, progressSelector } = this.options;
+        return `.reveal, .fade-in-up, ${counterSelector}, ${barSelector}, ${progressSelector}`;
+    }
+
+    /**
+     * Starts animating one element - safe to call more than once
+     */
+    mount(element) {
+        if (this.mounted.has(element)) return;
+        this.mounted.add(element);
+
+        if (!this.observer) {
+            element.classList.add('visible', 'is-visible');
+            return;
+        }
+
+        if (element.matches('.reveal, .fade-in-up')) {
+            // NOTE: We do NOT unobserve replaying elements, allowing continuous monitoring
+            this.observe(element, 'reveal');
+            
+            // Apply stagger delay from inline CSS variable
+            // Example: <div class="reveal" style="--delay: 0.2s">
+            this.applyStaggerDelay(element);
+            this.applyTiming(element);
+        }
+
+        if (element.matches(this.options.counterSelector)) this.setupCounter(element);
+        if (element.matches(this.options.barSelector)) this.setupBar(element);
+        if (element.matches(this.options.progressSelector)) this.progressObserver.observe(element);
+    }
+
+    /**
+     * Stops watching an element that left the page
+     */
+    unmount(element) {
+        if (!this.mounted.has(element)) return;
+        this.mounted.delete(element);
+
+        const observers = this.elementObservers.get(element);
+        if (observers) observers.forEach(observer => observer.unobserve(element));
+        this.elementObservers.delete(element);
+
+        if (this.progressObserver) this.progressObserver.unobserve(element);
+        this.progressElements.delete(element);
+        cancelAnimationFrame(this.countFrames.get(element));
+    }
+
+    /**
+     * Disconnects every observer and listener
+     */
+    destroy() {
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers.clear();
+        if (this.progressObserver) this.progressObserver.disconnect();
+        cancelAnimationFrame(this.progressFrame);
+        this.progressFrame = null;
+        this.progressElements.clear();
+
+        window.removeEventListener('scroll', this.handleScroll);
+        window.removeEventListener('resize', this.handleScroll);
+        if (this.reducedMotion && this.reducedMotion.removeEventListener) {
+            this.reducedMotion.removeEventListener('change', this.handleMotionChange);
+        }
+
+        this.mounted = new WeakSet();
+        this.observer = null;
+    }
+
+    /**
+     * Watches an element for one purpose: 'reveal', 'counter' or 'bar'
+     */
+    observe(element, purpose) {
+        const threshold = parseFloat(element.dataset.revealThreshold);
+        const observer = this.getObserver(Number.isNaN(threshold) ? this.options.threshold : threshold, purpose);
+        observer.observe(element);
+
+        const observers = this.elementObservers.get(element) || new Map();
+        observers.set(purpose, observer);
+        this.elementObservers.set(element, observers);
+    }
+
+    getObserver(threshold, purpose) {
+        const key = `${purpose}:${threshold}`;
+        if (this.observers.has(key)) return this.observers.get(key);
+
+        // Create observer that DOES NOT unobserve (unless the element plays once)
+        // This allows animations to replay on re-entry
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach((entry) => {
+                if (entry.isIntersecting) {
+                    this.enter(entry.target, purpose, observer);
+                } else {
+                    // Only reset if element has scrolled out significantly
+                    const rect = entry.boundingClientRect;
+                    if (rect.bottom < 0 || rect.top > window.innerHeight) {
+                        this.exit(entry.target, purpose);
+                    }
+                }
+            });
+        }, {
+            root: this.options.root,
+            rootMargin: this.options.rootMargin,
+            threshold
+        });
+
+        this.observers.set(key, observer);
+        return observer;
+    }
+
+    enter(element, purpose, observer) {
+        if (purpose === 'counter') {
+            this.playCounter(element);
+        } else if (purpose === 'bar') {
+            this.playBar(element);
+        } else {
+            // Add both classes for backwards compatibility
+            element.classList.add('is-visible', 'visible');
+        }
+
+        if (this.isOnce(element, purpose)) {
+            observer.unobserve(element);
+            const observers = this.elementObservers.get(element);
+            if (observers) observers.delete(purpose);
+        }
+    }
+
+    exit(element, purpose) {
+        if (purpose === 'counter') {
+            this.resetCounter(element);
+        } else if (purpose === 'bar') {
+            element.style.width = '0';
+        } else {
+            // Remove classes to reset animation
+            // Keep 'visible' for fade-in-up legacy support
+            element.classList.remove('is-visible');
+        }
+    }
+
+    isOnce(element, purpose) {
+        const value = element.dataset.revealOnce;
+        if (value !== undefined) return value !== 'false';
+
+        // Counters and bars play once unless told otherwise
+        return purpose !== 'reveal';
+    }
+
+    prefersReducedMotion() {
+        return Boolean(this.reducedMotion && this.reducedMotion.matches);
+    }
+
+    /**
+     * Applies stagger delay using CSS variable
+     * Can be overridden with inline style="--delay: 0.3s"
+     * The step and cap come from data-reveal-stagger / data-reveal-stagger-max on the parent
+     */
+    applyStaggerDelay(element) {
+        // Check if element already has a delay set
+        const hasCustomDelay = element.style.getPropertyValue('--delay');
+        if (hasCustomDelay || /\breveal-delay-\d/.test(element.className)) return;
+        
+        // Auto-calculate stagger for grouped elements
+        const parent = element.parentElement;
+        if (!parent) return;
+        const siblings = Array.from(parent.children).filter(el => 
+            el.classList.contains('reveal') || el.classList.contains('fade-in-up')
+        );
+        
+        if (siblings.length > 1) {
+            const index = siblings.indexOf(element);
+            const step = parseFloat(parent.dataset.revealStagger);
+            const max = parseFloat(parent.dataset.revealStaggerMax);
+            // Stagger by 0.1s per element, max 0.5s by default
+            const delay = Math.min(
+                index * (Number.isNaN(step) ? this.options.staggerStep : step),
+                Number.isNaN(max) ? this.options.staggerMax : max
+            );
+            // Rounded so 3 * 0.1 doesn't become 0.30000000000000004s
+            element.style.setProperty('--delay', `${Math.round(delay * 1000) / 1000}s`);
+        }
+    }
+
+    /**
+     * Copies data-reveal-duration / data-reveal-easing into the CSS variables
+     * the .reveal transition reads
+     */
+    applyTiming(element) {
+        const { revealDuration, revealEasing } = element.dataset;
+        if (revealDuration) {
+            element.style.setProperty('--reveal-duration', /^[\d.]+$/.test(revealDuration) ? `${revealDuration}s` : revealDuration);
+        }
+        if (revealEasing) {
+            element.style.setProperty('--reveal-easing', revealEasing);
+        }
+    }
+
+    // ---------- Counters ----------
+
+    setupCounter(element) {
+        if (element.dataset.countTarget !== undefined) return;
+
+        // "500+" -> prefix "", 500, suffix "+"; "$1,200" keeps its prefix and separators
+        const match = element.textContent.trim().match(/^(\D*?)(\d[\d,]*(?:\.\d+)?)(\D*)$/);
+        if (!match) return;
+
+        const [, prefix, number, suffix] = match;
+        element.dataset.countTarget = number.replace(/,/g, '');
+        element.dataset.countPrefix = prefix;
+        element.dataset.countSuffix = suffix;
+        element.dataset.countDecimals = (number.split('.')[1] || '').length;
+        element.dataset.countGrouping = number.includes(',') ? 'true' : 'false';
+
+        if (!this.prefersReducedMotion()) this.resetCounter(element);
+        this.observe(element, 'counter');
+    }
+
+    formatCount(element, value) {
+        const decimals = Number(element.dataset.countDecimals);
+        const number = element.dataset.countGrouping === 'true'
+            ? value.toLocaleString(getLocale(), { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+            : value.toFixed(decimals);
+        return `${element.dataset.countPrefix}${number}${element.dataset.countSuffix}`;
+    }
+
+    resetCounter(element) {
+        cancelAnimationFrame(this.countFrames.get(element));
+        element.textContent = this.formatCount(element, 0);
+    }
+
+    playCounter(element) {
+        const target = parseFloat(element.dataset.countTarget);
+        cancelAnimationFrame(this.countFrames.get(element));
+
+        if (this.prefersReducedMotion()) {
+            element.textContent = this.formatCount(element, target);
+            return;
+        }
+
+        const duration = parseInt(element.dataset.countDuration, 10) || this.options.counterDuration;
+        const start = performance.now();
+
+        const step = (now) => {
+            const t = Math.min((now - start) / duration, 1);
+            // Ease-out cubic: fast start, gentle landing
+            const eased = 1 - Math.pow(1 - t, 3);
+            element.textContent = this.formatCount(element, target * eased);
+            if (t < 1) this.countFrames.set(element, requestAnimationFrame(step));
+        };
+        this.countFrames.set(element, requestAnimationFrame(step));
+    }
+
+    // ---------- Progress bars ----------
+
+    setupBar(element) {
+        if (element.dataset.barWidth !== undefined) return;
+
+        element.dataset.barWidth = element.style.width || '100%';
+        if (!this.prefersReducedMotion()) element.style.width = '0';
+        this.observe(element, 'bar');
+    }
+
+    playBar(element) {
+        // The width transition lives in CSS (.bar-fill); reduced motion disables it there
+        element.style.width = element.dataset.barWidth;
+    }
+
+    // ---------- Scroll-linked progress ----------
+
+    /**
+     * Subscribe to an element's 0-1 scroll progress
+     * Returns an unsubscribe function
+     */
+    onProgress(element, callback) {
+        const callbacks = this.progressCallbacks.get(element) || [];
+        callbacks.push(callback);
+        this.progressCallbacks.set(element, callbacks);
+
+        if (this.progressObserver) this.progressObserver.observe(element);
+        this.updateProgress(element);
+
+        return () => {
+            this.progressCallbacks.set(element, (this.progressCallbacks.get(element) || []).filter(cb => cb !== callback));
+        };
+    }
+
+    requestProgressUpdate() {
+        if (this.progressFrame || !this.progressElements.size) return;
+        this.progressFrame = requestAnimationFrame(() => {
+            this.progressFrame = null;
+            this.progressElements.forEach(el => this.updateProgress(el));
+        });
+    }
+
+    updateProgress(element) {
+        let progress = 1;
+
+        if (!this.prefersReducedMotion()) {
+            const rect = element.getBoundingClientRect();
+            const distance = window.innerHeight + rect.height;
+            progress = distance > 0 ? (window.innerHeight - rect.top) / distance : 0;
+            progress = Math.min(Math.max(progress, 0), 1);
+        }
+
+        element.style.setProperty('--progress', progress.toFixed(4));
+        (this.progressCallbacks.get(element) || []).forEach(callback => callback(progress));
+    }
+
+    /**
+     * Jump every counter, bar and progress value to its end state
+     */
+    finishAll() {
+        document.querySelectorAll('[data-count-target]').forEach(el => {
+            cancelAnimationFrame(this.countFrames.get(el));
+            el.textContent = this.formatCount(el, parseFloat(el.dataset.countTarget));
+        });
+        document.querySelectorAll('[data-bar-width]').forEach(el => {
+            el.style.width = el.dataset.barWidth;
+        });
+        document.querySelectorAll(this.options.progressSelector).forEach(el => this.updateProgress(el));
+    }
+
+    /**
+     * Public method to refresh observer
+     * Content added after start-up is picked up by ComponentLifecycle automatically;
+     * this is only needed when the lifecycle layer isn't running.
+     * Already-mounted elements are skipped, so nothing is observed twice.
+     */
+    refresh() {
+        this.elements = document.querySelectorAll('.reveal, .fade-in-up');
+        document.querySelectorAll(this.selector).forEach(el => this.mount(el));
+    }
+}
@@ -0,0 +1,134 @@
+import { debounce } from './utils.js';
+
+// ===================================
+// SMOOTH SCROLL
+// ===================================
+
+/**
+ * Smooth scrolling for in-page links and programmatic scrolls
+ *
+ * USAGE:
+ * window.smoothScroll.scrollTo('#pricing')
+ * window.smoothScroll.scrollTo(element, { offset: 24, focus: false, updateHash: true })
+ *
+ * - Links are handled by delegation, so anchors added later work too
+ * - The fixed nav height is re-measured whenever the nav resizes
+ * - prefers-reduced-motion jumps instead of animating
+ * - The target receives focus (tabindex="-1" is added when needed) so
+ *   screen readers and keyboard users continue from there
+ * - A hash in the initial URL and back/forward navigation are honoured
+ */
+export class SmoothScroll {
+    constructor(options = {}) {
+        this.options = {
+            navSelector: '.nav',
+            offset: 0,
+            ...options
+        };
+
+        this.nav = document.querySelector(this.options.navSelector);
+        this.navHeight = 0;
+        this.reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.init();
+    }
+
+    init() {
+        this.measureNav();
+        if (this.nav && 'ResizeObserver' in window) {
+            new ResizeObserver(() => this.measureNav()).observe(this.nav);
+        } else {
+            window.addEventListener('resize', debounce(() => this.measureNav(), 150));
+        }
+
+        document.addEventListener('click', (e) => this.handleClick(e));
+        window.addEventListener('popstate', () => this.handleHashNavigation());
+
+        // The browser jumps to the initial hash before the nav offset is known
+        if (window.location.hash) {
+            requestAnimationFrame(() => this.handleHashNavigation({ behavior: 'auto' }));
+        }
+    }
+
+    measureNav() {
+        this.navHeight = this.nav ? this.nav.offsetHeight : 0;
+    }
+
+    handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href^="#"]');
+        if (!link) return;
+
+        const href = link.getAttribute('href');
+
+        // Skip if href is just "#"
+        if (href === '#') {
+            e.preventDefault();
+            return;
+        }
+
+        const target = this.resolveTarget(href);
+        if (!target) return;
+
+        e.preventDefault();
+        this.scrollTo(target, { updateHash: true });
+    }
+
+    handleHashNavigation(options = {}) {
+        const target = window.location.hash ? this.resolveTarget(window.location.hash) : null;
+
+        if (target) {
+            this.scrollTo(target, options);
+        } else if (!window.location.hash) {
+            window.scrollTo({ top: 0, behavior: this.getBehavior(options.behavior) });
+        }
+    }
+
+    /**
+     * Scroll to an element, selector or #hash
+     * Returns false when the target doesn't exist
+     */
+    scrollTo(target, { offset = this.options.offset, behavior, focus = true, updateHash = false } = {}) {
+        const element = this.resolveTarget(target);
+        if (!element) return false;
+
+        const top = element.getBoundingClientRect().top + window.scrollY - this.navHeight - offset;
+        window.scrollTo({
+            top: Math.max(top, 0),
+            behavior: this.getBehavior(behavior)
+        });
+
+        if (updateHash && element.id && window.location.hash !== `#${element.id}`) {
+            window.history.pushState(null, '', `#${element.id}`);
+        }
+
+        if (focus) this.focusTarget(element);
+        return true;
+    }
+
+    resolveTarget(target) {
+        if (!target) return null;
+        if (target instanceof Element) return target;
+
+        try {
+            // Decode so #caf%C3%A9 finds id="café"
+            return document.querySelector(target.startsWith('#') ? `#${CSS.escape(decodeURIComponent(target.slice(1)))}` : target);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getBehavior(behavior) {
+        if (this.reducedMotion && this.reducedMotion.matches) return 'auto';
+        return behavior || 'smooth';
+    }
+
+    focusTarget(element) {
+        if (!element.matches('a[href], button, input, select, textarea, [tabindex]')) {
+            element.setAttribute('tabindex', '-1');
+        }
+
+        // Don't let focus() jump ahead of the smooth scroll
+        element.focus({ preventScroll: true });
+    }
+}
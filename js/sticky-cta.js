@@ -0,0 +1,63 @@
+import { throttle } from './utils.js';
+import { reportMissing } from './diagnostics.js';
+
+// ===================================
+// STICKY CTA (Mobile)
+// ===================================
+
+/**
+ * Shows sticky CTA bar on mobile when user scrolls past main CTA
+ * Hides when user is at main CTA or footer
+ */
+export class StickyCTA {
+    constructor(options = {}) {
+        this.breakpoint = options.breakpoint || 768;
+        this.stickyCta = document.getElementById('stickyCta');
+        this.mainCta = document.querySelector('.final-cta');
+        this.footer = document.querySelector('.footer');
+        
+        if (!this.stickyCta) return;
+        if (!this.mainCta) {
+            reportMissing('StickyCTA', '.final-cta', 'the sticky bar stays hidden');
+            return;
+        }
+
+        this.init();
+    }
+
+    init() {
+        // Check visibility on scroll
+        window.addEventListener('scroll', throttle(() => {
+            this.checkVisibility();
+        }, 100), { passive: true });
+        
+        // The sticky button itself is routed by ButtonManager (data-action="scroll-to")
+    }
+
+    checkVisibility() {
+        const scrollPosition = window.scrollY + window.innerHeight;
+        const mainCtaPosition = this.mainCta.offsetTop;
+        const mainCtaBottom = mainCtaPosition + this.mainCta.offsetHeight;
+        const footerPosition = this.footer?.offsetTop || Infinity;
+        
+        // Show sticky CTA if:
+        // - User scrolled past the main CTA
+        // - User is not at the footer
+        // - Window width is mobile (handled by CSS, but check here too)
+        if (scrollPosition > mainCtaBottom && 
+            scrollPosition < footerPosition && 
+            window.innerWidth <= this.breakpoint) {
+            this.stickyCta.classList.add('visible');
+        } else {
+            this.stickyCta.classList.remove('visible');
+        }
+    }
+
+    scrollToMainCTA() {
+        if (window.smoothScroll) {
+            window.smoothScroll.scrollTo(this.mainCta);
+        } else {
+            this.mainCta.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+}
@@ -0,0 +1,234 @@
+import { trackEvent, storageSet } from './utils.js';
+import { reportDiagnostic } from './diagnostics.js';
+
+// ===================================
+// THEME MANAGEMENT
+// ===================================
+
+/**
+ * Theme definitions
+ *
+ * Each theme is a set of design tokens (CSS custom properties) applied to
+ * <html> at runtime. `scheme` is the base palette from styles.css the theme
+ * builds on ('dark' or 'light'), so existing [data-theme="light"] rules keep
+ * working; `tokens` override individual variables on top of it.
+ *
+ * Register client palettes with ThemeManager.registerTheme(name, definition)
+ * and preview them with ?theme=<name> (previews are never saved).
+ */
+export const THEMES = {
+    dark: {
+        label: 'Dark',
+        scheme: 'dark',
+        tokens: {}
+    },
+    light: {
+        label: 'Light',
+        scheme: 'light',
+        tokens: {}
+    },
+    'high-contrast': {
+        label: 'High contrast',
+        scheme: 'dark',
+        tokens: {
+            '--bg-primary': '#000000',
+            '--bg-secondary': '#000000',
+            '--bg-tertiary': '#111111',
+            '--glass-bg': 'rgba(0, 0, 0, 0.9)',
+            '--glass-border': '#ffffff',
+            '--glass-shadow': 'rgba(0, 0, 0, 0)',
+            '--text-primary': '#ffffff',
+            '--text-secondary': '#ffffff',
+            '--text-muted': '#e5e5e5',
+            '--gradient-start': '#ffd400',
+            '--gradient-end': '#ffd400',
+            '--gradient-glow': 'rgba(255, 212, 0, 0.4)',
+            '--accent-blue': '#ffd400',
+            '--accent-purple': '#ffd400',
+            '--accent-success': '#00ff7f',
+            '--nav-bg-scrolled': '#000000'
+        }
+    },
+    emerald: {
+        label: 'Emerald',
+        scheme: 'light',
+        tokens: {
+            '--gradient-start': '#059669',
+            '--gradient-end': '#0d9488',
+            '--gradient-glow': 'rgba(5, 150, 105, 0.3)',
+            '--accent-blue': '#059669',
+            '--accent-purple': '#0d9488'
+        }
+    }
+};
+
+/**
+ * Applies named themes and keeps them in sync with the OS preference
+ *
+ * Resolution order: ?theme= preview > saved choice > prefers-color-scheme.
+ * Until the visitor picks a theme, OS changes are followed live.
+ * Saving the choice needs 'preferences' consent.
+ *
+ * EVENTS:
+ * 'theme:change' on document, detail { theme, scheme, source }
+ * (source: 'init' | 'user' | 'system' | 'preview'), or use onChange(callback).
+ */
+export class ThemeManager {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'theme',
+            urlParam: 'theme',
+            defaultTheme: 'dark',
+            ...options
+        };
+
+        this.themeToggle = document.querySelector('.theme-toggle');
+        this.colorSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+        this.listeners = [];
+        this.appliedTokens = [];
+        this.userChosen = false;
+        this.preview = false;
+        this.currentTheme = null;
+        this.init();
+    }
+
+    init() {
+        const previewTheme = this.getPreviewTheme();
+        const storedTheme = this.getStoredTheme();
+
+        if (previewTheme) {
+            this.preview = true;
+            this.setTheme(previewTheme, { animate: false, persist: false, source: 'preview' });
+        } else {
+            this.userChosen = Boolean(storedTheme);
+            this.setTheme(storedTheme || this.getSystemTheme(), { animate: false, persist: false, source: 'init' });
+        }
+
+        if (this.themeToggle) {
+            this.themeToggle.addEventListener('click', () => this.toggleTheme());
+        }
+
+        if (this.colorSchemeQuery) {
+            const onSystemChange = () => this.handleSystemChange();
+            if (this.colorSchemeQuery.addEventListener) {
+                this.colorSchemeQuery.addEventListener('change', onSystemChange);
+            } else if (this.colorSchemeQuery.addListener) {
+                this.colorSchemeQuery.addListener(onSystemChange);
+            }
+        }
+    }
+
+    getPreviewTheme() {
+        const name = new URLSearchParams(window.location.search).get(this.options.urlParam);
+        return name && THEMES[name] ? name : null;
+    }
+
+    getStoredTheme() {
+        try {
+            const stored = localStorage.getItem(this.options.storageKey);
+            return stored && THEMES[stored] ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getSystemTheme() {
+        if (this.colorSchemeQuery) {
+            return this.colorSchemeQuery.matches ? 'light' : 'dark';
+        }
+        return this.options.defaultTheme;
+    }
+
+    handleSystemChange() {
+        if (this.userChosen || this.preview) return;
+        this.setTheme(this.getSystemTheme(), { persist: false, source: 'system' });
+    }
+
+    setTheme(name, { animate = true, persist = true, source = 'user' } = {}) {
+        const theme = THEMES[name];
+        if (!theme) {
+            reportDiagnostic('warn', 'ThemeManager', `unknown theme "${name}"`);
+            return;
+        }
+
+        const root = document.documentElement;
+
+        // Add transition class for smooth color change
+        if (animate) {
+            root.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+        }
+
+        // Drop the previous theme's overrides before applying the new ones
+        this.appliedTokens.forEach(token => root.style.removeProperty(token));
+        Object.entries(theme.tokens || {}).forEach(([token, value]) => root.style.setProperty(token, value));
+        this.appliedTokens = Object.keys(theme.tokens || {});
+
+        root.setAttribute('data-theme', theme.scheme);
+        root.setAttribute('data-theme-name', name);
+        root.style.colorScheme = theme.scheme;
+
+        if (persist) {
+            storageSet(this.options.storageKey, name, 'preferences');
+            this.userChosen = true;
+            this.preview = false;
+        }
+
+        const previous = this.currentTheme;
+        this.currentTheme = name;
+
+        // Remove transition after animation completes
+        if (animate) {
+            setTimeout(() => {
+                root.style.transition = '';
+            }, 300);
+        }
+
+        if (previous !== name) {
+            this.emit({ theme: name, scheme: theme.scheme, source });
+        }
+    }
+
+    toggleTheme() {
+        const scheme = this.getScheme() === 'dark' ? 'light' : 'dark';
+        this.setTheme(scheme);
+        trackEvent('theme_change', { theme: scheme });
+    }
+
+    getScheme() {
+        return THEMES[this.currentTheme] ? THEMES[this.currentTheme].scheme : 'dark';
+    }
+
+    getThemes() {
+        return Object.keys(THEMES).map(name => ({ name, label: THEMES[name].label || name, scheme: THEMES[name].scheme }));
+    }
+
+    /**
+     * Forget the saved choice and follow the OS preference again
+     */
+    clearPreference() {
+        try {
+            localStorage.removeItem(this.options.storageKey);
+        } catch (error) {
+            // Storage unavailable - nothing to clear
+        }
+        this.userChosen = false;
+        this.preview = false;
+        this.setTheme(this.getSystemTheme(), { persist: false, source: 'system' });
+    }
+
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    emit(detail) {
+        this.listeners.forEach(listener => listener(detail));
+        document.dispatchEvent(new CustomEvent('theme:change', { detail }));
+    }
+
+    static registerTheme(name, definition) {
+        THEMES[name] = { scheme: 'dark', tokens: {}, ...definition };
+    }
+}
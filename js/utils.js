@@ -0,0 +1,117 @@
+// ===================================
+// UTILITY FUNCTIONS
+// ===================================
+
+/**
+ * Debounce function for performance
+ * Use for scroll and resize events
+ */
+export function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+/**
+ * Throttle function for performance
+ * Alternative to debounce for certain use cases
+ */
+export function throttle(func, limit) {
+    let inThrottle;
+    return function(...args) {
+        if (!inThrottle) {
+            func.apply(this, args);
+            inThrottle = true;
+            setTimeout(() => inThrottle = false, limit);
+        }
+    };
+}
+
+/**
+ * Emits an analytics event onto the page-wide event bus
+ * Picked up by Analytics; a no-op if analytics isn't initialized
+ */
+export function trackEvent(name, properties = {}) {
+    document.dispatchEvent(new CustomEvent('analytics:track', {
+        detail: { name, properties }
+    }));
+}
+
+/**
+ * Whether the visitor granted a consent category
+ * Always true when no ConsentManager is running on the page
+ */
+export function hasConsent(category) {
+    return window.consentManager ? window.consentManager.has(category) : true;
+}
+
+/**
+ * Runs callback once the consent category is granted (immediately if it already is)
+ */
+export function whenConsented(category, callback) {
+    if (window.consentManager) {
+        window.consentManager.whenGranted(category, callback);
+    } else {
+        callback();
+    }
+}
+
+/**
+ * Consent-aware localStorage write
+ * Returns false when consent is missing or storage is unavailable
+ */
+export function storageSet(key, value, category = 'necessary') {
+    if (!hasConsent(category)) return false;
+
+    try {
+        localStorage.setItem(key, value);
+        return true;
+    } catch (error) {
+        // Storage full or unavailable (e.g. private mode)
+        return false;
+    }
+}
+
+/**
+ * Elements in a container that Tab can reach, in DOM order
+ */
+export function getFocusable(container) {
+    return Array.from(container.querySelectorAll(
+        'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), iframe, [tabindex]:not([tabindex="-1"])'
+    )).filter(el => !el.closest('[hidden], [inert]'));
+}
+
+/**
+ * Keeps Tab / Shift+Tab cycling inside a container (modal dialogs)
+ * Call from the container's keydown handler for Tab
+ */
+export function trapFocus(container, event) {
+    const focusable = getFocusable(container);
+
+    if (!focusable.length) {
+        event.preventDefault();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    // Focus is on the container itself (or escaped it) - enter from the right end
+    const active = document.activeElement;
+    if (active === container || !container.contains(active)) {
+        event.preventDefault();
+        (event.shiftKey ? last : first).focus();
+    } else if (event.shiftKey && active === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && active === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
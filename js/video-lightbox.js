@@ -0,0 +1,122 @@
+import { trackEvent } from './utils.js';
+import { reportDiagnostic, reportMissing } from './diagnostics.js';
+import { Dialog } from './dialog.js';
+import { t } from './i18n.js';
+
+// ===================================
+// VIDEO LIGHTBOX
+// ===================================
+
+/**
+ * Plays a video (YouTube/Vimeo embed or a video file) in a modal Dialog
+ *
+ * MARKUP:
+ * <div class="modal video-lightbox" id="videoLightbox" hidden>
+ *   <div class="modal-dialog video-lightbox-dialog">
+ *     <button class="modal-close" data-dialog-close aria-label="Close">&times;</button>
+ *     <h2 class="sr-only video-lightbox-title" data-i18n="video.title">Video</h2>
+ *     <div class="video-lightbox-frame"></div>
+ *   </div>
+ * </div>
+ *
+ * Open it from any button:
+ * <button data-action="play-video" data-video="https://www.youtube.com/embed/ID" data-video-title="Sarah's story">
+ * ContentRenderer adds one to every testimonial with a "video" in content.json
+ * (none of the shipped testimonials has one - add the URL to use it).
+ *
+ * - .mp4 / .webm / .ogg URLs play in a <video>, anything else in an <iframe>
+ * - Only http(s) URLs are played
+ * - The player is removed on close, which stops playback
+ */
+export class VideoLightbox {
+    constructor(selector = '#videoLightbox', options = {}) {
+        this.options = {
+            frameSelector: '.video-lightbox-frame',
+            titleSelector: '.video-lightbox-title',
+            ...options
+        };
+
+        this.modal = document.querySelector(selector);
+        if (!this.modal) {
+            reportMissing('VideoLightbox', selector, 'videos open in a new tab instead', 'info');
+            return;
+        }
+
+        this.frame = this.modal.querySelector(this.options.frameSelector);
+        if (!this.frame) {
+            reportMissing('VideoLightbox', `${selector} ${this.options.frameSelector}`, 'videos open in a new tab instead');
+            this.modal = null;
+            return;
+        }
+
+        this.title = this.modal.querySelector(this.options.titleSelector);
+        this.dialog = Dialog.for(this.modal, {
+            initialFocus: '.modal-close',
+            onClose: () => this.clear()
+        });
+    }
+
+    /**
+     * Returns false when the URL can't be played
+     */
+    open(src, { title = '', opener = document.activeElement } = {}) {
+        const url = this.resolve(src);
+        if (!url) {
+            reportDiagnostic('warn', 'VideoLightbox', `refusing to play "${src}" - only http(s) URLs are allowed`);
+            return false;
+        }
+
+        trackEvent('video_play', { src: url.href, title });
+
+        if (!this.modal) {
+            window.open(url.href, '_blank', 'noopener');
+            return true;
+        }
+
+        this.clear();
+        if (this.title) this.title.textContent = title || t('video.title', {}, 'Video');
+        this.frame.appendChild(this.createPlayer(url, title));
+        this.dialog.open(opener);
+        return true;
+    }
+
+    close() {
+        if (this.dialog) this.dialog.close();
+    }
+
+    isOpen() {
+        return Boolean(this.dialog && this.dialog.isOpen());
+    }
+
+    resolve(src) {
+        try {
+            const url = new URL(src, window.location.href);
+            return ['http:', 'https:'].includes(url.protocol) ? url : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    createPlayer(url, title) {
+        if (/\.(mp4|webm|ogg)$/i.test(url.pathname)) {
+            const video = document.createElement('video');
+            video.src = url.href;
+            video.controls = true;
+            video.autoplay = true;
+            video.playsInline = true;
+            if (title) video.setAttribute('aria-label', title);
+            return video;
+        }
+
+        const iframe = document.createElement('iframe');
+        iframe.src = url.href;
+        iframe.title = title || t('video.title', {}, 'Video');
+        iframe.allow = 'autoplay; fullscreen; picture-in-picture';
+        iframe.allowFullscreen = true;
+        return iframe;
+    }
+
+    clear() {
+        if (this.frame) this.frame.innerHTML = '';
+    }
+}
@@ -1,863 +1,294 @@
 // ===================================
-// THEME MANAGEMENT
+// ENTRY POINT
 // ===================================
 
 /**
- * Handles dark/light theme switching
- * Persists user preference in localStorage
+ * Page bootstrap and public surface
+ *
+ * Every module lives in its own file under js/ and can be imported on its
+ * own (e.g. for unit tests). This file re-exports all of them and provides
+ * init(config), which starts the modules the page needs.
+ *
+ * USAGE (index.html):
+ * <script type="module">
+ *     import { init } from './script.js';
+ *     init({
+ *         parallax: { strength: 0.2 },
+ *         navigation: { scrollThreshold: 80 },
+ *         scrollAnimations: { rootMargin: '0px', threshold: 0.25 },
+ *         stickyCta: false
+ *     });
+ * </script>
+ *
+ * CONFIG:
+ * Each key below turns a module on or off and passes its options:
+ * - false          -> module is skipped
+ * - true / omitted -> module starts with its defaults
+ * - { ... }        -> module starts with these options merged over the defaults
+ *
+ * Modules that need a root element take it as `selector` in their options
+ * (pricing, leadWizard, booking, videoLightbox, carousel, gallery). Started modules are exposed on window
+ * (window.leadWizard, window.smoothScroll, ...) because buttons and other
+ * modules look each other up there.
+ *
+ * A module that throws while starting is reported on the diagnostics channel
+ * (js/diagnostics.js) and skipped; the others still start. Missing markup is
+ * reported the same way instead of throwing - check getDiagnostics() in the
+ * console when something on a new page template doesn't work.
+ *
+ * Browsers don't load ES modules from file:// - serve the folder over http
+ * while developing (e.g. `npx serve .` or `python3 -m http.server`).
  */
-class ThemeManager {
-    constructor() {
-        this.themeToggle = document.querySelector('.theme-toggle');
-        this.currentTheme = this.getStoredTheme();
-        this.init();
-    }
-
-    init() {
-        // Set initial theme
-        this.setTheme(this.currentTheme, false);
-        
-        // Add event listener
-        this.themeToggle.addEventListener('click', () => this.toggleTheme());
-    }
-
-    getStoredTheme() {
-        // Check localStorage first
-        const stored = localStorage.getItem('theme');
-        if (stored) return stored;
-        
-        // Fall back to system preference
-        if (window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches) {
-            return 'light';
-        }
-        
-        return 'dark';
-    }
-
-    setTheme(theme, animate = true) {
-        // Add transition class for smooth color change
-        if (animate) {
-            document.documentElement.style.transition = 'background-color 0.3s ease, color 0.3s ease';
-        }
-        
-        document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
-        this.currentTheme = theme;
-        
-        // Remove transition after animation completes
-        if (animate) {
-            setTimeout(() => {
-                document.documentElement.style.transition = '';
-            }, 300);
-        }
-    }
-
-    toggleTheme() {
-        const newTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
-        this.setTheme(newTheme);
-    }
-}
-
-// ===================================
-// SCROLL ANIMATIONS
-// ===================================
-
-/**
- * REVEAL ANIMATION SYSTEM
- * ========================
- * 
- * PURPOSE:
- * Creates smooth scroll-triggered animations that REPLAY every time
- * an element enters the viewport and REVERSE when it exits.
- * 
- * HOW IT WORKS:
- * 1. Elements with .reveal class start hidden (opacity: 0)
- * 2. IntersectionObserver watches when elements enter/exit viewport
- * 3. When element ENTERS viewport → adds .is-visible class
- * 4. When element EXITS viewport → removes .is-visible class
- * 5. CSS transitions handle the smooth animation
- * 
- * KEY FEATURES:
- * - ✅ Animations replay on every viewport entry (not once)
- * - ✅ Smooth transitions using transform & opacity only
- * - ✅ GPU-accelerated (no layout shifts)
- * - ✅ Supports custom delays via CSS variables
- * - ✅ Auto-staggered animations for grouped elements
- * - ✅ Respects prefers-reduced-motion
- * - ✅ Backwards compatible with .fade-in-up class
- * 
- * USAGE EXAMPLES:
- * ---------------
- * 
- * Basic fade-up:
- * <div class="reveal fade-up">Content</div>
- * 
- * With custom delay:
- * <div class="reveal fade-up" style="--delay: 0.3s">Content</div>
- * 
- * Different animation types:
- * <div class="reveal fade-in">Simple fade</div>
- * <div class="reveal slide-left">Slide from right</div>
- * <div class="reveal slide-right">Slide from left</div>
- * <div class="reveal scale-in">Grow effect</div>
- * <div class="reveal fade-down">Fade down</div>
- * 
- * Staggered grid:
- * <div class="grid">
- *   <div class="reveal fade-up" style="--delay: 0.1s">Item 1</div>
- *   <div class="reveal fade-up" style="--delay: 0.2s">Item 2</div>
- *   <div class="reveal fade-up" style="--delay: 0.3s">Item 3</div>
- * </div>
- * 
- * PERFORMANCE NOTES:
- * ------------------
- * - Uses IntersectionObserver (modern, efficient API)
- * - Only animates transform and opacity (GPU-accelerated)
- * - Elements remain observed (no re-initialization needed)
- * - Minimal JavaScript - CSS handles animations
- * - Auto-disabled for users with reduced motion preferences
- * 
- * BROWSER SUPPORT:
- * ----------------
- * - Modern browsers: Full support with smooth animations
- * - Legacy browsers: Graceful fallback (elements visible immediately)
- */
-
-/**
- * Observes elements and triggers reveal animations
- * Uses IntersectionObserver for performance
- * Animations replay every time element enters viewport
- * 
- * HOW IT WORKS:
- * 1. Observes all elements with .reveal class
- * 2. When element ENTERS viewport → adds .is-visible class
- * 3. When element EXITS viewport → removes .is-visible class
- * 4. CSS handles the actual animation via transitions
- * 5. Supports custom delays via --delay CSS variable
- */
-class ScrollAnimations {
-    constructor() {
-        // Select all elements with reveal animation classes
-        this.elements = document.querySelectorAll('.reveal, .fade-in-up');
-        
-        // Configure intersection threshold
-        // rootMargin: negative value means animation triggers slightly before entering
-        this.options = {
-            root: null,
-            rootMargin: '-50px', // Trigger 50px before element enters
-            threshold: 0.15 // 15% of element must be visible
-        };
-        
-        this.init();
-    }
-
-    init() {
-        // Check if IntersectionObserver is supported
-        if (!('IntersectionObserver' in window)) {
-            // Fallback: show all elements immediately for older browsers
-            this.elements.forEach(el => {
-                el.classList.add('visible', 'is-visible');
-            });
-            return;
-        }
-
-        // Create observer that DOES NOT unobserve
-        // This allows animations to replay on re-entry
-        this.observer = new IntersectionObserver((entries) => {
-            entries.forEach((entry) => {
-                if (entry.isIntersecting) {
-                    // Element is entering viewport
-                    // Add both classes for backwards compatibility
-                    entry.target.classList.add('is-visible', 'visible');
-                } else {
-                    // Element is exiting viewport
-                    // Remove classes to reset animation
-                    // Only remove if element has scrolled out significantly
-                    const rect = entry.boundingClientRect;
-                    if (rect.bottom < 0 || rect.top > window.innerHeight) {
-                        entry.target.classList.remove('is-visible');
-                        // Keep 'visible' for fade-in-up legacy support
-                    }
-                }
-            });
-        }, this.options);
-
-        // Observe all elements
-        // NOTE: We do NOT unobserve, allowing continuous monitoring
-        this.elements.forEach(el => {
-            this.observer.observe(el);
-            
-            // Apply stagger delay from inline CSS variable
-            // Example: <div class="reveal" style="--delay: 0.2s">
-            this.applyStaggerDelay(el);
-        });
-    }
 
-    /**
-     * Applies stagger delay using CSS variable
-     * Can be overridden with inline style="--delay: 0.3s"
-     */
-    applyStaggerDelay(element) {
-        // Check if element already has a delay set
-        const hasCustomDelay = element.style.getPropertyValue('--delay');
-        if (hasCustomDelay) return;
-        
-        // Auto-calculate stagger for grouped elements
-        const parent = element.parentElement;
-        const siblings = Array.from(parent.children).filter(el => 
-            el.classList.contains('reveal') || el.classList.contains('fade-in-up')
-        );
-        
-        if (siblings.length > 1) {
-            const index = siblings.indexOf(element);
-            // Stagger by 0.1s per element, max 0.5s
-            const delay = Math.min(index * 0.1, 0.5);
-            element.style.setProperty('--delay', `${delay}s`);
-        }
-    }
-
-    /**
-     * Public method to refresh observer
-     * Useful if new elements are added dynamically
-     */
-    refresh() {
-        this.elements = document.querySelectorAll('.reveal, .fade-in-up');
-        this.elements.forEach(el => {
-            this.observer.observe(el);
-            this.applyStaggerDelay(el);
-        });
-    }
-}
+import { ThemeManager } from './js/theme.js';
+import { I18n } from './js/i18n.js';
+import { ScrollAnimations } from './js/scroll-animations.js';
+import { SmoothScroll } from './js/smooth-scroll.js';
+import { NavigationScroll } from './js/navigation.js';
+import { ButtonManager } from './js/buttons.js';
+import { PerformanceMonitor } from './js/performance.js';
+import { LazyLoader } from './js/lazy-loader.js';
+import { PricingTable } from './js/pricing.js';
+import { ContentRenderer } from './js/content.js';
+import { LeadWizard } from './js/lead-wizard.js';
+import { ConsentManager } from './js/consent.js';
+import { BookingWidget } from './js/booking.js';
+import { Analytics, DebugProvider } from './js/analytics.js';
+import { ExperimentEngine, EXPERIMENTS } from './js/experiments.js';
+import { ComponentLifecycle } from './js/lifecycle.js';
+import { FAQAccordion } from './js/faq.js';
+import { VideoLightbox } from './js/video-lightbox.js';
+import { Carousel } from './js/carousel.js';
+import { Gallery } from './js/gallery.js';
+import { ParallaxEffect } from './js/parallax.js';
+import { StickyCTA } from './js/sticky-cta.js';
+import { PopupEngine, POPUPS } from './js/popups.js';
+import { KeyboardNavigation } from './js/keyboard-navigation.js';
+import { reportError } from './js/diagnostics.js';
+
+export * from './js/theme.js';
+export * from './js/i18n.js';
+export * from './js/scroll-animations.js';
+export * from './js/smooth-scroll.js';
+export * from './js/navigation.js';
+export * from './js/buttons.js';
+export * from './js/performance.js';
+export * from './js/lazy-loader.js';
+export * from './js/forms.js';
+export * from './js/dialog.js';
+export * from './js/pricing.js';
+export * from './js/content.js';
+export * from './js/lead-wizard.js';
+export * from './js/consent.js';
+export * from './js/booking.js';
+export * from './js/analytics.js';
+export * from './js/experiments.js';
+export * from './js/lifecycle.js';
+export * from './js/faq.js';
+export * from './js/video-lightbox.js';
+export * from './js/carousel.js';
+export * from './js/gallery.js';
+export * from './js/parallax.js';
+export * from './js/sticky-cta.js';
+export * from './js/popups.js';
+export * from './js/keyboard-navigation.js';
+export * from './js/diagnostics.js';
+export * from './js/utils.js';
 
 // ===================================
-// SMOOTH SCROLL
+// INITIALIZE ALL MODULES
 // ===================================
 
 /**
- * Handles smooth scrolling for anchor links
+ * Resolves one module's config entry
+ * Returns null when the module is switched off, otherwise its options
  */
-class SmoothScroll {
-    constructor() {
-        this.links = document.querySelectorAll('a[href^="#"]');
-        this.init();
-    }
-
-    init() {
-        this.links.forEach(link => {
-            link.addEventListener('click', (e) => {
-                const href = link.getAttribute('href');
-                
-                // Skip if href is just "#"
-                if (href === '#') {
-                    e.preventDefault();
-                    return;
-                }
-
-                const target = document.querySelector(href);
-                if (target) {
-                    e.preventDefault();
-                    
-                    // Calculate offset for fixed nav
-                    const navHeight = document.querySelector('.nav')?.offsetHeight || 0;
-                    const targetPosition = target.offsetTop - navHeight;
-                    
-                    window.scrollTo({
-                        top: targetPosition,
-                        behavior: 'smooth'
-                    });
-                }
-            });
-        });
-    }
+function moduleOptions(config, key) {
+    const value = config[key];
+    if (value === false) return null;
+    return value && typeof value === 'object' ? { ...value } : {};
 }
 
-// ===================================
-// NAVIGATION SCROLL EFFECT
-// ===================================
-
 /**
- * Adds background blur effect to nav on scroll
+ * Main initialization function
+ * Waits for the DOM, starts every enabled module in dependency order and
+ * resolves with the started instances (keyed like the config)
  */
-class NavigationScroll {
-    constructor() {
-        this.nav = document.querySelector('.nav');
-        this.scrollThreshold = 50;
-        this.init();
-    }
+export function init(config = {}) {
+    return new Promise(resolve => {
+        const start = () => resolve(startModules(config));
 
-    init() {
-        window.addEventListener('scroll', () => this.handleScroll(), { passive: true });
-    }
-
-    handleScroll() {
-        if (window.scrollY > this.scrollThreshold) {
-            this.nav.style.background = 'rgba(10, 14, 23, 0.95)';
-            this.nav.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.2)';
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', start, { once: true });
         } else {
-            this.nav.style.background = '';
-            this.nav.style.boxShadow = '';
+            start();
         }
-    }
+    });
 }
 
-// ===================================
-// BUTTON INTERACTIONS
-// ===================================
+function startModules(config) {
+    const modules = {};
+    const failed = [];
+    const options = (key) => moduleOptions(config, key);
 
-/**
- * Handles button click interactions and analytics
- */
-class ButtonManager {
-    constructor() {
-        this.buttons = document.querySelectorAll('.btn');
-        this.init();
-    }
-
-    init() {
-        this.buttons.forEach(button => {
-            button.addEventListener('click', (e) => this.handleClick(e, button));
-        });
-    }
-
-    handleClick(event, button) {
-        // Get button text for analytics
-        const buttonText = button.textContent.trim();
-        
-        // Log to console (replace with actual analytics in production)
-        console.log('Button clicked:', buttonText);
-        
-        // Add ripple effect
-        this.createRipple(event, button);
-        
-        // Here you can add:
-        // - Google Analytics event tracking
-        // - Form submission
-        // - Modal opening
-        // - External link handling
-        // - etc.
-        
-        // Example: Open contact form for CTA buttons
-        if (buttonText.includes('Schedule') || buttonText.includes('Get Started')) {
-            // Prevent default if it's a link
-            event.preventDefault();
-            
-            // Example: You could open a modal or redirect to a GHL form
-            console.log('Opening contact form...');
-            // window.location.href = 'your-ghl-form-url';
-        }
-    }
-
-    createRipple(event, button) {
-        const ripple = document.createElement('span');
-        const rect = button.getBoundingClientRect();
-        const size = Math.max(rect.width, rect.height);
-        const x = event.clientX - rect.left - size / 2;
-        const y = event.clientY - rect.top - size / 2;
-        
-        ripple.style.width = ripple.style.height = size + 'px';
-        ripple.style.left = x + 'px';
-        ripple.style.top = y + 'px';
-        ripple.style.position = 'absolute';
-        ripple.style.borderRadius = '50%';
-        ripple.style.background = 'rgba(255, 255, 255, 0.5)';
-        ripple.style.transform = 'scale(0)';
-        ripple.style.animation = 'ripple 0.6s ease-out';
-        ripple.style.pointerEvents = 'none';
-        
-        // Make button position relative if it's not
-        if (getComputedStyle(button).position === 'static') {
-            button.style.position = 'relative';
-        }
-        button.style.overflow = 'hidden';
-        
-        button.appendChild(ripple);
-        
-        setTimeout(() => ripple.remove(), 600);
-    }
-}
-
-// Add ripple animation to stylesheet dynamically
-const style = document.createElement('style');
-style.textContent = `
-    @keyframes ripple {
-        to {
-            transform: scale(4);
-            opacity: 0;
-        }
-    }
-`;
-document.head.appendChild(style);
-
-// ===================================
-// PERFORMANCE MONITORING
-// ===================================
-
-/**
- * Monitors page performance metrics
- */
-class PerformanceMonitor {
-    constructor() {
-        this.init();
-    }
-
-    init() {
-        // Wait for page to fully load
-        window.addEventListener('load', () => {
-            // Check if Performance API is available
-            if ('performance' in window) {
-                this.logMetrics();
-            }
-        });
-    }
-
-    logMetrics() {
-        // Get navigation timing
-        const perfData = window.performance.timing;
-        const pageLoadTime = perfData.loadEventEnd - perfData.navigationStart;
-        const connectTime = perfData.responseEnd - perfData.requestStart;
-        const renderTime = perfData.domComplete - perfData.domLoading;
-        
-        console.log('Performance Metrics:');
-        console.log('- Page Load Time:', pageLoadTime + 'ms');
-        console.log('- Server Response Time:', connectTime + 'ms');
-        console.log('- DOM Render Time:', renderTime + 'ms');
-        
-        // You can send these metrics to analytics
-        // Example: Google Analytics, Mixpanel, etc.
-    }
-}
-
-// ===================================
-// LAZY LOADING IMAGES (Optional)
-// ===================================
-
-/**
- * Lazy loads images for better performance
- * Note: Currently no images in the design, but ready for future use
- */
-class LazyLoader {
-    constructor() {
-        this.images = document.querySelectorAll('img[data-src]');
-        this.init();
-    }
-
-    init() {
-        if (!('IntersectionObserver' in window)) {
-            // Fallback: load all images immediately
-            this.images.forEach(img => this.loadImage(img));
-            return;
+    /**
+     * Error boundary around one module: a module that throws while starting
+     * is reported on the diagnostics channel and the rest still start
+     */
+    const start = (key, create) => {
+        const moduleConfig = options(key);
+        if (!moduleConfig) return null;
+
+        try {
+            modules[key] = create(moduleConfig);
+        } catch (error) {
+            failed.push(key);
+            reportError(key, error, 'failed to start');
         }
+        return modules[key] || null;
+    };
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.loadImage(entry.target);
-                    observer.unobserve(entry.target);
-                }
-            });
+    // Initialize consent before anything that tracks or writes to storage
+    start('consent', (consentOptions) => {
+        window.consentManager = new ConsentManager(consentOptions);
+        return window.consentManager;
+    });
+
+    // Initialize analytics before the other modules so it hears all their events
+    // Add production providers here, e.g.
+    // new GA4Provider(), new SegmentProvider({ endpoint, writeKey }), new GHLPixelProvider({ pixelUrl, locationId })
+    start('analytics', (analyticsOptions) => {
+        window.analyticsBus = new Analytics({
+            providers: Analytics.isDebug() ? [new DebugProvider()] : [],
+            ...analyticsOptions
         });
+        return window.analyticsBus;
+    });
+
+    // Initialize content before experiments and animations - it renders the repeated sections
+    // (testimonials, services, process, clients, comparison) from content.json - see js/content.js
+    start('content', (contentOptions) => {
+        window.contentRenderer = new ContentRenderer(contentOptions);
+        return window.contentRenderer;
+    });
+
+    // Initialize pricing before experiments and buttons - it renders the pricing cards
+    start('pricing', ({ selector = '.pricing', ...pricingOptions }) => {
+        window.pricingTable = new PricingTable(selector, pricingOptions);
+        return window.pricingTable;
+    });
+
+    // Initialize experiments early - they change copy other modules may read
+    start('experiments', ({ experiments = EXPERIMENTS, ...experimentOptions }) => {
+        window.experimentEngine = new ExperimentEngine(experiments, experimentOptions);
+        return window.experimentEngine;
+    });
+    // Switched off or failed to start - show the original copy the <head> snippet is hiding
+    document.documentElement.classList.remove('experiments-pending');
 
-        this.images.forEach(img => observer.observe(img));
-    }
-
-    loadImage(img) {
-        const src = img.getAttribute('data-src');
-        if (src) {
-            img.src = src;
-            img.removeAttribute('data-src');
-        }
-    }
-}
-
-// ===================================
-// FORM VALIDATION (Ready for GHL forms)
-// ===================================
-
-/**
- * Form validation helper
- * Use this when integrating with GHL forms
- */
-class FormValidator {
-    constructor(formSelector) {
-        this.form = document.querySelector(formSelector);
-        if (this.form) this.init();
-    }
-
-    init() {
-        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
-    }
-
-    handleSubmit(event) {
-        event.preventDefault();
-        
-        const formData = new FormData(this.form);
-        const data = Object.fromEntries(formData);
-        
-        // Validate form fields
-        if (this.validateForm(data)) {
-            console.log('Form is valid, submitting...', data);
-            // Submit to GHL or your backend
-            // this.submitToGHL(data);
-        }
-    }
-
-    validateForm(data) {
-        // Add your validation rules
-        let isValid = true;
-        
-        // Example: Email validation
-        if (data.email && !this.isValidEmail(data.email)) {
-            this.showError('Please enter a valid email address');
-            isValid = false;
-        }
-        
-        return isValid;
-    }
-
-    isValidEmail(email) {
-        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-    }
-
-    showError(message) {
-        console.error('Form Error:', message);
-        // Display error message to user
-    }
-}
-
-// ===================================
-// INITIALIZE ALL MODULES
-// ===================================
-
-/**
- * Main initialization function
- * Runs when DOM is fully loaded
- */
-document.addEventListener('DOMContentLoaded', () => {
     // Initialize theme manager
-    new ThemeManager();
-    
-    // Initialize scroll animations (store globally for refresh capability)
-    window.scrollAnimations = new ScrollAnimations();
-    
-    // Initialize smooth scroll
-    new SmoothScroll();
-    
-    // Initialize navigation scroll effect
-    new NavigationScroll();
-    
-    // Initialize button manager
-    new ButtonManager();
-    
-    // Initialize performance monitoring (optional in production)
-    new PerformanceMonitor();
-    
-    // Initialize lazy loader (if you add images later)
-    new LazyLoader();
-    
-    // Initialize form validation (uncomment when you add forms)
-    // new FormValidator('#contact-form');
-    
-    // NEW: Initialize FAQ accordion
-    new FAQAccordion();
-    
-    // NEW: Initialize parallax effects
-    new ParallaxEffect();
-    
-    // NEW: Initialize sticky CTA
-    new StickyCTA();
-    
-    // NEW: Initialize keyboard navigation
-    new KeyboardNavigation();
-    
-    console.log('🚀 Website initialized successfully!');
-});
-
-// ===================================
-// FAQ ACCORDION
-// ===================================
-
-/**
- * Handles FAQ accordion interactions
- * Smooth expand/collapse with ARIA support
- */
-class FAQAccordion {
-    constructor() {
-        this.faqItems = document.querySelectorAll('.faq-question');
-        this.init();
-    }
-
-    init() {
-        this.faqItems.forEach(button => {
-            button.addEventListener('click', () => this.toggleFAQ(button));
-            
-            // Keyboard support
-            button.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.toggleFAQ(button);
-                }
-            });
-        });
-    }
-
-    toggleFAQ(button) {
-        const isExpanded = button.getAttribute('aria-expanded') === 'true';
-        const answer = button.nextElementSibling;
-        
-        // Close all other FAQs (optional - remove if you want multiple open)
-        this.closeAllFAQs(button);
-        
-        // Toggle current FAQ
-        button.setAttribute('aria-expanded', !isExpanded);
-        
-        if (!isExpanded) {
-            // Opening
-            const contentHeight = answer.querySelector('.faq-answer-content').scrollHeight;
-            answer.style.maxHeight = contentHeight + 'px';
-        } else {
-            // Closing
-            answer.style.maxHeight = '0';
-        }
-    }
-
-    closeAllFAQs(exceptButton) {
-        this.faqItems.forEach(button => {
-            if (button !== exceptButton) {
-                button.setAttribute('aria-expanded', 'false');
-                const answer = button.nextElementSibling;
-                answer.style.maxHeight = '0';
-            }
-        });
-    }
-}
-
-// ===================================
-// PARALLAX EFFECT
-// ===================================
-
-/**
- * Adds subtle parallax effect to hero background
- * Transform-only for best performance
- */
-class ParallaxEffect {
-    constructor() {
-        this.heroBackground = document.querySelector('.hero-background');
-        if (!this.heroBackground) return;
-        
-        this.parallaxStrength = 0.3; // Lower = more subtle
-        this.init();
-    }
-
-    init() {
-        // Add parallax class for will-change optimization
-        this.heroBackground.classList.add('parallax-element');
-        
-        // Use throttled scroll handler for performance
-        window.addEventListener('scroll', throttle(() => {
-            this.updateParallax();
-        }, 16), { passive: true }); // 16ms = ~60fps
-    }
-
-    updateParallax() {
-        const scrolled = window.pageYOffset;
-        const heroHeight = document.querySelector('.hero')?.offsetHeight || 0;
-        
-        // Only apply parallax when hero is visible
-        if (scrolled < heroHeight) {
-            const yPos = scrolled * this.parallaxStrength;
-            this.heroBackground.style.transform = `translateY(${yPos}px)`;
-        }
-    }
-}
+    start('theme', (themeOptions) => {
+        window.themeManager = new ThemeManager(themeOptions);
+        return window.themeManager;
+    });
 
-// ===================================
-// STICKY CTA (Mobile)
-// ===================================
-
-/**
- * Shows sticky CTA bar on mobile when user scrolls past main CTA
- * Hides when user is at main CTA or footer
- */
-class StickyCTA {
-    constructor() {
-        this.stickyCta = document.getElementById('stickyCta');
-        this.mainCta = document.querySelector('.final-cta');
-        this.footer = document.querySelector('.footer');
-        
-        if (!this.stickyCta || !this.mainCta) return;
-        
-        this.init();
-    }
+    // Modules registered here are also mounted on content added later (GHL embeds, client-side rendering)
+    window.lifecycle = modules.lifecycle = new ComponentLifecycle();
 
-    init() {
-        // Check visibility on scroll
-        window.addEventListener('scroll', throttle(() => {
-            this.checkVisibility();
-        }, 100), { passive: true });
-        
-        // Handle click on sticky CTA button
-        const stickyButton = this.stickyCta.querySelector('.btn-sticky');
-        if (stickyButton) {
-            stickyButton.addEventListener('click', () => {
-                this.scrollToMainCTA();
-            });
-        }
-    }
+    // Initialize translations first on the lifecycle, so copy other modules add is translated as it appears
+    // Bundles are fetched from locales/<code>.json - see js/i18n.js
+    start('i18n', (i18nOptions) => {
+        window.i18n = window.lifecycle.register('i18n', new I18n(i18nOptions));
+        return window.i18n;
+    });
 
-    checkVisibility() {
-        const scrollPosition = window.scrollY + window.innerHeight;
-        const mainCtaPosition = this.mainCta.offsetTop;
-        const mainCtaBottom = mainCtaPosition + this.mainCta.offsetHeight;
-        const footerPosition = this.footer?.offsetTop || Infinity;
-        
-        // Show sticky CTA if:
-        // - User scrolled past the main CTA
-        // - User is not at the footer
-        // - Window width is mobile (handled by CSS, but check here too)
-        if (scrollPosition > mainCtaBottom && 
-            scrollPosition < footerPosition && 
-            window.innerWidth <= 768) {
-            this.stickyCta.classList.add('visible');
-        } else {
-            this.stickyCta.classList.remove('visible');
-        }
-    }
-
-    scrollToMainCTA() {
-        const navHeight = document.querySelector('.nav')?.offsetHeight || 0;
-        const targetPosition = this.mainCta.offsetTop - navHeight;
-        
-        window.scrollTo({
-            top: targetPosition,
-            behavior: 'smooth'
-        });
-    }
-}
-
-// ===================================
-// KEYBOARD NAVIGATION
-// ===================================
-
-/**
- * Enhanced keyboard navigation support
- * Improves accessibility across the site
- */
-class KeyboardNavigation {
-    constructor() {
-        this.init();
-    }
+    // Initialize scroll animations (store globally for refresh capability)
+    start('scrollAnimations', (animationOptions) => {
+        window.scrollAnimations = window.lifecycle.register('scroll-animations', new ScrollAnimations(animationOptions));
+        return window.scrollAnimations;
+    });
 
-    init() {
-        // Handle Escape key to close modals, FAQs, etc.
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.handleEscape();
-            }
-        });
-        
-        // Trap focus in modals (if you add modals later)
-        this.setupFocusTrap();
-        
-        // Add skip-to-content link functionality
-        this.setupSkipLink();
-    }
+    // Initialize smooth scroll
+    start('smoothScroll', (scrollOptions) => {
+        window.smoothScroll = new SmoothScroll(scrollOptions);
+        return window.smoothScroll;
+    });
 
-    handleEscape() {
-        // Close all open FAQs
-        const openFAQs = document.querySelectorAll('.faq-question[aria-expanded="true"]');
-        openFAQs.forEach(faq => {
-            faq.setAttribute('aria-expanded', 'false');
-            const answer = faq.nextElementSibling;
-            answer.style.maxHeight = '0';
-        });
-        
-        // Close any open modals (implement when needed)
-        // this.closeModals();
-    }
+    // Initialize navigation scroll effect
+    start('navigation', (navigationOptions) => {
+        window.navigation = new NavigationScroll(navigationOptions);
+        return window.navigation;
+    });
 
-    setupFocusTrap() {
-        // Implement focus trap for modals when needed
-        // This keeps keyboard focus within modal dialogs
-    }
+    // Initialize button manager
+    start('buttons', (buttonOptions) => {
+        window.buttonManager = window.lifecycle.register('buttons', new ButtonManager(buttonOptions));
+        return window.buttonManager;
+    });
 
-    setupSkipLink() {
-        // Add invisible skip-to-content link for screen readers
-        // This is a best practice for accessibility
-        const skipLink = document.createElement('a');
-        skipLink.href = '#main-content';
-        skipLink.textContent = 'Skip to main content';
-        skipLink.className = 'skip-link';
-        skipLink.style.cssText = `
-            position: absolute;
-            top: -40px;
-            left: 0;
-            background: var(--accent-blue);
-            color: white;
-            padding: 8px;
-            text-decoration: none;
-            z-index: 10000;
-        `;
-        
-        skipLink.addEventListener('focus', () => {
-            skipLink.style.top = '0';
-        });
-        
-        skipLink.addEventListener('blur', () => {
-            skipLink.style.top = '-40px';
-        });
-        
-        document.body.prepend(skipLink);
-        
-        // Add id to hero section if not exists
-        const hero = document.querySelector('.hero');
-        if (hero && !hero.id) {
-            hero.id = 'main-content';
-        }
-    }
-}
+    // Initialize performance monitoring (optional in production)
+    start('performance', (performanceOptions) => new PerformanceMonitor(performanceOptions));
 
-// ===================================
-// UTILITY FUNCTIONS
-// ===================================
+    // Initialize lazy loader (data-src / data-srcset / <picture> / data-bg - see js/lazy-loader.js)
+    start('lazyLoader', (lazyOptions) => window.lifecycle.register('lazy-images', new LazyLoader(lazyOptions)));
 
-/**
- * Debounce function for performance
- * Use for scroll and resize events
- */
-function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func(...args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
-}
+    // Initialize lead qualification wizard (opened by data-action="open-form" buttons)
+    // Set the GHL webhook with data-ghl-endpoint on <body> or #leadWizardForm
+    start('leadWizard', ({ selector = '#leadWizard', ...wizardOptions }) => {
+        window.leadWizard = new LeadWizard(selector, wizardOptions);
+        return window.leadWizard;
+    });
 
-/**
- * Throttle function for performance
- * Alternative to debounce for certain use cases
- */
-function throttle(func, limit) {
-    let inThrottle;
-    return function(...args) {
-        if (!inThrottle) {
-            func.apply(this, args);
-            inThrottle = true;
-            setTimeout(() => inThrottle = false, limit);
-        }
-    };
-}
+    // Initialize discovery call booking (opened by data-action="open-calendar" buttons)
+    start('booking', ({ selector = '#bookingWidget', ...bookingOptions }) => {
+        window.bookingWidget = new BookingWidget(selector, bookingOptions);
+        return window.bookingWidget;
+    });
 
-// Export for use in other scripts if needed
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
-        ThemeManager,
-        ScrollAnimations,
-        SmoothScroll,
-        debounce,
-        throttle
-    };
+    // Initialize form validation (uncomment when you add forms)
+    // Endpoint can also be set with data-ghl-endpoint on the form
+    // new FormValidator('#contact-form', { endpoint: 'https://services.leadconnectorhq.com/hooks/...' });
+
+    // Initialize FAQ accordion
+    start('faq', (faqOptions) => window.lifecycle.register('faq', new FAQAccordion(faqOptions)));
+
+    // Initialize the video lightbox (opened by data-action="play-video" buttons)
+    start('videoLightbox', ({ selector = '#videoLightbox', ...videoOptions }) => {
+        window.videoLightbox = new VideoLightbox(selector, videoOptions);
+        return window.videoLightbox;
+    });
+
+    // Initialize the testimonial carousel after content - it pages through the rendered cards
+    start('carousel', ({ selector = '[data-carousel]', ...carouselOptions }) => {
+        window.carousel = new Carousel(selector, carouselOptions);
+        return window.carousel;
+    });
+
+    // Initialize the screenshot lightbox ([data-gallery] images open in #galleryLightbox)
+    start('gallery', ({ selector = '#galleryLightbox', ...galleryOptions }) => {
+        window.gallery = window.lifecycle.register('gallery', new Gallery(selector, galleryOptions));
+        return window.gallery;
+    });
+
+    // Initialize parallax effects
+    start('parallax', (parallaxOptions) => new ParallaxEffect(parallaxOptions));
+
+    // Initialize sticky CTA
+    start('stickyCta', (stickyOptions) => new StickyCTA(stickyOptions));
+
+    // Initialize lead capture popups (exit intent, time, scroll depth, inactivity - rules in POPUPS)
+    start('popups', ({ popups = POPUPS, ...popupOptions }) => {
+        window.popupEngine = new PopupEngine(popups, popupOptions);
+        return window.popupEngine;
+    });
+
+    // Initialize keyboard navigation
+    start('keyboardNavigation', (keyboardOptions) => new KeyboardNavigation(keyboardOptions));
+
+    if (failed.length) {
+        console.warn(`🚀 Website initialized without ${failed.join(', ')} - see getDiagnostics()`);
+    } else {
+        console.log('🚀 Website initialized successfully!');
+    }
+    return modules;
 }
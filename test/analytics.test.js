@@ -0,0 +1,204 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom, flush } from './helpers/dom.js';
+import { Analytics, GHLPixelProvider } from '../js/analytics.js';
+import { trackEvent } from '../js/utils.js';
+
+function createProvider(overrides = {}) {
+    return {
+        name: 'test',
+        batches: [],
+        send(events) { this.batches.push(events); },
+        ...overrides
+    };
+}
+
+describe('Analytics', () => {
+    let analytics;
+
+    beforeEach(() => setupDom('<form id="leadForm"></form>'));
+    afterEach(() => {
+        if (analytics) analytics.destroy();
+        analytics = null;
+        teardownDom();
+    });
+
+    it('enriches trackEvent() calls and batches them per provider', async () => {
+        const provider = createProvider();
+        analytics = new Analytics({ providers: [provider], batchSize: 2 });
+
+        trackEvent('button_click', { action: 'open-form' });
+        assert.equal(provider.batches.length, 0);
+
+        trackEvent('faq_open');
+        await flush();
+        const [batch] = provider.batches;
+        assert.deepEqual(batch.map(event => event.name), ['button_click', 'faq_open']);
+        assert.deepEqual(batch[0].properties, { action: 'open-form' });
+        assert.equal(batch[0].page.path, '/');
+        assert.equal(batch[0].anonymousId, batch[1].anonymousId);
+    });
+
+    it('requeues a batch the provider failed to send', async () => {
+        const provider = createProvider({ send: () => { throw new Error('down'); } });
+        analytics = new Analytics({ providers: [provider] });
+
+        analytics.track('page_view');
+        await analytics.flush();
+
+        assert.equal(analytics.queues.test.length, 1);
+    });
+
+    it('requeues only the events a provider reports as failed', async () => {
+        const provider = createProvider({ send: (events) => ({ failed: events.slice(1) }) });
+        analytics = new Analytics({ providers: [provider] });
+
+        analytics.track('page_view');
+        analytics.track('button_click');
+        await analytics.flush();
+
+        assert.deepEqual(analytics.queues.test.map(event => event.name), ['button_click']);
+    });
+
+    it('keeps in-flight batches in storage until they settle', async () => {
+        let deliver;
+        const provider = createProvider({ send: () => new Promise(resolve => { deliver = resolve; }) });
+        analytics = new Analytics({ providers: [provider] });
+        const stored = () => JSON.parse(localStorage.getItem('analyticsQueue')).test.map(event => event.name);
+
+        analytics.track('page_view');
+        const flushed = analytics.flush();
+        window.dispatchEvent(new Event('pagehide'));
+
+        await flush();
+        assert.deepEqual(stored(), ['page_view']);
+
+        deliver();
+        await flushed;
+        assert.deepEqual(stored(), []);
+    });
+
+    it('drops a pending batch that fails after consent was revoked', async () => {
+        const granted = new Set(['analytics']);
+        window.consentManager = { has: (category) => granted.has(category) };
+        let fail;
+        const sent = [];
+        const provider = createProvider({
+            send: (events) => {
+                sent.push(events.map(event => event.name));
+                return sent.length === 1 ? new Promise((resolve, reject) => { fail = reject; }) : Promise.resolve();
+            }
+        });
+        analytics = new Analytics({ providers: [provider] });
+
+        analytics.track('page_view');
+        const flushed = analytics.flush();
+        await flush();
+        granted.delete('analytics');
+        document.dispatchEvent(new CustomEvent('consent:change', { detail: { categories: { analytics: false } } }));
+
+        fail(new Error('Network down'));
+        await flushed;
+
+        assert.deepEqual(analytics.queues.test, []);
+
+        // Granted again later - what was collected before the revocation stays unsent
+        granted.add('analytics');
+        analytics.track('faq_open');
+        await analytics.flush();
+        assert.deepEqual(sent, [['page_view'], ['faq_open']]);
+    });
+
+    it('stops the flush timer and listeners on destroy', () => {
+        analytics = new Analytics({ providers: [createProvider()] });
+
+        analytics.destroy();
+        trackEvent('faq_open');
+
+        assert.equal(analytics.flushTimer, null);
+        assert.equal(analytics.queues.test.length, 0);
+    });
+
+    it('holds events while offline', async () => {
+        const provider = createProvider();
+        analytics = new Analytics({ providers: [provider] });
+        Object.defineProperty(navigator, 'onLine', { value: false, configurable: true });
+
+        analytics.track('page_view');
+        await analytics.flush();
+
+        assert.equal(provider.batches.length, 0);
+    });
+
+    it('only feeds providers whose consent category is granted', async () => {
+        const granted = new Set(['analytics']);
+        window.consentManager = { has: (category) => granted.has(category) };
+        const pixel = createProvider({ name: 'pixel', category: 'marketing' });
+        analytics = new Analytics({ providers: [pixel] });
+
+        analytics.track('page_view');
+        await analytics.flush();
+        assert.equal(pixel.batches.length, 0);
+
+        granted.add('marketing');
+        analytics.track('page_view');
+        await analytics.flush();
+        assert.equal(pixel.batches.length, 1);
+    });
+
+    it('uses sendBeacon on pagehide', async () => {
+        const beacons = [];
+        const provider = createProvider({ sendBeacon: (events) => beacons.push(events) });
+        analytics = new Analytics({ providers: [provider] });
+
+        analytics.track('page_view');
+        window.dispatchEvent(new Event('pagehide'));
+        await flush();
+
+        assert.equal(beacons.length, 1);
+        assert.equal(provider.batches.length, 0);
+    });
+
+    it('tracks form lifecycle events without form data', () => {
+        analytics = new Analytics({ providers: [createProvider()] });
+
+        document.getElementById('leadForm').dispatchEvent(new CustomEvent('form:error', {
+            bubbles: true,
+            detail: { data: { email: 'jane@example.com' }, error: new Error('Network') }
+        }));
+
+        assert.deepEqual(analytics.queues.test[0].properties, { form: 'leadForm', error: 'Network' });
+    });
+
+    it('restores queued events from a previous page view', async () => {
+        localStorage.setItem('analyticsQueue', JSON.stringify({ test: [{ name: 'old' }], removed: [{ name: 'gone' }] }));
+        const provider = createProvider();
+
+        analytics = new Analytics({ providers: [provider] });
+        await flush();
+
+        assert.deepEqual(provider.batches, [[{ name: 'old' }]]);
+        assert.equal(analytics.queues.removed, undefined);
+    });
+
+    describe('GHLPixelProvider', () => {
+        it('retries only the pixels that failed to load', async () => {
+            // jsdom doesn't load images - fail the ones for the "broken" event
+            globalThis.Image = class {
+                set src(url) {
+                    setImmediate(() => (url.includes('event=broken') ? this.onerror() : this.onload()));
+                }
+            };
+            const pixel = new GHLPixelProvider({ pixelUrl: 'https://pixel.example.com/p' });
+            window.consentManager = { has: () => true };
+            analytics = new Analytics({ providers: [pixel] });
+
+            analytics.track('page_view');
+            analytics.track('broken');
+            await analytics.flush();
+            delete globalThis.Image;
+
+            assert.deepEqual(analytics.queues['ghl-pixel'].map(event => event.name), ['broken']);
+        });
+    });
+});
@@ -0,0 +1,278 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom, useFakeTimers, flush } from './helpers/dom.js';
+import { BookingWidget } from '../js/booking.js';
+import { Dialog } from '../js/dialog.js';
+import { getDiagnostics, clearDiagnostics } from '../js/diagnostics.js';
+
+const PAGE = `
+    <div class="modal" id="bookingWidget" data-calendar-base-url="https://api.example.com" data-calendar-id="discovery-call" hidden>
+        <button class="modal-close" data-booking-close>Close</button>
+        <p class="booking-status"></p>
+        <div class="booking-slots">
+            <div class="booking-days"></div>
+            <div class="booking-times"></div>
+        </div>
+        <div class="booking-details" hidden>
+            <p class="booking-summary"></p>
+            <span class="booking-countdown"></span>
+            <form>
+                <input name="email" type="email" required>
+                <button type="button" data-booking-back>Back</button>
+                <button type="submit">Book</button>
+            </form>
+        </div>
+        <div class="booking-success" tabindex="-1" hidden><p class="booking-confirmation-time"></p></div>
+    </div>
+`;
+
+const HOUR = 60 * 60 * 1000;
+
+function jsonResponse(status, body) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+/**
+ * Routes fetch calls to handlers keyed by "METHOD /path", recording every request
+ */
+function mockApi(t, routes) {
+    const requests = [];
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+        const { pathname } = new URL(url);
+        const key = `${init.method} ${pathname}`;
+        requests.push({ key, body: init.body ? JSON.parse(init.body) : null });
+        const route = Object.keys(routes).find(pattern => key.startsWith(pattern));
+        return route ? routes[route]() : jsonResponse(404, { message: 'Not found' });
+    });
+    return requests;
+}
+
+describe('BookingWidget', () => {
+    let slots;
+
+    beforeEach(() => {
+        setupDom(PAGE);
+        const tomorrow = new Date(Date.now() + 24 * HOUR);
+        tomorrow.setUTCHours(14, 0, 0, 0);
+        slots = [
+            new Date(tomorrow.getTime() + HOUR).toISOString(),
+            tomorrow.toISOString(),
+            new Date(Date.now() - HOUR).toISOString()
+        ];
+    });
+    afterEach(() => {
+        Dialog.closeAll();
+        clearDiagnostics();
+        teardownDom();
+    });
+
+    const freeSlots = () => jsonResponse(200, { anyDay: { slots } });
+
+    it('groups future slots by day in the visitor timezone', async (t) => {
+        const requests = mockApi(t, { 'GET /calendars/discovery-call/free-slots': freeSlots });
+        const widget = new BookingWidget('#bookingWidget', { timezone: 'UTC' });
+
+        await widget.open();
+
+        assert.equal(requests.length, 1);
+        assert.equal(document.querySelectorAll('.booking-day').length, 1);
+        assert.equal(document.querySelector('.booking-day').getAttribute('aria-pressed'), 'true');
+        assert.equal(document.querySelectorAll('.booking-time').length, 2);
+        assert.equal(document.querySelector('.booking-times').textContent.replace(/\s/g, ' '), '2:00 PM3:00 PM');
+    });
+
+    it('shows an error when the slots cannot be loaded', async (t) => {
+        mockApi(t, { 'GET /calendars/discovery-call/free-slots': () => jsonResponse(503, { message: 'Calendar offline' }) });
+        const widget = new BookingWidget('#bookingWidget', { timezone: 'UTC' });
+
+        await widget.open();
+
+        assert.equal(document.querySelector('.booking-status').textContent, 'Calendar offline');
+        assert.ok(document.querySelector('.booking-status').classList.contains('is-error'));
+    });
+
+    it('shows its own messages in the page language', async (t) => {
+        mockApi(t, {
+            'GET /calendars/discovery-call/free-slots': () => jsonResponse(200, {}),
+            'POST /calendars/discovery-call/holds': () => jsonResponse(500, null)
+        });
+        const messages = {
+            'booking.empty': 'No hay horarios disponibles.',
+            'booking.unavailable': 'El calendario no está disponible.'
+        };
+        window.i18n = { t: (key, params, fallback) => messages[key] ?? fallback };
+        const widget = new BookingWidget('#bookingWidget', { timezone: 'UTC' });
+
+        await widget.open();
+        assert.equal(document.querySelector('.booking-status').textContent, 'No hay horarios disponibles.');
+
+        await widget.placeHold(new Date(slots[1]));
+        assert.equal(document.querySelector('.booking-status').textContent, 'El calendario no está disponible.');
+    });
+
+    it('holds a slot, books it and shows the confirmation', async (t) => {
+        const requests = mockApi(t, {
+            'GET /calendars/discovery-call/free-slots': freeSlots,
+            'POST /calendars/discovery-call/holds': () => jsonResponse(200, { holdId: 'hold_1' }),
+            'POST /calendars/events/appointments': () => jsonResponse(200, { id: 'appt_1', startTime: slots[1] })
+        });
+        const widget = new BookingWidget('#bookingWidget', { timezone: 'UTC' });
+        await widget.open();
+
+        await widget.placeHold(new Date(slots[1]));
+        assert.equal(widget.detailsEl.hidden, false);
+        assert.equal(document.querySelector('.booking-countdown').textContent, '5:00');
+
+        widget.form.elements.email.value = 'jane@example.com';
+        await widget.validator.handleSubmit(new Event('submit', { cancelable: true }));
+        await flush();
+
+        const booking = requests.find(request => request.key === 'POST /calendars/events/appointments');
+        assert.deepEqual(
+            { holdId: booking.body.holdId, startTime: booking.body.startTime, contact: booking.body.contact },
+            { holdId: 'hold_1', startTime: slots[1], contact: { email: 'jane@example.com' } }
+        );
+        assert.equal(widget.successEl.hidden, false);
+        assert.equal(widget.hold, null);
+        clearInterval(widget.holdTimer);
+    });
+
+    it('reloads the slots when the time was just taken', async (t) => {
+        const requests = mockApi(t, {
+            'GET /calendars/discovery-call/free-slots': freeSlots,
+            'POST /calendars/discovery-call/holds': () => jsonResponse(409, { message: 'Slot taken' })
+        });
+        const widget = new BookingWidget('#bookingWidget', { timezone: 'UTC' });
+        await widget.open();
+
+        await widget.placeHold(new Date(slots[1]));
+        await flush();
+
+        assert.equal(requests.filter(request => request.key.startsWith('GET')).length, 2);
+        assert.equal(widget.detailsEl.hidden, true);
+    });
+
+    it('ignores a second pick while a hold is being placed and releases the previous hold', async (t) => {
+        let holds = 0;
+        const requests = mockApi(t, {
+            'GET /calendars/discovery-call/free-slots': freeSlots,
+            'POST /calendars/discovery-call/holds': () => jsonResponse(200, { holdId: `hold_${++holds}` }),
+            'DELETE /calendars/discovery-call/holds/': () => jsonResponse(204, null)
+        });
+        const widget = new BookingWidget('#bookingWidget', { timezone: 'UTC' });
+        await widget.open();
+
+        await Promise.all([widget.placeHold(new Date(slots[1])), widget.placeHold(new Date(slots[1]))]);
+        assert.equal(holds, 1);
+
+        await widget.placeHold(new Date(slots[0]));
+
+        assert.deepEqual(
+            requests.filter(request => !request.key.startsWith('GET')).map(request => request.key),
+            [
+                'POST /calendars/discovery-call/holds',
+                'POST /calendars/discovery-call/holds',
+                'DELETE /calendars/discovery-call/holds/hold_1'
+            ]
+        );
+        assert.equal(widget.hold.holdId, 'hold_2');
+        clearInterval(widget.holdTimer);
+    });
+
+    it('releases the hold and reloads the slots when the booking finds the time taken', async (t) => {
+        const requests = mockApi(t, {
+            'GET /calendars/discovery-call/free-slots': freeSlots,
+            'POST /calendars/discovery-call/holds': () => jsonResponse(200, { holdId: 'hold_1' }),
+            'DELETE /calendars/discovery-call/holds/hold_1': () => jsonResponse(204, null),
+            'POST /calendars/events/appointments': () => jsonResponse(409, { message: 'Conflict' })
+        });
+        const widget = new BookingWidget('#bookingWidget', { timezone: 'UTC' });
+        await widget.open();
+        await widget.placeHold(new Date(slots[1]));
+
+        await assert.rejects(widget.book({ email: 'jane@example.com' }), /just taken/);
+        await flush();
+
+        assert.ok(requests.some(request => request.key === 'DELETE /calendars/discovery-call/holds/hold_1'));
+        assert.equal(requests.filter(request => request.key.startsWith('GET')).length, 2);
+        assert.equal(widget.hold, null);
+        assert.equal(widget.slotsEl.hidden, false);
+        assert.match(document.querySelector('.booking-status').textContent, /just taken/);
+    });
+
+    it('keeps the expiry message once the slots have reloaded', async (t) => {
+        mockApi(t, {
+            'GET /calendars/discovery-call/free-slots': freeSlots,
+            'POST /calendars/discovery-call/holds': () => jsonResponse(200, { holdId: 'hold_1', expiresAt: new Date(Date.now() + 1000).toISOString() }),
+            'DELETE /calendars/discovery-call/holds/hold_1': () => jsonResponse(204, null)
+        });
+        const clock = useFakeTimers(Date.now());
+        const widget = new BookingWidget('#bookingWidget', { timezone: 'UTC' });
+        await widget.open();
+        await widget.placeHold(new Date(slots[1]));
+
+        clock.tick(1000);
+        await flush();
+        await flush();
+
+        const status = document.querySelector('.booking-status');
+        assert.equal(status.textContent, 'Your hold expired. Please pick a time again.');
+        assert.ok(status.classList.contains('is-error'));
+    });
+
+    it('stays off without a calendar base URL', () => {
+        document.getElementById('bookingWidget').dataset.calendarBaseUrl = '';
+
+        const widget = new BookingWidget('#bookingWidget');
+
+        assert.equal(widget.modal, null);
+        assert.match(getDiagnostics('warn')[0].message, /data-calendar-base-url on #bookingWidget not found - open-calendar buttons fall back/);
+    });
+
+    it('releases the hold when closed', async (t) => {
+        const requests = mockApi(t, {
+            'GET /calendars/discovery-call/free-slots': freeSlots,
+            'POST /calendars/discovery-call/holds': () => jsonResponse(200, { holdId: 'hold_1' }),
+            'DELETE /calendars/discovery-call/holds/hold_1': () => jsonResponse(204, null)
+        });
+        const widget = new BookingWidget('#bookingWidget', { timezone: 'UTC' });
+        await widget.open();
+        await widget.placeHold(new Date(slots[1]));
+
+        widget.close();
+
+        assert.equal(requests.at(-1).key, 'DELETE /calendars/discovery-call/holds/hold_1');
+        assert.equal(widget.modal.hidden, true);
+    });
+
+    it('releases the hold when closed with Escape', async (t) => {
+        const requests = mockApi(t, {
+            'GET /calendars/discovery-call/free-slots': freeSlots,
+            'POST /calendars/discovery-call/holds': () => jsonResponse(200, { holdId: 'hold_1' }),
+            'DELETE /calendars/discovery-call/holds/hold_1': () => jsonResponse(204, null)
+        });
+        const widget = new BookingWidget('#bookingWidget', { timezone: 'UTC' });
+        await widget.open();
+        await widget.placeHold(new Date(slots[1]));
+
+        widget.modal.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+        assert.equal(requests.at(-1).key, 'DELETE /calendars/discovery-call/holds/hold_1');
+        assert.ok(!document.body.classList.contains('modal-open'));
+    });
+
+    it('switches itself off when the modal markup is incomplete', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        document.querySelector('.booking-times').remove();
+
+        const widget = new BookingWidget('#bookingWidget', { timezone: 'UTC' });
+
+        assert.equal(widget.modal, null);
+    });
+
+    it('refuses to book without a hold', () => {
+        const widget = new BookingWidget('#bookingWidget', { timezone: 'UTC' });
+
+        assert.throws(() => widget.book({}), /hold expired/);
+    });
+});
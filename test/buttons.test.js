@@ -0,0 +1,218 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom, flush } from './helpers/dom.js';
+import { ButtonManager, BUTTON_ACTIONS } from '../js/buttons.js';
+import { Dialog } from '../js/dialog.js';
+
+describe('ButtonManager', () => {
+    let tracked;
+
+    beforeEach(() => {
+        setupDom(`
+            <section class="hero">
+                <button class="btn" id="plain">Learn more</button>
+                <button class="btn" id="form" data-action="open-form" data-track-label="hero-cta">Get Started</button>
+                <button class="btn" id="scroll" data-action="scroll-to" data-target="#pricing">Pricing</button>
+                <button class="btn" id="calendar" data-action="open-calendar">Book a call</button>
+                <a class="btn" id="external" data-action="external" data-href="https://example.com" data-new-tab href="#">Docs</a>
+                <button class="btn" id="unknown" data-action="teleport">?</button>
+            </section>
+        `);
+        tracked = [];
+        document.addEventListener('analytics:track', (e) => tracked.push(e.detail));
+    });
+    afterEach(teardownDom);
+
+    const click = (id) => document.getElementById(id).click();
+
+    it('tracks every click with its action, label and section', () => {
+        window.leadWizard = { modal: {}, open: () => {} };
+        new ButtonManager();
+
+        click('form');
+
+        assert.deepEqual(tracked, [{
+            name: 'button_click',
+            properties: { action: 'open-form', label: 'hero-cta', id: 'form', section: 'hero' }
+        }]);
+    });
+
+    it('adds a ripple to the clicked button', () => {
+        new ButtonManager();
+
+        click('plain');
+
+        assert.ok(document.getElementById('plain').querySelector('span'));
+        assert.ok(document.getElementById('rippleStyle'));
+    });
+
+    it('routes data-action to its handler', () => {
+        const opened = [];
+        const scrolled = [];
+        window.leadWizard = { modal: {}, open: (button) => opened.push(button.id) };
+        window.smoothScroll = { scrollTo: (target) => scrolled.push(target) };
+        new ButtonManager();
+
+        click('form');
+        click('scroll');
+
+        assert.deepEqual(opened, ['form']);
+        assert.deepEqual(scrolled, ['#pricing']);
+    });
+
+    it('falls back from open-calendar to the lead form without a booking widget', () => {
+        const opened = [];
+        window.leadWizard = { modal: {}, open: (button) => opened.push(button.id) };
+        new ButtonManager();
+
+        click('calendar');
+
+        assert.deepEqual(opened, ['calendar']);
+    });
+
+    it('opens external links in a new tab when asked', (t) => {
+        const open = t.mock.method(window, 'open', () => null);
+        new ButtonManager();
+
+        click('external');
+
+        assert.deepEqual(open.mock.calls[0].arguments, ['https://example.com', '_blank', 'noopener']);
+    });
+
+    it('opens data-target as a dialog with open-dialog', () => {
+        document.body.insertAdjacentHTML('beforeend', `
+            <button id="video" data-action="open-dialog" data-target="#videoModal">Watch</button>
+            <div class="modal" id="videoModal" hidden><div class="modal-dialog"><button>Close</button></div></div>
+        `);
+        new ButtonManager();
+
+        click('video');
+
+        const dialog = Dialog.for(document.getElementById('videoModal'));
+        assert.equal(dialog.isOpen(), true);
+        dialog.close();
+        assert.equal(document.activeElement.id, 'video');
+    });
+
+    it('warns when the open-dialog target is missing', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        document.body.insertAdjacentHTML('beforeend', '<button id="video" data-action="open-dialog" data-target="#nope">Watch</button>');
+        new ButtonManager();
+
+        click('video');
+
+        assert.match(warn.mock.calls[0].arguments[0], /open-dialog target #nope not found/);
+    });
+
+    it('plays data-video in the video lightbox with play-video', () => {
+        const played = [];
+        window.videoLightbox = { open: (src, options) => played.push({ src, ...options }) };
+        document.body.insertAdjacentHTML('beforeend', `
+            <button id="video" data-action="play-video" data-video="https://www.youtube.com/embed/abc" data-video-title="Story">Watch</button>
+        `);
+        new ButtonManager();
+
+        click('video');
+
+        assert.deepEqual(played, [{ src: 'https://www.youtube.com/embed/abc', title: 'Story', opener: document.getElementById('video') }]);
+    });
+
+    it('warns about unknown actions', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        new ButtonManager();
+
+        click('unknown');
+
+        assert.match(warn.mock.calls[0].arguments[0], /no handler registered for action "teleport"/);
+    });
+
+    it('reports an action that throws and keeps handling clicks', (t) => {
+        const error = t.mock.method(console, 'error', () => {});
+        window.leadWizard = { modal: {}, open: () => { throw new Error('boom'); } };
+        new ButtonManager();
+
+        click('form');
+        click('plain');
+
+        assert.match(error.mock.calls[0].arguments[0], /action "open-form" failed/);
+        assert.equal(tracked.length, 2);
+    });
+
+    it('scroll-to jumps to the target without SmoothScroll', () => {
+        const section = document.createElement('section');
+        section.id = 'pricing';
+        document.body.appendChild(section);
+        let scrolled = false;
+        section.scrollIntoView = () => { scrolled = true; };
+        new ButtonManager();
+
+        click('scroll');
+
+        assert.equal(scrolled, true);
+    });
+
+    it('marks the button busy while an async action runs and ignores repeat clicks', async () => {
+        let resolve;
+        let calls = 0;
+        window.bookingWidget = {
+            modal: {},
+            open: () => {
+                calls++;
+                return new Promise(r => { resolve = r; });
+            }
+        };
+        new ButtonManager();
+        const button = document.getElementById('calendar');
+
+        button.click();
+        assert.equal(button.getAttribute('aria-busy'), 'true');
+        assert.equal(button.disabled, true);
+
+        button.disabled = false;
+        button.click();
+        assert.equal(calls, 1);
+
+        resolve();
+        await flush();
+        assert.equal(button.getAttribute('aria-busy'), 'false');
+        assert.equal(button.disabled, false);
+    });
+
+    describe('registerAction', () => {
+        afterEach(() => {
+            delete BUTTON_ACTIONS.confetti;
+        });
+
+        it('adds an action every button can use', () => {
+            const fired = [];
+            ButtonManager.registerAction('confetti', (button) => fired.push(button.id));
+            document.getElementById('plain').dataset.action = 'confetti';
+            new ButtonManager();
+
+            click('plain');
+
+            assert.deepEqual(fired, ['plain']);
+        });
+    });
+
+    describe('mount / unmount', () => {
+        it('binds each button once', () => {
+            const manager = new ButtonManager();
+
+            manager.mount(document.getElementById('plain'));
+            manager.bind(document);
+            click('plain');
+
+            assert.equal(tracked.length, 1);
+        });
+
+        it('stops handling clicks after unmount', () => {
+            const manager = new ButtonManager();
+
+            manager.unmount(document.getElementById('plain'));
+            click('plain');
+
+            assert.equal(tracked.length, 0);
+        });
+    });
+});
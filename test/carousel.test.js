@@ -0,0 +1,356 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom, useFakeTimers } from './helpers/dom.js';
+import { Carousel } from '../js/carousel.js';
+import { Dialog } from '../js/dialog.js';
+import { getDiagnostics, clearDiagnostics } from '../js/diagnostics.js';
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+const page = (count = 7, attributes = '') => `
+    <div class="testimonials-carousel" data-carousel id="testimonialCarousel" aria-label="Testimonials" ${attributes}>
+        <div class="testimonials-grid" data-carousel-track>
+            ${Array.from({ length: count }, (_, i) => `<div class="testimonial-card"><a href="#">Card ${i + 1}</a></div>`).join('')}
+        </div>
+    </div>
+    <div class="modal" id="other" hidden><div class="modal-dialog"><button>OK</button></div></div>
+`;
+
+const visible = () => Array.from(document.querySelectorAll('.carousel-slide'))
+    .filter(slide => !slide.hasAttribute('inert'))
+    .map(slide => slide.textContent.trim());
+
+const press = (key) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    document.activeElement.dispatchEvent(event);
+    return event;
+};
+
+/**
+ * Dispatches a one-finger touch event (jsdom has no Touch constructor)
+ */
+const touch = (element, type, x, y = 0) => {
+    const event = new Event(type, { bubbles: true });
+    const points = [{ clientX: x, clientY: y }];
+    Object.defineProperty(event, 'touches', { value: type === 'touchend' ? [] : points });
+    Object.defineProperty(event, 'changedTouches', { value: points });
+    element.dispatchEvent(event);
+};
+
+const swipe = (element, from, to, dy = 0) => {
+    touch(element, 'touchstart', from);
+    touch(element, 'touchend', to, dy);
+};
+
+// Tests without fake timers pass autoplay: 0 - a real autoplay timer would keep the test process alive
+describe('Carousel', () => {
+    afterEach(() => {
+        Dialog.closeAll();
+        clearDiagnostics();
+        teardownDom();
+    });
+
+    describe('structure', () => {
+        beforeEach(() => setupDom(page()));
+
+        it('marks up the carousel, its slides and its controls', () => {
+            new Carousel('[data-carousel]', { autoplay: 0 });
+            const root = document.querySelector('[data-carousel]');
+            const slides = document.querySelectorAll('.carousel-slide');
+
+            assert.equal(root.getAttribute('aria-roledescription'), 'carousel');
+            assert.equal(slides[0].getAttribute('role'), 'group');
+            assert.equal(slides[0].getAttribute('aria-label'), '1 of 7');
+            assert.equal(root.firstElementChild.querySelector('button').className, 'carousel-button carousel-play');
+        });
+
+        it('shows three slides per page on wide screens with a dot per page', () => {
+            window.innerWidth = 1280;
+            new Carousel('[data-carousel]', { autoplay: 0 });
+
+            assert.deepEqual(visible(), ['Card 1', 'Card 2', 'Card 3']);
+            assert.equal(document.querySelectorAll('.carousel-dot').length, 3);
+            assert.equal(document.querySelector('.carousel-dot').getAttribute('aria-current'), 'true');
+        });
+
+        it('shows one slide per page on phones', () => {
+            window.innerWidth = 375;
+            new Carousel('[data-carousel]', { autoplay: 0 });
+
+            assert.deepEqual(visible(), ['Card 1']);
+            assert.equal(document.querySelectorAll('.carousel-dot').length, 7);
+        });
+
+        it('hides the controls when everything fits on one page', () => {
+            setupDom(page(3));
+            window.innerWidth = 1280;
+            new Carousel('[data-carousel]', { autoplay: 0 });
+
+            assert.equal(document.querySelector('.carousel-controls').hidden, true);
+        });
+
+        it('reports a carousel without a track', () => {
+            setupDom('<div data-carousel></div>');
+
+            new Carousel();
+
+            assert.match(getDiagnostics('warn')[0].message, /\[data-carousel-track\] not found/);
+        });
+    });
+
+    describe('navigation', () => {
+        let carousel;
+
+        beforeEach(() => {
+            setupDom(page());
+            window.innerWidth = 1280;
+            carousel = new Carousel('[data-carousel]', { autoplay: 0 });
+        });
+
+        it('pages with the next and previous buttons, ending on a full last page', () => {
+            document.querySelector('.carousel-next').click();
+            assert.deepEqual(visible(), ['Card 4', 'Card 5', 'Card 6']);
+
+            document.querySelector('.carousel-next').click();
+            assert.deepEqual(visible(), ['Card 5', 'Card 6', 'Card 7']);
+
+            document.querySelector('.carousel-prev').click();
+            assert.deepEqual(visible(), ['Card 4', 'Card 5', 'Card 6']);
+        });
+
+        it('wraps around, or stops at the ends with loop off', () => {
+            carousel.prev();
+            assert.equal(carousel.page, 2);
+
+            setupDom(page());
+            window.innerWidth = 1280;
+            const bounded = new Carousel('[data-carousel]', { autoplay: 0, loop: false });
+            bounded.prev();
+
+            assert.equal(bounded.page, 0);
+            assert.equal(document.querySelector('.carousel-prev').disabled, true);
+        });
+
+        it('jumps to a page from its dot', () => {
+            document.querySelectorAll('.carousel-dot')[2].click();
+
+            assert.equal(carousel.page, 2);
+            assert.equal(document.querySelectorAll('.carousel-dot')[2].getAttribute('aria-current'), 'true');
+        });
+
+        it('moves the track by whole pages', () => {
+            carousel.next();
+
+            assert.match(carousel.track.style.transform, /-3 \* \(100% \+ var\(--carousel-gap, 0px\)\) \/ 3/);
+        });
+
+        it('fires carousel:change and tracks what the visitor did', () => {
+            const changes = [];
+            const tracked = [];
+            document.addEventListener('carousel:change', (e) => changes.push(e.detail));
+            document.addEventListener('analytics:track', (e) => tracked.push(e.detail));
+
+            document.querySelector('.carousel-next').click();
+
+            assert.deepEqual(changes, [{ page: 1, pages: 3, source: 'user' }]);
+            assert.deepEqual(tracked.find(entry => entry.name === 'carousel_navigate').properties, {
+                carousel: 'testimonialCarousel', page: 2, source: 'user'
+            });
+        });
+
+        it('moves focus off a slide that scrolls away', () => {
+            document.querySelector('.carousel-slide a').focus();
+
+            carousel.next();
+
+            assert.equal(document.activeElement, carousel.root);
+        });
+    });
+
+    describe('keyboard', () => {
+        let carousel;
+
+        beforeEach(() => {
+            setupDom(page());
+            window.innerWidth = 1280;
+            carousel = new Carousel('[data-carousel]', { autoplay: 0 });
+            document.querySelector('.carousel-slide a').focus();
+        });
+
+        it('pages with the arrow keys and jumps with Home/End', () => {
+            assert.equal(press('ArrowRight').defaultPrevented, true);
+            assert.equal(carousel.page, 1);
+
+            press('End');
+            assert.equal(carousel.page, 2);
+
+            press('ArrowLeft');
+            assert.equal(carousel.page, 1);
+
+            press('Home');
+            assert.equal(carousel.page, 0);
+        });
+
+        it('mirrors the arrows right-to-left', () => {
+            document.documentElement.lang = 'ar';
+
+            press('ArrowLeft');
+
+            assert.equal(carousel.page, 1);
+        });
+    });
+
+    describe('swipe', () => {
+        let carousel;
+
+        beforeEach(() => {
+            setupDom(page());
+            window.innerWidth = 1280;
+            carousel = new Carousel('[data-carousel]', { autoplay: 0 });
+        });
+
+        it('swipes left for the next page and right for the previous one', () => {
+            swipe(carousel.track, 300, 100);
+            assert.equal(carousel.page, 1);
+
+            swipe(carousel.track, 100, 300);
+            assert.equal(carousel.page, 0);
+        });
+
+        it('ignores short and mostly vertical movements', () => {
+            swipe(carousel.track, 300, 270);
+            swipe(carousel.track, 300, 200, 400);
+
+            assert.equal(carousel.page, 0);
+        });
+    });
+
+    describe('autoplay', () => {
+        let clock;
+        let carousel;
+
+        beforeEach(() => {
+            setupDom(page());
+            window.innerWidth = 1280;
+            clock = useFakeTimers();
+            carousel = new Carousel('[data-carousel]', { autoplay: 5000 });
+        });
+
+        it('advances on its own and keeps screen readers quiet meanwhile', () => {
+            assert.equal(carousel.track.getAttribute('aria-live'), 'off');
+
+            clock.tick(5000);
+            assert.equal(carousel.page, 1);
+
+            clock.tick(5000);
+            clock.tick(5000);
+            assert.equal(carousel.page, 0);
+        });
+
+        it('pauses while hovered', () => {
+            carousel.root.dispatchEvent(new MouseEvent('mouseenter'));
+            clock.tick(10000);
+            assert.equal(carousel.page, 0);
+
+            carousel.root.dispatchEvent(new MouseEvent('mouseleave'));
+            clock.tick(5000);
+            assert.equal(carousel.page, 1);
+        });
+
+        it('pauses while focus is inside', () => {
+            document.querySelector('.carousel-slide a').focus();
+            clock.tick(10000);
+            assert.equal(carousel.page, 0);
+            assert.equal(carousel.track.getAttribute('aria-live'), 'polite');
+
+            document.querySelector('.carousel-slide a').blur();
+            clock.tick(5000);
+            assert.equal(carousel.page, 1);
+        });
+
+        it('pauses while a dialog is open', () => {
+            const dialog = new Dialog(document.getElementById('other'));
+            dialog.open();
+            clock.tick(10000);
+            assert.equal(carousel.page, 0);
+
+            dialog.close();
+            clock.tick(5000);
+            assert.equal(carousel.page, 1);
+        });
+
+        it('stops and starts from the play/pause button', () => {
+            const button = document.querySelector('.carousel-play');
+            assert.equal(button.getAttribute('aria-label'), 'Stop automatic slide show');
+
+            button.click();
+            button.blur();
+            clock.tick(10000);
+
+            assert.equal(carousel.page, 0);
+            assert.equal(button.getAttribute('aria-label'), 'Start automatic slide show');
+
+            button.click();
+            clock.tick(5000);
+            assert.equal(carousel.page, 1);
+        });
+
+        it('restarts the countdown after a manual change', () => {
+            clock.tick(4000);
+            carousel.next();
+            clock.tick(4000);
+
+            assert.equal(carousel.page, 1);
+        });
+
+        it('reads the interval from data-carousel-autoplay', () => {
+            setupDom(page(7, 'data-carousel-autoplay="0"'));
+            const still = new Carousel();
+
+            useFakeTimers().tick(60000);
+
+            assert.equal(still.page, 0);
+            assert.equal(document.querySelector('.carousel-play').hidden, true);
+        });
+    });
+
+    describe('reduced motion', () => {
+        it('never starts autoplay', () => {
+            setupDom(page(), { media: { [REDUCED_MOTION]: true } });
+            const clock = useFakeTimers();
+            const carousel = new Carousel();
+
+            clock.tick(60000);
+
+            assert.equal(carousel.page, 0);
+            assert.equal(document.querySelector('.carousel-play').hidden, true);
+        });
+
+        it('stops autoplay when the setting is turned on', () => {
+            const { matchMedia } = setupDom(page());
+            window.innerWidth = 1280;
+            const clock = useFakeTimers();
+            const carousel = new Carousel();
+
+            matchMedia.setMatches(REDUCED_MOTION, true);
+            clock.tick(60000);
+
+            assert.equal(carousel.page, 0);
+        });
+    });
+
+    describe('slides added later', () => {
+        it('rebuilds on content:rendered', () => {
+            setupDom(page(3));
+            window.innerWidth = 1280;
+            const carousel = new Carousel('[data-carousel]', { autoplay: 0 });
+
+            carousel.track.insertAdjacentHTML('beforeend', '<div>Card 4</div><div>Card 5</div>');
+            carousel.track.dispatchEvent(new CustomEvent('content:rendered', { bubbles: true }));
+
+            assert.equal(document.querySelectorAll('.carousel-dot').length, 2);
+            assert.equal(document.querySelector('.carousel-controls').hidden, false);
+            assert.equal(document.querySelectorAll('.carousel-slide')[4].getAttribute('aria-label'), '5 of 5');
+        });
+    });
+});
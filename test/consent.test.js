@@ -0,0 +1,126 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { ConsentManager } from '../js/consent.js';
+import { Dialog } from '../js/dialog.js';
+
+const PAGE = `
+    <div class="consent-banner" hidden>
+        <button data-consent-action="accept-all">Accept all</button>
+        <button data-consent-action="reject-all">Reject all</button>
+        <button data-consent-action="customize" id="customize">Customize</button>
+    </div>
+    <div id="consentPreferences" hidden>
+        <input type="checkbox" name="consentCategory" value="necessary" checked disabled>
+        <input type="checkbox" name="consentCategory" value="preferences">
+        <input type="checkbox" name="consentCategory" value="analytics">
+        <input type="checkbox" name="consentCategory" value="marketing">
+        <button data-consent-action="save">Save</button>
+    </div>
+    <img data-consent="marketing" data-src="https://pixel.example.com/p.gif" id="pixel">
+`;
+
+const record = (categories, version = '1') => JSON.stringify({ version, timestamp: '', categories });
+
+describe('ConsentManager', () => {
+    afterEach(() => {
+        Dialog.closeAll();
+        teardownDom();
+    });
+
+    describe('first visit', () => {
+        beforeEach(() => setupDom(PAGE));
+
+        it('shows the banner and grants only necessary', () => {
+            const consent = new ConsentManager();
+
+            assert.equal(document.querySelector('.consent-banner').hidden, false);
+            assert.equal(consent.has('necessary'), true);
+            assert.equal(consent.has('analytics'), false);
+        });
+
+        it('accept all grants everything and activates blocked elements', () => {
+            new ConsentManager();
+
+            document.querySelector('[data-consent-action="accept-all"]').click();
+
+            const pixel = document.getElementById('pixel');
+            assert.equal(pixel.getAttribute('src'), 'https://pixel.example.com/p.gif');
+            assert.equal(pixel.hasAttribute('data-consent'), false);
+            assert.equal(document.querySelector('.consent-banner').hidden, true);
+            assert.equal(JSON.parse(localStorage.getItem('consent')).categories.marketing, true);
+        });
+
+        it('keeps marketing off under Global Privacy Control', () => {
+            Object.defineProperty(navigator, 'globalPrivacyControl', { value: true, configurable: true });
+            const consent = new ConsentManager();
+
+            consent.acceptAll();
+
+            assert.equal(consent.has('analytics'), true);
+            assert.equal(consent.has('marketing'), false);
+        });
+
+        it('saves the categories chosen in the preferences dialog', () => {
+            const consent = new ConsentManager();
+            document.getElementById('customize').click();
+            const dialog = document.getElementById('consentPreferences');
+            assert.equal(dialog.hidden, false);
+
+            dialog.querySelector('[value="analytics"]').checked = true;
+            dialog.querySelector('[data-consent-action="save"]').click();
+
+            assert.equal(consent.has('analytics'), true);
+            assert.equal(consent.has('marketing'), false);
+            assert.equal(dialog.hidden, true);
+            assert.equal(document.activeElement, document.getElementById('customize'));
+        });
+    });
+
+    it('asks again when the stored record is from an older version', () => {
+        setupDom(PAGE, { storage: { consent: record({ analytics: true }, '0') } });
+
+        const consent = new ConsentManager();
+
+        assert.equal(consent.has('analytics'), false);
+        assert.equal(document.querySelector('.consent-banner').hidden, false);
+    });
+
+    describe('changes', () => {
+        beforeEach(() => setupDom(PAGE, { storage: { consent: record({ necessary: true, preferences: true, analytics: true }) } }));
+
+        it('whenGranted runs now or on the first grant', () => {
+            const consent = new ConsentManager();
+            const ran = [];
+
+            consent.whenGranted('analytics', () => ran.push('analytics'));
+            consent.whenGranted('marketing', () => ran.push('marketing'));
+            assert.deepEqual(ran, ['analytics']);
+
+            consent.acceptAll();
+            consent.acceptAll();
+            assert.deepEqual(ran, ['analytics', 'marketing']);
+        });
+
+        it('purges storage for revoked categories and dispatches consent:change', () => {
+            localStorage.setItem('theme', 'light');
+            localStorage.setItem('popups', '{"converted":1}');
+            localStorage.setItem('analyticsQueue', '{}');
+            const consent = new ConsentManager();
+            let detail = null;
+            document.addEventListener('consent:change', (e) => { detail = e.detail; });
+
+            consent.update({ preferences: true });
+
+            assert.equal(localStorage.getItem('theme'), 'light');
+            assert.equal(localStorage.getItem('analyticsQueue'), null);
+            assert.equal(detail.categories.analytics, false);
+
+            consent.update({});
+
+            assert.equal(localStorage.getItem('theme'), null);
+            assert.equal(localStorage.getItem('popups'), null);
+            assert.equal(detail.categories.preferences, false);
+        });
+    });
+});
@@ -0,0 +1,297 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom, FakeIntersectionObserver } from './helpers/dom.js';
+import { ContentRenderer, CONTENT_TEMPLATES } from '../js/content.js';
+import { ScrollAnimations } from '../js/scroll-animations.js';
+import { formatMessage } from '../js/i18n.js';
+import { getDiagnostics, clearDiagnostics } from '../js/diagnostics.js';
+
+const CONTENT = {
+    testimonials: [
+        { quote: 'Closing 3x more deals.', name: 'James Davidson', title: 'CEO, TechStart', avatar: 'james.jpg', rating: 4 },
+        { quote: '<b>Unmatched</b>', name: 'Sarah Martinez' }
+    ],
+    services: [{ icon: 'automation', title: 'Advanced Automation', description: 'Workflows that nurture leads.' }],
+    process: [{ title: 'Discovery' }, { title: 'Launch', image: 'launch.jpg', imageAlt: 'Launch day' }],
+    comparison: [{ feature: 'Setup Time', ours: '48 hours', others: '2-4 weeks' }]
+};
+
+const page = (content = CONTENT) => `
+    <script type="application/json" id="siteContent">${JSON.stringify(content)}</script>
+    <section class="testimonials">
+        <div class="testimonials-grid" data-content="testimonials">
+            <div class="glass-card testimonial-card reveal fade-up" id="static">Static</div>
+        </div>
+    </section>
+    <section class="services"><div class="services-grid" data-content="services"></div></section>
+    <section class="process"><div class="process-grid" data-content="process"></div></section>
+    <section class="clients">
+        <div class="clients-grid" data-content="clients"><div class="client-logo" id="staticLogo"></div></div>
+    </section>
+    <section class="comparison">
+        <div class="comparison-grid" data-content="comparison">
+            <div class="comparison-header">Header</div>
+            <div class="comparison-row">Static row</div>
+        </div>
+    </section>
+`;
+
+const cards = () => document.querySelectorAll('.testimonial-card');
+
+describe('ContentRenderer', () => {
+    afterEach(() => {
+        delete window.scrollAnimations;
+        clearDiagnostics();
+        teardownDom();
+    });
+
+    describe('rendering', () => {
+        beforeEach(() => setupDom(page()));
+
+        it('replaces the static items with one per entry', () => {
+            new ContentRenderer();
+
+            assert.equal(cards().length, 2);
+            assert.equal(document.getElementById('static'), null);
+            assert.equal(cards()[0].querySelector('.author-name').textContent, 'James Davidson');
+            assert.equal(cards()[0].querySelector('.author-avatar-img').getAttribute('src'), 'james.jpg');
+            assert.equal(cards()[1].querySelector('.author-avatar-img'), null);
+        });
+
+        it('adds a play button to video testimonials', () => {
+            setupDom(page({ testimonials: [{ quote: 'Great', name: 'Ana', video: 'https://www.youtube.com/embed/abc' }] }));
+
+            new ContentRenderer();
+
+            const button = document.querySelector('.testimonial-video');
+            assert.equal(button.dataset.action, 'play-video');
+            assert.equal(button.dataset.video, 'https://www.youtube.com/embed/abc');
+            assert.equal(button.textContent, "▶Watch Ana's story");
+            assert.equal(document.querySelectorAll('.testimonial-video').length, 1);
+        });
+
+        it('renders content as text, not markup', () => {
+            new ContentRenderer();
+
+            assert.equal(cards()[1].querySelector('.testimonial-text').textContent, '"<b>Unmatched</b>"');
+            assert.equal(cards()[1].querySelector('b'), null);
+        });
+
+        it('shows the rating with stars and a text alternative', () => {
+            new ContentRenderer();
+
+            const rating = cards()[0].querySelector('.testimonial-rating');
+            assert.equal(rating.getAttribute('aria-label'), 'Rated 4 out of 5');
+            assert.equal(rating.querySelectorAll('.star:not(.star-empty)').length, 4);
+            assert.equal(cards()[1].querySelectorAll('.star:not(.star-empty)').length, 5);
+        });
+
+        it('labels testimonials in the page language and follows locale changes', () => {
+            setupDom(page({ testimonials: [{ quote: 'Great', name: 'Ana', rating: 4, video: 'https://www.youtube.com/embed/abc' }] }));
+            new ContentRenderer();
+            const messages = {
+                'testimonials.rating': 'Valoración: {rating} de 5',
+                'testimonials.story': 'La historia de {name}',
+                'testimonials.watchStory': 'Ver la historia de {name}'
+            };
+            window.i18n = { t: (key, params, fallback) => formatMessage(messages[key] ?? fallback, params) };
+
+            document.documentElement.lang = 'es';
+            document.dispatchEvent(new CustomEvent('i18n:change'));
+
+            const button = document.querySelector('.testimonial-video');
+            assert.equal(cards().length, 1);
+            assert.equal(document.querySelector('.testimonial-rating').getAttribute('aria-label'), 'Valoración: 4 de 5');
+            assert.equal(button.dataset.videoTitle, 'La historia de Ana');
+            assert.equal(button.textContent, '▶Ver la historia de Ana');
+        });
+
+        it('numbers process steps and uses named service icons', () => {
+            new ContentRenderer();
+
+            const steps = document.querySelectorAll('.process-step');
+            assert.deepEqual(Array.from(steps).map(step => step.querySelector('.process-number').textContent), ['01', '02']);
+            assert.equal(steps[1].querySelector('.process-image').alt, 'Launch day');
+            assert.ok(document.querySelector('.service-card .service-icon svg'));
+        });
+
+        it('keeps the comparison header and replaces the rows', () => {
+            new ContentRenderer();
+
+            const rows = document.querySelectorAll('.comparison-row');
+            assert.ok(document.querySelector('.comparison-header'));
+            assert.equal(rows.length, 1);
+            assert.equal(rows[0].querySelector('.comparison-highlight span').textContent, '48 hours');
+            assert.equal(rows[0].querySelector('.comparison-negative span').textContent, '2-4 weeks');
+        });
+
+        it('adds the reveal classes and leaves the stagger to ScrollAnimations', () => {
+            document.querySelector('.testimonials-grid').dataset.revealStagger = '0.25';
+            window.scrollAnimations = new ScrollAnimations();
+
+            new ContentRenderer();
+
+            assert.ok(cards()[1].classList.contains('reveal'));
+            assert.ok(cards()[1].classList.contains('fade-up'));
+            assert.equal(cards()[1].style.getPropertyValue('--delay'), '0.25s');
+            assert.ok(document.querySelector('.comparison-row').classList.contains('fade-in'));
+        });
+
+        it('fires content:rendered for each section', () => {
+            const rendered = [];
+            document.addEventListener('content:rendered', (e) => rendered.push(e.detail));
+
+            new ContentRenderer();
+
+            assert.deepEqual(rendered.find(detail => detail.name === 'testimonials'), { name: 'testimonials', count: 2 });
+        });
+    });
+
+    describe('missing and empty content', () => {
+        it('keeps a section the content has no list for', () => {
+            setupDom(page());
+
+            new ContentRenderer();
+
+            assert.ok(document.getElementById('staticLogo'));
+            assert.ok(getDiagnostics('info').some(entry => entry.message.includes('no "clients" in the content')));
+        });
+
+        it('keeps the static sections when the JSON is invalid', (t) => {
+            t.mock.method(console, 'warn', () => {});
+            setupDom(page().replace(JSON.stringify(CONTENT), '{ not json'));
+
+            new ContentRenderer();
+
+            assert.ok(document.getElementById('static'));
+            assert.match(getDiagnostics('warn')[0].message, /invalid content JSON/);
+        });
+
+        it('keeps a section whose list is not a list', (t) => {
+            t.mock.method(console, 'warn', () => {});
+            setupDom(page({ testimonials: { quote: 'One' } }));
+
+            new ContentRenderer();
+
+            assert.ok(document.getElementById('static'));
+            assert.match(getDiagnostics('warn')[0].message, /"testimonials" should be a list/);
+        });
+
+        it('hides a section with an empty list', () => {
+            setupDom(page({ testimonials: [] }));
+
+            new ContentRenderer();
+
+            assert.equal(cards().length, 0);
+            assert.equal(document.querySelector('section.testimonials').hidden, true);
+        });
+
+        it('shows data-content-empty instead of hiding the section', () => {
+            setupDom(page({ clients: [] }));
+            document.querySelector('.clients-grid').dataset.contentEmpty = 'Logos coming soon';
+
+            new ContentRenderer();
+
+            assert.equal(document.querySelector('section.clients').hidden, false);
+            assert.equal(document.querySelector('.content-empty').textContent, 'Logos coming soon');
+        });
+
+        it('skips items without their required fields', (t) => {
+            t.mock.method(console, 'warn', () => {});
+            setupDom(page({ testimonials: [{ name: 'No quote' }, null, { quote: 'Great', name: 'Ana' }] }));
+
+            new ContentRenderer();
+
+            assert.equal(cards().length, 1);
+            assert.deepEqual(getDiagnostics('warn').map(entry => entry.message), [
+                'skipped testimonials[0], missing quote',
+                'skipped testimonials[1], missing quote, name'
+            ]);
+        });
+    });
+
+    describe('fetched content', () => {
+        it('renders content.json and mounts the items on ScrollAnimations', async (t) => {
+            t.mock.method(globalThis, 'fetch', async () => ({ ok: true, status: 200, json: async () => CONTENT }));
+            setupDom(page({}));
+            window.scrollAnimations = new ScrollAnimations();
+
+            const renderer = new ContentRenderer({ src: 'content.json' });
+            assert.ok(document.getElementById('static'));
+            await renderer.ready;
+
+            assert.equal(cards().length, 2);
+            assert.equal(FakeIntersectionObserver.observing(cards()[0]).length, 1);
+        });
+
+        it('reads the source from data-content-src on the body', async (t) => {
+            const requests = [];
+            t.mock.method(globalThis, 'fetch', async (url) => {
+                requests.push(url);
+                return { ok: true, status: 200, json: async () => CONTENT };
+            });
+            setupDom(page({}));
+            document.body.dataset.contentSrc = 'content/site.json';
+
+            await new ContentRenderer().ready;
+
+            assert.deepEqual(requests, ['content/site.json']);
+        });
+
+        it('keeps the static sections when the request fails', async (t) => {
+            t.mock.method(console, 'warn', () => {});
+            t.mock.method(globalThis, 'fetch', async () => ({ ok: false, status: 500 }));
+            setupDom(page({}));
+
+            await new ContentRenderer({ src: 'content.json' }).ready;
+
+            assert.ok(document.getElementById('static'));
+            assert.match(getDiagnostics('warn')[0].message, /could not load content/);
+        });
+
+        it('re-renders from new content with update()', () => {
+            setupDom(page());
+            const renderer = new ContentRenderer();
+
+            renderer.update({ testimonials: [{ quote: 'New', name: 'Lee' }] });
+
+            assert.equal(cards().length, 1);
+            assert.equal(cards()[0].querySelector('.author-name').textContent, 'Lee');
+        });
+    });
+
+    describe('templates', () => {
+        afterEach(() => {
+            delete CONTENT_TEMPLATES.team;
+        });
+
+        it('renders sections with a registered template', () => {
+            setupDom(`
+                <script type="application/json" id="siteContent">{ "team": [{ "name": "Ana" }] }</script>
+                <ul data-content="team"></ul>
+            `);
+            ContentRenderer.registerTemplate('team', {
+                itemSelector: 'li',
+                required: ['name'],
+                render(item) {
+                    const li = document.createElement('li');
+                    li.textContent = item.name;
+                    return li;
+                }
+            });
+
+            new ContentRenderer();
+
+            assert.equal(document.querySelector('[data-content="team"] li').textContent, 'Ana');
+        });
+
+        it('reports targets without a template', (t) => {
+            t.mock.method(console, 'warn', () => {});
+            setupDom('<script type="application/json" id="siteContent">{}</script><div data-content="nope"></div>');
+
+            new ContentRenderer();
+
+            assert.match(getDiagnostics('warn')[0].message, /no template for data-content="nope"/);
+        });
+    });
+});
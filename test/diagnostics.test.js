@@ -0,0 +1,54 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { reportDiagnostic, reportMissing, reportError, getDiagnostics, clearDiagnostics } from '../js/diagnostics.js';
+
+describe('diagnostics', () => {
+    beforeEach(() => setupDom(''));
+    afterEach(() => {
+        clearDiagnostics();
+        teardownDom();
+    });
+
+    it('keeps reports and publishes them as diagnostics:report', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const published = [];
+        document.addEventListener('diagnostics:report', (e) => published.push(e.detail));
+
+        const entry = reportDiagnostic('warn', 'Widget', 'something is off', { id: 1 });
+
+        assert.deepEqual(published, [entry]);
+        assert.deepEqual(getDiagnostics(), [entry]);
+        assert.equal(entry.module, 'Widget');
+        assert.deepEqual(entry.details, { id: 1 });
+    });
+
+    it('logs warnings and errors but not info', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const error = t.mock.method(console, 'error', () => {});
+        const info = t.mock.method(console, 'info', () => {});
+        const failure = new Error('boom');
+
+        reportMissing('PricingTable', '.pricing', 'no pricing on this page', 'info');
+        reportMissing('NavigationScroll', '.nav', 'scroll states are off');
+        reportError('pricing', failure, 'failed to start');
+
+        assert.equal(info.mock.callCount(), 0);
+        assert.deepEqual(warn.mock.calls[0].arguments, ['NavigationScroll: .nav not found - scroll states are off']);
+        assert.deepEqual(error.mock.calls[0].arguments, ['pricing: failed to start', failure]);
+    });
+
+    it('filters by level and clears', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        t.mock.method(console, 'error', () => {});
+
+        reportMissing('FAQAccordion', '.faq-answer');
+        reportError('faq', new Error('boom'));
+
+        assert.deepEqual(getDiagnostics('error').map(entry => entry.module), ['faq']);
+        assert.equal(getDiagnostics('warn')[0].details.selector, '.faq-answer');
+
+        clearDiagnostics();
+        assert.deepEqual(getDiagnostics(), []);
+    });
+});
@@ -0,0 +1,237 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { Dialog } from '../js/dialog.js';
+
+const PAGE = `
+    <header id="header"><button id="opener">Open</button></header>
+    <main id="main"><button id="other">Other</button></main>
+    <aside id="authored" inert></aside>
+    <div class="modal" id="first" hidden>
+        <div class="modal-dialog">
+            <button class="modal-close" data-dialog-close>Close</button>
+            <h2>First dialog</h2>
+            <button id="nested">Open second</button>
+            <input id="lastInput">
+        </div>
+    </div>
+    <div class="modal" id="second" hidden>
+        <div class="modal-dialog" role="alertdialog" aria-label="Second">
+            <button id="secondButton">OK</button>
+            <input id="autofocused" autofocus>
+        </div>
+    </div>
+`;
+
+const press = (key, options = {}) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    document.activeElement.dispatchEvent(event);
+    return event;
+};
+
+describe('Dialog', () => {
+    let first;
+    let second;
+
+    beforeEach(() => {
+        setupDom(PAGE);
+        first = new Dialog(document.getElementById('first'));
+        second = new Dialog(document.getElementById('second'));
+    });
+    afterEach(() => {
+        Dialog.closeAll();
+        teardownDom();
+    });
+
+    describe('markup', () => {
+        it('announces the panel as a modal dialog labelled by its heading', () => {
+            const panel = first.panel;
+
+            assert.equal(panel.getAttribute('role'), 'dialog');
+            assert.equal(panel.getAttribute('aria-modal'), 'true');
+            assert.equal(document.getElementById(panel.getAttribute('aria-labelledby')).textContent, 'First dialog');
+        });
+
+        it('keeps the role and label the markup gives it', () => {
+            assert.equal(second.panel.getAttribute('role'), 'alertdialog');
+            assert.equal(second.panel.hasAttribute('aria-labelledby'), false);
+        });
+
+        it('has one instance per element', () => {
+            assert.equal(Dialog.for(document.getElementById('first')), first);
+        });
+    });
+
+    describe('open', () => {
+        it('shows the dialog and focuses its first focusable element', () => {
+            document.getElementById('opener').focus();
+
+            assert.equal(first.open(), true);
+
+            assert.equal(first.element.hidden, false);
+            assert.equal(first.isOpen(), true);
+            assert.equal(document.activeElement.className, 'modal-close');
+        });
+
+        it('prefers initialFocus, then [autofocus]', () => {
+            second.open();
+            assert.equal(document.activeElement.id, 'autofocused');
+            second.close();
+
+            const dialog = new Dialog(document.getElementById('first'), { initialFocus: '#lastInput' });
+            dialog.open();
+            assert.equal(document.activeElement.id, 'lastInput');
+        });
+
+        it('makes the rest of the page inert and stops it scrolling', () => {
+            first.open();
+
+            assert.equal(document.getElementById('header').hasAttribute('inert'), true);
+            assert.equal(document.getElementById('main').hasAttribute('inert'), true);
+            assert.equal(first.element.hasAttribute('inert'), false);
+            assert.ok(document.body.classList.contains('modal-open'));
+        });
+
+        it('fires dialog:open', () => {
+            let opened = false;
+            first.element.addEventListener('dialog:open', () => { opened = true; });
+
+            first.open();
+
+            assert.equal(opened, true);
+            assert.equal(first.open(), false);
+        });
+    });
+
+    describe('close', () => {
+        it('restores the page and returns focus to the opener', () => {
+            const opener = document.getElementById('opener');
+            first.open(opener);
+
+            assert.equal(first.close(), true);
+
+            assert.equal(first.element.hidden, true);
+            assert.equal(document.activeElement, opener);
+            assert.equal(document.getElementById('main').hasAttribute('inert'), false);
+            assert.ok(!document.body.classList.contains('modal-open'));
+        });
+
+        it('leaves inert set by the page alone', () => {
+            first.open();
+            first.close();
+
+            assert.equal(document.getElementById('authored').hasAttribute('inert'), true);
+        });
+
+        it('passes the reason to onClose and dialog:close', () => {
+            const reasons = [];
+            const dialog = new Dialog(document.getElementById('first'), { onClose: (reason) => reasons.push(reason) });
+            dialog.element.addEventListener('dialog:close', (e) => reasons.push(e.detail.reason));
+
+            dialog.open();
+            dialog.close('saved');
+
+            assert.deepEqual(reasons, ['saved', 'saved']);
+            assert.equal(dialog.close(), false);
+        });
+    });
+
+    describe('closing interactions', () => {
+        it('closes on Escape without letting it reach the page', () => {
+            let reachedDocument = false;
+            document.addEventListener('keydown', () => { reachedDocument = true; });
+            first.open();
+
+            press('Escape');
+
+            assert.equal(first.isOpen(), false);
+            assert.equal(reachedDocument, false);
+        });
+
+        it('stays open on Escape with closeOnEscape off', () => {
+            const dialog = new Dialog(document.getElementById('first'), { closeOnEscape: false });
+            dialog.open();
+
+            press('Escape');
+
+            assert.equal(dialog.isOpen(), true);
+        });
+
+        it('closes on backdrop clicks but not clicks inside', () => {
+            first.open();
+
+            first.panel.querySelector('h2').click();
+            assert.equal(first.isOpen(), true);
+
+            first.element.click();
+            assert.equal(first.isOpen(), false);
+        });
+
+        it('closes from [data-dialog-close]', () => {
+            const reasons = [];
+            first.element.addEventListener('dialog:close', (e) => reasons.push(e.detail.reason));
+            first.open();
+
+            first.element.querySelector('[data-dialog-close]').click();
+
+            assert.deepEqual(reasons, ['close-button']);
+        });
+    });
+
+    describe('focus trap', () => {
+        it('wraps Tab and Shift+Tab inside the dialog', () => {
+            first.open();
+
+            document.getElementById('lastInput').focus();
+            assert.equal(press('Tab').defaultPrevented, true);
+            assert.equal(document.activeElement.className, 'modal-close');
+
+            press('Tab', { shiftKey: true });
+            assert.equal(document.activeElement.id, 'lastInput');
+        });
+
+        it('brings focus that lands on the page back into the dialog', () => {
+            first.open();
+
+            document.getElementById('other').focus();
+
+            assert.ok(first.element.contains(document.activeElement));
+        });
+    });
+
+    describe('stacking', () => {
+        it('puts a dialog opened from another one on top', () => {
+            first.open();
+            second.open(document.getElementById('nested'));
+
+            assert.deepEqual(Dialog.getOpen(), [first, second]);
+            assert.equal(Dialog.top(), second);
+            assert.equal(first.element.hasAttribute('inert'), true);
+            assert.equal(second.element.hasAttribute('inert'), false);
+        });
+
+        it('closes only the top dialog on Escape and goes back to the one below', () => {
+            first.open();
+            document.getElementById('nested').focus();
+            second.open(document.getElementById('nested'));
+
+            press('Escape');
+
+            assert.equal(second.isOpen(), false);
+            assert.equal(first.isOpen(), true);
+            assert.equal(first.element.hasAttribute('inert'), false);
+            assert.equal(document.activeElement.id, 'nested');
+            assert.ok(document.body.classList.contains('modal-open'));
+        });
+
+        it('closeAll closes every dialog', () => {
+            first.open();
+            second.open();
+
+            Dialog.closeAll();
+
+            assert.equal(Dialog.top(), null);
+            assert.ok(!document.body.classList.contains('modal-open'));
+        });
+    });
+});
@@ -0,0 +1,107 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { ExperimentEngine } from '../js/experiments.js';
+
+const PAGE = `
+    <a id="primaryCta" data-experiment>Get Started</a>
+    <div class="pricing-grid"><div>A</div><div>B</div><div>C</div></div>
+    <button data-conversion="demo" id="demo">Book demo</button>
+`;
+
+const EXPERIMENTS = [
+    {
+        id: 'cta-label',
+        variants: [
+            { id: 'control', weight: 0 },
+            { id: 'free', weight: 1, changes: [{ selector: '#primaryCta', text: 'Get Started Free', addClass: 'is-free' }] }
+        ]
+    },
+    {
+        id: 'pricing-order',
+        variants: [
+            { id: 'control', weight: 1 },
+            { id: 'reversed', weight: 0, changes: [{ selector: '.pricing-grid', order: [2, 1, 0] }] }
+        ]
+    },
+    { id: 'retired', enabled: false, variants: [{ id: 'control' }] }
+];
+
+describe('ExperimentEngine', () => {
+    let tracked;
+
+    beforeEach(() => {
+        setupDom(PAGE);
+        document.documentElement.classList.add('experiments-pending');
+        tracked = [];
+        document.addEventListener('analytics:track', (e) => tracked.push(e.detail));
+    });
+    afterEach(teardownDom);
+
+    it('assigns by weight, applies changes and reveals the page', () => {
+        const engine = new ExperimentEngine(EXPERIMENTS);
+        const cta = document.getElementById('primaryCta');
+
+        assert.equal(engine.getVariantFor('cta-label'), 'free');
+        assert.equal(engine.getVariantFor('retired'), null);
+        assert.equal(cta.textContent, 'Get Started Free');
+        assert.ok(cta.classList.contains('is-free'));
+        assert.ok(document.documentElement.classList.contains('exp-cta-label-free'));
+        assert.ok(!document.documentElement.classList.contains('experiments-pending'));
+    });
+
+    it('reveals the page even when a change throws', () => {
+        const broken = [{ id: 'broken', variants: [{ id: 'only', changes: [{ selector: '#primaryCta', order: 'nope' }] }] }];
+
+        assert.throws(() => new ExperimentEngine(broken));
+
+        assert.ok(!document.documentElement.classList.contains('experiments-pending'));
+    });
+
+    it('keeps a stored assignment and records exposures', () => {
+        localStorage.setItem('experiments', JSON.stringify({ 'pricing-order': 'reversed' }));
+
+        new ExperimentEngine(EXPERIMENTS);
+
+        assert.equal(document.querySelector('.pricing-grid').textContent, 'CBA');
+        assert.deepEqual(tracked.map(event => event.properties), [
+            { experiment: 'cta-label', variant: 'free' },
+            { experiment: 'pricing-order', variant: 'reversed' }
+        ]);
+        assert.deepEqual(JSON.parse(localStorage.getItem('experiments')), { 'pricing-order': 'reversed', 'cta-label': 'free' });
+    });
+
+    it('shows the control and records nothing without consent', () => {
+        window.consentManager = { has: () => false };
+
+        const engine = new ExperimentEngine(EXPERIMENTS);
+        engine.convert('lead');
+
+        assert.equal(engine.getVariantFor('cta-label'), 'control');
+        assert.equal(tracked.length, 0);
+        assert.equal(localStorage.getItem('experiments'), null);
+    });
+
+    it('applies ?exp= overrides without storing or tracking', () => {
+        setupDom(PAGE, { url: 'http://localhost/?exp=pricing-order:reversed' });
+
+        const engine = new ExperimentEngine(EXPERIMENTS);
+
+        assert.equal(engine.getVariantFor('pricing-order'), 'reversed');
+        assert.equal(engine.getVariantFor('cta-label'), 'control');
+        assert.equal(localStorage.getItem('experiments'), null);
+    });
+
+    it('records conversions from data-conversion and DOM events', () => {
+        new ExperimentEngine(EXPERIMENTS);
+        tracked = [];
+
+        document.getElementById('demo').click();
+        document.dispatchEvent(new CustomEvent('form:success'));
+
+        assert.deepEqual(
+            tracked.filter(event => event.properties.experiment === 'cta-label').map(event => event.properties.goal),
+            ['demo', 'lead']
+        );
+    });
+});
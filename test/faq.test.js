@@ -0,0 +1,432 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom, flush, FakeResizeObserver } from './helpers/dom.js';
+import { FAQAccordion } from '../js/faq.js';
+import { getDiagnostics, clearDiagnostics } from '../js/diagnostics.js';
+
+const faqItem = (question, answer = 'Answer', attributes = '') => `
+    <div class="faq-item" ${attributes}>
+        <button class="faq-question" aria-expanded="false"><span>${question}</span></button>
+        <div class="faq-answer"><div class="faq-answer-content"><p>${answer}</p></div></div>
+    </div>
+`;
+
+const PAGE = `
+    <input type="search" class="faq-search-input">
+    <p class="faq-search-status"></p>
+    ${faqItem('How long does setup take?', 'About 2 days from onboarding.')}
+    ${faqItem('Do you offer support?', 'Yes, every plan includes ongoing support.')}
+    ${faqItem('Is there a contract?', 'No - month-to-month, cancel with 30 days notice. Café-friendly.', 'data-faq-id="pricing"')}
+`;
+
+const press = (element, key) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    element.dispatchEvent(event);
+    return event;
+};
+
+const typeSearch = (value) => {
+    const input = document.querySelector('.faq-search-input');
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+};
+
+describe('FAQAccordion', () => {
+    let first;
+    let second;
+
+    beforeEach(() => {
+        setupDom(faqItem('How long does setup take?') + faqItem('Do you offer support?'));
+        [first, second] = document.querySelectorAll('.faq-question');
+        // jsdom has no layout - give the answers a height to expand to
+        document.querySelectorAll('.faq-answer-content').forEach(content => {
+            Object.defineProperty(content, 'scrollHeight', { value: 120, configurable: true });
+        });
+    });
+    afterEach(() => {
+        clearDiagnostics();
+        teardownDom();
+    });
+
+    describe('toggleFAQ', () => {
+        it('opens a closed question to its content height', () => {
+            const faq = new FAQAccordion();
+
+            faq.toggleFAQ(first);
+
+            assert.equal(first.getAttribute('aria-expanded'), 'true');
+            assert.equal(first.nextElementSibling.style.maxHeight, '120px');
+        });
+
+        it('closes an open question', () => {
+            const faq = new FAQAccordion();
+
+            faq.toggleFAQ(first);
+            faq.toggleFAQ(first);
+
+            assert.equal(first.getAttribute('aria-expanded'), 'false');
+            assert.equal(first.nextElementSibling.style.maxHeight, '0');
+        });
+
+        it('closes the other questions when one opens', () => {
+            const faq = new FAQAccordion();
+
+            faq.toggleFAQ(first);
+            faq.toggleFAQ(second);
+
+            assert.equal(first.getAttribute('aria-expanded'), 'false');
+            assert.equal(second.getAttribute('aria-expanded'), 'true');
+        });
+
+        it('tracks opens but not closes', () => {
+            const faq = new FAQAccordion();
+            const tracked = [];
+            document.addEventListener('analytics:track', (e) => tracked.push(e.detail));
+
+            faq.toggleFAQ(first);
+            faq.toggleFAQ(first);
+
+            assert.deepEqual(tracked, [{ name: 'faq_open', properties: { question: 'How long does setup take?' } }]);
+        });
+    });
+
+    describe('events', () => {
+        it('toggles on click', () => {
+            new FAQAccordion();
+
+            first.click();
+
+            assert.equal(first.getAttribute('aria-expanded'), 'true');
+        });
+
+        it('toggles on Enter and Space', () => {
+            new FAQAccordion();
+
+            first.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+            assert.equal(first.getAttribute('aria-expanded'), 'true');
+
+            first.dispatchEvent(new KeyboardEvent('keydown', { key: ' ', bubbles: true, cancelable: true }));
+            assert.equal(first.getAttribute('aria-expanded'), 'false');
+        });
+
+        it('stops responding after unmount', () => {
+            const faq = new FAQAccordion();
+
+            faq.unmount(first);
+            first.click();
+
+            assert.equal(first.getAttribute('aria-expanded'), 'false');
+            assert.ok(!faq.faqItems.has(first));
+        });
+
+        it('skips a question without an answer and reports it', (t) => {
+            t.mock.method(console, 'warn', () => {});
+            first.nextElementSibling.remove();
+
+            const faq = new FAQAccordion();
+            first.click();
+            second.click();
+
+            assert.ok(!faq.faqItems.has(first));
+            assert.equal(second.getAttribute('aria-expanded'), 'true');
+            assert.match(getDiagnostics('warn')[0].message, /"How long does setup take\?" can't expand/);
+        });
+
+        it('mounting twice does not double-toggle', () => {
+            const faq = new FAQAccordion();
+
+            faq.mount(first);
+            first.click();
+
+            assert.equal(first.getAttribute('aria-expanded'), 'true');
+        });
+    });
+
+    describe('modes', () => {
+        it('keeps other questions open in multi mode', () => {
+            const faq = new FAQAccordion({ mode: 'multi' });
+
+            faq.toggleFAQ(first);
+            faq.toggleFAQ(second);
+
+            assert.equal(first.getAttribute('aria-expanded'), 'true');
+            assert.equal(second.getAttribute('aria-expanded'), 'true');
+        });
+    });
+
+    describe('answer height', () => {
+        it('follows the content while open', () => {
+            const faq = new FAQAccordion();
+            const content = first.nextElementSibling.querySelector('.faq-answer-content');
+            let height = 120;
+            Object.defineProperty(content, 'scrollHeight', { get: () => height, configurable: true });
+            faq.toggleFAQ(first);
+
+            height = 240;
+            FakeResizeObserver.trigger(content);
+
+            assert.equal(first.nextElementSibling.style.maxHeight, '240px');
+        });
+
+        it('leaves closed answers collapsed', () => {
+            new FAQAccordion();
+            const content = second.nextElementSibling.querySelector('.faq-answer-content');
+
+            FakeResizeObserver.trigger(content);
+
+            assert.equal(second.nextElementSibling.style.maxHeight, '');
+        });
+
+        it('re-measures on window resize without ResizeObserver', (t) => {
+            setupDom(PAGE, { observers: false });
+            t.mock.timers.enable({ apis: ['setTimeout'] });
+            const faq = new FAQAccordion();
+            const button = document.querySelector('.faq-question');
+            const content = button.nextElementSibling.querySelector('.faq-answer-content');
+            faq.toggleFAQ(button);
+
+            Object.defineProperty(content, 'scrollHeight', { value: 300, configurable: true });
+            window.dispatchEvent(new Event('resize'));
+            t.mock.timers.tick(150);
+
+            assert.equal(button.nextElementSibling.style.maxHeight, '300px');
+        });
+    });
+
+    describe('structure', () => {
+        beforeEach(() => setupDom(PAGE));
+
+        it('gives every item a deep-link id from data-faq-id or its question', () => {
+            new FAQAccordion();
+
+            const ids = Array.from(document.querySelectorAll('.faq-item')).map(item => item.id);
+            assert.deepEqual(ids, ['faq-how-long-does-setup-take', 'faq-do-you-offer-support', 'faq-pricing']);
+        });
+
+        it('links each question to its answer region', () => {
+            new FAQAccordion();
+            const button = document.querySelector('.faq-question');
+            const answer = button.nextElementSibling;
+
+            assert.equal(button.getAttribute('aria-controls'), answer.id);
+            assert.equal(answer.getAttribute('role'), 'region');
+            assert.equal(answer.getAttribute('aria-labelledby'), button.id);
+        });
+
+        it('keeps ids unique', () => {
+            document.body.insertAdjacentHTML('beforeend', faqItem('Do you offer support?'));
+
+            new FAQAccordion();
+
+            assert.equal(document.querySelectorAll('.faq-item')[3].id, 'faq-do-you-offer-support-2');
+        });
+    });
+
+    describe('keyboard', () => {
+        let buttons;
+
+        beforeEach(() => {
+            setupDom(PAGE);
+            buttons = Array.from(document.querySelectorAll('.faq-question'));
+        });
+
+        it('moves between questions with the arrow keys, wrapping around', () => {
+            new FAQAccordion();
+
+            assert.equal(press(buttons[0], 'ArrowDown').defaultPrevented, true);
+            assert.equal(document.activeElement, buttons[1]);
+
+            press(buttons[0], 'ArrowUp');
+            assert.equal(document.activeElement, buttons[2]);
+        });
+
+        it('jumps to the first and last question with Home and End', () => {
+            new FAQAccordion();
+
+            press(buttons[1], 'End');
+            assert.equal(document.activeElement, buttons[2]);
+
+            press(buttons[1], 'Home');
+            assert.equal(document.activeElement, buttons[0]);
+        });
+
+        it('skips questions hidden by search', () => {
+            new FAQAccordion();
+            typeSearch('days');
+
+            press(buttons[0], 'ArrowDown');
+
+            assert.equal(document.activeElement, buttons[2]);
+        });
+
+        it('leaves other keys alone', () => {
+            new FAQAccordion();
+
+            assert.equal(press(buttons[0], 'a').defaultPrevented, false);
+        });
+    });
+
+    describe('search', () => {
+        beforeEach(() => setupDom(PAGE));
+
+        const visible = () => Array.from(document.querySelectorAll('.faq-item'))
+            .filter(item => !item.hidden)
+            .map(item => item.id);
+
+        it('matches questions and answers, every word, ignoring case and accents', () => {
+            new FAQAccordion();
+
+            typeSearch('ONGOING');
+            assert.deepEqual(visible(), ['faq-do-you-offer-support']);
+
+            typeSearch('cafe cancel');
+            assert.deepEqual(visible(), ['faq-pricing']);
+            assert.equal(document.querySelector('.faq-search-status').textContent, '1 question matches');
+        });
+
+        it('says when nothing matches and shows everything when cleared', () => {
+            new FAQAccordion();
+
+            typeSearch('refund ');
+            assert.deepEqual(visible(), []);
+            assert.equal(document.querySelector('.faq-search-status').textContent, 'No questions match "refund"');
+
+            typeSearch('');
+            assert.equal(visible().length, 3);
+            assert.equal(document.querySelector('.faq-search-status').textContent, '');
+        });
+
+        it('filters questions added later', async () => {
+            const faq = new FAQAccordion();
+            typeSearch('support');
+
+            document.body.insertAdjacentHTML('beforeend', faqItem('What does onboarding include?'));
+            faq.mount(document.querySelectorAll('.faq-question')[3]);
+
+            assert.equal(document.querySelectorAll('.faq-item')[3].hidden, true);
+        });
+
+        it('tracks the query once typing stops', (t) => {
+            t.mock.timers.enable({ apis: ['setTimeout'] });
+            new FAQAccordion();
+            const tracked = [];
+            document.addEventListener('analytics:track', (e) => tracked.push(e.detail));
+
+            typeSearch('sup');
+            typeSearch('support');
+            t.mock.timers.tick(1000);
+
+            assert.deepEqual(tracked, [{ name: 'faq_search', properties: { query: 'support', results: 1 } }]);
+        });
+    });
+
+    describe('deep links', () => {
+        it('opens the question in the initial URL', () => {
+            setupDom(PAGE, { url: 'http://localhost/#faq-pricing' });
+            const tracked = [];
+            document.addEventListener('analytics:track', (e) => tracked.push(e.detail));
+
+            new FAQAccordion();
+
+            assert.equal(document.querySelector('#faq-pricing .faq-question').getAttribute('aria-expanded'), 'true');
+            assert.deepEqual(tracked[0].properties, { question: 'Is there a contract?', source: 'link' });
+        });
+
+        it('opens the question when an in-page link is followed', () => {
+            setupDom(`${PAGE}<a href="#faq-do-you-offer-support" id="link">Support</a>`);
+            new FAQAccordion();
+
+            document.getElementById('link').click();
+
+            assert.equal(document.querySelector('#faq-do-you-offer-support .faq-question').getAttribute('aria-expanded'), 'true');
+        });
+
+        it('opens on hashchange and clears a search hiding the question', () => {
+            setupDom(PAGE);
+            const faq = new FAQAccordion();
+            typeSearch('support');
+
+            window.location.hash = '#faq-pricing';
+            window.dispatchEvent(new Event('hashchange'));
+
+            assert.equal(document.getElementById('faq-pricing').hidden, false);
+            assert.equal(document.querySelector('.faq-search-input').value, '');
+            assert.equal(faq.openFromHash('#faq-missing'), false);
+        });
+
+        it('puts the open question in the URL and removes it on close', (t) => {
+            setupDom(PAGE);
+            const replaceState = t.mock.method(window.history, 'replaceState');
+            const faq = new FAQAccordion();
+            const button = document.querySelector('#faq-pricing .faq-question');
+
+            faq.toggleFAQ(button);
+            assert.equal(replaceState.mock.calls[0].arguments[2], '/#faq-pricing');
+
+            window.location.hash = '#faq-pricing';
+            faq.toggleFAQ(button);
+            assert.equal(replaceState.mock.calls[1].arguments[2], '/');
+        });
+
+        it('leaves the URL alone with updateHash off', (t) => {
+            setupDom(PAGE);
+            const replaceState = t.mock.method(window.history, 'replaceState');
+            const faq = new FAQAccordion({ updateHash: false });
+
+            faq.toggleFAQ(document.querySelector('.faq-question'));
+
+            assert.equal(replaceState.mock.callCount(), 0);
+        });
+    });
+
+    describe('FAQPage schema', () => {
+        const schema = () => JSON.parse(document.getElementById('faqSchema').textContent);
+
+        it('generates JSON-LD for every question', async () => {
+            setupDom(PAGE);
+            new FAQAccordion();
+            await flush();
+
+            const data = schema();
+            assert.equal(data['@type'], 'FAQPage');
+            assert.equal(data.mainEntity.length, 3);
+            assert.deepEqual(data.mainEntity[0], {
+                '@type': 'Question',
+                name: 'How long does setup take?',
+                acceptedAnswer: { '@type': 'Answer', text: 'About 2 days from onboarding.' }
+            });
+        });
+
+        it('follows questions added and removed later', async () => {
+            setupDom(PAGE);
+            const faq = new FAQAccordion();
+            await flush();
+
+            const buttons = document.querySelectorAll('.faq-question');
+            faq.unmount(buttons[0]);
+            faq.unmount(buttons[1]);
+            await flush();
+            assert.deepEqual(schema().mainEntity.map(entry => entry.name), ['Is there a contract?']);
+
+            faq.unmount(buttons[2]);
+            await flush();
+            assert.equal(document.getElementById('faqSchema'), null);
+        });
+
+        it('does not compete with hand-written FAQPage markup', async () => {
+            setupDom(`<script type="application/ld+json">{"@type": "FAQPage"}</script>${PAGE}`);
+            new FAQAccordion();
+            await flush();
+
+            assert.equal(document.getElementById('faqSchema'), null);
+        });
+
+        it('can be switched off', async () => {
+            setupDom(PAGE);
+            new FAQAccordion({ schema: false });
+            await flush();
+
+            assert.equal(document.getElementById('faqSchema'), null);
+        });
+    });
+});
@@ -0,0 +1,361 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { FormValidator, SubmissionError, VALIDATION_RULES, VALIDATION_MESSAGES, ASYNC_RULES } from '../js/forms.js';
+import { getDiagnostics, clearDiagnostics } from '../js/diagnostics.js';
+
+const FORM = `
+    <form id="contact" data-ghl-endpoint="https://hooks.example.com/form">
+        <input name="name" required minlength="2">
+        <input name="email" type="email" required>
+        <input name="phone" type="tel">
+        <input name="confirmEmail" data-match="email">
+        <button type="submit">Send</button>
+    </form>
+`;
+
+function fill(form, values) {
+    Object.entries(values).forEach(([name, value]) => {
+        form.elements[name].value = value;
+    });
+}
+
+function jsonResponse(status, body) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body
+    };
+}
+
+describe('FormValidator', () => {
+    let form;
+
+    beforeEach(() => {
+        setupDom(FORM);
+        form = document.getElementById('contact');
+    });
+    afterEach(teardownDom);
+
+    describe('isValidEmail', () => {
+        it('accepts ordinary addresses', () => {
+            const validator = new FormValidator(form);
+
+            assert.equal(validator.isValidEmail('jane@example.com'), true);
+            assert.equal(validator.isValidEmail('jane.doe+leads@mail.example.co.uk'), true);
+        });
+
+        it('rejects malformed and empty addresses', () => {
+            const validator = new FormValidator(form);
+
+            ['', 'jane', 'jane@', 'jane@example', '@example.com', 'jane doe@example.com'].forEach(email => {
+                assert.equal(validator.isValidEmail(email), false, email);
+            });
+        });
+    });
+
+    describe('VALIDATION_RULES', () => {
+        it('lets optional fields through when empty', () => {
+            ['minLength', 'maxLength', 'email', 'phone', 'url', 'pattern'].forEach(rule => {
+                assert.equal(VALIDATION_RULES[rule]('', 3), true, rule);
+            });
+        });
+
+        it('checks phone numbers as E.164, ignoring formatting', () => {
+            assert.equal(VALIDATION_RULES.phone('+1 (555) 123-4567'), true);
+            assert.equal(VALIDATION_RULES.phone('555-1234'), false);
+        });
+
+        it('only accepts http(s) URLs', () => {
+            assert.equal(VALIDATION_RULES.url('https://example.com'), true);
+            assert.equal(VALIDATION_RULES.url('javascript:alert(1)'), false);
+        });
+
+        it('anchors pattern to the whole value', () => {
+            assert.equal(VALIDATION_RULES.pattern('12345', '\\d{5}'), true);
+            assert.equal(VALIDATION_RULES.pattern('123456', '\\d{5}'), false);
+        });
+
+        it('remote passes when the check itself fails', async (t) => {
+            t.mock.method(globalThis, 'fetch', async () => { throw new Error('offline'); });
+
+            assert.equal(await VALIDATION_RULES.remote('jane@example.com', '/check?email='), true);
+        });
+    });
+
+    describe('getRules', () => {
+        it('reads rules from the markup in declaration order', () => {
+            const validator = new FormValidator(form);
+            const ruleNames = (name) => Object.keys(validator.getRules(name)).filter(key => key !== 'messages');
+
+            assert.deepEqual(ruleNames('name'), ['required', 'minLength']);
+            assert.deepEqual(ruleNames('email'), ['required', 'email']);
+            assert.deepEqual(validator.getRules('confirmEmail').matches, 'email');
+        });
+
+        it('merges the schema over the markup', () => {
+            const validator = new FormValidator(form, { schema: { phone: { required: true } } });
+
+            assert.ok('required' in validator.getRules('phone'));
+            assert.ok('phone' in validator.getRules('phone'));
+        });
+    });
+
+    describe('validateField', () => {
+        it('shows the first failing rule next to the field', async () => {
+            const validator = new FormValidator(form);
+            fill(form, { name: 'J' });
+
+            const valid = await validator.validateField('name');
+
+            assert.equal(valid, false);
+            assert.equal(form.elements.name.getAttribute('aria-invalid'), 'true');
+            assert.match(form.textContent, /at least 2 characters/);
+        });
+
+        it('clears the error once the value is fixed', async () => {
+            const validator = new FormValidator(form);
+            fill(form, { name: 'J' });
+            await validator.validateField('name');
+
+            fill(form, { name: 'Jane' });
+            const valid = await validator.validateField('name');
+
+            assert.equal(valid, true);
+            assert.notEqual(form.elements.name.getAttribute('aria-invalid'), 'true');
+        });
+
+        it('uses data-msg-* and options.messages overrides', async () => {
+            form.elements.email.dataset.msgRequired = 'We need your email';
+            const validator = new FormValidator(form, { messages: { minLength: 'Too short' } });
+            fill(form, { name: 'J' });
+
+            await validator.validateFields(['name', 'email']);
+
+            assert.match(form.textContent, /We need your email/);
+            assert.match(form.textContent, /Too short/);
+        });
+
+        it('checks cross-field matches', async () => {
+            const validator = new FormValidator(form);
+            fill(form, { email: 'jane@example.com', confirmEmail: 'jane@example.org' });
+
+            assert.equal(await validator.validateField('confirmEmail'), false);
+        });
+
+        it('skips a rule that throws and reports it', async (t) => {
+            t.mock.method(console, 'warn', () => {});
+            form.elements.name.setAttribute('pattern', '[a-z');
+            const validator = new FormValidator(form);
+            fill(form, { name: 'Jane' });
+
+            assert.equal(await validator.validateField('name'), true);
+            assert.match(getDiagnostics('warn')[0].message, /rule "pattern" threw on field "name" - skipped/);
+            clearDiagnostics();
+        });
+
+        it('clears errors of fields whose names need escaping', async () => {
+            form.insertAdjacentHTML('beforeend', '<input name="answers[&quot;size&quot;]" required>');
+            const validator = new FormValidator(form);
+
+            await validator.validateField('answers["size"]');
+            form.elements['answers["size"]'].value = 'solo';
+            form.elements['answers["size"]'].dispatchEvent(new Event('input', { bubbles: true }));
+
+            assert.equal(form.querySelector('.form-error'), null);
+        });
+
+        it('skips disabled fields', async () => {
+            form.elements.name.disabled = true;
+            const validator = new FormValidator(form);
+
+            assert.ok(!validator.getFieldNames().includes('name'));
+        });
+    });
+
+    describe('registerRule', () => {
+        afterEach(() => {
+            delete VALIDATION_RULES.businessEmail;
+            delete VALIDATION_MESSAGES.en.businessEmail;
+            ASYNC_RULES.delete('businessEmail');
+        });
+
+        it('runs rules registered as async after the sync ones', () => {
+            FormValidator.registerRule('businessEmail', (value) => Promise.resolve(!value.endsWith('@gmail.com')), {}, { async: true });
+            form.elements.email.dataset.ruleBusinessEmail = '';
+            const validator = new FormValidator(form);
+
+            assert.deepEqual(Object.keys(validator.getRules('email')), ['required', 'email', 'messages', 'businessEmail']);
+        });
+
+        it('runs a rule last once it is seen returning a Promise', async () => {
+            FormValidator.registerRule('businessEmail', () => Promise.resolve(true));
+            form.elements.email.dataset.ruleBusinessEmail = '';
+            form.elements.email.removeAttribute('type');
+            form.elements.email.setAttribute('minlength', '3');
+            const validator = new FormValidator(form);
+            fill(form, { email: 'jane@example.com' });
+
+            await validator.validateField('email');
+
+            assert.equal(validator.isAsyncRule('businessEmail'), true);
+            assert.equal(Object.keys(validator.getRules('email')).at(-1), 'businessEmail');
+        });
+
+        it('drops an async result once the field is edited', async () => {
+            let resolveCheck;
+            FormValidator.registerRule('businessEmail', () => new Promise(resolve => { resolveCheck = resolve; }), {
+                en: 'Please use your work email'
+            }, { async: true });
+            form.elements.email.dataset.ruleBusinessEmail = '';
+            const validator = new FormValidator(form);
+            fill(form, { email: 'jane@gmail.com' });
+
+            const pending = validator.validateField('email');
+            await new Promise(resolve => setImmediate(resolve));
+            fill(form, { email: 'jane@acme.com' });
+            form.elements.email.dispatchEvent(new Event('input', { bubbles: true }));
+            resolveCheck(false);
+            await pending;
+
+            assert.equal(form.elements.email.getAttribute('aria-invalid'), null);
+            assert.doesNotMatch(form.textContent, /Please use your work email/);
+        });
+
+        it('adds a rule usable from data-rule-*', async () => {
+            FormValidator.registerRule('businessEmail', (value) => !value.endsWith('@gmail.com'), {
+                en: 'Please use your work email'
+            });
+            form.elements.email.dataset.ruleBusinessEmail = '';
+            const validator = new FormValidator(form);
+            fill(form, { email: 'jane@gmail.com' });
+
+            assert.equal(await validator.validateField('email'), false);
+            assert.match(form.textContent, /Please use your work email/);
+        });
+    });
+
+    describe('getEndpoint', () => {
+        it('prefers options, then data-ghl-endpoint, then action', () => {
+            assert.equal(new FormValidator(form, { endpoint: '/option' }).getEndpoint(), '/option');
+            assert.equal(new FormValidator(form).getEndpoint(), 'https://hooks.example.com/form');
+
+            delete form.dataset.ghlEndpoint;
+            form.setAttribute('action', '/action');
+            assert.equal(new FormValidator(form).getEndpoint(), '/action');
+        });
+    });
+
+    describe('submission', () => {
+        const validData = { name: 'Jane', email: 'jane@example.com' };
+
+        it('retries transient failures with the same idempotency key', async (t) => {
+            const keys = [];
+            let calls = 0;
+            t.mock.method(globalThis, 'fetch', async (url, init) => {
+                keys.push(init.headers['Idempotency-Key']);
+                calls++;
+                return calls < 3 ? jsonResponse(503, null) : jsonResponse(200, { id: 'lead_1' });
+            });
+            const validator = new FormValidator(form, { retryDelay: 0 });
+
+            const response = await validator.submitToGHL(validData);
+
+            assert.deepEqual(response, { id: 'lead_1' });
+            assert.equal(calls, 3);
+            assert.equal(new Set(keys).size, 1);
+        });
+
+        it('does not retry validation errors and shows field errors', async (t) => {
+            let calls = 0;
+            t.mock.method(globalThis, 'fetch', async () => {
+                calls++;
+                return jsonResponse(422, { message: 'Check the form', errors: { email: 'Email already registered' } });
+            });
+            const validator = new FormValidator(form, { retryDelay: 0 });
+            let errorEvent = null;
+            form.addEventListener('form:error', (e) => { errorEvent = e.detail; });
+
+            const ok = await validator.submit(validData);
+
+            assert.equal(ok, false);
+            assert.equal(calls, 1);
+            assert.ok(errorEvent.error instanceof SubmissionError);
+            assert.equal(errorEvent.error.status, 422);
+            assert.match(form.textContent, /Email already registered/);
+        });
+
+        it('gives up after maxRetries', async (t) => {
+            let calls = 0;
+            t.mock.method(globalThis, 'fetch', async () => {
+                calls++;
+                throw new TypeError('Failed to fetch');
+            });
+            const validator = new FormValidator(form, { retryDelay: 0, maxRetries: 2 });
+
+            await assert.rejects(validator.submitToGHL(validData), SubmissionError);
+            assert.equal(calls, 3);
+        });
+
+        it('reports a missing endpoint and shows visitors the generic error', async (t) => {
+            t.mock.method(console, 'warn', () => {});
+            delete form.dataset.ghlEndpoint;
+            FormValidator.addMessages('es', { submitError: 'Algo salió mal.' });
+            document.documentElement.lang = 'es';
+            const validator = new FormValidator(form);
+
+            await assert.rejects(validator.submitToGHL(validData), /Algo salió mal/);
+            assert.match(getDiagnostics('warn')[0].message, /data-ghl-endpoint for #contact not found - the submission was not sent/);
+            delete VALIDATION_MESSAGES.es;
+        });
+
+        it('falls back to data-ghl-endpoint on the body', async (t) => {
+            const requests = [];
+            t.mock.method(globalThis, 'fetch', async (url) => {
+                requests.push(url);
+                return jsonResponse(200, {});
+            });
+            delete form.dataset.ghlEndpoint;
+            document.body.dataset.ghlEndpoint = 'https://example.com/hooks/site';
+
+            await new FormValidator(form).submitToGHL(validData);
+
+            assert.deepEqual(requests, ['https://example.com/hooks/site']);
+        });
+
+        it('uses submitHandler instead of posting', async () => {
+            const received = [];
+            const validator = new FormValidator(form, { submitHandler: async (data) => received.push(data) });
+
+            assert.equal(await validator.submit(validData), true);
+            assert.deepEqual(received, [validData]);
+        });
+
+        it('does not resend an identical payload inside duplicateWindow', async (t) => {
+            let calls = 0;
+            t.mock.method(globalThis, 'fetch', async () => {
+                calls++;
+                return jsonResponse(200, {});
+            });
+            const validator = new FormValidator(form);
+            fill(form, { ...validData, confirmEmail: validData.email });
+
+            await validator.handleSubmit(new Event('submit', { cancelable: true }));
+            await validator.handleSubmit(new Event('submit', { cancelable: true }));
+
+            assert.equal(calls, 1);
+            assert.ok(form.classList.contains('is-success'));
+        });
+
+        it('stops on invalid data without sending anything', async (t) => {
+            const fetchMock = t.mock.method(globalThis, 'fetch', async () => jsonResponse(200, {}));
+            const validator = new FormValidator(form);
+            fill(form, { name: 'Jane', email: 'not-an-email' });
+
+            await validator.handleSubmit(new Event('submit', { cancelable: true }));
+
+            assert.equal(fetchMock.mock.callCount(), 0);
+            assert.equal(document.activeElement, form.elements.email);
+        });
+    });
+});
@@ -0,0 +1,312 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { Gallery } from '../js/gallery.js';
+import { Dialog } from '../js/dialog.js';
+import { formatMessage } from '../js/i18n.js';
+import { getDiagnostics, clearDiagnostics } from '../js/diagnostics.js';
+
+const card = (name, caption = `<h3>${name}</h3><p>About ${name}</p>`) => `
+    <div class="screenshot-card">
+        <img src="/${name}-800.jpg" data-full="/${name}-2000.jpg" alt="${name}">
+        <div class="screenshot-caption">${caption}</div>
+    </div>
+`;
+
+const PAGE = `
+    <div class="screenshots-grid" data-gallery>
+        ${card('dashboard')}${card('workflows')}${card('crm', 'Just text')}
+    </div>
+    <div data-gallery><div class="screenshot-card"><img src="/other.jpg" alt="Other"></div></div>
+    <div class="modal" id="galleryLightbox" hidden>
+        <div class="modal-dialog">
+            <button class="modal-close" data-dialog-close>Close</button>
+            <div class="gallery-stage"><img class="gallery-image" alt=""></div>
+            <button data-gallery-action="prev">Prev</button>
+            <span class="gallery-counter"></span>
+            <button data-gallery-action="next">Next</button>
+            <button data-gallery-action="zoom-out">-</button>
+            <button data-gallery-action="reset">1:1</button>
+            <button data-gallery-action="zoom-in">+</button>
+            <p class="gallery-caption"></p>
+        </div>
+    </div>
+`;
+
+const thumbnail = (alt) => document.querySelector(`[data-gallery] img[alt="${alt}"]`);
+
+const press = (key) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    document.activeElement.dispatchEvent(event);
+    return event;
+};
+
+/**
+ * Dispatches a touch event (jsdom has no Touch constructor)
+ */
+const touch = (element, type, points) => {
+    const event = new Event(type, { bubbles: true, cancelable: true });
+    const touches = points.map(([clientX, clientY]) => ({ clientX, clientY }));
+    Object.defineProperty(event, 'touches', { value: type === 'touchend' ? [] : touches });
+    Object.defineProperty(event, 'changedTouches', { value: touches });
+    element.dispatchEvent(event);
+};
+
+describe('Gallery', () => {
+    let gallery;
+
+    beforeEach(() => {
+        setupDom(PAGE);
+        gallery = new Gallery();
+        // jsdom has no layout - give the image a size so panning has room
+        Object.defineProperty(gallery.image, 'offsetWidth', { value: 800, configurable: true });
+        Object.defineProperty(gallery.image, 'offsetHeight', { value: 500, configurable: true });
+    });
+    afterEach(() => {
+        Dialog.closeAll();
+        clearDiagnostics();
+        teardownDom();
+    });
+
+    describe('opening', () => {
+        it('makes gallery images buttons that open the dialog', () => {
+            const img = thumbnail('dashboard');
+
+            assert.equal(img.getAttribute('role'), 'button');
+            assert.equal(img.getAttribute('tabindex'), '0');
+            assert.equal(img.getAttribute('aria-label'), 'Enlarge: dashboard');
+
+            img.click();
+
+            assert.equal(gallery.dialog.isOpen(), true);
+            assert.equal(gallery.image.getAttribute('src'), '/dashboard-2000.jpg');
+            assert.equal(gallery.image.alt, 'dashboard');
+        });
+
+        it('relabels the images and the counter when the language changes', () => {
+            thumbnail('workflows').click();
+            const messages = { 'gallery.enlarge': 'Ampliar: {name}', 'gallery.counter': '{index} de {total}' };
+            window.i18n = { t: (key, params, fallback) => formatMessage(messages[key] ?? fallback, params) };
+
+            document.dispatchEvent(new CustomEvent('i18n:change'));
+
+            assert.equal(thumbnail('dashboard').getAttribute('aria-label'), 'Ampliar: dashboard');
+            assert.equal(thumbnail('Other').getAttribute('aria-label'), 'Ampliar: Other');
+            assert.equal(document.querySelector('.gallery-counter').textContent, '2 de 3');
+        });
+
+        it('opens with Enter and Space', () => {
+            thumbnail('workflows').focus();
+
+            assert.equal(press(' ').defaultPrevented, true);
+
+            assert.equal(gallery.index, 1);
+            assert.equal(gallery.dialog.isOpen(), true);
+        });
+
+        it('shows the caption and the position in the set', () => {
+            thumbnail('workflows').click();
+
+            assert.equal(document.querySelector('.gallery-caption-title').textContent, 'workflows');
+            assert.equal(document.querySelector('.gallery-caption span').textContent, 'About workflows');
+            assert.equal(document.querySelector('.gallery-counter').textContent, '2 / 3');
+        });
+
+        it('uses a caption without heading as it is', () => {
+            thumbnail('crm').click();
+
+            assert.equal(document.querySelector('.gallery-caption').textContent, 'Just text');
+        });
+
+        it('falls back to the thumbnail source and pages only within its own gallery', () => {
+            thumbnail('Other').click();
+
+            assert.equal(gallery.image.getAttribute('src'), '/other.jpg');
+            assert.equal(document.querySelector('[data-gallery-action="next"]').hidden, true);
+        });
+
+        it('describes an image that fails to load instead of showing it loading', () => {
+            thumbnail('workflows').click();
+            assert.equal(gallery.stage.classList.contains('is-loading'), true);
+
+            gallery.image.dispatchEvent(new Event('error'));
+
+            assert.equal(gallery.stage.classList.contains('is-loading'), false);
+            assert.equal(gallery.stage.classList.contains('is-broken'), true);
+            assert.equal(document.querySelector('.gallery-fallback').textContent, 'workflows');
+
+            document.querySelector('[data-gallery-action="next"]').click();
+            assert.equal(gallery.stage.classList.contains('is-broken'), false);
+        });
+
+        it('falls back to the caption when the image has no alt text', () => {
+            const img = thumbnail('crm');
+            img.alt = '';
+            img.click();
+
+            gallery.image.dispatchEvent(new Event('error'));
+
+            assert.equal(document.querySelector('.gallery-fallback').textContent, 'Just text');
+        });
+
+        it('returns focus to the thumbnail on close', () => {
+            const img = thumbnail('dashboard');
+            img.focus();
+            img.click();
+
+            document.querySelector('.modal-close').click();
+
+            assert.equal(document.activeElement, img);
+            assert.equal(gallery.image.hasAttribute('src'), false);
+        });
+
+        it('tracks opens', () => {
+            const tracked = [];
+            document.addEventListener('analytics:track', (e) => tracked.push(e.detail));
+
+            thumbnail('crm').click();
+
+            assert.deepEqual(tracked, [{ name: 'gallery_open', properties: { image: 'crm', index: 3 } }]);
+        });
+
+        it('reports a missing lightbox', () => {
+            setupDom('<div data-gallery></div>');
+
+            new Gallery();
+
+            assert.match(getDiagnostics('info')[0].message, /#galleryLightbox not found/);
+        });
+    });
+
+    describe('navigation', () => {
+        beforeEach(() => thumbnail('dashboard').click());
+
+        it('pages with the buttons and wraps around', () => {
+            document.querySelector('[data-gallery-action="prev"]').click();
+            assert.equal(gallery.image.alt, 'crm');
+
+            document.querySelector('[data-gallery-action="next"]').click();
+            assert.equal(gallery.image.alt, 'dashboard');
+        });
+
+        it('pages with the arrow keys, Home and End', () => {
+            press('ArrowRight');
+            assert.equal(gallery.index, 1);
+
+            press('End');
+            assert.equal(gallery.index, 2);
+
+            press('Home');
+            assert.equal(gallery.index, 0);
+
+            press('ArrowLeft');
+            assert.equal(gallery.index, 2);
+        });
+
+        it('swipes between images', () => {
+            touch(gallery.stage, 'touchstart', [[300, 100]]);
+            touch(gallery.stage, 'touchmove', [[150, 100]]);
+            touch(gallery.stage, 'touchend', [[100, 100]]);
+
+            assert.equal(gallery.index, 1);
+        });
+
+        it('starts every image unzoomed', () => {
+            gallery.zoomIn();
+            gallery.next();
+
+            assert.equal(gallery.scale, 1);
+        });
+    });
+
+    describe('zoom and pan', () => {
+        beforeEach(() => thumbnail('dashboard').click());
+
+        it('zooms with the buttons between 1x and maxZoom', () => {
+            const zoomIn = document.querySelector('[data-gallery-action="zoom-in"]');
+            const zoomOut = document.querySelector('[data-gallery-action="zoom-out"]');
+            assert.equal(zoomOut.disabled, true);
+
+            zoomIn.click();
+            assert.equal(gallery.scale, 1.5);
+            assert.ok(gallery.stage.classList.contains('is-zoomed'));
+
+            for (let i = 0; i < 5; i++) zoomIn.click();
+            assert.equal(gallery.scale, 4);
+            assert.equal(zoomIn.disabled, true);
+
+            document.querySelector('[data-gallery-action="reset"]').click();
+            assert.equal(gallery.scale, 1);
+        });
+
+        it('zooms with the keyboard', () => {
+            press('+');
+            assert.equal(gallery.scale, 1.5);
+
+            press('-');
+            assert.equal(gallery.scale, 1);
+
+            press('=');
+            press('0');
+            assert.equal(gallery.scale, 1);
+        });
+
+        it('zooms with the wheel towards the pointer', () => {
+            const wheel = new window.WheelEvent('wheel', { deltaY: -100, clientX: 100, clientY: 0, cancelable: true });
+            gallery.stage.dispatchEvent(wheel);
+
+            assert.equal(wheel.defaultPrevented, true);
+            assert.equal(gallery.scale, 1.5);
+            // The point under the pointer stays put: 100 - (100 - 0) * 1.5
+            assert.equal(gallery.x, -50);
+        });
+
+        it('zooms with a pinch', () => {
+            touch(gallery.stage, 'touchstart', [[100, 0], [200, 0]]);
+            touch(gallery.stage, 'touchmove', [[50, 0], [250, 0]]);
+
+            assert.equal(gallery.scale, 2);
+        });
+
+        it('toggles zoom with a double-click', () => {
+            gallery.stage.dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+            assert.equal(gallery.scale, 2);
+
+            gallery.stage.dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+            assert.equal(gallery.scale, 1);
+        });
+
+        it('pans a zoomed image with the arrows instead of paging', () => {
+            gallery.zoomTo(2);
+
+            press('ArrowRight');
+            press('ArrowDown');
+
+            assert.equal(gallery.index, 0);
+            assert.deepEqual([gallery.x, gallery.y], [-60, -60]);
+        });
+
+        it('pans by dragging, but not past the image edges', () => {
+            gallery.zoomTo(2);
+
+            gallery.stage.dispatchEvent(new MouseEvent('mousedown', { clientX: 0, clientY: 0, button: 0, bubbles: true }));
+            window.dispatchEvent(new MouseEvent('mousemove', { clientX: 100, clientY: 1000 }));
+            window.dispatchEvent(new MouseEvent('mouseup'));
+
+            // At 2x an 800x500 image can move 400px and 250px each way
+            assert.deepEqual([gallery.x, gallery.y], [100, 250]);
+            assert.match(gallery.image.style.transform, /translate\(100px, 250px\) scale\(2\)/);
+        });
+
+        it('pans with one finger when zoomed', () => {
+            gallery.zoomTo(2);
+
+            touch(gallery.stage, 'touchstart', [[100, 100]]);
+            touch(gallery.stage, 'touchmove', [[40, 130]]);
+            touch(gallery.stage, 'touchend', [[40, 130]]);
+
+            assert.deepEqual([gallery.x, gallery.y], [-60, 30]);
+            assert.equal(gallery.index, 0);
+        });
+    });
+});
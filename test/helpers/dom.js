@@ -0,0 +1,279 @@
+/**
+ * jsdom test environment and browser fakes
+ *
+ * Every test file runs in its own process (node --test), so installing
+ * globals here doesn't leak between files. Call setupDom() in beforeEach
+ * to get a fresh document, storage and set of fakes for every test.
+ *
+ * USAGE:
+ * import { setupDom, useFakeTimers, FakeIntersectionObserver } from './helpers/dom.js';
+ *
+ * beforeEach(() => setupDom('<button class="theme-toggle"></button>'));
+ * afterEach(teardownDom);
+ */
+
+import { mock } from 'node:test';
+import { JSDOM } from 'jsdom';
+
+// ===================================
+// FAKES
+// ===================================
+
+/**
+ * IntersectionObserver that only fires when a test tells it to
+ * FakeIntersectionObserver.instances lists every observer created since setupDom()
+ */
+export class FakeIntersectionObserver {
+    static instances = [];
+
+    constructor(callback, options = {}) {
+        this.callback = callback;
+        this.options = options;
+        this.elements = new Set();
+        FakeIntersectionObserver.instances.push(this);
+    }
+
+    observe(element) {
+        this.elements.add(element);
+    }
+
+    unobserve(element) {
+        this.elements.delete(element);
+    }
+
+    disconnect() {
+        this.elements.clear();
+    }
+
+    /**
+     * Reports element entering (true) or leaving (false) the viewport
+     * rect overrides the entry's boundingClientRect
+     */
+    trigger(element, isIntersecting, rect = {}) {
+        if (!this.elements.has(element)) return;
+        this.callback([{
+            target: element,
+            isIntersecting,
+            intersectionRatio: isIntersecting ? 1 : 0,
+            boundingClientRect: { top: 0, bottom: 0, height: 0, ...rect }
+        }], this);
+    }
+
+    /**
+     * Observers currently watching element
+     */
+    static observing(element) {
+        return FakeIntersectionObserver.instances.filter(observer => observer.elements.has(element));
+    }
+
+    /**
+     * Triggers element on every observer watching it
+     */
+    static trigger(element, isIntersecting, rect) {
+        FakeIntersectionObserver.observing(element).forEach(observer => observer.trigger(element, isIntersecting, rect));
+    }
+}
+
+/**
+ * ResizeObserver that only fires when a test tells it to
+ */
+export class FakeResizeObserver {
+    static instances = [];
+
+    constructor(callback) {
+        this.callback = callback;
+        this.elements = new Set();
+        FakeResizeObserver.instances.push(this);
+    }
+
+    observe(element) {
+        this.elements.add(element);
+    }
+
+    unobserve(element) {
+        this.elements.delete(element);
+    }
+
+    disconnect() {
+        this.elements.clear();
+    }
+
+    /**
+     * Reports element as resized on every observer watching it
+     */
+    static trigger(element) {
+        FakeResizeObserver.instances
+            .filter(observer => observer.elements.has(element))
+            .forEach(observer => observer.callback([{ target: element }], observer));
+    }
+}
+
+/**
+ * matchMedia backed by a { query: boolean } map
+ * setMatches(query, value) fires 'change' on every list for that query
+ */
+export function createMatchMedia(initial = {}) {
+    const state = { ...initial };
+    const lists = [];
+
+    const matchMedia = (query) => {
+        const listeners = new Set();
+        const list = {
+            media: query,
+            get matches() {
+                return Boolean(state[query]);
+            },
+            addEventListener: (type, listener) => listeners.add(listener),
+            removeEventListener: (type, listener) => listeners.delete(listener),
+            addListener: (listener) => listeners.add(listener),
+            removeListener: (listener) => listeners.delete(listener),
+            listeners
+        };
+        lists.push(list);
+        return list;
+    };
+
+    matchMedia.setMatches = (query, value) => {
+        state[query] = value;
+        lists
+            .filter(list => list.media === query)
+            .forEach(list => list.listeners.forEach(listener => listener({ matches: value, media: query })));
+    };
+
+    return matchMedia;
+}
+
+/**
+ * In-memory Storage
+ */
+export class FakeStorage {
+    constructor(entries = {}) {
+        this.store = new Map(Object.entries(entries));
+    }
+
+    get length() {
+        return this.store.size;
+    }
+
+    key(index) {
+        return Array.from(this.store.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.store.has(key) ? this.store.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.store.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.store.delete(key);
+    }
+
+    clear() {
+        this.store.clear();
+    }
+}
+
+// ===================================
+// ENVIRONMENT
+// ===================================
+
+const GLOBAL_KEYS = [
+    'document', 'navigator', 'location', 'history', 'Node', 'Element', 'HTMLElement',
+    'HTMLInputElement', 'HTMLFormElement', 'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'PopStateEvent',
+    'MutationObserver', 'FormData', 'getComputedStyle', 'DOMParser', 'URL', 'URLSearchParams',
+    'AbortController', 'Blob', 'Headers'
+];
+
+let currentDom = null;
+const realPerformance = globalThis.performance;
+
+/**
+ * Creates a fresh document and installs it (plus fakes) as globals
+ *
+ * Options:
+ * - url:        page URL (query string / hash for deep-link tests)
+ * - media:      initial matchMedia results, e.g. { '(prefers-reduced-motion: reduce)': true }
+ * - storage:    initial localStorage entries
+ * - observers:  false to leave IntersectionObserver and ResizeObserver undefined (fallback paths)
+ */
+export function setupDom(html = '', { url = 'http://localhost/', media = {}, storage = {}, observers = true } = {}) {
+    teardownDom();
+
+    currentDom = new JSDOM(`<!DOCTYPE html><html lang="en"><head></head><body>${html}</body></html>`, { url });
+    const window = currentDom.window;
+
+    FakeIntersectionObserver.instances = [];
+    FakeResizeObserver.instances = [];
+    const matchMedia = createMatchMedia(media);
+    const localStorage = new FakeStorage(storage);
+
+    const fakes = {
+        matchMedia,
+        localStorage,
+        // Routed through setTimeout so fake timers control animation frames too
+        requestAnimationFrame: (callback) => setTimeout(() => callback(Date.now()), 16),
+        cancelAnimationFrame: (id) => clearTimeout(id),
+        CSS: { escape: (value) => String(value).replace(/[^\w-]/g, char => `\\${char}`) },
+        scrollTo: mock.fn()
+    };
+    if (observers) {
+        fakes.IntersectionObserver = FakeIntersectionObserver;
+        fakes.ResizeObserver = FakeResizeObserver;
+    }
+
+    Object.entries(fakes).forEach(([key, value]) => {
+        Object.defineProperty(window, key, { value, configurable: true, writable: true });
+    });
+    if (!observers) {
+        delete window.IntersectionObserver;
+        delete window.ResizeObserver;
+    }
+
+    globalThis.window = window;
+    GLOBAL_KEYS.forEach(key => {
+        globalThis[key] = window[key];
+    });
+    Object.assign(globalThis, fakes);
+    if (!observers) {
+        delete globalThis.IntersectionObserver;
+        delete globalThis.ResizeObserver;
+    }
+
+    return { window, document: window.document, matchMedia, localStorage };
+}
+
+/**
+ * Closes the current document and clears module globals set by the page code
+ */
+export function teardownDom() {
+    if (!currentDom) return;
+
+    currentDom.window.close();
+    currentDom = null;
+    mock.timers.reset();
+    mock.restoreAll();
+    globalThis.performance = realPerformance;
+}
+
+/**
+ * Fake setTimeout/setInterval/Date (and animation frames, which use setTimeout)
+ * Reset automatically by teardownDom()
+ */
+export function useFakeTimers(now = 0) {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now });
+    globalThis.performance = { now: () => Date.now() };
+
+    return {
+        tick: (ms) => mock.timers.tick(ms)
+    };
+}
+
+/**
+ * Waits for queued microtasks and MutationObserver callbacks
+ */
+export function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
@@ -0,0 +1,340 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { I18n, LOCALES, t, formatMessage, formatCurrency, formatDate, getDirection } from '../js/i18n.js';
+import { VALIDATION_MESSAGES } from '../js/forms.js';
+import { getDiagnostics, clearDiagnostics } from '../js/diagnostics.js';
+
+const PAGE = `
+    <select data-locale-switcher hidden></select>
+    <a data-i18n="nav.pricing">Pricing</a>
+    <h2 data-i18n="faq.title" data-i18n-html>Frequently Asked <span class="gradient-text">Questions</span></h2>
+    <input data-i18n-attr="placeholder:faq.searchPlaceholder; aria-label:faq.searchLabel" placeholder="Search questions" aria-label="Search the FAQ">
+    <p data-i18n="faq.count" data-i18n-params='{"count": 1200}'>1,200 questions</p>
+    <p data-i18n="footer.tagline">Empowering businesses</p>
+`;
+
+const BUNDLES = {
+    es: {
+        nav: { pricing: 'Precios' },
+        faq: {
+            title: 'Preguntas <span class="gradient-text">frecuentes</span>',
+            searchPlaceholder: 'Buscar preguntas',
+            searchLabel: 'Buscar en las preguntas',
+            count: { one: '{count} pregunta', other: '{count} preguntas' }
+        },
+        validation: { required: 'Este campo es obligatorio' }
+    },
+    fr: {
+        nav: { pricing: 'Tarifs' }
+    }
+};
+
+/**
+ * Serves locales/<code>.json from BUNDLES, recording the requested URLs
+ */
+function mockBundles(t, bundles = BUNDLES) {
+    const requests = [];
+    t.mock.method(globalThis, 'fetch', async (url) => {
+        requests.push(url);
+        const code = url.match(/locales\/(.+)\.json$/)[1];
+        return bundles[code]
+            ? { ok: true, status: 200, json: async () => bundles[code] }
+            : { ok: false, status: 404, json: async () => null };
+    });
+    return requests;
+}
+
+const text = (selector) => document.querySelector(selector).textContent;
+
+describe('I18n', () => {
+    beforeEach(() => setupDom(PAGE));
+    afterEach(() => {
+        delete window.i18n;
+        delete window.consentManager;
+        delete VALIDATION_MESSAGES.es;
+        delete LOCALES.ar;
+        clearDiagnostics();
+        teardownDom();
+    });
+
+    /**
+     * Starts I18n with every [data-i18n] element mounted, like ComponentLifecycle does
+     */
+    async function start(options = {}) {
+        const i18n = new I18n(options);
+        document.querySelectorAll(i18n.selector).forEach(element => i18n.mount(element));
+        await i18n.ready;
+        return i18n;
+    }
+
+    describe('start-up', () => {
+        it('stays on the source locale without fetching anything', async (t) => {
+            const requests = mockBundles(t);
+
+            const i18n = await start();
+
+            assert.equal(i18n.locale, 'en');
+            assert.equal(text('a'), 'Pricing');
+            assert.deepEqual(requests, []);
+        });
+
+        it('uses the saved locale', async (t) => {
+            mockBundles(t);
+            setupDom(PAGE, { storage: { locale: 'es' } });
+
+            await start();
+
+            assert.equal(text('a'), 'Precios');
+            assert.equal(document.documentElement.lang, 'es');
+        });
+
+        it('previews ?lang= without saving it', async (t) => {
+            mockBundles(t);
+            setupDom(PAGE, { url: 'http://localhost/?lang=fr', storage: { locale: 'es' } });
+            const events = [];
+            document.addEventListener('i18n:change', (e) => events.push(e.detail));
+
+            await start();
+
+            assert.equal(text('a'), 'Tarifs');
+            assert.equal(localStorage.getItem('locale'), 'es');
+            assert.deepEqual(events, [{ locale: 'fr', dir: 'ltr', source: 'preview' }]);
+        });
+
+        it('picks the first supported browser language', async (t) => {
+            mockBundles(t);
+            Object.defineProperty(navigator, 'languages', { value: ['de-DE', 'fr-CA', 'en'], configurable: true });
+
+            const i18n = await start();
+
+            assert.equal(i18n.locale, 'fr');
+        });
+
+        it('ignores browser languages with detect off', async (t) => {
+            mockBundles(t);
+            Object.defineProperty(navigator, 'languages', { value: ['fr-CA'], configurable: true });
+
+            const i18n = await start({ detect: false });
+
+            assert.equal(i18n.locale, 'en');
+        });
+    });
+
+    describe('setLocale', () => {
+        it('translates text, trusted HTML, attributes and plurals', async (t) => {
+            mockBundles(t);
+            const i18n = await start();
+
+            assert.equal(await i18n.setLocale('es'), true);
+
+            assert.equal(text('a'), 'Precios');
+            assert.equal(document.querySelector('h2 .gradient-text').textContent, 'frecuentes');
+            assert.equal(document.querySelector('input').placeholder, 'Buscar preguntas');
+            assert.equal(document.querySelector('input').getAttribute('aria-label'), 'Buscar en las preguntas');
+            assert.equal(text('[data-i18n="faq.count"]'), '1200 preguntas');
+        });
+
+        it('keeps the source copy for keys a bundle lacks and reports them once', async (t) => {
+            mockBundles(t);
+            const i18n = await start();
+
+            await i18n.setLocale('es');
+            i18n.t('footer.tagline', {}, 'Empowering businesses');
+
+            assert.equal(text('[data-i18n="footer.tagline"]'), 'Empowering businesses');
+            assert.equal(getDiagnostics('info').filter(entry => entry.message.includes('footer.tagline')).length, 1);
+        });
+
+        it('restores the markup when switching back to the source locale', async (t) => {
+            mockBundles(t);
+            const i18n = await start();
+            await i18n.setLocale('es');
+
+            await i18n.setLocale('en');
+
+            assert.equal(text('a'), 'Pricing');
+            assert.equal(document.querySelector('h2').innerHTML, 'Frequently Asked <span class="gradient-text">Questions</span>');
+            assert.equal(document.querySelector('input').placeholder, 'Search questions');
+        });
+
+        it('resolves regional codes and loads each bundle once', async (t) => {
+            const requests = mockBundles(t);
+            const i18n = await start();
+
+            await i18n.setLocale('es-MX');
+            await i18n.setLocale('en');
+            await i18n.setLocale('es');
+
+            assert.equal(i18n.locale, 'es');
+            assert.deepEqual(requests, ['locales/es.json']);
+        });
+
+        it('saves the choice only with preferences consent', async (t) => {
+            mockBundles(t);
+            window.consentManager = { has: () => false };
+            const i18n = await start();
+
+            await i18n.setLocale('es');
+            assert.equal(localStorage.getItem('locale'), null);
+
+            window.consentManager = { has: () => true };
+            await i18n.setLocale('fr');
+            assert.equal(localStorage.getItem('locale'), 'fr');
+        });
+
+        it('keeps the current locale when a bundle fails to load', async (t) => {
+            t.mock.method(console, 'warn', () => {});
+            mockBundles(t, {});
+            const i18n = await start();
+
+            assert.equal(await i18n.setLocale('es'), false);
+
+            assert.equal(i18n.locale, 'en');
+            assert.equal(text('a'), 'Pricing');
+            assert.match(getDiagnostics('warn')[0].message, /could not load the es bundle/);
+        });
+
+        it('rejects unsupported locales', async (t) => {
+            t.mock.method(console, 'warn', () => {});
+            const i18n = await start();
+
+            assert.equal(await i18n.setLocale('de'), false);
+            assert.match(getDiagnostics('warn')[0].message, /unsupported locale "de"/);
+        });
+
+        it('lets the latest of two quick switches win', async (t) => {
+            mockBundles(t);
+            const i18n = await start();
+
+            const first = i18n.setLocale('es');
+            const second = i18n.setLocale('fr');
+
+            assert.deepEqual(await Promise.all([first, second]), [false, true]);
+            assert.equal(text('a'), 'Tarifs');
+        });
+
+        it('hands validation messages to FormValidator', async (t) => {
+            mockBundles(t);
+            const i18n = await start();
+
+            await i18n.setLocale('es');
+
+            assert.equal(VALIDATION_MESSAGES.es.required, 'Este campo es obligatorio');
+        });
+
+        it('switches the page to right-to-left for RTL languages', async () => {
+            I18n.registerLocale('ar', { label: 'العربية', messages: { nav: { pricing: 'الأسعار' } } });
+            const i18n = await start();
+
+            await i18n.setLocale('ar');
+
+            assert.equal(document.documentElement.dir, 'rtl');
+            assert.equal(text('a'), 'الأسعار');
+
+            await i18n.setLocale('en');
+            assert.equal(document.documentElement.dir, 'ltr');
+        });
+    });
+
+    describe('content added later', () => {
+        it('is translated when mounted', async (t) => {
+            mockBundles(t);
+            const i18n = await start();
+            await i18n.setLocale('es');
+
+            document.body.insertAdjacentHTML('beforeend', '<a id="late" data-i18n="nav.pricing">Pricing</a>');
+            i18n.mount(document.getElementById('late'));
+
+            assert.equal(text('#late'), 'Precios');
+        });
+    });
+
+    describe('switcher', () => {
+        it('lists the locales, shows itself and follows the current locale', async (t) => {
+            mockBundles(t, BUNDLES);
+            setupDom(PAGE, { storage: { locale: 'fr' } });
+            await start();
+            const select = document.querySelector('[data-locale-switcher]');
+
+            assert.equal(select.hidden, false);
+            assert.deepEqual(Array.from(select.options).map(option => option.value), ['en', 'es', 'fr']);
+            assert.equal(select.value, 'fr');
+        });
+
+        it('switches language on change and tracks it', async (t) => {
+            mockBundles(t);
+            const i18n = await start();
+            const tracked = [];
+            document.addEventListener('analytics:track', (e) => tracked.push(e.detail));
+            const select = document.querySelector('[data-locale-switcher]');
+
+            select.value = 'es';
+            select.dispatchEvent(new Event('change'));
+            await i18n.setLocale('es');
+
+            assert.equal(text('a'), 'Precios');
+            assert.deepEqual(tracked, [{ name: 'locale_change', properties: { locale: 'es' } }]);
+        });
+    });
+});
+
+describe('i18n helpers', () => {
+    beforeEach(() => setupDom(''));
+    afterEach(() => {
+        delete window.i18n;
+        teardownDom();
+    });
+
+    it('t falls back to the source text without I18n on the page', () => {
+        assert.equal(t('faq.searchEmpty', { query: 'refund' }, 'No questions match "{query}"'), 'No questions match "refund"');
+    });
+
+    it('t uses the running I18n', async (context) => {
+        context.mock.method(globalThis, 'fetch', async () => ({ ok: true, json: async () => BUNDLES.es }));
+        window.i18n = new I18n();
+        await window.i18n.setLocale('es', { persist: false });
+
+        assert.equal(t('nav.pricing', {}, 'Pricing'), 'Precios');
+    });
+
+    it('formatMessage picks plural forms for the locale and formats numbers', () => {
+        const message = { zero: 'No questions', one: '{count} question', other: '{count} questions' };
+
+        assert.equal(formatMessage(message, { count: 0 }, 'en'), 'No questions');
+        assert.equal(formatMessage(message, { count: 1 }, 'en'), '1 question');
+        assert.equal(formatMessage(message, { count: 1500 }, 'en'), '1,500 questions');
+        assert.equal(formatMessage('{missing} stays', {}, 'en'), '{missing} stays');
+    });
+
+    it('formats currencies and dates for the page locale', () => {
+        document.documentElement.lang = 'fr';
+
+        assert.equal(formatCurrency(997, 'EUR', { maximumFractionDigits: 0 }), '997 €');
+        assert.equal(formatDate('2025-01-06T12:00:00Z', { dateStyle: 'long', timeZone: 'UTC' }), '6 janvier 2025');
+    });
+
+    it('knows which languages are right-to-left', () => {
+        assert.equal(getDirection('he-IL'), 'rtl');
+        assert.equal(getDirection('es'), 'ltr');
+    });
+});
+
+describe('locale bundles', () => {
+    const read = (path) => readFileSync(new URL(`../${path}`, import.meta.url), 'utf8');
+    const lookup = (bundle, key) => key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+
+    it('have every key index.html uses', () => {
+        const page = read('index.html');
+        const keys = new Set([
+            ...[...page.matchAll(/data-i18n="([^"]+)"/g)].map(match => match[1]),
+            ...[...page.matchAll(/data-i18n-attr="([^"]+)"/g)].flatMap(match => match[1].split(';').map(pair => pair.split(':')[1].trim()))
+        ]);
+
+        ['es', 'fr'].forEach(locale => {
+            const bundle = JSON.parse(read(`locales/${locale}.json`));
+            assert.deepEqual([...keys].filter(key => lookup(bundle, key) === undefined), [], `missing from ${locale}.json`);
+        });
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { init, getDiagnostics, clearDiagnostics } from '../script.js';
+
+describe('init', () => {
+    let modules;
+
+    beforeEach((t) => {
+        setupDom('<button class="btn" id="cta">Go</button>');
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'warn', () => {});
+        t.mock.method(console, 'error', () => {});
+    });
+    afterEach(() => {
+        if (modules && modules.analytics) modules.analytics.destroy();
+        if (modules && modules.lifecycle) modules.lifecycle.destroy();
+        modules = null;
+        clearDiagnostics();
+        teardownDom();
+    });
+
+    it('starts every module on a page without any of the sections', async () => {
+        modules = await init();
+
+        assert.equal(getDiagnostics('error').length, 0, JSON.stringify(getDiagnostics('error')));
+        assert.ok(modules.theme);
+        assert.ok(modules.buttons);
+        assert.ok(modules.navigation);
+        assert.ok(getDiagnostics().some(entry => entry.module === 'NavigationScroll' && entry.details.selector === '.nav'));
+    });
+
+    it('keeps starting modules after one throws', async () => {
+        const published = [];
+        document.addEventListener('diagnostics:report', (e) => published.push(e.detail));
+
+        modules = await init({ experiments: { experiments: null } });
+
+        assert.equal(modules.experiments, undefined);
+        assert.ok(modules.theme);
+        assert.ok(modules.keyboardNavigation);
+        const [failure] = published.filter(entry => entry.level === 'error');
+        assert.equal(failure.module, 'experiments');
+        assert.ok(failure.details.error instanceof TypeError);
+        assert.match(console.warn.mock.calls.at(-1).arguments[0], /initialized without experiments/);
+        assert.ok(!document.documentElement.classList.contains('experiments-pending'));
+    });
+
+    it('shows the original copy when experiments are switched off', async () => {
+        document.documentElement.classList.add('experiments-pending');
+
+        modules = await init({ experiments: false });
+
+        assert.ok(!document.documentElement.classList.contains('experiments-pending'));
+    });
+
+    it('skips modules switched off in the config', async () => {
+        modules = await init({ analytics: false, navigation: false });
+
+        assert.equal(modules.analytics, undefined);
+        assert.equal(modules.navigation, undefined);
+        assert.ok(!getDiagnostics().some(entry => entry.module === 'NavigationScroll'));
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { KeyboardNavigation } from '../js/keyboard-navigation.js';
+import { Dialog } from '../js/dialog.js';
+import { FAQAccordion } from '../js/faq.js';
+import { ComponentLifecycle } from '../js/lifecycle.js';
+
+describe('KeyboardNavigation', () => {
+    beforeEach(() => {
+        setupDom(`
+            <section class="hero"></section>
+            <div class="faq-item" data-faq-id="pricing">
+                <button class="faq-question" aria-expanded="false"><span>Is there a contract?</span></button>
+                <div class="faq-answer"><div class="faq-answer-content"><p>No</p></div></div>
+            </div>
+        `, { url: 'http://localhost/#faq-pricing' });
+        window.lifecycle = new ComponentLifecycle();
+        window.lifecycle.register('faq', new FAQAccordion());
+    });
+    afterEach(() => {
+        Dialog.closeAll();
+        window.lifecycle.unregister('faq');
+        teardownDom();
+    });
+
+    it('adds a skip link that targets the hero', () => {
+        new KeyboardNavigation();
+
+        const skipLink = document.body.firstElementChild;
+        assert.equal(skipLink.className, 'skip-link');
+        assert.equal(skipLink.getAttribute('href'), '#main-content');
+        assert.equal(document.querySelector('.hero').id, 'main-content');
+    });
+
+    it('shows the skip link while it has focus', () => {
+        new KeyboardNavigation();
+        const skipLink = document.querySelector('.skip-link');
+
+        skipLink.focus();
+        assert.equal(skipLink.style.top, '0px');
+
+        skipLink.blur();
+        assert.equal(skipLink.style.top, '-40px');
+    });
+
+    it('keeps an existing hero id', () => {
+        document.querySelector('.hero').id = 'top';
+
+        new KeyboardNavigation();
+
+        assert.equal(document.querySelector('.hero').id, 'top');
+    });
+
+    it('closes open FAQs on Escape and drops their deep link', () => {
+        new KeyboardNavigation();
+        assert.equal(document.querySelector('.faq-question').getAttribute('aria-expanded'), 'true');
+
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+        assert.equal(document.querySelector('.faq-question').getAttribute('aria-expanded'), 'false');
+        assert.equal(document.querySelector('.faq-answer').style.maxHeight, '0');
+        assert.equal(window.location.hash, '');
+    });
+
+    it('closes the top dialog instead of the FAQs while one is open', () => {
+        document.body.insertAdjacentHTML('beforeend', '<div class="modal" id="modal" hidden><div class="modal-dialog"></div></div>');
+        const dialog = new Dialog(document.getElementById('modal'));
+        new KeyboardNavigation();
+        dialog.open();
+        document.activeElement.blur();
+
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+        assert.equal(dialog.isOpen(), false);
+        assert.equal(document.querySelector('.faq-question').getAttribute('aria-expanded'), 'true');
+    });
+});
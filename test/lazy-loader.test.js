@@ -0,0 +1,225 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom, useFakeTimers, FakeIntersectionObserver } from './helpers/dom.js';
+import { LazyLoader } from '../js/lazy-loader.js';
+import { getDiagnostics, clearDiagnostics } from '../js/diagnostics.js';
+
+const IMAGES = `
+    <img id="photo" data-src="/images/photo.jpg" alt="">
+    <img id="pixel" data-consent="marketing" data-src="https://pixel.example.com/p.gif" alt="">
+`;
+
+const RESPONSIVE = `
+    <img id="responsive" data-src="/a-800.jpg" data-srcset="/a-400.jpg 400w, /a-800.jpg 800w" data-sizes="50vw" alt="">
+    <picture>
+        <source id="avif" type="image/avif" data-srcset="/b.avif">
+        <img id="pictured" data-src="/b.jpg" alt="">
+    </picture>
+    <img id="blurred" class="lazy-blur" src="/c-tiny.jpg" data-src="/c.jpg" alt="">
+    <div id="hero" data-bg="/hero.jpg"></div>
+`;
+
+/**
+ * Loads an element as if it had scrolled into view
+ */
+const reveal = (id) => {
+    const element = document.getElementById(id);
+    FakeIntersectionObserver.trigger(element, true);
+    return element;
+};
+
+describe('LazyLoader', () => {
+    afterEach(() => {
+        clearDiagnostics();
+        teardownDom();
+    });
+
+    it('loads an image once it comes into view', () => {
+        setupDom(IMAGES);
+        new LazyLoader();
+        const photo = document.getElementById('photo');
+
+        assert.equal(photo.getAttribute('src'), null);
+        FakeIntersectionObserver.trigger(photo, true);
+
+        assert.equal(photo.getAttribute('src'), '/images/photo.jpg');
+        assert.equal(photo.hasAttribute('data-src'), false);
+        assert.equal(FakeIntersectionObserver.observing(photo).length, 0);
+    });
+
+    it('leaves consent-gated images to ConsentManager', () => {
+        setupDom(IMAGES);
+        new LazyLoader();
+
+        assert.equal(FakeIntersectionObserver.observing(document.getElementById('pixel')).length, 0);
+    });
+
+    it('passes rootMargin to the observer', () => {
+        setupDom(IMAGES);
+        const loader = new LazyLoader({ rootMargin: '200px' });
+
+        assert.equal(loader.observer.options.rootMargin, '200px');
+    });
+
+    it('loads everything immediately without IntersectionObserver', () => {
+        setupDom(IMAGES, { observers: false });
+
+        new LazyLoader();
+
+        assert.equal(document.getElementById('photo').getAttribute('src'), '/images/photo.jpg');
+        assert.equal(document.getElementById('pixel').getAttribute('src'), null);
+    });
+
+    it('unmount stops watching the image', () => {
+        setupDom(IMAGES);
+        const loader = new LazyLoader();
+        const photo = document.getElementById('photo');
+
+        loader.unmount(photo);
+
+        assert.equal(FakeIntersectionObserver.observing(photo).length, 0);
+    });
+
+    it('starts loading 200px before the viewport by default', () => {
+        setupDom(IMAGES);
+
+        assert.equal(new LazyLoader().observer.options.rootMargin, '200px 0px');
+    });
+
+    describe('responsive images', () => {
+        it('applies data-srcset and data-sizes', () => {
+            setupDom(RESPONSIVE);
+            new LazyLoader();
+
+            const img = reveal('responsive');
+
+            assert.equal(img.getAttribute('srcset'), '/a-400.jpg 400w, /a-800.jpg 800w');
+            assert.equal(img.getAttribute('sizes'), '50vw');
+            assert.equal(img.getAttribute('src'), '/a-800.jpg');
+            assert.equal(img.hasAttribute('data-srcset'), false);
+        });
+
+        it('fills the sources of a <picture>', () => {
+            setupDom(RESPONSIVE);
+            new LazyLoader();
+
+            reveal('pictured');
+
+            assert.equal(document.getElementById('avif').getAttribute('srcset'), '/b.avif');
+            assert.equal(document.getElementById('pictured').getAttribute('src'), '/b.jpg');
+        });
+
+        it('keeps a blur-up placeholder until the full image loads', () => {
+            setupDom(RESPONSIVE);
+            new LazyLoader();
+            const loaded = [];
+            document.addEventListener('lazy:loaded', (e) => loaded.push(e.target.id));
+
+            const img = reveal('blurred');
+            assert.ok(img.classList.contains('lazy-loading'));
+
+            img.dispatchEvent(new Event('load'));
+
+            assert.ok(img.classList.contains('lazy-loaded'));
+            assert.ok(!img.classList.contains('lazy-loading'));
+            assert.deepEqual(loaded, ['blurred']);
+        });
+
+        it('ignores a late load of the placeholder and stops listening once settled', () => {
+            setupDom(RESPONSIVE);
+            new LazyLoader();
+            const loaded = [];
+            document.addEventListener('lazy:loaded', (e) => loaded.push(e.target.id));
+            const img = document.getElementById('blurred');
+            // jsdom doesn't track currentSrc - the placeholder is what's showing
+            let currentSrc = img.src;
+            Object.defineProperty(img, 'currentSrc', { get: () => currentSrc });
+
+            img.dispatchEvent(new Event('load'));
+            assert.deepEqual(loaded, [], 'nothing listens before the swap');
+
+            reveal('blurred');
+            img.dispatchEvent(new Event('load'));
+            assert.ok(img.classList.contains('lazy-loading'), 'the placeholder finishing keeps the blur');
+
+            currentSrc = img.src;
+            img.dispatchEvent(new Event('load'));
+            img.dispatchEvent(new Event('load'));
+            img.dispatchEvent(new Event('error'));
+
+            assert.ok(img.classList.contains('lazy-loaded'));
+            assert.ok(!img.classList.contains('lazy-error'));
+            assert.deepEqual(loaded, ['blurred']);
+        });
+    });
+
+    describe('background images', () => {
+        it('sets the background once the image has loaded', (t) => {
+            setupDom(RESPONSIVE);
+            new LazyLoader();
+            const probes = [];
+            const createElement = document.createElement.bind(document);
+            t.mock.method(document, 'createElement', (name) => {
+                const element = createElement(name);
+                probes.push(element);
+                return element;
+            });
+
+            const hero = reveal('hero');
+            assert.equal(hero.style.backgroundImage, '');
+            assert.equal(probes[0].getAttribute('src'), '/hero.jpg');
+
+            probes[0].dispatchEvent(new Event('load'));
+
+            assert.equal(hero.style.backgroundImage, 'url("/hero.jpg")');
+            assert.ok(hero.classList.contains('lazy-loaded'));
+        });
+    });
+
+    describe('errors', () => {
+        it('retries with a growing delay, then gives up and reports it', (t) => {
+            t.mock.method(console, 'warn', () => {});
+            setupDom(RESPONSIVE);
+            const clock = useFakeTimers();
+            new LazyLoader({ retries: 2, retryDelay: 1000 });
+            const failed = [];
+            document.addEventListener('lazy:error', (e) => failed.push(e.target.id));
+
+            const img = reveal('responsive');
+            img.dispatchEvent(new Event('error'));
+            // Cleared here so the retry setting it again can be seen
+            img.removeAttribute('src');
+
+            clock.tick(999);
+            assert.equal(img.getAttribute('src'), null);
+            clock.tick(1);
+            assert.equal(img.getAttribute('src'), '/a-800.jpg');
+
+            img.dispatchEvent(new Event('error'));
+            clock.tick(2000);
+            img.dispatchEvent(new Event('error'));
+
+            assert.ok(img.classList.contains('lazy-error'));
+            assert.deepEqual(failed, ['responsive']);
+            assert.match(getDiagnostics('warn')[0].message, /could not load \/a-800.jpg after 3 attempts/);
+        });
+
+        it('recovers when a retry loads', () => {
+            setupDom(RESPONSIVE);
+            const clock = useFakeTimers();
+            new LazyLoader();
+
+            const img = reveal('responsive');
+            img.dispatchEvent(new Event('error'));
+            // Nothing is listening while the retry waits
+            img.dispatchEvent(new Event('load'));
+            assert.ok(!img.classList.contains('lazy-loaded'));
+
+            clock.tick(1000);
+            img.dispatchEvent(new Event('load'));
+
+            assert.ok(img.classList.contains('lazy-loaded'));
+            assert.ok(!img.classList.contains('lazy-error'));
+        });
+    });
+});
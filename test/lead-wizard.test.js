@@ -0,0 +1,191 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom, flush } from './helpers/dom.js';
+import { LeadWizard } from '../js/lead-wizard.js';
+import { Dialog } from '../js/dialog.js';
+
+const radio = (name, values) => values
+    .map((value, index) => `<label><input type="radio" name="${name}" value="${value}"${index ? '' : ' required'}>${value}</label>`)
+    .join('');
+
+const PAGE = `
+    <button id="opener" data-plan="elite" data-billing="annual" data-currency="EUR">Choose Elite</button>
+    <div class="modal" id="leadWizard" hidden>
+        <div class="modal-dialog" role="dialog" aria-modal="true">
+            <button type="button" data-wizard-close>Close</button>
+            <div class="wizard-progress" role="progressbar"><div class="wizard-progress-bar"></div></div>
+            <p class="wizard-progress-label"></p>
+            <p class="wizard-plan" hidden></p>
+            <form>
+                <input type="hidden" name="plan">
+                <input type="hidden" name="billing">
+                <fieldset class="wizard-step" data-step="crm">${radio('currentCrm', ['none', 'hubspot'])}</fieldset>
+                <fieldset class="wizard-step" data-step="migration" data-when="currentCrm!=none">${radio('contactCount', ['under-1k', '10k+'])}</fieldset>
+                <fieldset class="wizard-step" data-step="budget">
+                    ${radio('budgetTier', ['starter', 'elite'])}
+                    <input type="checkbox" name="goals" value="leads"><input type="checkbox" name="goals" value="reviews">
+                    <input type="text" name="name" autocomplete="name"><input type="email" name="email">
+                </fieldset>
+                <button type="button" data-wizard-prev>Back</button>
+                <button type="button" data-wizard-next>Next</button>
+                <button type="submit">Submit</button>
+            </form>
+            <div class="wizard-success" tabindex="-1" hidden></div>
+        </div>
+    </div>
+`;
+
+const check = (name, value) => {
+    document.querySelector(`input[name="${name}"][value="${value}"]`).checked = true;
+    document.querySelector('#leadWizard form').dispatchEvent(new Event('change', { bubbles: true }));
+};
+
+describe('LeadWizard', () => {
+    let steps;
+
+    beforeEach(() => {
+        setupDom(PAGE);
+        steps = [];
+        document.addEventListener('wizard:step', (e) => steps.push(e.detail));
+    });
+    afterEach(() => {
+        Dialog.closeAll();
+        teardownDom();
+    });
+
+    it('switches itself off without steps', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        document.querySelectorAll('.wizard-step').forEach(step => step.remove());
+
+        const wizard = new LeadWizard();
+
+        assert.equal(wizard.modal, null);
+    });
+
+    it('opens as a modal and returns focus on close', () => {
+        const wizard = new LeadWizard();
+        const opener = document.getElementById('opener');
+
+        wizard.open(opener);
+        assert.equal(wizard.isOpen(), true);
+        assert.ok(document.body.classList.contains('modal-open'));
+        assert.equal(document.activeElement.name, 'currentCrm');
+
+        wizard.modal.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        assert.equal(wizard.isOpen(), false);
+        assert.equal(document.activeElement, opener);
+    });
+
+    it('carries the chosen plan into the form', () => {
+        const wizard = new LeadWizard();
+
+        wizard.open(document.getElementById('opener'));
+
+        assert.equal(wizard.form.elements.plan.value, 'elite');
+        assert.equal(wizard.form.elements.billing.value, 'annual');
+        assert.equal(wizard.form.elements.budgetTier.value, 'elite');
+        assert.equal(document.querySelector('.wizard-plan').textContent, 'Selected plan: elite (billed annually)');
+    });
+
+    it('words the chosen plan in the page language', () => {
+        window.i18n = { t: (key, params, fallback) => (key === 'wizard.selectedPlanAnnual' ? `Plan elegido: ${params.plan} (facturación anual)` : fallback) };
+        const wizard = new LeadWizard();
+
+        wizard.open(document.getElementById('opener'));
+
+        assert.equal(document.querySelector('.wizard-plan').textContent, 'Plan elegido: elite (facturación anual)');
+    });
+
+    it('does not advance past an unanswered step', async () => {
+        const wizard = new LeadWizard();
+
+        await wizard.next();
+
+        assert.equal(wizard.currentStep.dataset.step, 'crm');
+    });
+
+    it('skips steps whose data-when fails', async () => {
+        const wizard = new LeadWizard();
+        check('currentCrm', 'none');
+
+        await wizard.next();
+
+        assert.equal(wizard.currentStep.dataset.step, 'budget');
+        assert.equal(document.querySelector('[data-step="migration"]').disabled, true);
+        assert.deepEqual(steps.at(-1), { step: 'budget', index: 1, total: 2 });
+        assert.equal(document.querySelector('.wizard-progress-label').textContent, 'Step 2 of 2');
+    });
+
+    it('follows the branch when it applies, and goes back', async () => {
+        const wizard = new LeadWizard();
+        check('currentCrm', 'hubspot');
+
+        await wizard.next();
+        assert.equal(wizard.currentStep.dataset.step, 'migration');
+
+        wizard.prev();
+        assert.equal(wizard.currentStep.dataset.step, 'crm');
+    });
+
+    it('advances on Enter instead of submitting early', async () => {
+        const wizard = new LeadWizard();
+        let submitted = false;
+        wizard.form.addEventListener('submit', () => { submitted = true; });
+        check('currentCrm', 'none');
+
+        wizard.form.dispatchEvent(new Event('submit', { cancelable: true }));
+        await flush();
+
+        assert.equal(submitted, false);
+        assert.equal(wizard.currentStep.dataset.step, 'budget');
+    });
+
+    it('restores saved answers and step', () => {
+        localStorage.setItem('leadWizardProgress', JSON.stringify({ step: 'budget', data: { currentCrm: 'hubspot' } }));
+
+        const wizard = new LeadWizard();
+
+        assert.equal(wizard.currentStep.dataset.step, 'budget');
+        assert.equal(wizard.form.elements.currentCrm.value, 'hubspot');
+    });
+
+    it('restores checkbox groups by checking the saved values', () => {
+        localStorage.setItem('leadWizardProgress', JSON.stringify({ step: 'budget', data: { goals: ['reviews'] } }));
+
+        const wizard = new LeadWizard();
+
+        const goals = Array.from(wizard.form.querySelectorAll('[name="goals"]'));
+        assert.deepEqual(goals.map(goal => [goal.value, goal.checked]), [['leads', false], ['reviews', true]]);
+    });
+
+    it('saves answers but not contact details', () => {
+        const wizard = new LeadWizard();
+        wizard.form.elements.name.value = 'Ana';
+        wizard.form.elements.email.value = 'ana@example.com';
+        check('goals', 'leads');
+
+        const saved = JSON.parse(localStorage.getItem('leadWizardProgress')).data;
+        assert.deepEqual(saved.goals, ['leads']);
+        assert.equal('name' in saved, false);
+        assert.equal('email' in saved, false);
+    });
+
+    it('shows the success panel, clears progress and resets on reopen', () => {
+        const wizard = new LeadWizard();
+        let completed = null;
+        document.addEventListener('wizard:complete', (e) => { completed = e.detail; });
+        wizard.open();
+        check('currentCrm', 'none');
+
+        wizard.form.dispatchEvent(new CustomEvent('form:success'));
+        assert.equal(wizard.form.hidden, true);
+        assert.equal(document.activeElement, document.querySelector('.wizard-success'));
+        assert.equal(localStorage.getItem('leadWizardProgress'), null);
+        assert.equal(completed.data.currentCrm, 'none');
+
+        wizard.close();
+        wizard.open();
+        assert.equal(wizard.form.hidden, false);
+        assert.equal(wizard.form.elements.currentCrm.value, '');
+    });
+});
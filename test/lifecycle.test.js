@@ -0,0 +1,117 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom, flush } from './helpers/dom.js';
+import { ComponentLifecycle } from '../js/lifecycle.js';
+
+/**
+ * Component that records what it was asked to do
+ */
+function recorder(selector = '.widget') {
+    return {
+        selector,
+        mounted: [],
+        unmounted: [],
+        destroyed: false,
+        mount(element) { this.mounted.push(element.id); },
+        unmount(element) { this.unmounted.push(element.id); },
+        destroy() { this.destroyed = true; }
+    };
+}
+
+describe('ComponentLifecycle', () => {
+    let lifecycle;
+
+    beforeEach(() => {
+        setupDom('<div class="widget" id="existing"></div><div id="container"></div>');
+        lifecycle = new ComponentLifecycle();
+    });
+    afterEach(() => {
+        lifecycle.destroy();
+        teardownDom();
+    });
+
+    it('mounts matching elements already on the page', () => {
+        const component = lifecycle.register('widget', recorder());
+
+        assert.deepEqual(component.mounted, ['existing']);
+    });
+
+    it('mounts elements added later, including nested ones', async () => {
+        const component = lifecycle.register('widget', recorder());
+
+        document.getElementById('container').innerHTML = '<section><div class="widget" id="nested"></div></section>';
+        const added = document.createElement('div');
+        added.className = 'widget';
+        added.id = 'added';
+        document.body.appendChild(added);
+        await flush();
+
+        assert.deepEqual(component.mounted, ['existing', 'nested', 'added']);
+    });
+
+    it('unmounts elements that leave the page', async () => {
+        const component = lifecycle.register('widget', recorder());
+
+        document.getElementById('existing').remove();
+        await flush();
+
+        assert.deepEqual(component.unmounted, ['existing']);
+    });
+
+    it('does not remount an element that is only moved', async () => {
+        const component = lifecycle.register('widget', recorder());
+
+        document.getElementById('container').appendChild(document.getElementById('existing'));
+        await flush();
+
+        assert.deepEqual(component.mounted, ['existing']);
+        assert.deepEqual(component.unmounted, []);
+    });
+
+    it('ignores text-only changes', async () => {
+        const component = lifecycle.register('widget', recorder());
+        const unmount = component.unmount;
+        let checks = 0;
+        component.unmount = function (element) {
+            checks++;
+            unmount.call(this, element);
+        };
+
+        document.getElementById('existing').textContent = '42';
+        await flush();
+
+        assert.equal(checks, 0);
+    });
+
+    it('unregister unmounts everything and destroys the component', () => {
+        const component = lifecycle.register('widget', recorder());
+
+        lifecycle.unregister('widget');
+
+        assert.deepEqual(component.unmounted, ['existing']);
+        assert.equal(component.destroyed, true);
+        assert.equal(lifecycle.get('widget'), null);
+    });
+
+    it('keeps going when one component throws', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        lifecycle.register('broken', { selector: '.widget', mount() { throw new Error('boom'); } });
+        const component = lifecycle.register('widget', recorder());
+
+        document.getElementById('container').innerHTML = '<div class="widget" id="later"></div>';
+        await flush();
+
+        assert.deepEqual(component.mounted, ['existing', 'later']);
+        assert.equal(console.error.mock.callCount(), 2);
+    });
+
+    it('stops watching after destroy', async () => {
+        const component = lifecycle.register('widget', recorder());
+
+        lifecycle.destroy();
+        document.getElementById('container').innerHTML = '<div class="widget" id="late"></div>';
+        await flush();
+
+        assert.deepEqual(component.mounted, ['existing']);
+    });
+});
@@ -0,0 +1,177 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom, FakeIntersectionObserver } from './helpers/dom.js';
+import { NavigationScroll } from '../js/navigation.js';
+import { getDiagnostics, clearDiagnostics } from '../js/diagnostics.js';
+
+const PAGE = `
+    <nav class="nav">
+        <button class="nav-menu-toggle" aria-expanded="false" aria-label="Open menu"></button>
+        <div class="nav-menu">
+            <a class="nav-link" href="#services">Services</a>
+            <a class="nav-link" href="#pricing">Pricing</a>
+        </div>
+    </nav>
+    <section id="services"></section>
+    <section id="pricing"></section>
+    <button id="outside">Outside</button>
+`;
+
+function scrollTo(nav, y) {
+    window.scrollY = y;
+    nav.handleScroll();
+}
+
+describe('NavigationScroll', () => {
+    let element;
+
+    beforeEach(() => {
+        setupDom(PAGE);
+        element = document.querySelector('.nav');
+        Object.defineProperty(element, 'offsetHeight', { value: 72 });
+    });
+    afterEach(() => {
+        clearDiagnostics();
+        teardownDom();
+    });
+
+    describe('missing markup', () => {
+        it('reports a page without .nav instead of throwing', (t) => {
+            t.mock.method(console, 'warn', () => {});
+            setupDom('<section id="pricing"></section>');
+
+            const nav = new NavigationScroll();
+            window.dispatchEvent(new Event('scroll'));
+
+            assert.equal(nav.nav, null);
+            assert.equal(getDiagnostics('warn')[0].details.selector, '.nav');
+        });
+
+        it('reports a menu toggle without its menu', (t) => {
+            t.mock.method(console, 'warn', () => {});
+            document.querySelector('.nav-menu').remove();
+
+            assert.doesNotThrow(() => new NavigationScroll());
+            assert.equal(getDiagnostics('warn')[0].details.selector, '.nav-menu');
+        });
+    });
+
+    describe('scroll states', () => {
+        it('starts at the top', () => {
+            new NavigationScroll();
+
+            assert.equal(element.dataset.state, 'top');
+            assert.ok(!element.classList.contains('is-scrolled'));
+        });
+
+        it('hides when scrolling down and comes back when scrolling up', () => {
+            const nav = new NavigationScroll();
+
+            scrollTo(nav, 400);
+            assert.equal(nav.state, 'hidden');
+            assert.ok(element.classList.contains('is-hidden'));
+
+            scrollTo(nav, 300);
+            assert.equal(nav.state, 'scrolled');
+            assert.ok(element.classList.contains('is-scrolled'));
+            assert.ok(!element.classList.contains('is-hidden'));
+        });
+
+        it('ignores movements within the tolerance', () => {
+            const nav = new NavigationScroll();
+            scrollTo(nav, 400);
+
+            scrollTo(nav, 395);
+
+            assert.equal(nav.state, 'hidden');
+        });
+
+        it('stays visible while the menu is open', () => {
+            const nav = new NavigationScroll();
+            nav.openMenu();
+
+            scrollTo(nav, 400);
+
+            assert.equal(nav.state, 'scrolled');
+        });
+    });
+
+    describe('scroll-spy', () => {
+        it('marks the link for the section in view', (t) => {
+            const replaceState = t.mock.method(window.history, 'replaceState');
+            new NavigationScroll();
+            const [services, pricing] = document.querySelectorAll('.nav-link');
+
+            FakeIntersectionObserver.trigger(document.getElementById('pricing'), true);
+
+            assert.ok(pricing.classList.contains('is-active'));
+            assert.equal(pricing.getAttribute('aria-current'), 'location');
+            assert.ok(!services.classList.contains('is-active'));
+            assert.equal(replaceState.mock.calls[0].arguments[2], '/#pricing');
+        });
+
+        it('picks the topmost section while two share the band', () => {
+            new NavigationScroll();
+
+            FakeIntersectionObserver.trigger(document.getElementById('pricing'), true);
+            FakeIntersectionObserver.trigger(document.getElementById('services'), true);
+
+            assert.equal(document.querySelector('.nav-link.is-active').getAttribute('href'), '#services');
+        });
+
+        it('leaves the hash alone when updateHash is off', (t) => {
+            const replaceState = t.mock.method(window.history, 'replaceState');
+            new NavigationScroll({ updateHash: false });
+
+            FakeIntersectionObserver.trigger(document.getElementById('pricing'), true);
+
+            assert.equal(replaceState.mock.callCount(), 0);
+        });
+    });
+
+    describe('mobile menu', () => {
+        it('opens from the toggle and moves focus inside', () => {
+            new NavigationScroll();
+            const toggle = document.querySelector('.nav-menu-toggle');
+
+            toggle.click();
+
+            assert.ok(element.classList.contains('menu-open'));
+            assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+            assert.equal(document.activeElement, document.querySelector('.nav-link'));
+        });
+
+        it('closes on Escape and returns focus to the toggle', () => {
+            const nav = new NavigationScroll();
+            const toggle = document.querySelector('.nav-menu-toggle');
+            nav.openMenu();
+
+            document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+            assert.equal(nav.menuOpen, false);
+            assert.equal(document.activeElement, toggle);
+        });
+
+        it('closes when a link is followed or the page is clicked', () => {
+            const nav = new NavigationScroll();
+
+            nav.openMenu();
+            document.querySelector('.nav-link').click();
+            assert.equal(nav.menuOpen, false);
+
+            nav.openMenu();
+            document.getElementById('outside').click();
+            assert.equal(nav.menuOpen, false);
+        });
+
+        it('closes when the layout goes back to desktop', () => {
+            setupDom(PAGE, { media: { '(max-width: 768px)': true } });
+            const nav = new NavigationScroll();
+            nav.openMenu();
+
+            matchMedia.setMatches('(max-width: 768px)', false);
+
+            assert.equal(nav.menuOpen, false);
+        });
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { ParallaxEffect } from '../js/parallax.js';
+
+describe('ParallaxEffect', () => {
+    beforeEach(() => {
+        setupDom('<section class="hero"><div class="hero-background"></div></section>');
+        Object.defineProperty(document.querySelector('.hero'), 'offsetHeight', { value: 900 });
+    });
+    afterEach(teardownDom);
+
+    it('moves the background by the scroll distance times the strength', () => {
+        const parallax = new ParallaxEffect();
+        window.pageYOffset = 100;
+
+        parallax.updateParallax();
+
+        assert.equal(parallax.heroBackground.style.transform, 'translateY(30px)');
+        assert.ok(parallax.heroBackground.classList.contains('parallax-element'));
+    });
+
+    it('uses the strength option', () => {
+        const parallax = new ParallaxEffect({ strength: 0.5 });
+        window.pageYOffset = 100;
+
+        parallax.updateParallax();
+
+        assert.equal(parallax.heroBackground.style.transform, 'translateY(50px)');
+    });
+
+    it('stops updating once the hero is scrolled past', () => {
+        const parallax = new ParallaxEffect();
+        window.pageYOffset = 100;
+        parallax.updateParallax();
+
+        window.pageYOffset = 1200;
+        parallax.updateParallax();
+
+        assert.equal(parallax.heroBackground.style.transform, 'translateY(30px)');
+    });
+
+    it('does nothing without a hero background', () => {
+        setupDom('');
+
+        const parallax = new ParallaxEffect();
+
+        assert.equal(parallax.heroBackground, null);
+    });
+});
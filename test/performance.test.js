@@ -0,0 +1,95 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { PerformanceMonitor } from '../js/performance.js';
+
+describe('PerformanceMonitor', () => {
+    let metrics;
+    let monitor;
+
+    beforeEach(() => {
+        setupDom('<section class="hero"><h1 class="hero-title">Title</h1></section><button id="cta">Go</button>');
+        metrics = [];
+        monitor = new PerformanceMonitor({ reporters: [metric => metrics.push(metric)], requireConsent: null });
+        monitor.observedTypes.add('layout-shift');
+    });
+    afterEach(teardownDom);
+
+    const find = (name) => metrics.find(metric => metric.name === name);
+
+    it('rates metrics with the web.dev thresholds', () => {
+        assert.equal(monitor.getRating('LCP', 2500), 'good');
+        assert.equal(monitor.getRating('LCP', 3000), 'needs-improvement');
+        assert.equal(monitor.getRating('CLS', 0.3), 'poor');
+        assert.equal(monitor.getRating('long-task', 300), null);
+    });
+
+    it('reports CLS as the worst session window', () => {
+        monitor.handleLayoutShift([
+            { startTime: 0, value: 0.05 },
+            { startTime: 500, value: 0.05 },
+            { startTime: 800, value: 0.5, hadRecentInput: true },
+            { startTime: 3000, value: 0.08 }
+        ]);
+
+        monitor.reportFinalMetrics();
+
+        assert.equal(find('CLS').value, 0.1);
+        assert.equal(find('CLS').attribution.shiftTime, 0);
+    });
+
+    it('reports a CLS of 0 when nothing shifted, once', () => {
+        monitor.reportFinalMetrics();
+        monitor.reportFinalMetrics();
+
+        assert.equal(metrics.filter(metric => metric.name === 'CLS').length, 1);
+        assert.equal(find('CLS').value, 0);
+    });
+
+    it('reports the slowest interaction as INP with its target', () => {
+        const target = document.getElementById('cta');
+        monitor.handleEvents([
+            { interactionId: 1, duration: 80, name: 'click', target, startTime: 0, processingStart: 10, processingEnd: 70 },
+            { interactionId: 1, duration: 240, name: 'pointerup', target, startTime: 0, processingStart: 20, processingEnd: 200 },
+            { interactionId: 0, duration: 900, name: 'mousemove', target }
+        ]);
+
+        monitor.reportFinalMetrics();
+
+        assert.equal(find('INP').value, 240);
+        assert.equal(find('INP').rating, 'needs-improvement');
+        assert.deepEqual(find('INP').attribution, {
+            element: 'button#cta',
+            eventType: 'pointerup',
+            inputDelay: 20,
+            processingTime: 180
+        });
+    });
+
+    it('builds short selectors for attribution', () => {
+        assert.equal(monitor.getSelector(document.querySelector('.hero-title')), 'body > section.hero > h1.hero-title');
+        assert.equal(monitor.getSelector(null), null);
+    });
+
+    it('keeps reporting when one reporter throws', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        monitor.addReporter(() => { throw new Error('broken'); });
+        monitor.addReporter(metric => metrics.push({ ...metric, second: true }));
+
+        monitor.report('long-task', 120);
+
+        assert.equal(metrics.filter(metric => metric.name === 'long-task').length, 2);
+    });
+
+    it('waits for consent before measuring', () => {
+        let grant = null;
+        window.consentManager = { whenGranted: (category, callback) => { grant = callback; } };
+        const pending = new PerformanceMonitor({ reporters: [] });
+        let started = false;
+        pending.start = () => { started = true; };
+
+        assert.equal(started, false);
+        grant();
+        assert.equal(started, true);
+    });
+});
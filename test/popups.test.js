@@ -0,0 +1,294 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom, useFakeTimers, flush } from './helpers/dom.js';
+import { PopupEngine, POPUPS, POPUP_TRIGGERS } from '../js/popups.js';
+import { Dialog } from '../js/dialog.js';
+import { getDiagnostics, clearDiagnostics } from '../js/diagnostics.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 100 * DAY;
+
+const popupMarkup = (id) => `
+    <div class="modal popup" id="${id}" hidden>
+        <div class="modal-dialog">
+            <button class="modal-close" data-dialog-close>Close</button>
+            <h2>Before you go</h2>
+            <form data-ghl-endpoint="/hooks/popup">
+                <input type="email" name="email" required>
+                <button type="submit">Send</button>
+            </form>
+        </div>
+    </div>
+`;
+
+const PAGE = `
+    <button id="elsewhere">Elsewhere</button>
+    ${popupMarkup('exitPopup')}
+    ${popupMarkup('timedPopup')}
+    <div class="modal" id="wizard" hidden><div class="modal-dialog"><button>Next</button></div></div>
+`;
+
+const EXIT = { id: 'exit', selector: '#exitPopup', triggers: [{ type: 'exit-intent' }], cooldownDays: 7, maxShows: 2 };
+const TIMED = { id: 'timed', selector: '#timedPopup', triggers: [{ type: 'time', seconds: 30 }] };
+
+const isOpen = (id) => !document.getElementById(id).hidden;
+
+const leaveTop = (clientY = 0) => {
+    document.documentElement.dispatchEvent(new MouseEvent('mouseout', { clientY, relatedTarget: null, bubbles: true }));
+};
+
+const scrollTo = (y) => {
+    window.scrollY = y;
+    window.dispatchEvent(new Event('scroll'));
+};
+
+describe('PopupEngine', () => {
+    let clock;
+    let tracked;
+
+    beforeEach(() => {
+        setupDom(PAGE);
+        clock = useFakeTimers(NOW);
+        tracked = [];
+        document.addEventListener('analytics:track', (e) => tracked.push(e.detail));
+    });
+    afterEach(() => {
+        Dialog.closeAll();
+        clearDiagnostics();
+        teardownDom();
+    });
+
+    describe('triggers', () => {
+        it('opens on exit intent through the top of the viewport', () => {
+            new PopupEngine([EXIT]);
+
+            leaveTop(300);
+            assert.equal(isOpen('exitPopup'), false);
+
+            leaveTop(0);
+            assert.equal(isOpen('exitPopup'), true);
+            assert.deepEqual(tracked, [{ name: 'popup_show', properties: { popup: 'exit', trigger: 'exit-intent' } }]);
+        });
+
+        it('opens on a fast scroll up on mobile', () => {
+            window.innerWidth = 375;
+            new PopupEngine([EXIT]);
+
+            scrollTo(800);
+            clock.tick(500);
+            scrollTo(700);
+            assert.equal(isOpen('exitPopup'), false, 'a slow scroll up is reading, not leaving');
+
+            clock.tick(100);
+            scrollTo(400);
+            assert.equal(isOpen('exitPopup'), true);
+        });
+
+        it('ignores scrolling up on desktop', () => {
+            new PopupEngine([EXIT]);
+
+            scrollTo(800);
+            clock.tick(100);
+            scrollTo(0);
+
+            assert.equal(isOpen('exitPopup'), false);
+        });
+
+        it('opens after the time on the page', () => {
+            new PopupEngine([TIMED]);
+
+            clock.tick(29000);
+            assert.equal(isOpen('timedPopup'), false);
+
+            clock.tick(1000);
+            assert.equal(isOpen('timedPopup'), true);
+        });
+
+        it('opens at a scroll depth', () => {
+            Object.defineProperty(document.documentElement, 'scrollHeight', { value: 2768, configurable: true });
+            window.innerHeight = 768;
+            new PopupEngine([{ ...TIMED, triggers: [{ type: 'scroll-depth', percent: 50 }] }]);
+
+            scrollTo(900);
+            assert.equal(isOpen('timedPopup'), false);
+
+            clock.tick(100);
+            scrollTo(1000);
+            assert.equal(isOpen('timedPopup'), true);
+        });
+
+        it('opens after a stretch of inactivity', () => {
+            new PopupEngine([{ ...TIMED, triggers: [{ type: 'inactivity', seconds: 20 }] }]);
+
+            clock.tick(15000);
+            window.dispatchEvent(new Event('keydown'));
+            clock.tick(15000);
+            assert.equal(isOpen('timedPopup'), false);
+
+            clock.tick(5000);
+            assert.equal(isOpen('timedPopup'), true);
+        });
+
+        it('uses registered triggers and reports unknown ones', (t) => {
+            t.mock.method(console, 'warn', () => {});
+            let fire;
+            PopupEngine.registerTrigger('custom', (callback) => {
+                fire = callback;
+                return () => {};
+            });
+
+            new PopupEngine([{ ...EXIT, triggers: [{ type: 'custom' }, { type: 'nope' }] }]);
+            fire();
+
+            assert.equal(isOpen('exitPopup'), true);
+            assert.match(getDiagnostics('warn')[0].message, /unknown trigger "nope" on popup "exit"/);
+            delete POPUP_TRIGGERS.custom;
+        });
+    });
+
+    describe('capping', () => {
+        it('shows one popup per page view', () => {
+            new PopupEngine([EXIT, TIMED]);
+
+            leaveTop();
+            Dialog.closeAll();
+            clock.tick(30000);
+
+            assert.equal(isOpen('timedPopup'), false);
+        });
+
+        it('stores shows and waits out the cooldown', () => {
+            new PopupEngine([EXIT]);
+            leaveTop();
+            Dialog.closeAll();
+
+            assert.deepEqual(JSON.parse(localStorage.getItem('popups')).shown, { exit: { count: 1, last: NOW } });
+
+            clock.tick(6 * DAY);
+            new PopupEngine([EXIT]);
+            leaveTop();
+            assert.equal(isOpen('exitPopup'), false);
+
+            clock.tick(DAY);
+            new PopupEngine([EXIT]);
+            leaveTop();
+            assert.equal(isOpen('exitPopup'), true);
+        });
+
+        it('stops after maxShows', () => {
+            localStorage.setItem('popups', JSON.stringify({ shown: { exit: { count: 2, last: 0 } } }));
+
+            new PopupEngine([EXIT]);
+            leaveTop();
+
+            assert.equal(isOpen('exitPopup'), false);
+        });
+
+        it('ignores triggers while another dialog is open', () => {
+            new PopupEngine([EXIT]);
+            Dialog.for(document.getElementById('wizard')).open();
+
+            leaveTop();
+            assert.equal(isOpen('exitPopup'), false);
+
+            Dialog.closeAll();
+            leaveTop();
+            assert.equal(isOpen('exitPopup'), true);
+        });
+
+        it('keeps the caps in memory only without consent', () => {
+            window.consentManager = { has: () => false };
+            const engine = new PopupEngine([EXIT]);
+
+            leaveTop();
+
+            assert.equal(localStorage.getItem('popups'), null);
+            assert.equal(engine.state.shown.exit.count, 1);
+        });
+
+        it('shows with show() whatever the caps', () => {
+            localStorage.setItem('popups', JSON.stringify({ converted: NOW }));
+            const engine = new PopupEngine([EXIT]);
+
+            assert.equal(engine.show('exit'), true);
+            assert.equal(isOpen('exitPopup'), true);
+            assert.equal(engine.show('missing'), false);
+        });
+    });
+
+    describe('conversions', () => {
+        it('stops every popup once the visitor converted', () => {
+            new PopupEngine([EXIT, TIMED]);
+
+            document.dispatchEvent(new CustomEvent('wizard:complete'));
+            leaveTop();
+            clock.tick(30000);
+
+            assert.equal(isOpen('exitPopup'), false);
+            assert.equal(isOpen('timedPopup'), false);
+            assert.equal(JSON.parse(localStorage.getItem('popups')).converted, NOW);
+        });
+
+        it('remembers the conversion on the next visit', () => {
+            localStorage.setItem('popups', JSON.stringify({ converted: NOW - DAY }));
+
+            new PopupEngine([EXIT]);
+            leaveTop();
+
+            assert.equal(isOpen('exitPopup'), false);
+        });
+
+        it('submits the popup form through FormValidator and counts it as a conversion', async (t) => {
+            const requests = [];
+            t.mock.method(globalThis, 'fetch', async (url, init) => {
+                requests.push({ url, body: JSON.parse(init.body) });
+                return { ok: true, status: 200, json: async () => ({}) };
+            });
+            const engine = new PopupEngine([{ ...EXIT, form: { successMessage: 'On its way' } }]);
+            leaveTop();
+            const form = document.querySelector('#exitPopup form');
+
+            form.requestSubmit();
+            await flush();
+            assert.equal(requests.length, 0);
+            assert.ok(form.querySelector('.form-error'));
+
+            form.elements.email.value = 'ana@example.com';
+            form.requestSubmit();
+            await flush();
+            await flush();
+
+            assert.deepEqual(requests, [{ url: '/hooks/popup', body: { email: 'ana@example.com' } }]);
+            assert.equal(form.querySelector('.form-status').textContent, 'On its way');
+            assert.ok(engine.state.converted);
+            assert.equal(isOpen('exitPopup'), true, 'stays open to show the success message');
+
+            document.querySelector('#exitPopup .modal-close').click();
+            assert.deepEqual(tracked.at(-1), {
+                name: 'popup_close',
+                properties: { popup: 'exit', reason: 'close-button', converted: true }
+            });
+        });
+    });
+
+    it('shows the default success message in the language at submit time', async (t) => {
+        t.mock.method(globalThis, 'fetch', async () => ({ ok: true, status: 200, json: async () => ({}) }));
+        new PopupEngine([{ ...EXIT, form: POPUPS[0].form }]);
+        window.i18n = { t: (key, params, fallback) => (key === 'popup.success' ? 'Revisa tu correo' : fallback) };
+        leaveTop();
+        const form = document.querySelector('#exitPopup form');
+
+        form.elements.email.value = 'ana@example.com';
+        form.requestSubmit();
+        await flush();
+        await flush();
+
+        assert.equal(form.querySelector('.form-status').textContent, 'Revisa tu correo');
+    });
+
+    it('reports popups without markup', () => {
+        new PopupEngine([{ ...EXIT, selector: '#nope' }]);
+
+        assert.match(getDiagnostics('info')[0].message, /#nope not found - the "exit" popup is off/);
+    });
+});
@@ -0,0 +1,196 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { PricingTable } from '../js/pricing.js';
+import { formatMessage } from '../js/i18n.js';
+
+const PLANS = {
+    defaultCurrency: 'USD',
+    annualDiscount: 0.2,
+    currencies: {
+        USD: { locale: 'en-US' },
+        EUR: { locale: 'de-DE', rate: 0.9 }
+    },
+    plans: [
+        { id: 'starter', name: 'Starter', monthly: 1000, features: ['<b>Setup</b>'] },
+        { id: 'elite', name: 'Elite', monthly: 3000, prices: { EUR: 2500 }, featured: true, badge: 'Popular', cta: { label: 'Book', action: 'open-calendar' } }
+    ],
+    comparison: [{ feature: 'Workflows', values: { starter: '3', elite: true } }]
+};
+
+const page = (plans = PLANS) => `
+    <section class="pricing">
+        <script type="application/json" id="pricingPlans">${JSON.stringify(plans)}</script>
+        <div class="pricing-grid"><div class="static-card"></div></div>
+    </section>
+`;
+
+const price = (plan) => {
+    const card = document.querySelector(`.pricing-card[data-plan="${plan}"]`);
+    return card.querySelector('.pricing-price').textContent.replace(/\s+/g, ' ').trim();
+};
+
+describe('PricingTable', () => {
+    afterEach(teardownDom);
+
+    describe('rendering', () => {
+        beforeEach(() => setupDom(page()));
+
+        it('replaces the static cards with one card per plan', () => {
+            new PricingTable();
+
+            const cards = document.querySelectorAll('.pricing-card');
+            assert.equal(cards.length, 2);
+            assert.equal(document.querySelector('.static-card'), null);
+            assert.ok(cards[1].classList.contains('pricing-card-featured'));
+            assert.equal(cards[1].querySelector('.pricing-badge').textContent, 'Popular');
+        });
+
+        it('leaves the reveal stagger to ScrollAnimations', () => {
+            new PricingTable();
+
+            document.querySelectorAll('.pricing-card').forEach(card => {
+                assert.ok(card.classList.contains('reveal'));
+                assert.equal(card.style.getPropertyValue('--delay'), '');
+            });
+        });
+
+        it('renders plan text as text, not markup', () => {
+            new PricingTable();
+
+            assert.equal(document.querySelector('.pricing-features span').textContent, '<b>Setup</b>');
+            assert.equal(document.querySelector('.pricing-features b'), null);
+        });
+
+        it('routes CTAs with the plan, billing and currency', () => {
+            new PricingTable();
+
+            const cta = document.querySelector('[data-plan="elite"] .pricing-cta');
+            assert.equal(cta.textContent, 'Book');
+            assert.equal(cta.dataset.action, 'open-calendar');
+            assert.equal(cta.getAttribute('aria-controls'), 'bookingWidget');
+            assert.deepEqual({ ...cta.dataset }, { action: 'open-calendar', plan: 'elite', billing: 'monthly', currency: 'USD' });
+        });
+    });
+
+    describe('prices', () => {
+        beforeEach(() => setupDom(page()));
+
+        it('applies the annual discount', () => {
+            const pricing = new PricingTable();
+            assert.equal(price('starter'), '$ 1,000 /month');
+
+            pricing.controls.querySelector('[data-billing="annual"]').click();
+
+            assert.equal(price('starter'), '$ 800 /month');
+            assert.match(document.querySelector('[data-plan="starter"] .price-note').textContent, /\$9,600 billed annually/);
+            assert.equal(pricing.controls.querySelector('[data-billing="annual"]').getAttribute('aria-pressed'), 'true');
+        });
+
+        it('converts with the rate unless the plan has a fixed price', () => {
+            const pricing = new PricingTable();
+            const select = pricing.controls.querySelector('select');
+
+            select.value = 'EUR';
+            select.dispatchEvent(new Event('change'));
+
+            assert.equal(price('starter'), '900 €/month');
+            assert.equal(price('elite'), '2.500 €/month');
+        });
+
+        it('tracks billing and currency changes', () => {
+            const pricing = new PricingTable();
+            const tracked = [];
+            document.addEventListener('analytics:track', (e) => tracked.push(e.detail.name));
+
+            pricing.setBilling('annual');
+            pricing.setCurrency('EUR');
+
+            assert.deepEqual(tracked, ['pricing_billing_change', 'pricing_currency_change']);
+        });
+    });
+
+    it('renders a collapsed comparison table', () => {
+        setupDom(page());
+        new PricingTable();
+        const toggle = document.querySelector('.pricing-comparison-toggle');
+        const panel = document.getElementById('pricingComparisonTable');
+
+        assert.equal(panel.hidden, true);
+        toggle.click();
+        assert.equal(panel.hidden, false);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+
+        const cells = Array.from(panel.querySelectorAll('tbody td')).map(td => td.textContent);
+        assert.deepEqual(cells, ['3', '✓Included']);
+    });
+
+    it('translates its own copy and follows locale changes', () => {
+        setupDom(page());
+        const pricing = new PricingTable();
+        const toggle = document.querySelector('.pricing-comparison-toggle');
+        assert.equal(pricing.controls.querySelector('.billing-save').textContent, 'Save 20%');
+        assert.equal(document.querySelector('[data-plan="starter"] .pricing-cta').textContent, 'Get Started');
+
+        const messages = {
+            'pricing.monthly': 'Mensual',
+            'pricing.save': 'Ahorra {discount}%',
+            'pricing.perMonth': '/mes',
+            'pricing.billedAnnually': '{total} al año',
+            'pricing.cta': 'Empezar',
+            'pricing.hideComparison': 'Ocultar la comparación',
+            'pricing.included': 'Incluido'
+        };
+        window.i18n = { t: (key, params, fallback) => formatMessage(messages[key] ?? fallback, params) };
+        document.dispatchEvent(new CustomEvent('i18n:change'));
+        pricing.controls.querySelector('[data-billing="annual"]').click();
+        toggle.click();
+
+        assert.equal(pricing.controls.querySelector('[data-billing="monthly"]').textContent, 'Mensual');
+        assert.equal(pricing.controls.querySelector('.billing-save').textContent, 'Ahorra 20%');
+        assert.equal(price('starter'), '$ 800 /mes');
+        assert.equal(document.querySelector('[data-plan="starter"] .price-note').textContent, '$9,600 al año');
+        assert.equal(document.querySelector('[data-plan="starter"] .pricing-cta').textContent, 'Empezar');
+        assert.equal(document.querySelector('[data-plan="elite"] .pricing-cta').textContent, 'Book', 'the plan file label stays');
+        assert.equal(toggle.textContent, 'Ocultar la comparación');
+        assert.equal(document.querySelector('.comparison-yes + .sr-only').textContent, 'Incluido');
+    });
+
+    describe('fallbacks', () => {
+        it('keeps the static cards when the plan JSON is invalid', (t) => {
+            setupDom(page().replace(/\{.*\}/s, '{ nope'));
+            t.mock.method(console, 'warn', () => {});
+
+            new PricingTable();
+
+            assert.ok(document.querySelector('.static-card'));
+        });
+
+        it('fetches data-plans-src and keeps the static cards when that fails', async (t) => {
+            setupDom('<section class="pricing" data-plans-src="/plans.json"><div class="pricing-grid"><div class="static-card"></div></div></section>');
+            t.mock.method(globalThis, 'fetch', async () => ({ ok: false, status: 500 }));
+            t.mock.method(console, 'warn', () => {});
+
+            const pricing = new PricingTable();
+            await pricing.ready;
+
+            assert.ok(document.querySelector('.static-card'));
+        });
+
+        it('keeps the static cards when the grid is missing', (t) => {
+            setupDom('<section class="pricing"><script type="application/json" id="pricingPlans">{"plans": []}</script></section>');
+            t.mock.method(console, 'warn', () => {});
+
+            const pricing = new PricingTable();
+
+            assert.equal(pricing.config, undefined);
+            assert.match(console.warn.mock.calls[0].arguments[0], /\.pricing \.pricing-grid not found/);
+        });
+
+        it('does nothing without a pricing section', () => {
+            setupDom('');
+
+            assert.doesNotThrow(() => new PricingTable());
+        });
+    });
+});
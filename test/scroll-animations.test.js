@@ -0,0 +1,297 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom, useFakeTimers, FakeIntersectionObserver } from './helpers/dom.js';
+import { ScrollAnimations } from '../js/scroll-animations.js';
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+const OFFSCREEN = { top: 2000, bottom: 2100 };
+
+describe('ScrollAnimations', () => {
+    afterEach(teardownDom);
+
+    describe('reveal', () => {
+        beforeEach(() => setupDom(`
+            <div class="reveal" id="replay">Replay</div>
+            <div class="reveal" id="once" data-reveal-once>Once</div>
+        `));
+
+        it('adds .is-visible on entry and removes it once scrolled out', () => {
+            new ScrollAnimations();
+            const element = document.getElementById('replay');
+
+            FakeIntersectionObserver.trigger(element, true);
+            assert.ok(element.classList.contains('is-visible'));
+
+            FakeIntersectionObserver.trigger(element, false, OFFSCREEN);
+            assert.ok(!element.classList.contains('is-visible'));
+            // Legacy class stays for .fade-in-up
+            assert.ok(element.classList.contains('visible'));
+        });
+
+        it('keeps .is-visible while the element is still partly on screen', () => {
+            window.innerHeight = 800;
+            new ScrollAnimations();
+            const element = document.getElementById('replay');
+
+            FakeIntersectionObserver.trigger(element, true);
+            FakeIntersectionObserver.trigger(element, false, { top: 700, bottom: 900 });
+
+            assert.ok(element.classList.contains('is-visible'));
+        });
+
+        it('stops observing data-reveal-once elements after they play', () => {
+            new ScrollAnimations();
+            const element = document.getElementById('once');
+
+            FakeIntersectionObserver.trigger(element, true);
+
+            assert.equal(FakeIntersectionObserver.observing(element).length, 0);
+            assert.ok(element.classList.contains('is-visible'));
+        });
+
+        it('uses a separate observer for data-reveal-threshold', () => {
+            document.getElementById('once').dataset.revealThreshold = '0.5';
+            new ScrollAnimations();
+
+            const [observer] = FakeIntersectionObserver.observing(document.getElementById('once'));
+
+            assert.equal(observer.options.threshold, 0.5);
+        });
+
+        it('copies duration and easing into CSS variables', () => {
+            const element = document.getElementById('replay');
+            element.dataset.revealDuration = '0.9';
+            element.dataset.revealEasing = 'ease-in';
+
+            new ScrollAnimations();
+
+            assert.equal(element.style.getPropertyValue('--reveal-duration'), '0.9s');
+            assert.equal(element.style.getPropertyValue('--reveal-easing'), 'ease-in');
+        });
+
+        it('shows everything immediately without IntersectionObserver', () => {
+            setupDom('<div class="reveal" id="plain">Plain</div>', { observers: false });
+
+            new ScrollAnimations();
+
+            assert.ok(document.getElementById('plain').classList.contains('is-visible'));
+        });
+    });
+
+    describe('applyStaggerDelay', () => {
+        it('staggers siblings by 0.1s up to 0.5s', () => {
+            setupDom(`<div>${'<div class="reveal"></div>'.repeat(7)}</div>`);
+
+            new ScrollAnimations();
+
+            const delays = Array.from(document.querySelectorAll('.reveal')).map(el => el.style.getPropertyValue('--delay'));
+            assert.deepEqual(delays, ['0s', '0.1s', '0.2s', '0.3s', '0.4s', '0.5s', '0.5s']);
+        });
+
+        it('reads the step and cap from the parent', () => {
+            setupDom(`<div data-reveal-stagger="0.25" data-reveal-stagger-max="0.5">${'<div class="reveal"></div>'.repeat(4)}</div>`);
+
+            new ScrollAnimations();
+
+            const delays = Array.from(document.querySelectorAll('.reveal')).map(el => el.style.getPropertyValue('--delay'));
+            assert.deepEqual(delays, ['0s', '0.25s', '0.5s', '0.5s']);
+        });
+
+        it('keeps inline delays and .reveal-delay-* classes', () => {
+            setupDom(`<div>
+                <div class="reveal" style="--delay: 0.7s"></div>
+                <div class="reveal reveal-delay-3"></div>
+            </div>`);
+
+            new ScrollAnimations();
+
+            const [inline, helper] = document.querySelectorAll('.reveal');
+            assert.equal(inline.style.getPropertyValue('--delay'), '0.7s');
+            assert.equal(helper.style.getPropertyValue('--delay'), '');
+        });
+
+        it('leaves a lone element alone', () => {
+            setupDom('<section><div class="reveal"></div></section>');
+
+            new ScrollAnimations();
+
+            assert.equal(document.querySelector('.reveal').style.getPropertyValue('--delay'), '');
+        });
+
+        it('handles an element with no parent', () => {
+            setupDom('');
+            const animations = new ScrollAnimations();
+            const detached = document.createElement('div');
+
+            assert.doesNotThrow(() => animations.applyStaggerDelay(detached));
+            assert.equal(detached.style.getPropertyValue('--delay'), '');
+        });
+    });
+
+    describe('counters', () => {
+        let timers;
+
+        beforeEach(() => {
+            setupDom(`
+                <div class="stat-value" id="clients">500+</div>
+                <div class="stat-value" id="support">24/7</div>
+                <div data-counter id="revenue" data-count-duration="1000">$1,200.5</div>
+            `);
+            timers = useFakeTimers();
+        });
+
+        it('counts up to the number in the text, keeping prefix and suffix', () => {
+            new ScrollAnimations();
+            const clients = document.getElementById('clients');
+            assert.equal(clients.textContent, '0+');
+
+            FakeIntersectionObserver.trigger(clients, true);
+            timers.tick(800);
+            const midway = parseInt(clients.textContent, 10);
+            assert.ok(midway > 0 && midway < 500, `expected a value between 0 and 500, got ${midway}`);
+
+            timers.tick(1000);
+            assert.equal(clients.textContent, '500+');
+        });
+
+        it('keeps grouping and decimals', () => {
+            new ScrollAnimations();
+            const revenue = document.getElementById('revenue');
+
+            FakeIntersectionObserver.trigger(revenue, true);
+            timers.tick(1100);
+
+            assert.equal(revenue.textContent, '$1,200.5');
+        });
+
+        it('keeps replaying the reveal of a counter that plays once', () => {
+            const clients = document.getElementById('clients');
+            clients.classList.add('reveal');
+            new ScrollAnimations();
+
+            assert.equal(FakeIntersectionObserver.observing(clients).length, 2);
+
+            FakeIntersectionObserver.trigger(clients, true);
+            timers.tick(2000);
+            FakeIntersectionObserver.trigger(clients, false, { top: 2000 });
+
+            assert.equal(clients.textContent, '500+', 'the count stays at its end value');
+            assert.ok(!clients.classList.contains('is-visible'));
+            assert.equal(FakeIntersectionObserver.observing(clients).length, 1);
+        });
+
+        it('leaves text that is not a single number alone', () => {
+            new ScrollAnimations();
+
+            assert.equal(document.getElementById('support').textContent, '24/7');
+            assert.equal(document.getElementById('support').dataset.countTarget, undefined);
+        });
+
+        it('jumps straight to the final value with reduced motion', () => {
+            matchMedia.setMatches(REDUCED_MOTION, true);
+            new ScrollAnimations();
+            const clients = document.getElementById('clients');
+
+            assert.equal(clients.textContent, '500+');
+            FakeIntersectionObserver.trigger(clients, true);
+            assert.equal(clients.textContent, '500+');
+        });
+    });
+
+    describe('progress bars', () => {
+        it('grows .bar-fill from 0 to its inline width on entry', () => {
+            setupDom('<div class="bar-fill" style="width: 92%"></div>');
+            new ScrollAnimations();
+            const bar = document.querySelector('.bar-fill');
+
+            assert.equal(bar.style.width, '0px');
+            FakeIntersectionObserver.trigger(bar, true);
+            assert.equal(bar.style.width, '92%');
+        });
+
+        it('keeps the full width with reduced motion', () => {
+            setupDom('<div class="bar-fill" style="width: 88%"></div>', { media: { [REDUCED_MOTION]: true } });
+
+            new ScrollAnimations();
+
+            assert.equal(document.querySelector('.bar-fill').style.width, '88%');
+        });
+    });
+
+    describe('scroll-linked progress', () => {
+        beforeEach(() => {
+            setupDom('<div data-scroll-progress id="track"></div>');
+            window.innerHeight = 800;
+        });
+
+        it('maps the element position to 0-1', () => {
+            const animations = new ScrollAnimations();
+            const track = document.getElementById('track');
+            const values = [];
+
+            track.getBoundingClientRect = () => ({ top: 800, height: 200 });
+            animations.onProgress(track, value => values.push(value));
+            track.getBoundingClientRect = () => ({ top: 300, height: 200 });
+            animations.updateProgress(track);
+            track.getBoundingClientRect = () => ({ top: -200, height: 200 });
+            animations.updateProgress(track);
+
+            assert.deepEqual(values, [0, 0.5, 1]);
+            assert.equal(track.style.getPropertyValue('--progress'), '1.0000');
+        });
+
+        it('reports 1 with reduced motion', () => {
+            matchMedia.setMatches(REDUCED_MOTION, true);
+            const animations = new ScrollAnimations();
+            const track = document.getElementById('track');
+            let value = null;
+
+            track.getBoundingClientRect = () => ({ top: 800, height: 200 });
+            animations.onProgress(track, progress => { value = progress; });
+
+            assert.equal(value, 1);
+        });
+    });
+
+    describe('lifecycle', () => {
+        beforeEach(() => setupDom('<div class="reveal" id="item"></div>'));
+
+        it('refresh() does not observe an element twice', () => {
+            const animations = new ScrollAnimations();
+            const element = document.getElementById('item');
+
+            animations.refresh();
+            animations.refresh();
+
+            assert.equal(FakeIntersectionObserver.observing(element).length, 1);
+        });
+
+        it('refresh() picks up elements added later', () => {
+            const animations = new ScrollAnimations();
+            const added = document.createElement('div');
+            added.className = 'reveal';
+            document.body.appendChild(added);
+
+            animations.refresh();
+
+            assert.equal(FakeIntersectionObserver.observing(added).length, 1);
+        });
+
+        it('unmount() stops observing the element', () => {
+            const animations = new ScrollAnimations();
+            const element = document.getElementById('item');
+
+            animations.unmount(element);
+
+            assert.equal(FakeIntersectionObserver.observing(element).length, 0);
+        });
+
+        it('destroy() disconnects every observer', () => {
+            const animations = new ScrollAnimations();
+
+            animations.destroy();
+
+            assert.ok(FakeIntersectionObserver.instances.every(observer => observer.elements.size === 0));
+        });
+    });
+});
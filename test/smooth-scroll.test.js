@@ -0,0 +1,145 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { SmoothScroll } from '../js/smooth-scroll.js';
+
+const PAGE = `
+    <nav class="nav"></nav>
+    <a href="#pricing" id="link">Pricing</a>
+    <a href="#" id="empty">Top</a>
+    <a href="#missing" id="broken">Missing</a>
+    <section id="pricing"><h2>Pricing</h2></section>
+    <button id="cta">Get started</button>
+`;
+
+describe('SmoothScroll', () => {
+    let pricing;
+
+    beforeEach(() => {
+        setupDom(PAGE);
+        Object.defineProperty(document.querySelector('.nav'), 'offsetHeight', { value: 80 });
+        pricing = document.getElementById('pricing');
+        pricing.getBoundingClientRect = () => ({ top: 1200 });
+        window.scrollY = 100;
+    });
+    afterEach(teardownDom);
+
+    const lastScroll = () => window.scrollTo.mock.calls.at(-1).arguments[0];
+
+    describe('scrollTo', () => {
+        it('scrolls below the fixed nav', () => {
+            const scroller = new SmoothScroll();
+
+            assert.equal(scroller.scrollTo('#pricing'), true);
+            assert.deepEqual(lastScroll(), { top: 1220, behavior: 'smooth' });
+        });
+
+        it('accepts elements, selectors and an extra offset', () => {
+            const scroller = new SmoothScroll();
+
+            scroller.scrollTo(pricing, { offset: 20 });
+            assert.equal(lastScroll().top, 1200);
+
+            scroller.scrollTo('section', { behavior: 'instant' });
+            assert.deepEqual(lastScroll(), { top: 1220, behavior: 'instant' });
+        });
+
+        it('returns false for missing or invalid targets', () => {
+            const scroller = new SmoothScroll();
+
+            assert.equal(scroller.scrollTo('#nope'), false);
+            assert.equal(scroller.scrollTo('[[bad'), false);
+            assert.equal(scroller.scrollTo(null), false);
+        });
+
+        it('jumps instead of animating with reduced motion', () => {
+            setupDom(PAGE, { media: { '(prefers-reduced-motion: reduce)': true } });
+            const scroller = new SmoothScroll();
+
+            scroller.scrollTo('#pricing');
+
+            assert.equal(lastScroll().behavior, 'auto');
+        });
+
+        it('focuses the target, making it focusable when needed', () => {
+            const scroller = new SmoothScroll();
+
+            scroller.scrollTo(pricing);
+            assert.equal(pricing.getAttribute('tabindex'), '-1');
+            assert.equal(document.activeElement, pricing);
+
+            const cta = document.getElementById('cta');
+            scroller.scrollTo(cta);
+            assert.equal(cta.hasAttribute('tabindex'), false);
+            assert.equal(document.activeElement, cta);
+        });
+
+        it('only touches the hash when asked', (t) => {
+            const pushState = t.mock.method(window.history, 'pushState');
+            const scroller = new SmoothScroll();
+
+            scroller.scrollTo('#pricing');
+            assert.equal(pushState.mock.callCount(), 0);
+
+            scroller.scrollTo('#pricing', { updateHash: true });
+            assert.equal(pushState.mock.calls[0].arguments[2], '#pricing');
+        });
+    });
+
+    describe('links', () => {
+        it('handles clicks on in-page links, including ones added later', () => {
+            new SmoothScroll();
+            const late = document.createElement('a');
+            late.href = '#pricing';
+            document.body.appendChild(late);
+
+            const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+            late.dispatchEvent(event);
+
+            assert.equal(event.defaultPrevented, true);
+            assert.equal(lastScroll().top, 1220);
+        });
+
+        it('leaves modified clicks and missing targets to the browser', () => {
+            new SmoothScroll();
+
+            const modified = new MouseEvent('click', { bubbles: true, cancelable: true, metaKey: true });
+            document.getElementById('link').dispatchEvent(modified);
+            const missing = new MouseEvent('click', { bubbles: true, cancelable: true });
+            document.getElementById('broken').dispatchEvent(missing);
+
+            assert.equal(modified.defaultPrevented, false);
+            assert.equal(missing.defaultPrevented, false);
+            assert.equal(window.scrollTo.mock.callCount(), 0);
+        });
+
+        it('swallows bare # links', () => {
+            new SmoothScroll();
+            const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+
+            document.getElementById('empty').dispatchEvent(event);
+
+            assert.equal(event.defaultPrevented, true);
+            assert.equal(window.scrollTo.mock.callCount(), 0);
+        });
+    });
+
+    describe('hash navigation', () => {
+        it('scrolls to the hash in the initial URL', async () => {
+            setupDom(PAGE, { url: 'http://localhost/#pricing' });
+            new SmoothScroll();
+
+            await new Promise(resolve => requestAnimationFrame(resolve));
+
+            assert.equal(lastScroll().behavior, 'auto');
+        });
+
+        it('goes back to the top on popstate without a hash', () => {
+            new SmoothScroll();
+
+            window.dispatchEvent(new PopStateEvent('popstate'));
+
+            assert.deepEqual(lastScroll(), { top: 0, behavior: 'smooth' });
+        });
+    });
+});
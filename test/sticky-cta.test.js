@@ -0,0 +1,135 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { StickyCTA } from '../js/sticky-cta.js';
+import { getDiagnostics, clearDiagnostics } from '../js/diagnostics.js';
+
+const PAGE = `
+    <section class="final-cta"></section>
+    <footer class="footer"></footer>
+    <div class="sticky-cta" id="stickyCta"></div>
+`;
+
+/**
+ * jsdom has no layout - place the main CTA and footer by hand
+ */
+function layout({ ctaTop = 1000, ctaHeight = 400, footerTop = 3000 } = {}) {
+    const cta = document.querySelector('.final-cta');
+    Object.defineProperty(cta, 'offsetTop', { value: ctaTop, configurable: true });
+    Object.defineProperty(cta, 'offsetHeight', { value: ctaHeight, configurable: true });
+    Object.defineProperty(document.querySelector('.footer'), 'offsetTop', { value: footerTop, configurable: true });
+}
+
+function viewport({ scrollY, width = 375, height = 800 }) {
+    window.scrollY = scrollY;
+    window.innerWidth = width;
+    window.innerHeight = height;
+}
+
+describe('StickyCTA', () => {
+    beforeEach(() => {
+        setupDom(PAGE);
+        layout();
+    });
+    afterEach(() => {
+        clearDiagnostics();
+        teardownDom();
+    });
+
+    describe('checkVisibility', () => {
+        it('stays hidden before the main CTA has scrolled past', () => {
+            const sticky = new StickyCTA();
+            viewport({ scrollY: 200 });
+
+            sticky.checkVisibility();
+
+            assert.ok(!sticky.stickyCta.classList.contains('visible'));
+        });
+
+        it('shows once the main CTA is above the fold', () => {
+            const sticky = new StickyCTA();
+            viewport({ scrollY: 1000 });
+
+            sticky.checkVisibility();
+
+            assert.ok(sticky.stickyCta.classList.contains('visible'));
+        });
+
+        it('hides again at the footer', () => {
+            const sticky = new StickyCTA();
+            viewport({ scrollY: 1000 });
+            sticky.checkVisibility();
+
+            viewport({ scrollY: 2500 });
+            sticky.checkVisibility();
+
+            assert.ok(!sticky.stickyCta.classList.contains('visible'));
+        });
+
+        it('stays hidden on desktop widths', () => {
+            const sticky = new StickyCTA();
+            viewport({ scrollY: 1000, width: 1280 });
+
+            sticky.checkVisibility();
+
+            assert.ok(!sticky.stickyCta.classList.contains('visible'));
+        });
+
+        it('uses the breakpoint option', () => {
+            const sticky = new StickyCTA({ breakpoint: 1024 });
+            viewport({ scrollY: 1000, width: 900 });
+
+            sticky.checkVisibility();
+
+            assert.ok(sticky.stickyCta.classList.contains('visible'));
+        });
+
+        it('treats a missing footer as infinitely far away', () => {
+            document.querySelector('.footer').remove();
+            const sticky = new StickyCTA();
+            viewport({ scrollY: 5000 });
+
+            sticky.checkVisibility();
+
+            assert.ok(sticky.stickyCta.classList.contains('visible'));
+        });
+    });
+
+    it('does nothing without the sticky bar or the main CTA', () => {
+        setupDom('<section class="final-cta"></section>');
+
+        const sticky = new StickyCTA();
+
+        assert.equal(sticky.stickyCta, null);
+        assert.doesNotThrow(() => window.dispatchEvent(new Event('scroll')));
+    });
+
+    it('reports a sticky bar without the main CTA', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        document.querySelector('.final-cta').remove();
+
+        new StickyCTA();
+
+        assert.equal(getDiagnostics('warn')[0].details.selector, '.final-cta');
+    });
+
+    it('scrollToMainCTA falls back to scrollIntoView without SmoothScroll', () => {
+        const sticky = new StickyCTA();
+        let scrolled = false;
+        sticky.mainCta.scrollIntoView = () => { scrolled = true; };
+
+        sticky.scrollToMainCTA();
+
+        assert.equal(scrolled, true);
+    });
+
+    it('scrollToMainCTA goes through SmoothScroll', () => {
+        const targets = [];
+        window.smoothScroll = { scrollTo: (target) => targets.push(target) };
+        const sticky = new StickyCTA();
+
+        sticky.scrollToMainCTA();
+
+        assert.deepEqual(targets, [document.querySelector('.final-cta')]);
+    });
+});
@@ -0,0 +1,180 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { ThemeManager, THEMES } from '../js/theme.js';
+
+const LIGHT_QUERY = '(prefers-color-scheme: light)';
+const TOGGLE = '<button class="theme-toggle"></button>';
+
+describe('ThemeManager', () => {
+    afterEach(teardownDom);
+
+    describe('getStoredTheme', () => {
+        it('returns a saved theme', () => {
+            setupDom(TOGGLE, { storage: { theme: 'light' } });
+
+            assert.equal(new ThemeManager().getStoredTheme(), 'light');
+        });
+
+        it('ignores a saved theme that no longer exists', () => {
+            setupDom(TOGGLE, { storage: { theme: 'retired-brand' } });
+
+            assert.equal(new ThemeManager().getStoredTheme(), null);
+        });
+
+        it('returns null when storage is unavailable', () => {
+            setupDom(TOGGLE);
+            localStorage.getItem = () => { throw new Error('SecurityError'); };
+
+            assert.equal(new ThemeManager().getStoredTheme(), null);
+        });
+    });
+
+    describe('initial theme', () => {
+        it('follows the OS preference when nothing is saved', () => {
+            setupDom(TOGGLE, { media: { [LIGHT_QUERY]: true } });
+
+            const manager = new ThemeManager();
+
+            assert.equal(manager.currentTheme, 'light');
+            assert.equal(document.documentElement.dataset.theme, 'light');
+        });
+
+        it('prefers the saved theme over the OS preference', () => {
+            setupDom(TOGGLE, { storage: { theme: 'dark' }, media: { [LIGHT_QUERY]: true } });
+
+            assert.equal(new ThemeManager().currentTheme, 'dark');
+        });
+
+        it('previews ?theme= without saving it', () => {
+            setupDom(TOGGLE, { url: 'http://localhost/?theme=emerald', storage: { theme: 'dark' } });
+
+            const manager = new ThemeManager();
+
+            assert.equal(manager.currentTheme, 'emerald');
+            assert.equal(document.documentElement.dataset.themeName, 'emerald');
+            assert.equal(localStorage.getItem('theme'), 'dark');
+        });
+
+        it('ignores an unknown ?theme=', () => {
+            setupDom(TOGGLE, { url: 'http://localhost/?theme=nope' });
+
+            assert.equal(new ThemeManager().currentTheme, 'dark');
+        });
+
+        it('works without a .theme-toggle on the page', () => {
+            setupDom('');
+
+            assert.doesNotThrow(() => new ThemeManager());
+            assert.equal(document.documentElement.dataset.theme, 'dark');
+        });
+    });
+
+    describe('setTheme', () => {
+        beforeEach(() => setupDom(TOGGLE));
+
+        it('applies the theme tokens and removes the previous ones', () => {
+            const manager = new ThemeManager();
+            const root = document.documentElement;
+
+            manager.setTheme('high-contrast', { animate: false });
+            assert.equal(root.style.getPropertyValue('--bg-primary'), '#000000');
+            assert.equal(root.dataset.theme, 'dark');
+
+            manager.setTheme('emerald', { animate: false });
+            assert.equal(root.style.getPropertyValue('--bg-primary'), '');
+            assert.equal(root.style.getPropertyValue('--accent-blue'), '#059669');
+            assert.equal(root.dataset.theme, 'light');
+        });
+
+        it('saves the choice and stops following the OS', () => {
+            const manager = new ThemeManager();
+
+            manager.setTheme('light', { animate: false });
+            matchMedia.setMatches(LIGHT_QUERY, false);
+
+            assert.equal(localStorage.getItem('theme'), 'light');
+            assert.equal(manager.currentTheme, 'light');
+        });
+
+        it('ignores unknown themes', (t) => {
+            const manager = new ThemeManager();
+            t.mock.method(console, 'warn', () => {});
+
+            manager.setTheme('missing', { animate: false });
+
+            assert.equal(manager.currentTheme, 'dark');
+        });
+
+        it('notifies subscribers and dispatches theme:change', () => {
+            const manager = new ThemeManager();
+            const seen = [];
+            let eventDetail = null;
+            const unsubscribe = manager.onChange(detail => seen.push(detail.theme));
+            document.addEventListener('theme:change', (e) => { eventDetail = e.detail; });
+
+            manager.setTheme('light', { animate: false });
+            unsubscribe();
+            manager.setTheme('dark', { animate: false });
+
+            assert.deepEqual(seen, ['light']);
+            assert.deepEqual(eventDetail, { theme: 'dark', scheme: 'dark', source: 'user' });
+        });
+    });
+
+    describe('system preference', () => {
+        it('follows OS changes until the visitor picks a theme', () => {
+            setupDom(TOGGLE);
+            const manager = new ThemeManager();
+
+            matchMedia.setMatches(LIGHT_QUERY, true);
+            assert.equal(manager.currentTheme, 'light');
+
+            manager.setTheme('dark', { animate: false });
+            matchMedia.setMatches(LIGHT_QUERY, true);
+            assert.equal(manager.currentTheme, 'dark');
+        });
+
+        it('clearPreference goes back to the OS preference', () => {
+            setupDom(TOGGLE, { storage: { theme: 'dark' }, media: { [LIGHT_QUERY]: true } });
+            const manager = new ThemeManager();
+
+            manager.clearPreference();
+
+            assert.equal(localStorage.getItem('theme'), null);
+            assert.equal(manager.currentTheme, 'light');
+        });
+    });
+
+    describe('toggle', () => {
+        it('switches between the dark and light schemes', () => {
+            setupDom(TOGGLE);
+            const manager = new ThemeManager();
+            const toggle = document.querySelector('.theme-toggle');
+
+            toggle.click();
+            assert.equal(manager.currentTheme, 'light');
+
+            manager.setTheme('high-contrast', { animate: false });
+            toggle.click();
+            assert.equal(manager.currentTheme, 'light');
+        });
+    });
+
+    describe('registerTheme', () => {
+        afterEach(() => {
+            delete THEMES['client-red'];
+        });
+
+        it('makes a new theme available', () => {
+            setupDom(TOGGLE);
+            ThemeManager.registerTheme('client-red', { label: 'Client', scheme: 'light', tokens: { '--accent-blue': '#dc2626' } });
+            const manager = new ThemeManager();
+
+            manager.setTheme('client-red', { animate: false });
+
+            assert.equal(document.documentElement.style.getPropertyValue('--accent-blue'), '#dc2626');
+            assert.ok(manager.getThemes().some(theme => theme.name === 'client-red'));
+        });
+    });
+});
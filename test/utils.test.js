@@ -0,0 +1,191 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom, useFakeTimers } from './helpers/dom.js';
+import { debounce, throttle, trackEvent, hasConsent, whenConsented, storageSet, trapFocus } from '../js/utils.js';
+
+describe('debounce', () => {
+    let timers;
+
+    beforeEach(() => {
+        setupDom();
+        timers = useFakeTimers();
+    });
+    afterEach(teardownDom);
+
+    it('runs once after the calls stop, with the last arguments', () => {
+        const calls = [];
+        const debounced = debounce((value) => calls.push(value), 100);
+
+        debounced(1);
+        timers.tick(50);
+        debounced(2);
+        timers.tick(99);
+        assert.deepEqual(calls, []);
+
+        timers.tick(1);
+        assert.deepEqual(calls, [2]);
+    });
+
+    it('runs again for a later burst', () => {
+        let count = 0;
+        const debounced = debounce(() => count++, 100);
+
+        debounced();
+        timers.tick(100);
+        debounced();
+        timers.tick(100);
+
+        assert.equal(count, 2);
+    });
+});
+
+describe('throttle', () => {
+    let timers;
+
+    beforeEach(() => {
+        setupDom();
+        timers = useFakeTimers();
+    });
+    afterEach(teardownDom);
+
+    it('runs the first call immediately and drops calls inside the window', () => {
+        const calls = [];
+        const throttled = throttle((value) => calls.push(value), 100);
+
+        throttled(1);
+        throttled(2);
+        timers.tick(99);
+        throttled(3);
+
+        assert.deepEqual(calls, [1]);
+    });
+
+    it('runs again once the window has passed', () => {
+        const calls = [];
+        const throttled = throttle((value) => calls.push(value), 100);
+
+        throttled(1);
+        timers.tick(100);
+        throttled(2);
+
+        assert.deepEqual(calls, [1, 2]);
+    });
+
+    it('keeps the caller as this', () => {
+        const target = { name: 'nav', seen: null };
+        target.update = throttle(function () {
+            this.seen = this.name;
+        }, 100);
+
+        target.update();
+
+        assert.equal(target.seen, 'nav');
+    });
+});
+
+describe('trackEvent', () => {
+    beforeEach(() => setupDom());
+    afterEach(teardownDom);
+
+    it('dispatches analytics:track with the name and properties', () => {
+        let detail = null;
+        document.addEventListener('analytics:track', (e) => { detail = e.detail; });
+
+        trackEvent('cta_click', { id: 'hero' });
+
+        assert.deepEqual(detail, { name: 'cta_click', properties: { id: 'hero' } });
+    });
+
+    it('defaults properties to an empty object', () => {
+        let detail = null;
+        document.addEventListener('analytics:track', (e) => { detail = e.detail; });
+
+        trackEvent('page_view');
+
+        assert.deepEqual(detail.properties, {});
+    });
+});
+
+describe('consent helpers', () => {
+    beforeEach(() => setupDom());
+    afterEach(teardownDom);
+
+    it('treats everything as allowed without a consent manager', () => {
+        let ran = false;
+
+        assert.equal(hasConsent('marketing'), true);
+        whenConsented('analytics', () => { ran = true; });
+        assert.equal(ran, true);
+    });
+
+    it('asks the consent manager when there is one', () => {
+        const waiting = [];
+        window.consentManager = {
+            has: (category) => category === 'preferences',
+            whenGranted: (category, callback) => waiting.push(category)
+        };
+
+        assert.equal(hasConsent('preferences'), true);
+        assert.equal(hasConsent('analytics'), false);
+
+        whenConsented('analytics', () => {});
+        assert.deepEqual(waiting, ['analytics']);
+    });
+
+    it('storageSet only writes with consent for the category', () => {
+        window.consentManager = { has: (category) => category === 'necessary' };
+
+        assert.equal(storageSet('consent', 'yes'), true);
+        assert.equal(storageSet('theme', 'light', 'preferences'), false);
+        assert.equal(localStorage.getItem('consent'), 'yes');
+        assert.equal(localStorage.getItem('theme'), null);
+    });
+
+    it('storageSet returns false when storage throws', () => {
+        localStorage.setItem = () => { throw new Error('QuotaExceededError'); };
+
+        assert.equal(storageSet('theme', 'light'), false);
+    });
+});
+
+describe('trapFocus', () => {
+    beforeEach(() => setupDom(`
+        <div id="dialog">
+            <button id="first">First</button>
+            <div hidden><button id="hiddenButton">Hidden</button></div>
+            <input id="last">
+        </div>
+    `));
+    afterEach(teardownDom);
+
+    const tab = (shiftKey = false) => {
+        const event = new KeyboardEvent('keydown', { key: 'Tab', shiftKey, cancelable: true });
+        trapFocus(document.getElementById('dialog'), event);
+        return event;
+    };
+
+    it('wraps from the last element to the first', () => {
+        document.getElementById('last').focus();
+
+        const event = tab();
+
+        assert.equal(event.defaultPrevented, true);
+        assert.equal(document.activeElement.id, 'first');
+    });
+
+    it('wraps from the first element to the last on Shift+Tab, skipping hidden ones', () => {
+        document.getElementById('first').focus();
+
+        tab(true);
+
+        assert.equal(document.activeElement.id, 'last');
+    });
+
+    it('leaves focus alone in the middle of the container', () => {
+        document.getElementById('first').focus();
+
+        const event = tab();
+
+        assert.equal(event.defaultPrevented, false);
+    });
+});
@@ -0,0 +1,96 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, teardownDom } from './helpers/dom.js';
+import { VideoLightbox } from '../js/video-lightbox.js';
+import { Dialog } from '../js/dialog.js';
+import { getDiagnostics, clearDiagnostics } from '../js/diagnostics.js';
+
+const PAGE = `
+    <button id="play">Watch</button>
+    <div class="modal video-lightbox" id="videoLightbox" hidden>
+        <div class="modal-dialog video-lightbox-dialog">
+            <button class="modal-close" data-dialog-close aria-label="Close">&times;</button>
+            <h2 class="sr-only video-lightbox-title">Video</h2>
+            <div class="video-lightbox-frame"></div>
+        </div>
+    </div>
+`;
+
+describe('VideoLightbox', () => {
+    let lightbox;
+
+    beforeEach(() => {
+        setupDom(PAGE);
+        lightbox = new VideoLightbox();
+    });
+    afterEach(() => {
+        Dialog.closeAll();
+        clearDiagnostics();
+        teardownDom();
+    });
+
+    it('plays embeds in an iframe inside the dialog', () => {
+        assert.equal(lightbox.open('https://www.youtube.com/embed/abc', { title: "Sarah's story" }), true);
+
+        const iframe = document.querySelector('.video-lightbox-frame iframe');
+        assert.equal(lightbox.isOpen(), true);
+        assert.equal(iframe.src, 'https://www.youtube.com/embed/abc');
+        assert.equal(iframe.title, "Sarah's story");
+        assert.equal(document.querySelector('.video-lightbox-title').textContent, "Sarah's story");
+        assert.equal(document.activeElement.className, 'modal-close');
+    });
+
+    it('falls back to the translated title when the video has none', () => {
+        window.i18n = { t: (key, params, fallback) => (key === 'video.title' ? 'Vídeo' : fallback) };
+
+        lightbox.open('https://www.youtube.com/embed/abc');
+
+        assert.equal(document.querySelector('.video-lightbox-frame iframe').title, 'Vídeo');
+        assert.equal(document.querySelector('.video-lightbox-title').textContent, 'Vídeo');
+    });
+
+    it('plays video files in a <video>', () => {
+        lightbox.open('/media/story.mp4?v=2');
+
+        const video = document.querySelector('.video-lightbox-frame video');
+        assert.equal(video.getAttribute('src'), 'http://localhost/media/story.mp4?v=2');
+        assert.equal(video.controls, true);
+    });
+
+    it('removes the player on close and returns focus', () => {
+        const opener = document.getElementById('play');
+        lightbox.open('https://player.vimeo.com/video/1', { opener });
+
+        document.querySelector('.modal-close').click();
+
+        assert.equal(document.querySelector('.video-lightbox-frame').children.length, 0);
+        assert.equal(document.activeElement, opener);
+    });
+
+    it('refuses URLs that are not http(s)', (t) => {
+        t.mock.method(console, 'warn', () => {});
+
+        assert.equal(lightbox.open('javascript:alert(1)'), false);
+
+        assert.equal(lightbox.isOpen(), false);
+        assert.match(getDiagnostics('warn')[0].message, /only http\(s\) URLs/);
+    });
+
+    it('tracks plays', () => {
+        const tracked = [];
+        document.addEventListener('analytics:track', (e) => tracked.push(e.detail));
+
+        lightbox.open('https://www.youtube.com/embed/abc', { title: 'Story' });
+
+        assert.deepEqual(tracked, [{ name: 'video_play', properties: { src: 'https://www.youtube.com/embed/abc', title: 'Story' } }]);
+    });
+
+    it('opens the video in a new tab without the lightbox markup', (t) => {
+        setupDom('');
+        const open = t.mock.method(window, 'open', () => null);
+
+        new VideoLightbox().open('https://www.youtube.com/embed/abc');
+
+        assert.deepEqual(open.mock.calls[0].arguments, ['https://www.youtube.com/embed/abc', '_blank', 'noopener']);
+    });
+});